@@ -21,6 +21,21 @@ const SUITES = [
   "test-all-bindings.html",
   "test-edge-cases.html",
   "test-dispose.html",
+  "test-structural-bindings.html",
+  "test-expressions.html",
+  "test-components.html",
+  "test-form-bindings.html",
+  "test-foreach-reconcile.html",
+  "test-effect-scope.html",
+  "test-json-patch.html",
+  "test-history.html",
+  "test-persist.html",
+  "test-transactions.html",
+  "test-async-computed.html",
+  "test-devtools.html",
+  "test-error-handling.html",
+  "test-html-binding.html",
+  "test-event-modifiers.html",
 ];
 
 function fileUrl(file) {
@@ -2,11 +2,41 @@
 
 const VERSION = "2.1.0";
 const { createReactiveFactory } = require("./src/reactive-factory");
-const { Observable, computed } = require("./src/observable");
+const { Observable, computed, asyncComputed, batch } = require("./src/observable");
+const { validate } = require("./src/validation");
+const { history } = require("./src/history");
+const persistence = require("./src/persist");
+const jsonPatch = require("./src/json-patch");
+const devtoolsModule = require("./src/devtools");
+
+/** Storage persistence; the adapter factories are available as persist.createXxxAdapter() */
+const persist = Object.assign(persistence.persist, {
+    createMemoryAdapter: persistence.createMemoryAdapter,
+    createWebStorageAdapter: persistence.createWebStorageAdapter,
+    createIndexedDBAdapter: persistence.createIndexedDBAdapter
+});
+
+/** RFC 6902 JSON Patch export/apply for Observables */
+const patches = {
+    record: jsonPatch.record,
+    apply: jsonPatch.apply
+};
+
+/** Dependency graph introspection */
+const devtools = {
+    graph: devtoolsModule.graph
+};
 
 module.exports = {
     Observable,
     computed,
+    asyncComputed,
+    batch,
+    validate,
+    history,
+    persist,
+    patches,
+    devtools,
     version: VERSION,
     createReactiveFactory,
     ExtractedObservable: Observable,
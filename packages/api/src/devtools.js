@@ -0,0 +1,241 @@
+"use strict";
+
+const Version = "v2.1.0";
+
+/**
+ * Describes an element for graph output: `tag#id.class1.class2`.
+ *
+ * @param {Element} element
+ * @returns {string|null}
+ */
+function describeElement(element) {
+    if (!element || !element.tagName) {
+        return null;
+    }
+    let description = element.tagName.toLowerCase();
+    if (element.id) {
+        description += `#${element.id}`;
+    }
+    const classes = typeof element.className === "string" ? element.className.trim() : "";
+    if (classes) {
+        description += "." + classes.split(/\s+/).join(".");
+    }
+    return description;
+}
+
+function quoteDOT(text) {
+    return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
+
+const DOT_SHAPES = {
+    property: "ellipse",
+    computed: "box",
+    asyncComputed: "box",
+    effect: "diamond",
+    binding: "note"
+};
+
+/**
+ * Renders a graph produced by graph() as Graphviz DOT.
+ *
+ * @param {{nodes: Object[], edges: Object[]}} graphData
+ * @returns {string}
+ */
+function toDOT(graphData) {
+    const lines = ["digraph Stitch {", "    rankdir=LR;"];
+    graphData.nodes.forEach(node => {
+        let label = node.label;
+        if (node.kind === "binding" && node.element) {
+            label += `\n${node.element}`;
+        }
+        const style = node.kind === "asyncComputed" ? ", style=dashed" : "";
+        lines.push(`    ${quoteDOT(node.id)} [label=${quoteDOT(label)}, shape=${DOT_SHAPES[node.kind]}${style}];`);
+    });
+    graphData.edges.forEach(edge => {
+        lines.push(`    ${quoteDOT(edge.from)} -> ${quoteDOT(edge.to)};`);
+    });
+    lines.push("}");
+    return lines.join("\n");
+}
+
+/**
+ * Returns the live dependency graph of a reactive model.
+ *
+ * Nodes (`{ id, kind, label, ... }`):
+ * - `property` - a property (or tracked array/Map/Set key) that something depends on, or any
+ *   plain object property; `path` is its dot path from the model
+ * - `computed` / `asyncComputed` - computed properties; `path`, and `dirty` for computeds
+ * - `binding` - a DOM binding effect; `type` (e.g. "text"), `bindingPath` and `element`
+ *   (`tag#id.class` description of the bound element)
+ * - `effect` - any other effect ($watch watchers, custom effects)
+ *
+ * Edges (`{ from, to }`) point from a value to what depends on it; an async computed
+ * also points to the state properties it writes (`value`, `loading`, `error`).
+ * Only active dependencies appear: a computed that was never read has no edges yet.
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @returns {{nodes: Object[], edges: Object[], dot: string}} JSON-safe graph plus its Graphviz DOT source
+ * @example
+ * const { nodes, edges, dot } = Stitch.devtools.graph(model);
+ * console.log(JSON.stringify({ nodes, edges }, null, 2));
+ * console.log(dot); // paste into `dot -Tsvg` or an online Graphviz viewer
+ */
+function graph(model) {
+    if (!model || !model._factory || !model._factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: devtools.graph() requires a model created with Observable.create()`);
+    }
+    const factory = model._factory;
+    const reactiveSystem = factory.reactiveSystem;
+    const nodes = [];
+    const edges = [];
+    const edgeKeys = new Set();
+    /** @type {Map<Object, string>} Computed refs and effects -> node id */
+    const dependentIds = new Map();
+    const pendingDependents = [];
+    let anonymousCount = 0;
+
+    function addNode(node) {
+        nodes.push(node);
+        return node.id;
+    }
+
+    function addEdge(from, to) {
+        const edgeKey = `${from}\u0000${to}`;
+        if (!edgeKeys.has(edgeKey)) {
+            edgeKeys.add(edgeKey);
+            edges.push({ from, to });
+        }
+    }
+
+    /** Node id of a dependent (computed ref or effect), creating effect nodes on first sight. */
+    function dependentId(dependent) {
+        if (dependentIds.has(dependent)) {
+            return dependentIds.get(dependent);
+        }
+        let id;
+        if (dependent.isComputedRef) {
+            // A computed of another model (or one not reachable from this model)
+            id = addNode({
+                id: `computed:?${dependent.key || dependent.id}#${++anonymousCount}`,
+                kind: "dependents" in dependent ? "computed" : "asyncComputed",
+                label: dependent.key || `(computed ${dependent.id})`,
+                path: null
+            });
+            dependentIds.set(dependent, id);
+            pendingDependents.push(dependent);
+        } else if (dependent.binding) {
+            const binding = dependent.binding;
+            id = addNode({
+                id: `binding:${dependent.id}`,
+                kind: "binding",
+                label: `data-${binding.type}="${binding.path}"`,
+                type: binding.type,
+                bindingPath: binding.path,
+                element: describeElement(binding.element)
+            });
+            dependentIds.set(dependent, id);
+        } else {
+            id = addNode({ id: `effect:${dependent.id}`, kind: "effect", label: `effect ${dependent.id}` });
+            dependentIds.set(dependent, id);
+        }
+        return id;
+    }
+
+    function linkDependents(fromId, dependents) {
+        if (!dependents) return;
+        dependents.forEach(dependent => {
+            if (dependent.active === false) return;
+            addEdge(fromId, dependentId(dependent));
+        });
+    }
+
+    const visited = new WeakSet();
+    /** Property nodes by raw container and key, for async computed state edges */
+    const propertyIds = new Map();
+    /** Property node ids with their dependents, linked once every computed has a node */
+    const propertyLinks = [];
+
+    function visit(value, path) {
+        if (!value || typeof value !== "object") return;
+        const raw = factory.toRaw(value);
+        if (visited.has(raw)) return;
+        visited.add(raw);
+
+        const computedRefs = raw._computedRefs || new Map();
+        const tracked = reactiveSystem.depsMap.get(raw) || new Map();
+        const keys = new Set();
+        if (!Array.isArray(raw) && !(raw instanceof Map) && !(raw instanceof Set)) {
+            Object.keys(raw).forEach(key => keys.add(key));
+        }
+        tracked.forEach((dependents, key) => {
+            if (typeof key === "symbol" || dependents.size === 0) return;
+            // Array proxies also track method lookups (push, map, ...); those are not data
+            if (Array.isArray(raw) && typeof Array.prototype[key] === "function") return;
+            keys.add(key);
+        });
+        const ids = new Map();
+        propertyIds.set(raw, ids);
+
+        keys.forEach(key => {
+            const keyPath = path.concat([String(key)]).join(".");
+            const ref = computedRefs.get(key);
+            if (ref) {
+                const isAsync = !("dependents" in ref);
+                const node = { id: `${isAsync ? "asyncComputed" : "computed"}:${keyPath}`, kind: isAsync ? "asyncComputed" : "computed", label: keyPath, path: keyPath };
+                if (!isAsync) {
+                    node.dirty = ref.dirty;
+                }
+                dependentIds.set(ref, addNode(node));
+                ids.set(key, node.id);
+                pendingDependents.push(ref);
+            } else {
+                const id = addNode({ id: `property:${keyPath}`, kind: "property", label: keyPath, path: keyPath });
+                ids.set(key, id);
+                propertyLinks.push({ id, dependents: tracked.get(key) });
+            }
+        });
+
+        // Recurse after this level's nodes exist so nested paths follow their parents
+        keys.forEach(key => {
+            if (typeof key === "string" && key.startsWith("_")) return;
+            const ref = computedRefs.get(key);
+            if (!ref) {
+                visit(raw instanceof Map ? raw.get(key) : raw[key], path.concat([String(key)]));
+            } else if (ref.state) {
+                visit(ref.state, path.concat([String(key)]));
+            }
+        });
+        if (Array.isArray(raw)) {
+            raw.forEach((item, index) => visit(item, path.concat([String(index)])));
+        } else if (raw instanceof Map) {
+            raw.forEach((item, key) => visit(item, path.concat([String(key)])));
+        }
+    }
+
+    visit(model, []);
+    propertyLinks.forEach(link => linkDependents(link.id, link.dependents));
+
+    // Edges out of computeds: their dependents, or the state an async computed writes
+    for (let i = 0; i < pendingDependents.length; i++) {
+        const ref = pendingDependents[i];
+        const fromId = dependentIds.get(ref);
+        if ("dependents" in ref) {
+            linkDependents(fromId, ref.dependents);
+        } else if (ref.state) {
+            const stateIds = propertyIds.get(factory.toRaw(ref.state));
+            if (stateIds) {
+                stateIds.forEach(id => addEdge(fromId, id));
+            }
+        }
+    }
+
+    const graphData = { nodes, edges };
+    graphData.dot = toDOT(graphData);
+    return graphData;
+}
+
+module.exports = {
+    graph,
+    toDOT,
+    describeElement
+};
@@ -0,0 +1,236 @@
+"use strict";
+
+const { defineHidden, attachModelState } = require("../../utils/src/reactive-object-helpers");
+const { applyMutation } = require("../../utils/src/mutation-helpers");
+
+const Version = "v2.1.0";
+
+/**
+ * Normalizes `exclude` entries ("ui.hover", ["ui", "hover"]) into key arrays.
+ *
+ * @param {Array<string|Array>} exclude
+ * @returns {string[][]}
+ */
+function normalizeExcludedPaths(exclude) {
+    if (!Array.isArray(exclude)) {
+        throw new Error(`Stitch.js ${Version}: history() "exclude" must be an array of paths`);
+    }
+    return exclude.map(path => (Array.isArray(path) ? path : String(path).split(".")).map(String));
+}
+
+function isExcluded(path, excludedPaths) {
+    return excludedPaths.some(excluded => excluded.length <= path.length
+        && excluded.every((key, index) => key === String(path[index])));
+}
+
+/**
+ * Resolves the container holding the last key of a mutation path on the live model.
+ */
+function resolveContainer(model, path, action) {
+    let container = model;
+    for (let i = 0; i < path.length - 1; i++) {
+        container = container instanceof Map ? container.get(path[i]) : (container ? container[path[i]] : undefined);
+    }
+    if (!container || typeof container !== "object") {
+        throw new Error(`Stitch.js ${Version}: history.${action}() cannot restore "${path.join(".")}": the path no longer exists`);
+    }
+    return container;
+}
+
+/**
+ * Re-applies (redo) or reverts (undo) one recorded mutation on the live model.
+ *
+ * @param {Object} model
+ * @param {{op: string, path: Array, value: *, oldValue: *}} mutation
+ * @param {boolean} revert
+ */
+function applyRecordedMutation(model, mutation, revert) {
+    const container = resolveContainer(model, mutation.path, revert ? "undo" : "redo");
+    applyMutation(container, mutation.path[mutation.path.length - 1], mutation, revert);
+}
+
+/**
+ * Attaches an undo/redo history to a reactive model.
+ *
+ * Every change to the model (property sets, `$set`/`$delete`, array mutations and
+ * index assignments, Map/Set changes, including nested objects) is recorded as a
+ * step. `undo()` reverts the last step and `redo()` re-applies it; each runs as one
+ * batch so bindings update once. A new change clears the redo stack.
+ *
+ * Produces a reactive state object (also available as the hidden `model.$history`):
+ * - `canUndo` / `canRedo` - whether undo()/redo() would do anything
+ * - `undo()` / `redo()` - returns false when there was nothing to do
+ * - `transaction(fn)` - records every change made by fn as a single step
+ * - `clear()` - forgets all steps
+ * - `stop()` - stops recording and forgets all steps
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum number of undo steps kept
+ * @param {number} [options.groupWithin=0] - Changes made within this many ms of the previous change join its step
+ * @param {Array<string|Array>} [options.exclude=[]] - Paths (and everything below them) that are not recorded
+ * @returns {Object} Reactive history state
+ * @example
+ * const history = Stitch.history(model, { groupWithin: 500, exclude: ['ui'] });
+ * // <button data-enabled="$history.canUndo" data-click="$history.undo">Undo</button>
+ * history.transaction(() => {
+ *     model.rows.splice(index, 1);
+ *     model.selectedId = null;
+ * });
+ * history.undo(); // restores the row and the selection
+ */
+function history(model, options = {}) {
+    const limit = options.limit === undefined ? 100 : options.limit;
+    const groupWithin = options.groupWithin || 0;
+    const excludedPaths = normalizeExcludedPaths(options.exclude || []);
+    if (!(limit > 0)) {
+        throw new Error(`Stitch.js ${Version}: history() "limit" must be a positive number`);
+    }
+
+    const undoStack = [];
+    const redoStack = [];
+    let openStep = null;
+    let lastChangeTime = -Infinity;
+    let transactionDepth = 0;
+    let applying = false;
+
+    const state = attachModelState(model, "$history", { canUndo: false, canRedo: false }, "history");
+    const factory = state._factory;
+    const reactiveSystem = factory.reactiveSystem;
+
+    function updateState() {
+        state.canUndo = undoStack.length > 0;
+        state.canRedo = redoStack.length > 0;
+    }
+
+    function closeStep() {
+        openStep = null;
+        lastChangeTime = -Infinity;
+    }
+
+    /** @type {WeakMap<Object, Object>} Open batch frame -> history before its first recorded change */
+    const checkpoints = new WeakMap();
+
+    function checkpoint() {
+        return {
+            undo: undoStack.slice(),
+            lastStep: undoStack[undoStack.length - 1] || null,
+            lastStepLength: undoStack.length > 0 ? undoStack[undoStack.length - 1].length : 0,
+            redo: redoStack.slice(),
+            openStep,
+            lastChangeTime
+        };
+    }
+
+    const stopRecording = reactiveSystem.onMutation(factory.toRaw(model), mutations => {
+        // A failed batch's reverting writes are not steps; onRollback restores the history instead
+        if (applying || reactiveSystem.isRollingBack()) {
+            return;
+        }
+        const recorded = mutations.filter(mutation => !isExcluded(mutation.path, excludedPaths));
+        if (recorded.length === 0) {
+            return;
+        }
+        reactiveSystem.openBatchFrames().forEach(frame => {
+            if (!checkpoints.has(frame)) {
+                checkpoints.set(frame, checkpoint());
+            }
+        });
+        const now = Date.now();
+        const grouped = transactionDepth > 0 || (groupWithin > 0 && now - lastChangeTime <= groupWithin);
+        if (!openStep || !grouped) {
+            openStep = [];
+            undoStack.push(openStep);
+            if (undoStack.length > limit) {
+                undoStack.shift();
+            }
+        }
+        openStep.push(...recorded);
+        lastChangeTime = now;
+        redoStack.length = 0;
+        updateState();
+    });
+
+    // Forget what a failed batch recorded, as if it never ran
+    const stopRollbacks = reactiveSystem.onRollback(frame => {
+        const saved = checkpoints.get(frame);
+        if (!saved) {
+            return;
+        }
+        undoStack.splice(0, undoStack.length, ...saved.undo);
+        if (saved.lastStep) {
+            saved.lastStep.length = saved.lastStepLength;
+        }
+        redoStack.splice(0, redoStack.length, ...saved.redo);
+        openStep = saved.openStep;
+        lastChangeTime = saved.lastChangeTime;
+        updateState();
+    });
+
+    function travel(fromStack, toStack, revert) {
+        closeStep();
+        const step = fromStack.pop();
+        if (!step) {
+            return false;
+        }
+        applying = true;
+        try {
+            reactiveSystem.batch(() => {
+                if (revert) {
+                    for (let i = step.length - 1; i >= 0; i--) {
+                        applyRecordedMutation(model, step[i], true);
+                    }
+                } else {
+                    step.forEach(mutation => applyRecordedMutation(model, mutation, false));
+                }
+            });
+            toStack.push(step);
+        } catch (error) {
+            // batch() reverted the part that was applied; a step that cannot be applied invalidates the history
+            undoStack.length = 0;
+            redoStack.length = 0;
+            throw error;
+        } finally {
+            applying = false;
+            updateState();
+        }
+        return true;
+    }
+
+    defineHidden(state, "undo", function () {
+        return travel(undoStack, redoStack, true);
+    });
+    defineHidden(state, "redo", function () {
+        return travel(redoStack, undoStack, false);
+    });
+    defineHidden(state, "transaction", function (fn) {
+        if (transactionDepth === 0) {
+            closeStep();
+        }
+        transactionDepth++;
+        try {
+            return reactiveSystem.batch(fn);
+        } finally {
+            transactionDepth--;
+            if (transactionDepth === 0) {
+                closeStep();
+            }
+        }
+    });
+    defineHidden(state, "clear", function () {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        closeStep();
+        updateState();
+    });
+    defineHidden(state, "stop", function () {
+        stopRecording();
+        stopRollbacks();
+        state.clear();
+    });
+    return state;
+}
+
+module.exports = {
+    history
+};
@@ -0,0 +1,410 @@
+"use strict";
+
+const Version = "v2.1.0";
+
+/**
+ * Encodes path segments as an RFC 6901 JSON Pointer.
+ *
+ * @param {Array<string|number>} segments
+ * @returns {string} e.g. "/items/0/name"
+ */
+function toPointer(segments) {
+    return segments.map(segment => "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1")).join("");
+}
+
+/**
+ * Decodes an RFC 6901 JSON Pointer into path segments.
+ *
+ * @param {string} pointer
+ * @returns {string[]}
+ * @throws {Error} If the pointer is not a string starting with "/"
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== "string" || (pointer !== "" && pointer[0] !== "/")) {
+        throw new Error(`Stitch.js ${Version}: Invalid JSON Pointer "${pointer}"`);
+    }
+    if (pointer === "") {
+        return [];
+    }
+    return pointer.slice(1).split("/").map(segment => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Converts a (possibly reactive) value into plain JSON data for patch operations.
+ * Maps become objects and Sets become arrays.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlainValue(value) {
+    if (!value || typeof value !== "object") {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, item => toPlainValue(item));
+    }
+    if (value instanceof Map) {
+        const result = {};
+        value.forEach((item, key) => {
+            result[String(key)] = toPlainValue(item);
+        });
+        return result;
+    }
+    if (value instanceof Set) {
+        return Array.from(value, item => toPlainValue(item));
+    }
+    const result = {};
+    Object.keys(value).forEach(key => {
+        if (!key.startsWith("_") && typeof value[key] !== "function") {
+            result[key] = toPlainValue(value[key]);
+        }
+    });
+    return result;
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function findMapKey(map, segment) {
+    for (const key of map.keys()) {
+        if (String(key) === segment) return { found: true, key };
+    }
+    return { found: false, key: segment };
+}
+
+function nthSetItem(set, index) {
+    return Array.from(set)[index];
+}
+
+function parseArrayIndex(segment, length, allowEnd, pointer) {
+    if (allowEnd && segment === "-") {
+        return length;
+    }
+    if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() invalid array index "${segment}" in "${pointer}"`);
+    }
+    const index = Number(segment);
+    if (index > length || (!allowEnd && index === length)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() array index ${index} out of bounds in "${pointer}"`);
+    }
+    return index;
+}
+
+function hasChild(container, segment) {
+    if (container instanceof Map) return findMapKey(container, segment).found;
+    if (container instanceof Set) return /^\d+$/.test(segment) && Number(segment) < container.size;
+    if (Array.isArray(container)) return /^(0|[1-9][0-9]*)$/.test(segment) && Number(segment) < container.length;
+    return Object.prototype.hasOwnProperty.call(container, segment) && !segment.startsWith("_");
+}
+
+function getChild(container, segment) {
+    if (container instanceof Map) return container.get(findMapKey(container, segment).key);
+    if (container instanceof Set) return nthSetItem(container, Number(segment));
+    return container[segment];
+}
+
+/**
+ * Creates a copy-on-write draft of a model for dry-running a patch. A container is
+ * copied (shallowly) only when an operation walks through it, so validation costs
+ * the paths the patch touches instead of the whole model. Computed properties stay
+ * read-only so writes to them fail the same way they would on the model.
+ *
+ * @param {Object} model
+ * @returns {{root: Object, descend: Function}} Draft root and the child lookup that copies on the way down
+ */
+function createDraft(model) {
+    const drafts = new WeakSet();
+    /** @type {WeakMap<Object, Map<string, Function>>} Draft object -> setters of its computed values */
+    const computedCells = new WeakMap();
+
+    function copy(value) {
+        let result;
+        if (Array.isArray(value)) {
+            result = Array.from(value);
+        } else if (value instanceof Map) {
+            result = new Map(value);
+        } else if (value instanceof Set) {
+            result = new Set(value);
+        } else {
+            result = {};
+            const cells = new Map();
+            Object.keys(value).forEach(key => {
+                const descriptor = Object.getOwnPropertyDescriptor(value, key);
+                if (descriptor && descriptor.get && descriptor.configurable === false) {
+                    // Computed: deleting throws, and so does assigning unless it has a set(), as on the model
+                    let cell = value[key];
+                    const store = next => { cell = next; };
+                    const ref = value._computedRefs && value._computedRefs.get(key);
+                    cells.set(key, store);
+                    Object.defineProperty(result, key, {
+                        get: () => cell,
+                        set: ref && ref.writable ? store : undefined,
+                        enumerable: true,
+                        configurable: false
+                    });
+                } else {
+                    result[key] = value[key];
+                }
+            });
+            computedCells.set(result, cells);
+        }
+        drafts.add(result);
+        return result;
+    }
+
+    function descend(parent, segment) {
+        const child = getChild(parent, segment);
+        if (!child || typeof child !== "object" || drafts.has(child)) {
+            return child;
+        }
+        const draft = copy(child);
+        if (Array.isArray(parent)) {
+            parent[Number(segment)] = draft;
+        } else if (parent instanceof Map) {
+            parent.set(findMapKey(parent, segment).key, draft);
+        } else if (parent instanceof Set) {
+            const items = Array.from(parent);
+            items[Number(segment)] = draft;
+            parent.clear();
+            items.forEach(item => parent.add(item));
+        } else if (computedCells.get(parent).has(segment)) {
+            computedCells.get(parent).get(segment)(draft);
+        } else {
+            parent[segment] = draft;
+        }
+        return draft;
+    }
+
+    return { root: copy(model), descend };
+}
+
+/**
+ * Resolves the parent container and last segment of a pointer.
+ *
+ * @param {Object} root
+ * @param {string} pointer
+ * @param {Function} [descend=getChild] - Child lookup (a draft's copies containers on the way)
+ * @returns {{parent: Object, segment: string}}
+ */
+function resolveParent(root, pointer, descend = getChild) {
+    const segments = parsePointer(pointer);
+    if (segments.length === 0) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() cannot replace the whole model ("${pointer}")`);
+    }
+    let parent = root;
+    for (let i = 0; i < segments.length - 1; i++) {
+        if (!parent || typeof parent !== "object" || !hasChild(parent, segments[i])) {
+            throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+        }
+        parent = descend(parent, segments[i]);
+    }
+    if (!parent || typeof parent !== "object") {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+    }
+    return { parent, segment: segments[segments.length - 1] };
+}
+
+function readValue(root, pointer, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (!hasChild(parent, segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+    }
+    return getChild(parent, segment);
+}
+
+function addValue(root, pointer, value, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (Array.isArray(parent)) {
+        parent.splice(parseArrayIndex(segment, parent.length, true, pointer), 0, value);
+    } else if (parent instanceof Map) {
+        parent.set(findMapKey(parent, segment).key, value);
+    } else if (parent instanceof Set) {
+        parent.add(value);
+    } else if (Object.prototype.hasOwnProperty.call(parent, segment)) {
+        parent[segment] = value;
+    } else if (typeof parent.$set === "function") {
+        parent.$set(segment, value);
+    } else {
+        parent[segment] = value;
+    }
+}
+
+function removeValue(root, pointer, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (!hasChild(parent, segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+    }
+    if (Array.isArray(parent)) {
+        parent.splice(Number(segment), 1);
+    } else if (parent instanceof Map) {
+        parent.delete(findMapKey(parent, segment).key);
+    } else if (parent instanceof Set) {
+        parent.delete(nthSetItem(parent, Number(segment)));
+    } else if (typeof parent.$delete === "function") {
+        if (!parent.$delete(segment)) {
+            throw new Error(`Stitch.js ${Version}: patches.apply() cannot remove "${pointer}"`);
+        }
+    } else {
+        delete parent[segment];
+    }
+}
+
+function replaceValue(root, pointer, value, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (!hasChild(parent, segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+    }
+    if (parent instanceof Map) {
+        parent.set(findMapKey(parent, segment).key, value);
+    } else if (parent instanceof Set) {
+        parent.delete(nthSetItem(parent, Number(segment)));
+        parent.add(value);
+    } else {
+        parent[segment] = value;
+    }
+}
+
+/**
+ * Applies one RFC 6902 operation to a model or a validation draft.
+ *
+ * @param {Object} root
+ * @param {Object} operation
+ * @param {Function} [descend] - The draft's child lookup when dry-running
+ */
+function applyOperation(root, operation, descend) {
+    if (!operation || typeof operation !== "object" || typeof operation.op !== "string") {
+        throw new Error(`Stitch.js ${Version}: patches.apply() operations must be objects with "op" and "path"`);
+    }
+    const { op, path } = operation;
+    if ((op === "add" || op === "replace" || op === "test") && !("value" in operation)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() "${op}" at "${path}" requires a value`);
+    }
+    switch (op) {
+        case "add":
+            addValue(root, path, cloneValue(operation.value), descend);
+            break;
+        case "remove":
+            removeValue(root, path, descend);
+            break;
+        case "replace":
+            replaceValue(root, path, cloneValue(operation.value), descend);
+            break;
+        case "move": {
+            if (path === operation.from || path.startsWith(operation.from + "/")) {
+                if (path === operation.from) break;
+                throw new Error(`Stitch.js ${Version}: patches.apply() cannot move "${operation.from}" into itself`);
+            }
+            const value = readValue(root, operation.from, descend);
+            removeValue(root, operation.from, descend);
+            addValue(root, path, value, descend);
+            break;
+        }
+        case "copy":
+            addValue(root, path, cloneValue(toPlainValue(readValue(root, operation.from, descend))), descend);
+            break;
+        case "test":
+            if (!deepEqual(toPlainValue(readValue(root, path, descend)), toPlainValue(operation.value))) {
+                throw new Error(`Stitch.js ${Version}: patches.apply() test failed at "${path}"`);
+            }
+            break;
+        default:
+            throw new Error(`Stitch.js ${Version}: patches.apply() unknown operation "${op}"`);
+    }
+}
+
+// Incoming values are copied so one patch object can be applied to several models
+function cloneValue(value) {
+    return value && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Records RFC 6902 operations for every change to a model: property sets, `$set`,
+ * `$delete`, array mutations (as index add/remove/replace) and Map/Set changes
+ * (Map entries by key, Set members by position), including nested objects.
+ *
+ * @param {Object} model - Model from Observable.create() / Observable.createArray()
+ * @param {Function} callback - Called with the operations of each change (one array mutation may produce several)
+ * @returns {Function} Stops recording
+ * @example
+ * const stop = Stitch.patches.record(model, ops => socket.send(JSON.stringify(ops)));
+ * model.user.name = 'Ada';   // [{ op: 'replace', path: '/user/name', value: 'Ada' }]
+ * model.items.push({ id: 3 }); // [{ op: 'add', path: '/items/2', value: { id: 3 } }]
+ */
+function record(model, callback) {
+    if (!model || !model._factory || !model._factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: patches.record() requires a model created with Observable.create()`);
+    }
+    if (typeof callback !== "function") {
+        throw new Error(`Stitch.js ${Version}: patches.record() requires a callback function`);
+    }
+    const factory = model._factory;
+    return factory.reactiveSystem.onMutation(factory.toRaw(model), mutations => {
+        callback(mutations.map(mutation => {
+            const operation = { op: mutation.op, path: toPointer(mutation.path) };
+            if (mutation.op !== "remove") {
+                operation.value = toPlainValue(mutation.value);
+            }
+            return operation;
+        }));
+    });
+}
+
+/**
+ * Applies RFC 6902 operations (add, remove, replace, move, copy, test) through the
+ * model's reactive setters so bindings update. The whole patch is validated first
+ * against a copy-on-write draft of the containers it touches; if any operation fails
+ * (missing path, bad index, failed test, write to a computed property) nothing is
+ * changed. Synchronous effects and watchers run once after all operations.
+ *
+ * @param {Object} model - Model from Observable.create() / Observable.createArray()
+ * @param {Array<Object>} operations - RFC 6902 operations
+ * @returns {Object} The model
+ * @throws {Error} If the patch is invalid
+ */
+function apply(model, operations) {
+    if (!model || !model._factory || !model._factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() requires a model created with Observable.create()`);
+    }
+    if (!Array.isArray(operations)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() requires an array of operations`);
+    }
+
+    const reactiveSystem = model._factory.reactiveSystem;
+    // Reading the model for validation must not subscribe a running effect to it
+    reactiveSystem.effectStack.push(null);
+    try {
+        const draft = createDraft(model);
+        operations.forEach((operation, index) => {
+            try {
+                applyOperation(draft.root, operation, draft.descend);
+            } catch (error) {
+                const reason = error.message.startsWith("Stitch.js") ? error.message : `Stitch.js ${Version}: patches.apply() ${error.message}`;
+                throw new Error(`${reason} (operation ${index})`);
+            }
+        });
+    } finally {
+        reactiveSystem.effectStack.pop();
+    }
+
+    reactiveSystem.batch(() => {
+        operations.forEach(operation => applyOperation(model, operation));
+    });
+    return model;
+}
+
+module.exports = {
+    record,
+    apply,
+    toPointer,
+    parsePointer,
+    toPlainValue
+};
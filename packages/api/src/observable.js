@@ -1,12 +1,112 @@
 "use strict";
 
-const { createReactiveFactory, createComputedMarker, getDefaultFactory, resetDefaultFactory } = require("./reactive-factory");
+const { createReactiveFactory, createComputedMarker, createAsyncComputedMarker, getDefaultFactory, resetDefaultFactory } = require("./reactive-factory");
 const { MessageBus } = require("../../core/src/message-bus");
 const runtimeHelpers = require("../../utils/src/runtime-helpers");
-const { defineHidden } = require("../../utils/src/reactive-object-helpers");
+const { defineHidden, traverseReactive } = require("../../utils/src/reactive-object-helpers");
 
 const Version = "v2.1.0";
 const getProperty = runtimeHelpers.getProperty;
+const WATCH_FLUSH_MODES = ["sync", "pre", "post"];
+
+/**
+ * Normalizes a $watch source into a getter.
+ *
+ * @param {Object} model - Reactive model the paths are resolved against
+ * @param {string|Function|Array<string|Function>} source - Path, getter or array of paths/getters
+ * @returns {Function} Getter returning the watched value (an array for array sources)
+ */
+function createWatchGetter(model, source) {
+    if (typeof source === "string") {
+        return () => getProperty(model, source);
+    }
+    if (typeof source === "function") {
+        return () => source.call(model, model);
+    }
+    if (Array.isArray(source)) {
+        const getters = source.map(item => createWatchGetter(model, item));
+        return () => getters.map(getter => getter());
+    }
+    throw new Error(`Stitch.js ${Version}: $watch() source must be a path string, a getter function or an array of them`);
+}
+
+function hasWatchValueChanged(newValue, oldValue, multiSource) {
+    if (multiSource) {
+        return newValue.some((value, index) => value !== oldValue[index]);
+    }
+    return newValue !== oldValue;
+}
+
+/**
+ * Creates a watcher effect for model.$watch().
+ *
+ * @param {Object} model - Reactive model
+ * @param {ReactiveSystem} reactiveSystem - The model's reactive system
+ * @param {string|Function|Array<string|Function>} source - What to watch
+ * @param {Function} callback - Called with (newValue, oldValue, meta)
+ * @param {Object} options - $watch options
+ * @returns {Function} Unsubscribe function
+ */
+function createWatcher(model, reactiveSystem, source, callback, options) {
+    if (typeof callback !== "function") {
+        throw new Error(`Stitch.js ${Version}: $watch() requires a callback function`);
+    }
+    // Legacy { batch: true } maps to 'pre'; the default stays synchronous
+    const flush = options.flush || (options.batch ? "pre" : "sync");
+    if (!WATCH_FLUSH_MODES.includes(flush)) {
+        throw new Error(`Stitch.js ${Version}: $watch() flush must be one of: ${WATCH_FLUSH_MODES.join(", ")}`);
+    }
+    const multiSource = Array.isArray(source);
+    const readSource = createWatchGetter(model, source);
+    const getter = options.deep ? () => traverseReactive(readSource()) : readSource;
+
+    let oldValue;
+    let initialized = false;
+    let eff = null;
+
+    function invoke(newValue, previousValue) {
+        // Callbacks run untracked so their reads do not become watcher dependencies
+        reactiveSystem.effectStack.push(null);
+        try {
+            callback(newValue, previousValue, {
+                key: typeof source === "function" ? null : source,
+                newValue,
+                oldValue: previousValue,
+                target: model
+            });
+        } finally {
+            reactiveSystem.effectStack.pop();
+        }
+        if (options.once) {
+            reactiveSystem.stop(eff);
+        }
+    }
+
+    eff = reactiveSystem.effect(() => {
+        const newValue = getter();
+        if (!initialized) {
+            initialized = true;
+            oldValue = newValue;
+            if (options.immediate) {
+                invoke(newValue, undefined);
+            }
+            return;
+        }
+        // Deep watchers fire on nested mutations even when the top-level value is the same object
+        if (options.deep || hasWatchValueChanged(newValue, oldValue, multiSource)) {
+            const previousValue = oldValue;
+            oldValue = newValue;
+            invoke(newValue, previousValue);
+        }
+    }, {
+        batch: flush !== "sync",
+        flush
+    });
+
+    return function unwatch() {
+        reactiveSystem.stop(eff);
+    };
+}
 class Observable {
     /**
      * Creates reactive object with eager conversion.
@@ -17,6 +117,7 @@ class Observable {
      * @param {Object} data - Data object to make reactive
      * @param {Object} [options={}] - Options
      * @param {boolean} [options.isolated] - If true, creates an isolated ReactiveSystem instead of using the shared singleton
+     * @param {Object} [options.factory] - Reactive factory of another model to share (used for component models)
      * @param {boolean} [options.debug] - Enable debug logging for this instance
      * @returns {Object} Reactive proxy
      * @example
@@ -49,10 +150,17 @@ class Observable {
      * @example
      * // Message Bus API
      * const model = Stitch.Observable.create({ count: 0 });
-     * model.$watch('count', (newVal, oldVal) => {
+     * const unwatch = model.$watch('count', (newVal, oldVal) => {
      *     console.log(`Count: ${oldVal} → ${newVal}`);
      * });
      * model.count = 5; // Triggers handler
+     * unwatch();
+     *
+     * @example
+     * // $watch(source, callback, { deep, immediate, once, flush: 'sync' | 'pre' | 'post' })
+     * model.$watch(['firstName', 'lastName'], ([first, last]) => save(first, last), { flush: 'pre' });
+     * model.$watch(m => m.items.length, count => render(count), { immediate: true });
+     * model.$watch('settings', settings => persist(settings), { deep: true, flush: 'post' });
      */
     static create(data, options = {}) {
         if (!data || typeof data !== "object") {
@@ -62,7 +170,7 @@ class Observable {
             throw new Error("Observable.create() received an already-reactive object. Use the existing proxy or pass a plain object.");
         }
 
-        const factory = options.isolated ? createReactiveFactory() : getDefaultFactory();
+        const factory = options.factory || (options.isolated ? createReactiveFactory() : getDefaultFactory());
 
         // ⭐ OPTION 7 KEY CHANGE: Just call reactive() - it handles EVERYTHING
         // No more manual computed extraction, no more manual descriptor wrapping
@@ -104,27 +212,15 @@ class Observable {
             defineHidden(reactiveData, name, fn);
         }
 
-        // $watch remains separate due to closure over previousValue
-        defineHidden(reactiveData, "$watch", function (property, callback, options = {}) {
-            let previousValue = getProperty(reactiveData, property);
-
-            // Create effect that tracks the property
-            return factory.reactiveSystem.effect(() => {
-                const currentValue = getProperty(reactiveData, property);
+        defineHidden(reactiveData, "$watch", function (source, callback, watchOptions = {}) {
+            return createWatcher(reactiveData, factory.reactiveSystem, source, callback, watchOptions);
+        });
 
-                // Call callback if value changed
-                if (currentValue !== previousValue) {
-                    callback(currentValue, previousValue, {
-                        key: property,
-                        newValue: currentValue,
-                        oldValue: previousValue,
-                        target: reactiveData
-                    });
-                    previousValue = currentValue;
-                }
-            }, {
-                batch: options.batch !== undefined ? options.batch : false  // Immediate by default
-            });
+        defineHidden(reactiveData, "$transaction", function (fn) {
+            if (typeof fn !== "function") {
+                throw new Error(`Stitch.js ${Version}: $transaction() requires a function`);
+            }
+            return factory.reactiveSystem.batch(() => fn.call(reactiveData, reactiveData));
         });
 
         if (options.debug) {
@@ -178,7 +274,7 @@ class Observable {
 
     /**
      * Creates computed property marker for Observable.create().
-     * Supports function or {get, deps} syntax.
+     * Supports function or {get, set, deps} syntax.
      *
      * ⭐ OPTION 7 REFACTOR: Returns standardized marker that reactive() will detect.
      *
@@ -218,11 +314,78 @@ class Observable {
      * console.log(model.result);  // 0
      * model.count = 5;
      * console.log(model.result);  // 10
+     *
+     * @example
+     * // Writable computed: assignments (and data-value bindings) call set(value)
+     * const price = Stitch.Observable.create({
+     *     cents: 1999,
+     *     dollars: Stitch.computed({
+     *         get() { return (this.cents / 100).toFixed(2); },
+     *         set(value) { this.cents = Math.round(parseFloat(value) * 100); }
+     *     })
+     * });
+     *
+     * price.dollars = '24.50';
+     * console.log(price.cents);  // 2450
      */
     static computed(config) {
         return createComputedMarker(config, Version);
     }
 
+    /**
+     * Creates an async computed property marker for Observable.create().
+     *
+     * The property holds a reactive `{ value, loading, error }` state. The getter
+     * re-runs when the values it reads before its first `await` change; each run
+     * receives an AbortSignal that is aborted when a newer run starts, and results
+     * of stale runs are ignored. The state also has hidden `refresh()` and `stop()`
+     * methods. Like other computeds the property cannot be assigned.
+     *
+     * @param {Object|Function} config - `{ get, default, debounce }` or the getter alone
+     * @param {Function} config.get - Called with `{ signal }`; returns a value or a Promise
+     * @param {*} [config.default] - `value` until the first run resolves
+     * @param {number} [config.debounce=0] - Delay in ms before re-running after a change
+     * @returns {Object} Async computed marker
+     * @example
+     * const model = Stitch.Observable.create({
+     *     query: '',
+     *     results: Stitch.asyncComputed({
+     *         default: [],
+     *         debounce: 250,
+     *         async get({ signal }) {
+     *             const query = this.query; // read before the first await to track it
+     *             const response = await fetch(`/search?q=${encodeURIComponent(query)}`, { signal });
+     *             return response.json();
+     *         }
+     *     })
+     * });
+     * // <ul data-loading="results.loading" data-foreach="results.value">...</ul>
+     */
+    static asyncComputed(config) {
+        return createAsyncComputedMarker(config, Version);
+    }
+
+    /**
+     * Runs fn as a transaction on the shared ReactiveSystem: synchronous effects,
+     * sync $watch callbacks and on() change handlers run once when the outermost
+     * batch ends (change handlers once per changed property). If fn throws, its
+     * changes are reverted and the error is rethrown. Models created with
+     * `{ isolated: true }` have their own system; use their `$transaction()`.
+     *
+     * @param {Function} fn - Makes the changes
+     * @returns {*} fn's return value
+     * @example
+     * Stitch.batch(() => {
+     *     Object.assign(record, serverRecord); // one watcher/handler call per field
+     * });
+     */
+    static batch(fn) {
+        if (typeof fn !== "function") {
+            throw new Error(`Stitch.js ${Version}: batch() requires a function`);
+        }
+        return getDefaultFactory().reactiveSystem.batch(fn);
+    }
+
     /**
      * Checks if object is reactive.
      *
@@ -260,7 +423,17 @@ function computed(config) {
     return Observable.computed(config);
 }
 
+function asyncComputed(config) {
+    return Observable.asyncComputed(config);
+}
+
+function batch(fn) {
+    return Observable.batch(fn);
+}
+
 module.exports = {
     Observable,
-    computed
+    computed,
+    asyncComputed,
+    batch
 };
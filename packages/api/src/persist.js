@@ -0,0 +1,440 @@
+"use strict";
+
+const { defineHidden, attachModelState } = require("../../utils/src/reactive-object-helpers");
+const { serializeValue, deserializeValue, isComputedProperty, isPlainRecord } = require("../../utils/src/serialization-helpers");
+const { handleError } = require("../../core/src/error-handler");
+
+const Version = "v2.1.0";
+
+/**
+ * Storage adapters store strings by key:
+ * - `getItem(key)` → string | null (or a Promise of it)
+ * - `setItem(key, value)` → void (or a Promise)
+ * - `removeItem(key)` → void (or a Promise)
+ * - `subscribe(key, callback)` (optional) → unsubscribe function; calls
+ *   `callback(value)` when another tab (or model) writes the key
+ */
+
+/**
+ * Creates an in-memory adapter. Every persist() call sharing the adapter behaves
+ * like a separate tab sharing one storage, which makes it useful in tests.
+ *
+ * @param {Object.<string, string>} [initial] - Initial stored strings by key
+ * @returns {Object} Storage adapter
+ */
+function createMemoryAdapter(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    const subscribers = new Map();
+    return {
+        getItem(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem(key, value) {
+            items.set(key, String(value));
+            (subscribers.get(key) || []).forEach(callback => callback(items.get(key)));
+        },
+        removeItem(key) {
+            items.delete(key);
+        },
+        subscribe(key, callback) {
+            if (!subscribers.has(key)) {
+                subscribers.set(key, new Set());
+            }
+            subscribers.get(key).add(callback);
+            return () => subscribers.get(key).delete(callback);
+        }
+    };
+}
+
+/**
+ * Creates an adapter for a Web Storage object (localStorage / sessionStorage).
+ * Changes from other tabs arrive through the window "storage" event.
+ *
+ * @param {Storage} storage
+ * @returns {Object} Storage adapter
+ */
+function createWebStorageAdapter(storage) {
+    return {
+        getItem: key => storage.getItem(key),
+        setItem: (key, value) => storage.setItem(key, value),
+        removeItem: key => storage.removeItem(key),
+        subscribe(key, callback) {
+            if (typeof window === "undefined") {
+                return () => {};
+            }
+            const onStorage = event => {
+                if (event.storageArea === storage && event.key === key && event.newValue !== null) {
+                    callback(event.newValue);
+                }
+            };
+            window.addEventListener("storage", onStorage);
+            return () => window.removeEventListener("storage", onStorage);
+        }
+    };
+}
+
+/**
+ * Creates an IndexedDB adapter (asynchronous; the model is hydrated once the read completes).
+ * Changes from other tabs arrive through a BroadcastChannel when available.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.database="stitch"] - Database name
+ * @param {string} [options.store="persist"] - Object store name
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter(options = {}) {
+    const databaseName = options.database || "stitch";
+    const storeName = options.store || "persist";
+    const channelName = `stitch-persist:${databaseName}/${storeName}`;
+    let databasePromise = null;
+    let channel = null;
+
+    function openDatabase() {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return databasePromise;
+    }
+
+    function run(mode, operation) {
+        return openDatabase().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    function getChannel() {
+        if (!channel && typeof BroadcastChannel !== "undefined") {
+            channel = new BroadcastChannel(channelName);
+        }
+        return channel;
+    }
+
+    return {
+        getItem: key => run("readonly", store => store.get(key)).then(value => (value === undefined ? null : value)),
+        setItem: (key, value) => run("readwrite", store => store.put(value, key)).then(() => {
+            const broadcast = getChannel();
+            if (broadcast) {
+                broadcast.postMessage({ key, value });
+            }
+        }),
+        removeItem: key => run("readwrite", store => store.delete(key)),
+        subscribe(key, callback) {
+            if (typeof BroadcastChannel === "undefined") {
+                return () => {};
+            }
+            // A separate channel object: messages are not delivered to the posting object
+            const listener = new BroadcastChannel(channelName);
+            listener.onmessage = event => {
+                if (event.data && event.data.key === key) {
+                    callback(event.data.value);
+                }
+            };
+            return () => listener.close();
+        }
+    };
+}
+
+/**
+ * Resolves the `storage` option into an adapter.
+ *
+ * @param {string|Storage|Object} storage - "local", "session", "indexedDB", a Storage object or an adapter
+ * @returns {Object} Storage adapter
+ */
+function resolveAdapter(storage) {
+    if (storage === "local" || storage === "session") {
+        const webStorage = typeof window !== "undefined" ? window[storage + "Storage"] : undefined;
+        if (!webStorage) {
+            throw new Error(`Stitch.js ${Version}: persist() storage "${storage}" is not available in this environment`);
+        }
+        return createWebStorageAdapter(webStorage);
+    }
+    if (storage === "indexedDB") {
+        if (typeof indexedDB === "undefined") {
+            throw new Error(`Stitch.js ${Version}: persist() storage "indexedDB" is not available in this environment`);
+        }
+        return createIndexedDBAdapter();
+    }
+    if (typeof Storage !== "undefined" && storage instanceof Storage) {
+        return createWebStorageAdapter(storage);
+    }
+    if (storage && typeof storage.getItem === "function" && typeof storage.setItem === "function") {
+        return storage;
+    }
+    throw new Error(`Stitch.js ${Version}: persist() "storage" must be "local", "session", "indexedDB", a Storage object or an adapter with getItem/setItem`);
+}
+
+function normalizePaths(paths, name) {
+    if (!Array.isArray(paths)) {
+        throw new Error(`Stitch.js ${Version}: persist() "${name}" must be an array of paths`);
+    }
+    return paths.map(path => String(path).split("."));
+}
+
+function startsWith(path, prefix) {
+    return prefix.length <= path.length && prefix.every((key, index) => key === path[index]);
+}
+
+function isThenable(value) {
+    return !!value && typeof value.then === "function";
+}
+
+/**
+ * Writes stored data into the model: nested objects are merged so their computeds
+ * and identity survive, other values are assigned (new keys via $set).
+ * Paths in `touched` (changed in the model while the snapshot was being read) keep
+ * the model's value: nothing at or below them is assigned, and values that contain
+ * them are merged where possible and skipped otherwise.
+ */
+function assignStored(target, data, filter, path, touched = []) {
+    Object.keys(data).forEach(key => {
+        const childPath = path.concat([key]);
+        if (!filter(childPath) || touched.some(changed => startsWith(childPath, changed))) return;
+        const value = data[key];
+        const exists = Object.prototype.hasOwnProperty.call(target, key);
+        if (exists && isComputedProperty(target, key)) return;
+        const current = exists ? target[key] : undefined;
+        if (isPlainRecord(value) && isPlainRecord(current) && current.__isReactive) {
+            assignStored(current, value, filter, childPath, touched);
+        } else if (touched.some(changed => startsWith(changed, childPath))) {
+            return;
+        } else if (exists || typeof target.$set !== "function") {
+            target[key] = value;
+        } else {
+            target.$set(key, value);
+        }
+    });
+}
+
+/**
+ * Saves a model to storage and restores it on page load.
+ *
+ * The stored snapshot is read right away (synchronously for Web Storage and memory
+ * adapters) and merged into the model. Later changes are written back after
+ * `debounce` ms of inactivity and when the page is hidden. Dates, Maps and Sets keep
+ * their types; computed properties and keys starting with "_" are not stored.
+ * Writes from other tabs (the storage's `subscribe`) are merged into the model.
+ * With an asynchronous adapter, changes made before the read completes win over
+ * the stored values and are saved once the snapshot was merged.
+ *
+ * Produces a reactive state object (also available as the hidden `model.$persist`):
+ * - `hydrated` - true once the stored snapshot (if any) was read
+ * - `ready` - Promise resolved when hydrated
+ * - `flush()` - writes pending changes now
+ * - `clear()` - removes the stored snapshot
+ * - `stop()` - stops saving and syncing
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {Object} options
+ * @param {string} options.key - Storage key
+ * @param {string|Storage|Object} [options.storage="local"] - "local", "session", "indexedDB", a Storage object or an adapter
+ * @param {string[]} [options.include] - Only persist these paths (and everything below them)
+ * @param {string[]} [options.exclude] - Never persist these paths
+ * @param {number} [options.version=1] - Snapshot version
+ * @param {Function} [options.migrate] - `(data, storedVersion) => data` for snapshots of another version; without it they are discarded
+ * @param {number} [options.debounce=100] - Write delay in ms
+ * @param {Function} [options.onError] - `(error, { key, operation })` for failed reads, writes
+ *   and migrations (`operation` is "read", "save" or "migrate"); defaults to Stitch.config.errorHandler
+ * @returns {Object} Reactive persistence state
+ * @example
+ * Stitch.persist(form, {
+ *     key: 'signup-form',
+ *     exclude: ['password'],
+ *     version: 2,
+ *     migrate: (data, from) => (from === 1 ? { ...data, phone: data.tel } : data)
+ * });
+ */
+function persist(model, options = {}) {
+    if (!options.key || typeof options.key !== "string") {
+        throw new Error(`Stitch.js ${Version}: persist() requires a "key" string`);
+    }
+    const key = options.key;
+    const adapter = resolveAdapter(options.storage || "local");
+    const version = options.version === undefined ? 1 : options.version;
+    const debounce = options.debounce === undefined ? 100 : options.debounce;
+    const includedPaths = options.include ? normalizePaths(options.include, "include") : null;
+    const excludedPaths = normalizePaths(options.exclude || [], "exclude");
+
+    // Ancestors of included paths are kept so the included values can be reached
+    const filter = path => !excludedPaths.some(excluded => startsWith(path, excluded))
+        && (!includedPaths || includedPaths.some(included => startsWith(path, included) || startsWith(included, path)));
+
+    let timer = null;
+    let lastWritten = null;
+    let restoring = false;
+    let stopped = false;
+    /** @type {string[][]|null} Paths changed before hydration finished; null once hydrated */
+    let touchedBeforeHydration = [];
+
+    const state = attachModelState(model, "$persist", { hydrated: false }, "persist");
+    const factory = state._factory;
+    const reactiveSystem = factory.reactiveSystem;
+
+    function reportError(error, operation) {
+        if (typeof options.onError === "function") {
+            try {
+                options.onError(error, { key, operation });
+                return;
+            } catch (handlerError) {
+                console.error(`[Stitch.js ${Version}] persist: onError threw`, handlerError);
+            }
+        }
+        handleError(error);
+    }
+
+    function readSnapshot(raw) {
+        let envelope;
+        try {
+            envelope = JSON.parse(raw);
+        } catch (error) {
+            console.warn(`[Stitch.js ${Version}] persist: ignoring unreadable data stored under "${key}"`, error);
+            return null;
+        }
+        if (!envelope || typeof envelope !== "object" || !("data" in envelope)) {
+            return null;
+        }
+        let data = deserializeValue(envelope.data);
+        if (envelope.version !== version) {
+            if (typeof options.migrate !== "function") {
+                console.warn(`[Stitch.js ${Version}] persist: discarding data stored under "${key}" with version ${envelope.version} (current version ${version}). Pass a migrate() option to keep it.`);
+                return null;
+            }
+            try {
+                data = options.migrate(data, envelope.version);
+            } catch (error) {
+                reportError(error, "migrate");
+                return null;
+            }
+        }
+        return isPlainRecord(data) ? data : null;
+    }
+
+    function restore(raw) {
+        if (stopped || raw === null || raw === undefined || raw === lastWritten) {
+            return;
+        }
+        const data = readSnapshot(raw);
+        if (!data) {
+            return;
+        }
+        lastWritten = raw;
+        restoring = true;
+        try {
+            reactiveSystem.batch(() => assignStored(model, data, filter, [], touchedBeforeHydration || []));
+        } finally {
+            restoring = false;
+        }
+    }
+
+    function write() {
+        clearTimeout(timer);
+        timer = null;
+        const raw = JSON.stringify({ version, data: serializeValue(model, filter) });
+        if (raw === lastWritten) {
+            return Promise.resolve();
+        }
+        lastWritten = raw;
+        try {
+            return Promise.resolve(adapter.setItem(key, raw)).catch(error => reportError(error, "save"));
+        } catch (error) {
+            reportError(error, "save");
+            return Promise.resolve();
+        }
+    }
+
+    const stopListening = reactiveSystem.onMutation(factory.toRaw(model), mutations => {
+        if (restoring || stopped) {
+            return;
+        }
+        const paths = mutations.map(mutation => mutation.path.map(String)).filter(filter);
+        if (paths.length === 0) {
+            return;
+        }
+        if (touchedBeforeHydration) {
+            // Saving now would overwrite the snapshot that is still being read
+            touchedBeforeHydration.push(...paths);
+            return;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(write, debounce);
+    });
+    const unsubscribe = typeof adapter.subscribe === "function" ? adapter.subscribe(key, restore) : null;
+    const onPageHide = () => {
+        if (timer) {
+            write();
+        }
+    };
+    if (typeof window !== "undefined") {
+        window.addEventListener("pagehide", onPageHide);
+    }
+
+    function finishHydration(raw) {
+        restore(raw);
+        const touched = touchedBeforeHydration;
+        touchedBeforeHydration = null;
+        state.hydrated = true;
+        if (touched.length > 0 && !stopped) {
+            clearTimeout(timer);
+            timer = setTimeout(write, debounce);
+        }
+    }
+
+    function failHydration(error) {
+        reportError(error, "read");
+        finishHydration(null);
+    }
+
+    let ready;
+    try {
+        const stored = adapter.getItem(key);
+        if (isThenable(stored)) {
+            ready = stored.then(finishHydration, failHydration);
+        } else {
+            finishHydration(stored);
+            ready = Promise.resolve();
+        }
+    } catch (error) {
+        failHydration(error);
+        ready = Promise.resolve();
+    }
+
+    defineHidden(state, "ready", ready);
+    defineHidden(state, "flush", function () {
+        if (stopped) {
+            return Promise.resolve();
+        }
+        return touchedBeforeHydration ? ready.then(() => state.flush()) : write();
+    });
+    defineHidden(state, "clear", function () {
+        clearTimeout(timer);
+        timer = null;
+        lastWritten = null;
+        return Promise.resolve(adapter.removeItem ? adapter.removeItem(key) : undefined);
+    });
+    defineHidden(state, "stop", function () {
+        if (stopped) return;
+        stopped = true;
+        clearTimeout(timer);
+        timer = null;
+        stopListening();
+        if (unsubscribe) unsubscribe();
+        if (typeof window !== "undefined") {
+            window.removeEventListener("pagehide", onPageHide);
+        }
+    });
+    return state;
+}
+
+module.exports = {
+    persist,
+    createMemoryAdapter,
+    createWebStorageAdapter,
+    createIndexedDBAdapter
+};
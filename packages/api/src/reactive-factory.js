@@ -2,9 +2,12 @@
 
 const { ReactiveSystem } = require("../../core/src/reactive-system");
 const { ComputedRef } = require("../../core/src/computed-ref");
+const { AsyncComputedRef } = require("../../core/src/async-computed-ref");
 const runtimeHelpers = require("../../utils/src/runtime-helpers");
 const objectHelpers = require("../../utils/src/reactive-object-helpers");
 const { NOOP_DEBUG } = require("../../utils/src/debug-config");
+const { createArrayPatches, createAssignmentPatches } = require("../../utils/src/array-patch-helpers");
+const { applyMutation } = require("../../utils/src/mutation-helpers");
 const defineHidden = objectHelpers.defineHidden;
 
 /**
@@ -14,10 +17,10 @@ const defineHidden = objectHelpers.defineHidden;
  *
  * @param {Function|Object} config - Compute function or config object
  * @param {string} version - Version string for error messages
- * @returns {Object} Computed marker { __isStitchComputed, fn, __explicitDeps }
+ * @returns {Object} Computed marker { __isStitchComputed, fn, setter, __explicitDeps }
  */
 function createComputedMarker(config, version) {
-    let fn, explicitDeps;
+    let fn, explicitDeps, setter = null;
     if (typeof config === "function") {
         fn = config;
         explicitDeps = null;
@@ -27,21 +30,51 @@ function createComputedMarker(config, version) {
         if (explicitDeps && !Array.isArray(explicitDeps)) {
             throw new Error(`[Stitch.js ${version}] Stitch.computed() deps must be an array of property names.\n` + `Example: Stitch.computed({ get() { ... }, deps: ['prop1', 'prop2'] })`);
         }
+        if (config.set !== undefined && typeof config.set !== "function") {
+            throw new Error(`[Stitch.js ${version}] Stitch.computed() set must be a function.\n` + `Example: Stitch.computed({ get() { ... }, set(value) { ... } })`);
+        }
+        setter = config.set || null;
     } else {
-        throw new Error(`[Stitch.js ${version}] Stitch.computed() expects either:\n` + `  - A function: Stitch.computed(function() { ... })\n` + `  - An object: Stitch.computed({ get() { ... }, deps: [...] })`);
+        throw new Error(`[Stitch.js ${version}] Stitch.computed() expects either:\n` + `  - A function: Stitch.computed(function() { ... })\n` + `  - An object: Stitch.computed({ get() { ... }, set(value) { ... }, deps: [...] })`);
     }
 
     return {
         __isStitchComputed: true,
         fn: fn,
+        setter: setter,
         __explicitDeps: explicitDeps
     };
 }
+/**
+ * Creates an async computed property marker (see Observable.asyncComputed()).
+ *
+ * @param {Object|Function} config - `{ get, default, debounce }` or the getter alone
+ * @param {string} version - Version string for error messages
+ * @returns {Object} Marker { __isStitchAsyncComputed, get, initialValue, debounce }
+ */
+function createAsyncComputedMarker(config, version) {
+    const normalized = typeof config === "function" ? { get: config } : config;
+    if (!normalized || typeof normalized.get !== "function") {
+        throw new Error(`Stitch.js ${version}: asyncComputed() requires a getter: Stitch.asyncComputed({ get({ signal }) { ... } })`);
+    }
+    const debounce = normalized.debounce === undefined ? 0 : normalized.debounce;
+    if (typeof debounce !== "number" || !(debounce >= 0)) {
+        throw new Error(`Stitch.js ${version}: asyncComputed() debounce must be a number of milliseconds`);
+    }
+    return {
+        __isStitchAsyncComputed: true,
+        get: normalized.get,
+        initialValue: normalized.default,
+        debounce
+    };
+}
+
 function createReactiveFactory(options = {}) {
     const Version = options.version || "v2.1.0";
     const StitchDebug = options.debug || NOOP_DEBUG;
     const ReactiveSystemClass = options.ReactiveSystem || ReactiveSystem;
     const ComputedRefClass = options.ComputedRef || ComputedRef;
+    const AsyncComputedRefClass = options.AsyncComputedRef || AsyncComputedRef;
     const isArrowFunction = options.isArrowFunction || runtimeHelpers.isArrowFunction;
     const setProperty = options.setProperty || runtimeHelpers.setProperty;
     const getProperty = options.getProperty || runtimeHelpers.getProperty;
@@ -52,6 +85,8 @@ function createReactiveFactory(options = {}) {
     let reactiveSystem;
     /** @type {WeakMap<object, object>} Raw object/collection -> reactive proxy cache */
     const proxyMap = new WeakMap();
+    /** @type {WeakMap<object, object>} Reactive proxy -> raw array/collection */
+    const rawMap = new WeakMap();
 
     /**
      * Adds parent metadata once for nested change bubbling.
@@ -108,7 +143,7 @@ function createReactiveFactory(options = {}) {
             if ((parent._changeHandlers && parent._changeHandlers.size > 0) || 
                 (reactiveSystem.messageBus.subscribers.has("*"))) {
                 
-                reactiveSystem.messageBus.publish("nested-change", {
+                reactiveSystem.publishChange("nested-change", {
                     parent: parent,
                     parentKey: parentKey,
                     childKey: currentKey,
@@ -124,6 +159,96 @@ function createReactiveFactory(options = {}) {
         }
     }
 
+    /**
+     * Returns the raw target of a reactive array/collection proxy
+     * (reactive objects are made reactive in place and returned as is).
+     *
+     * @param {*} value
+     * @returns {*}
+     */
+    function toRaw(value) {
+        return (value && rawMap.get(value)) || value;
+    }
+
+    /**
+     * Reports a mutation to onMutation() listeners of the target and of every
+     * ancestor it is still attached to, with the path relative to each listener.
+     * Inside batch() it also records how to revert the mutation.
+     * Costs nothing while no mutation listener is registered and no batch is open.
+     *
+     * @param {Object} target - Raw reactive target that changed
+     * @param {Array<{op: string, key: *, value: *, oldValue: *}>} changes - Changes in order
+     */
+    function emitMutations(target, changes) {
+        if (changes.length === 0) {
+            return;
+        }
+        if (reactiveSystem.isRecordingUndo()) {
+            const container = proxyMap.get(target) || target;
+            reactiveSystem.recordUndo(() => {
+                for (let i = changes.length - 1; i >= 0; i--) {
+                    applyMutation(container, changes[i].key, changes[i], true);
+                }
+            });
+        }
+        if (reactiveSystem.mutationListenerCount === 0) {
+            return;
+        }
+        const prefix = [];
+        let current = target;
+        // Parent lookups below must not be tracked by a running effect
+        reactiveSystem.effectStack.push(null);
+        try {
+            while (current) {
+                if (reactiveSystem.mutationListeners.has(current)) {
+                    reactiveSystem.notifyMutation(current, changes.map(change => ({
+                        op: change.op,
+                        path: prefix.concat([change.key]),
+                        value: change.value,
+                        oldValue: change.oldValue
+                    })));
+                }
+                const parentInfo = current._parent;
+                if (!parentInfo || !parentInfo.obj) break;
+                const parent = toRaw(parentInfo.obj);
+                const self = proxyMap.get(current) || current;
+                // Array positions shift, so the index is looked up; detached children stop here
+                const parentKey = Array.isArray(parent) ? parent.indexOf(self) : parentInfo.key;
+                if (Array.isArray(parent) ? parentKey < 0 : parent[parentKey] !== self) break;
+                prefix.unshift(parentKey);
+                current = parent;
+            }
+        } finally {
+            reactiveSystem.effectStack.pop();
+        }
+    }
+
+    /**
+     * Converts array splice patches into add/remove/replace mutations.
+     *
+     * @param {Object} target - Raw array
+     * @param {Array<{index: number, removed: Array, added: Array}>} patches
+     */
+    function emitArrayPatchMutations(target, patches) {
+        if (reactiveSystem.mutationListenerCount === 0 && !reactiveSystem.isRecordingUndo()) {
+            return;
+        }
+        const changes = [];
+        patches.forEach(patch => {
+            const common = Math.min(patch.removed.length, patch.added.length);
+            for (let i = 0; i < common; i++) {
+                changes.push({ op: "replace", key: patch.index + i, value: patch.added[i], oldValue: patch.removed[i] });
+            }
+            for (let i = common; i < patch.removed.length; i++) {
+                changes.push({ op: "remove", key: patch.index + common, value: undefined, oldValue: patch.removed[i] });
+            }
+            for (let i = common; i < patch.added.length; i++) {
+                changes.push({ op: "add", key: patch.index + i, value: patch.added[i], oldValue: undefined });
+            }
+        });
+        emitMutations(target, changes);
+    }
+
     // Now create ReactiveSystem with bubbleChangeUp dependency
     reactiveSystem = new ReactiveSystemClass(bubbleChangeUp, { version: Version, debug: StitchDebug });
 
@@ -152,7 +277,8 @@ function createReactiveFactory(options = {}) {
             },
             set(newValue) {
                 const oldValue = internal[key];
-                if (oldValue === newValue) {
+                const existed = Object.prototype.hasOwnProperty.call(internal, key);
+                if (oldValue === newValue && existed) {
                     StitchDebug.enabled && StitchDebug.log("reactivity", `SET SKIPPED (no change): ${reactiveSystem._getObjectId(target)}.${String(key)} = ${newValue}`);
                     return;
                 }
@@ -167,10 +293,22 @@ function createReactiveFactory(options = {}) {
                 internal[key] = newValue;
                 reactiveSystem.trigger(target, key, oldValue, newValue);
                 bubbleChangeUp(target, key, oldValue, newValue);
+                emitMutations(target, [{ op: existed ? "replace" : "add", key, value: newValue, oldValue }]);
             }
         };
     }
 
+    /**
+     * Keeps the ref behind a computed property reachable for introspection
+     * (`target._computedRefs`, used by devtools.graph()).
+     */
+    function registerComputedRef(target, key, ref) {
+        if (!target._computedRefs) {
+            defineHidden(target, "_computedRefs", new Map);
+        }
+        target._computedRefs.set(key, ref);
+    }
+
     /**
      * Creates computed property descriptor with synchronous invalidation.
      *
@@ -181,16 +319,20 @@ function createReactiveFactory(options = {}) {
      * @param {string} key - Property key
      * @param {Function} computeFn - Compute function
      * @param {Array<string>} [explicitDeps=null] - Explicit dependencies
+     * @param {Function} [setter=null] - Writable computed: called with the assigned value (`this` = target)
      * @returns {Object} Property descriptor with getter/setter
      */
-    function createComputedDescriptor(target, key, computeFn, explicitDeps = null) {
+    function createComputedDescriptor(target, key, computeFn, explicitDeps = null, setter = null) {
         // Create ComputedRef instance
         const computedRef = new ComputedRefClass(
             computeFn,
             reactiveSystem,
             target,
-            explicitDeps
+            explicitDeps,
+            key
         );
+        computedRef.writable = !!setter;
+        registerComputedRef(target, key, computedRef);
 
         if (explicitDeps) {
             StitchDebug.enabled && StitchDebug.log("computed", `COMPUTED DESCRIPTOR CREATED for ${String(key)} with explicit deps`, {
@@ -207,8 +349,47 @@ function createReactiveFactory(options = {}) {
                 // Delegate to ComputedRef
                 return computedRef.get();
             },
-            set() {
-                throw new Error(`[Stitch.js ${Version}] Cannot set computed property '${String(key)}'`);
+            set(value) {
+                if (!setter) {
+                    throw new Error(`[Stitch.js ${Version}] Cannot set computed property '${String(key)}' (add a set() to make it writable)`);
+                }
+                // One batch: effects see every property the setter writes at once
+                reactiveSystem.batch(() => setter.call(target, value));
+            }
+        };
+    }
+
+    /**
+     * Creates the read-only descriptor of an async computed property. The property
+     * value is a reactive `{ value, loading, error }` state with a hidden `refresh()`.
+     *
+     * @param {Object} target - Object owning the property (the getter's `this`)
+     * @param {string} key
+     * @param {Object} marker - From createAsyncComputedMarker()
+     * @returns {{descriptor: Object, ref: AsyncComputedRef}}
+     */
+    function createAsyncComputedDescriptor(target, key, marker) {
+        const state = reactive({ value: marker.initialValue, loading: false, error: null }, new WeakSet);
+        const ref = new AsyncComputedRefClass(marker.get, reactiveSystem, target, state, { debounce: marker.debounce, key });
+        registerComputedRef(target, key, ref);
+        defineHidden(state, "refresh", () => ref.run());
+        defineHidden(state, "stop", () => ref.stop());
+
+        StitchDebug.enabled && StitchDebug.log("computed", `ASYNC COMPUTED DESCRIPTOR CREATED for ${String(key)}`, {
+            debounce: marker.debounce
+        });
+
+        return {
+            ref,
+            descriptor: {
+                enumerable: true,
+                configurable: false,
+                get() {
+                    return state;
+                },
+                set() {
+                    throw new Error(`[Stitch.js ${Version}] Cannot set async computed property '${String(key)}'`);
+                }
             }
         };
     }
@@ -289,7 +470,7 @@ function createReactiveFactory(options = {}) {
         
         for (const [childKey, value] of Object.entries(obj)) {
             // Detect computed properties (standardized marker)
-            if (value && typeof value === "object" && value.__isStitchComputed) {
+            if (value && typeof value === "object" && (value.__isStitchComputed || value.__isStitchAsyncComputed)) {
                 StitchDebug.enabled && StitchDebug.log("computed", `Found computed property at: ${childKey}`, {
                     hasExplicitDeps: !!value.__explicitDeps
                 });
@@ -364,7 +545,14 @@ function createReactiveFactory(options = {}) {
         });
         
         // ⭐ OPTION 7 KEY CHANGE: Process computed properties
+        const asyncComputedRefs = [];
         computedProps.forEach((computedMarker, propKey) => {
+            if (computedMarker.__isStitchAsyncComputed) {
+                const asyncComputed = createAsyncComputedDescriptor(target, propKey, computedMarker);
+                propertyDescriptors[propKey] = asyncComputed.descriptor;
+                asyncComputedRefs.push(asyncComputed.ref);
+                return;
+            }
             StitchDebug.enabled && StitchDebug.log("computed", `Creating computed descriptor for: ${propKey}`, {
                 hasExplicitDeps: !!computedMarker.__explicitDeps
             });
@@ -376,7 +564,7 @@ function createReactiveFactory(options = {}) {
             // Resolve explicit dependencies if provided
             let resolvedDeps = null;
             if (explicitDeps) {
-                resolvedDeps = resolveDependencies(explicitDeps, target);
+                resolvedDeps = resolveDependencies(explicitDeps, target, new Set([propKey]), computedProps);
                 StitchDebug.enabled && StitchDebug.log("computed", `Resolved dependencies for "${propKey}":`, {
                     declared: explicitDeps,
                     resolved: resolvedDeps
@@ -384,10 +572,12 @@ function createReactiveFactory(options = {}) {
             }
             
             // Create computed descriptor
-            propertyDescriptors[propKey] = createComputedDescriptor(target, propKey, computeFn, resolvedDeps);
+            propertyDescriptors[propKey] = createComputedDescriptor(target, propKey, computeFn, resolvedDeps, computedMarker.setter);
         });
         
         Object.defineProperties(target, propertyDescriptors);
+        // First runs need every property of the object in place
+        asyncComputedRefs.forEach(ref => ref.run());
 
         // Add helper methods
         defineHidden(target, "on", addChangeHandler.bind(target));
@@ -404,6 +594,18 @@ function createReactiveFactory(options = {}) {
                 this[key] = value;
             }
         });
+        defineHidden(target, "$delete", function (key) {
+            if (!Object.prototype.hasOwnProperty.call(internal, key)) {
+                return false;
+            }
+            const oldValue = internal[key];
+            delete internal[key];
+            delete this[key];
+            reactiveSystem.trigger(this, key, oldValue, undefined);
+            bubbleChangeUp(this, key, oldValue, undefined);
+            emitMutations(this, [{ op: "remove", key, value: undefined, oldValue }]);
+            return true;
+        });
 
         return target;
     }
@@ -465,10 +667,15 @@ function createReactiveFactory(options = {}) {
                         return function() {
                             const oldSize = target.size;
                             if (oldSize > 0) {
+                                const removedEntries = reactiveSystem.mutationListenerCount > 0 || reactiveSystem.isRecordingUndo()
+                                    ? (target instanceof Map ? Array.from(target.entries()) : Array.from(target).map(item => [0, item]))
+                                    : [];
                                 target.clear();
                                 reactiveSystem.trigger(target, "size", oldSize, 0);
                                 reactiveSystem.trigger(target, "iteration", null, null);
                                 bubbleChangeUp(target, "clear", oldSize, 0);
+                                // Set members are addressed by position, so each removal is at index 0
+                                emitMutations(target, removedEntries.map(([entryKey, entryValue]) => ({ op: "remove", key: entryKey, value: undefined, oldValue: entryValue })));
                             }
                         }
                     }
@@ -483,6 +690,7 @@ function createReactiveFactory(options = {}) {
             }
         });
         proxyMap.set(target, proxy);
+        rawMap.set(proxy, target);
         return proxy;
     }
 
@@ -521,6 +729,7 @@ function createReactiveFactory(options = {}) {
                         reactiveSystem.trigger(target, "size", target.size, target.size);
                         reactiveSystem.trigger(target, "iteration", null, null);
                         bubbleChangeUp(target, key, oldValue, val);
+                        emitMutations(target, [{ op: oldHas ? "replace" : "add", key, value: val, oldValue }]);
                     }
                     return result;
                 },
@@ -533,6 +742,7 @@ function createReactiveFactory(options = {}) {
                         reactiveSystem.trigger(target, "size", target.size + 1, target.size);
                         reactiveSystem.trigger(target, "iteration", null, null);
                         bubbleChangeUp(target, key, oldValue, undefined);
+                        emitMutations(target, [{ op: "remove", key, value: undefined, oldValue }]);
                     }
                     return result;
                 }
@@ -572,18 +782,21 @@ function createReactiveFactory(options = {}) {
                         reactiveSystem.trigger(target, "size", target.size - 1, target.size);
                         reactiveSystem.trigger(target, "iteration", null, null);
                         bubbleChangeUp(target, "add", undefined, oldValue);
+                        emitMutations(target, [{ op: "add", key: target.size - 1, value: normalizedVal, oldValue: undefined }]);
                     }
                     return result;
                 },
                 delete: function(val) {
                     const normalizedVal = normalizeSetLookup(val);
                     const oldHas = target.has(normalizedVal);
+                    const position = oldHas && (reactiveSystem.mutationListenerCount > 0 || reactiveSystem.isRecordingUndo()) ? Array.from(target).indexOf(normalizedVal) : -1;
                     const result = target.delete(normalizedVal);
                     if (oldHas) {
                         reactiveSystem.trigger(target, normalizedVal, normalizedVal, undefined);
                         reactiveSystem.trigger(target, "size", target.size + 1, target.size);
                         reactiveSystem.trigger(target, "iteration", null, null);
                         bubbleChangeUp(target, "delete", val, undefined);
+                        emitMutations(target, [{ op: "remove", key: position, value: undefined, oldValue: normalizedVal }]);
                     }
                     return result;
                 }
@@ -624,7 +837,7 @@ function createReactiveFactory(options = {}) {
                 reactiveSystem.track(target, key);
                 if (arrayMethods.includes(key)) {
                     return function (...args) {
-                        // Only snapshot when indexed deps are actually being tracked.
+                        // Only snapshot tracked indices when indexed deps are actually being tracked.
                         const deps = reactiveSystem.depsMap.get(target);
                         const trackedIndexKeys = [];
                         if (deps) {
@@ -634,30 +847,38 @@ function createReactiveFactory(options = {}) {
                                 }
                             });
                         }
-                        const oldSnapshot = trackedIndexKeys.length > 0 ? target.slice() : null;
+                        // sort/reverse/fill patches are computed by comparing contents
+                        const needsSnapshot = trackedIndexKeys.length > 0 || key === "sort" || key === "reverse" || key === "fill";
+                        const oldSnapshot = needsSnapshot ? target.slice() : null;
                         const oldLength = target.length;
                         const result = Array.prototype[key].apply(target, args);
+                        const patches = createArrayPatches(key, args, result, oldLength, oldSnapshot, target);
+                        normalizePatches(patches);
 
                         // V2.1.0 FIX: Trigger synchronously for immediate computed invalidation
                         reactiveSystem.trigger(target, "length", oldLength, target.length);
 
                         // Trigger only tracked index keys whose values actually changed.
                         // Keeps cost proportional to active dependencies, not array size.
-                        if (oldSnapshot) {
-                            trackedIndexKeys.forEach(indexKey => {
-                                const oldValue = oldSnapshot[indexKey];
-                                const newValue = target[indexKey];
-                                if (oldValue !== newValue) {
-                                    reactiveSystem.trigger(target, indexKey, oldValue, newValue);
-                                }
-                            });
+                        trackedIndexKeys.forEach(indexKey => {
+                            const oldValue = oldSnapshot[indexKey];
+                            const newValue = target[indexKey];
+                            if (oldValue !== newValue) {
+                                reactiveSystem.trigger(target, indexKey, oldValue, newValue);
+                            }
+                        });
+
+                        if (patches.length > 0) {
+                            reactiveSystem.notifyArrayPatch(proxy, patches);
+                            emitArrayPatchMutations(target, patches);
                         }
 
                         // Keep MessageBus event for backward compatibility with user listeners
-                        reactiveSystem.messageBus.publish("array-mutation", {
+                        reactiveSystem.publishChange("array-mutation", {
                             target: target,
                             method: key,
                             args: args,
+                            patches: patches,
                             oldLength: oldLength,
                             newLength: target.length
                         });
@@ -677,15 +898,51 @@ function createReactiveFactory(options = {}) {
                 if (value && typeof value === "object" && !value.__isReactive) {
                     value = reactive(value, new WeakSet, receiver, key);
                 }
+                const isIndexOrLength = key === "length" || (typeof key !== "symbol" && !isNaN(key));
+                const oldLength = target.length;
+                // For a shorter length, the items cut off are the removed part of the patch
+                const previous = key === "length" ? target.slice(Math.min(Number(value) || 0, oldLength)) : oldValue;
                 const result = Reflect.set(target, key, value, receiver);
                 if (oldValue !== value) {
                     reactiveSystem.trigger(target, key, oldValue, value);
                     bubbleChangeUp(target, key, oldValue, value);
+                    if (isIndexOrLength) {
+                        const patches = createAssignmentPatches(key, oldLength, previous, target);
+                        normalizePatches(patches);
+                        if (patches.length > 0) {
+                            reactiveSystem.notifyArrayPatch(proxy, patches);
+                            emitArrayPatchMutations(target, patches);
+                        }
+                    }
                 }
                 return result;
             }
         });
         proxyMap.set(target, proxy);
+        rawMap.set(proxy, target);
+
+        /**
+         * Makes patch items the same reactive values that index reads return,
+         * so patches can be matched against rendered rows.
+         *
+         * @param {Array<{index: number, removed: Array, added: Array}>} patches
+         */
+        function normalizePatches(patches) {
+            patches.forEach(patch => {
+                patch.removed = patch.removed.map(item =>
+                    item && typeof item === "object" && !item.__isReactive ? reactive(item, new WeakSet) : item
+                );
+                patch.added = patch.added.map((item, offset) => {
+                    const index = patch.index + offset;
+                    if (item && typeof item === "object" && !item.__isReactive && target[index] === item) {
+                        target[index] = reactive(item, new WeakSet, proxy, index);
+                        return target[index];
+                    }
+                    return item;
+                });
+            });
+        }
+
         return proxy;
     }
 
@@ -723,43 +980,45 @@ function createReactiveFactory(options = {}) {
     }
 
     /**
-     * Recursively resolves nested computed dependencies.
-     * Prevents circular dependencies with visited Set tracking.
-     * 
+     * Recursively resolves nested computed dependencies: a dependency on a sibling
+     * computed with explicit deps is replaced by those deps (transitively).
+     *
      * @param {Array<string>} deps - Dependency keys to resolve
      * @param {Object} target - Target object containing dependencies
-     * @param {Set} [visited=new Set] - Visited keys for circular detection
+     * @param {Set} [visited=new Set] - Keys on the current chain (the computed being resolved first)
+     * @param {Map<string, Object>} [computedMarkers=new Map] - Computed markers of target not defined yet
      * @returns {Array<string>} Resolved dependency keys
+     * @throws {Error} If the explicit deps form a cycle
      */
-    function resolveDependencies(deps, target, visited = new Set) {
+    function resolveDependencies(deps, target, visited = new Set, computedMarkers = new Map) {
         const resolved = new Set;
         for (const depKey of deps) {
             if (visited.has(depKey)) {
-                console.warn(`[Stitch.js ${Version}] Circular dependency detected: "${depKey}"\n` + `Dependency chain: ${Array.from(visited).join(" → ")} → ${depKey}`);
-                continue;
+                throw new Error(`Stitch.js ${Version}: Circular computed dependency: ${Array.from(visited).join(" → ")} → ${depKey}`);
             }
-            visited.add(depKey);
-            
+
             // Check if this dependency is itself a computed property with explicit deps
-            const descriptor = Object.getOwnPropertyDescriptor(target, depKey);
-            if (descriptor && descriptor.get && target[depKey + '__explicitDeps']) {
-                const nestedDeps = target[depKey + '__explicitDeps'];
-                const nestedResolved = resolveDependencies(nestedDeps, target, new Set(visited));
+            const marker = computedMarkers.get(depKey);
+            const definedRef = target._computedRefs ? target._computedRefs.get(depKey) : null;
+            const nestedDeps = marker ? marker.__explicitDeps : (definedRef ? definedRef.explicitDeps : null);
+            if (nestedDeps) {
+                visited.add(depKey);
+                const nestedResolved = resolveDependencies(nestedDeps, target, visited, computedMarkers);
+                visited.delete(depKey);
                 for (const dep of nestedResolved) {
                     resolved.add(dep);
                 }
             } else {
                 resolved.add(depKey);
             }
-            
-            visited.delete(depKey);
         }
         return Array.from(resolved);
     }
-    
+
     return {
         reactiveSystem: reactiveSystem,
         reactive: reactive,
+        toRaw: toRaw,
         createReactiveArray: createReactiveArray,
         computed: computed,
         resolveDependencies: resolveDependencies,
@@ -782,6 +1041,7 @@ function resetDefaultFactory() {
 module.exports = {
     createReactiveFactory,
     createComputedMarker,
+    createAsyncComputedMarker,
     getDefaultFactory,
     resetDefaultFactory
 };
@@ -0,0 +1,291 @@
+"use strict";
+
+const { computed } = require("./observable");
+const runtimeHelpers = require("../../utils/src/runtime-helpers");
+const { defineHidden, attachModelState } = require("../../utils/src/reactive-object-helpers");
+
+const Version = "v2.1.0";
+const getProperty = runtimeHelpers.getProperty;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Built-in rules. Each returns an error message or "" when valid.
+ * All rules except `required` pass on empty values so optional fields stay valid.
+ */
+const BUILT_IN_RULES = {
+    required(value, param, message) {
+        return isEmptyValue(value) ? (message || "This field is required") : "";
+    },
+    minLength(value, param, message) {
+        return value.length < param ? (message || `Must be at least ${param} characters`) : "";
+    },
+    maxLength(value, param, message) {
+        return value.length > param ? (message || `Must be at most ${param} characters`) : "";
+    },
+    min(value, param, message) {
+        return Number(value) < param ? (message || `Must be at least ${param}`) : "";
+    },
+    max(value, param, message) {
+        return Number(value) > param ? (message || `Must be at most ${param}`) : "";
+    },
+    pattern(value, param, message) {
+        return !param.test(String(value)) ? (message || "Invalid format") : "";
+    },
+    email(value, param, message) {
+        return !EMAIL_PATTERN.test(String(value)) ? (message || "Enter a valid email address") : "";
+    }
+};
+
+function isEmptyValue(value) {
+    if (value === null || value === undefined || value === "") return true;
+    if (typeof value === "string") return value.trim() === "";
+    if (Array.isArray(value)) return value.length === 0;
+    if (value instanceof Set || value instanceof Map) return value.size === 0;
+    return false;
+}
+
+/**
+ * Serializes a field value for dirty comparison. Reading the value here also
+ * tracks nested array/object members inside the validation effect.
+ */
+function snapshotValue(value) {
+    if (value instanceof Set || value instanceof Map) {
+        return JSON.stringify(Array.from(value));
+    }
+    if (value && typeof value === "object") {
+        return JSON.stringify(value);
+    }
+    return typeof value + ":" + String(value);
+}
+
+/**
+ * Normalizes a custom rule result: true/undefined/null/"" → valid, false → generic message, string → message.
+ */
+function toMessage(result) {
+    if (result === true || result === undefined || result === null || result === "") return "";
+    if (result === false) return "Invalid value";
+    return String(result);
+}
+
+function isThenable(value) {
+    return !!value && typeof value.then === "function";
+}
+
+/**
+ * Normalizes a field rule declaration into built-in checks and custom validator functions.
+ *
+ * @param {string} path
+ * @param {Function|Function[]|Object} declaration
+ * @returns {{builtIns: Array<{name: string, param: *, message: string|null}>, validators: Function[]}}
+ */
+function normalizeFieldRules(path, declaration) {
+    if (typeof declaration === "function" || Array.isArray(declaration)) {
+        declaration = { validate: declaration };
+    }
+    if (!declaration || typeof declaration !== "object") {
+        throw new Error(`Stitch.js ${Version}: validate() rules for "${path}" must be an object, function or array of functions`);
+    }
+    const builtIns = [];
+    let validators = [];
+    Object.keys(declaration).forEach(name => {
+        let param = declaration[name];
+        if (name === "validate") {
+            validators = (Array.isArray(param) ? param : [param]).filter(fn => typeof fn === "function");
+            return;
+        }
+        if (!BUILT_IN_RULES[name]) {
+            throw new Error(`Stitch.js ${Version}: Unknown validation rule "${name}" for "${path}". Use one of: ${Object.keys(BUILT_IN_RULES).join(", ")}, validate`);
+        }
+        let message = null;
+        if (param && typeof param === "object" && !(param instanceof RegExp)) {
+            message = param.message || null;
+            param = param.value !== undefined ? param.value : true;
+        } else if (typeof param === "string" && (name === "required" || name === "email")) {
+            message = param;
+            param = true;
+        }
+        if (param === false || param === null || param === undefined) {
+            return;
+        }
+        builtIns.push({ name, param, message });
+    });
+    // required is checked first so its message wins over format errors
+    builtIns.sort((a, b) => (a.name === "required" ? -1 : 0) - (b.name === "required" ? -1 : 0));
+    return { builtIns, validators };
+}
+
+/**
+ * Attaches declarative validation to a reactive model.
+ *
+ * Produces a reactive state object (also available as the hidden `model.$validation`):
+ * - `$errors[path]` - current error message ("" when valid)
+ * - `$dirty[path]` - value differs from the value at validate()/reset() time
+ * - `$touched[path]` - field was blurred (data-invalid-class) or touch()/validateAll() was called
+ * - `$pending[path]` - async rules are running
+ * - `$valid` - every field valid and nothing pending
+ *
+ * Rules re-run whenever a value they read changes (including other fields read by
+ * custom rules). Async rules receive an AbortSignal that is aborted when a newer
+ * check starts; stale results are ignored.
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {Object.<string, Object|Function|Function[]>} rules - Rules per property path
+ * @returns {Object} Reactive validation state
+ * @example
+ * const form = Stitch.validate(model, {
+ *     email: { required: "Email is required", email: true, validate: checkEmailAvailable },
+ *     password: { required: true, minLength: 8 },
+ *     confirm: { validate: (value, { model }) => value === model.password || "Passwords must match" }
+ * });
+ * // <input data-value="email" data-invalid-class="is-invalid"><small data-error="email"></small>
+ * // <button data-enabled="$validation.$valid">Save</button>
+ */
+function validate(model, rules) {
+    if (!rules || typeof rules !== "object") {
+        throw new Error(`Stitch.js ${Version}: validate() requires a rules object`);
+    }
+    const paths = Object.keys(rules);
+    const fieldRules = {};
+    paths.forEach(path => {
+        fieldRules[path] = normalizeFieldRules(path, rules[path]);
+    });
+
+    const initialState = { $errors: {}, $dirty: {}, $touched: {}, $pending: {} };
+    paths.forEach(path => {
+        initialState.$errors[path] = "";
+        initialState.$dirty[path] = false;
+        initialState.$touched[path] = false;
+        initialState.$pending[path] = false;
+    });
+    initialState.$valid = computed(function () {
+        return paths.every(path => !this.$errors[path] && !this.$pending[path]);
+    });
+    const state = attachModelState(model, "$validation", initialState, "validate");
+    const reactiveSystem = state._factory.reactiveSystem;
+
+    const initialSnapshots = {};
+    const fields = {};
+
+    function createField(path) {
+        const { builtIns, validators } = fieldRules[path];
+        let runId = 0;
+        let controller = null;
+        let settled = Promise.resolve();
+
+        function abortPending() {
+            if (controller) {
+                controller.abort();
+                controller = null;
+            }
+        }
+
+        function check() {
+            const value = getProperty(model, path);
+            const snapshot = snapshotValue(value);
+            if (!(path in initialSnapshots)) {
+                initialSnapshots[path] = snapshot;
+            }
+            state.$dirty[path] = snapshot !== initialSnapshots[path];
+
+            const currentRun = ++runId;
+            abortPending();
+
+            let message = "";
+            const empty = isEmptyValue(value);
+            for (const rule of builtIns) {
+                if (empty && rule.name !== "required") continue;
+                message = BUILT_IN_RULES[rule.name](value, rule.param, rule.message);
+                if (message) break;
+            }
+
+            const pendingResults = [];
+            if (!message && validators.length > 0) {
+                controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+                const ruleContext = { model, path, signal: controller ? controller.signal : undefined };
+                for (const validator of validators) {
+                    let result;
+                    try {
+                        result = validator.call(model, value, ruleContext);
+                    } catch (error) {
+                        console.error(`[Stitch.js ${Version}] validate: rule for "${path}" threw an error`, error);
+                        result = error && error.message ? error.message : "Validation failed";
+                    }
+                    if (isThenable(result)) {
+                        pendingResults.push(result);
+                    } else {
+                        message = toMessage(result);
+                        if (message) break;
+                    }
+                }
+            }
+
+            if (message || pendingResults.length === 0) {
+                abortPending();
+                state.$errors[path] = message;
+                state.$pending[path] = false;
+                settled = Promise.resolve();
+                return;
+            }
+
+            state.$pending[path] = true;
+            settled = Promise.all(pendingResults).then(results => {
+                if (currentRun !== runId) return;
+                controller = null;
+                state.$errors[path] = results.map(toMessage).find(Boolean) || "";
+                state.$pending[path] = false;
+            }, error => {
+                if (currentRun !== runId) return;
+                controller = null;
+                if (!(error && error.name === "AbortError")) {
+                    state.$errors[path] = error && error.message ? error.message : "Validation failed";
+                }
+                state.$pending[path] = false;
+            });
+        }
+
+        const eff = reactiveSystem.effect(check);
+        return {
+            eff,
+            check,
+            abortPending,
+            settled: () => settled
+        };
+    }
+
+    paths.forEach(path => {
+        fields[path] = createField(path);
+    });
+
+    defineHidden(state, "touch", function (path) {
+        if (path in fields) {
+            state.$touched[path] = true;
+        }
+    });
+    defineHidden(state, "validateAll", function () {
+        paths.forEach(path => {
+            state.$touched[path] = true;
+            fields[path].check();
+        });
+        return Promise.all(paths.map(path => fields[path].settled())).then(() => state.$valid);
+    });
+    defineHidden(state, "reset", function () {
+        paths.forEach(path => {
+            delete initialSnapshots[path];
+            state.$touched[path] = false;
+            fields[path].check();
+        });
+    });
+    defineHidden(state, "stop", function () {
+        paths.forEach(path => {
+            reactiveSystem.stop(fields[path].eff);
+            fields[path].abortPending();
+        });
+    });
+    return state;
+}
+
+module.exports = {
+    validate,
+    BUILT_IN_RULES
+};
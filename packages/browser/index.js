@@ -6,6 +6,8 @@ const foreachBindingOrchestrator = require("./src/foreach-binding-orchestrator")
 const bindingScanHelpers = require("./src/binding-scan-helpers");
 const bindingRuntime = require("./src/binding-runtime");
 const dataBinderFactory = require("./src/data-binder");
+const componentRegistryModule = require("./src/component-registry");
+const { Observable } = require("../api/src/observable");
 const runtimeHelpers = require("../utils/src/runtime-helpers");
 const debugConfig = require("../utils/src/debug-config");
 const attrValueHandlers = require("../utils/src/attr-value-handlers");
@@ -13,6 +15,14 @@ const valueBindingHelpers = require("../utils/src/value-binding-helpers");
 const typeConverters = require("../utils/src/type-converters");
 const foreachTemplateHelpers = require("../utils/src/foreach-template-helpers");
 const foreachReconcileHelpers = require("../utils/src/foreach-reconcile-helpers");
+const expressionParser = require("../utils/src/expression-parser");
+const { defineHidden } = require("../utils/src/reactive-object-helpers");
+const { effectScope, onScopeDispose } = require("../core/src/effect-scope");
+const { handleError } = require("../core/src/error-handler");
+const { config } = require("../core/src/config");
+const { sanitizeHTML } = require("../utils/src/html-sanitizer");
+const styleHelpers = require("../utils/src/style-helpers");
+const eventModifiers = require("../utils/src/event-modifiers");
 
 const stitchDebugState = debugConfig.createDebugState(`v${VERSION}`);
 const stitchDebug = {
@@ -27,6 +37,11 @@ function getTypeConverter(element, value) {
     return typeConverters.getTypeConverter(element, value, typeConverterRegistry);
 }
 
+const evaluateBinding = expressionParser.createBindingEvaluator({
+    version: VERSION,
+    getProperty: runtimeHelpers.getProperty
+});
+
 const valueValidatorRegistry = valueBindingHelpers.createValueValidators({
     getTypeConverter,
     setProperty: runtimeHelpers.setProperty,
@@ -51,7 +66,10 @@ const renderingDelegateBundle = foreachRenderingDelegates.createRenderingDelegat
     createItemContext: foreachReconcileHelpers.createItemContext,
     createTemplateElement: foreachTemplateHelpers.createTemplateElement,
     reconcileRows: foreachReconcileHelpers.reconcileRows,
-    doc: typeof document !== "undefined" ? document : null
+    applyRowPatches: foreachReconcileHelpers.applyRowPatches,
+    evaluateBinding,
+    doc: typeof document !== "undefined" ? document : null,
+    version: VERSION
 });
 const foreachDelegates = renderingDelegateBundle.FOREACH_RENDERING_DELEGATES;
 
@@ -63,38 +81,100 @@ function resolveExternalForeachIntegration() {
     };
 }
 
+const componentRegistry = componentRegistryModule.createComponentRegistry({ version: VERSION });
+
+/**
+ * Registers a reusable component for data-component bindings.
+ *
+ * @param {string} name - Component name
+ * @param {Object} definition - { template, setup(props) }
+ * @returns {Object} Normalized definition
+ */
+function component(name, definition) {
+    return componentRegistry.define(name, definition);
+}
+
+/**
+ * Creates a component instance (or $props) model with the factory of the parent scope,
+ * so components inside an isolated model are tracked by the same reactive system as
+ * their bindings. Foreach item contexts of primitives reach the model through $parent.
+ *
+ * @param {Object} state
+ * @param {Object|null} props - Reactive $props of the instance
+ * @param {Object} parentScope - Binding scope of the component host
+ * @returns {Object}
+ */
+function createComponentModel(state, props, parentScope) {
+    let factory = null;
+    for (let scope = parentScope; scope && !factory; scope = scope.$parent) {
+        factory = scope._factory || null;
+    }
+    const model = Observable.create(state, { factory });
+    if (props) {
+        defineHidden(model, "$props", props);
+    }
+    return model;
+}
+
 const runtimeBinding = bindingRuntime.createBindingRuntime({
     version: VERSION,
     debug: stitchDebug,
     getProperty: runtimeHelpers.getProperty,
+    evaluateBinding,
+    isPropertyPath: expressionParser.isPropertyPath,
     setProperty: runtimeHelpers.setProperty,
     getValueHandler,
     getValueValidator,
     getTypeConverter,
     getAttrHandler: attrValueHandlers.getAttrHandler,
+    normalizeClassValue: attrValueHandlers.normalizeClassValue,
     getRenderingDelegate(element) {
         return foreachRenderingDelegates.getRenderingDelegate(element, foreachDelegates);
     },
     propertyExists: runtimeHelpers.propertyExists,
     findSimilarProperty: runtimeHelpers.findSimilarProperty,
-    resolveExternalForeachIntegration
+    resolveExternalForeachIntegration,
+    getComponent: componentRegistry.get,
+    isCheckboxCollection: valueBindingHelpers.isCheckboxCollection,
+    getCollectionValues: valueBindingHelpers.getCollectionValues,
+    findCollectionIndex: valueBindingHelpers.findCollectionIndex,
+    toggleCollectionValue: valueBindingHelpers.toggleCollectionValue,
+    replaceCollectionValues: valueBindingHelpers.replaceCollectionValues,
+    getValueUpdateOptions: valueBindingHelpers.getValueUpdateOptions,
+    preserveSelection: valueBindingHelpers.preserveSelection,
+    createComponentModel,
+    effectScope,
+    sanitizeHTML,
+    toCssPropertyName: styleHelpers.toCssPropertyName,
+    formatStyleValue: styleHelpers.formatStyleValue,
+    parseEventKey: eventModifiers.parseEventKey,
+    parseModifiers: eventModifiers.parseModifiers,
+    addModifiedListener: eventModifiers.addModifiedListener,
+    config
 });
 
 const DataBinder = dataBinderFactory.createDataBinderClass({
     version: VERSION,
     debug: stitchDebug,
     getProperty: runtimeHelpers.getProperty,
+    evaluateBinding,
     getBindingHandler: runtimeBinding.getBindingHandler,
     scanCustomAttributes: runtimeBinding.scanCustomAttributes,
-    bindingHandlers: runtimeBinding.BINDING_HANDLERS
+    bindingHandlers: runtimeBinding.BINDING_HANDLERS,
+    registerRenderingDelegate: renderingDelegateBundle.registerRenderingDelegate,
+    effectScope,
+    onScopeDispose,
+    handleError
 });
 
 module.exports = {
     DataBinder,
+    component,
     version: VERSION,
     ...foreachRenderingDelegates,
     ...foreachBindingOrchestrator,
     ...bindingScanHelpers,
     ...bindingRuntime,
-    ...dataBinderFactory
+    ...dataBinderFactory,
+    ...componentRegistryModule
 };
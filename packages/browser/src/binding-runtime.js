@@ -1,23 +1,46 @@
 "use strict";
 
 const { NOOP_DEBUG } = require("../../utils/src/debug-config");
+const { createTemplateFragment, extractSlotContent, placeSlotAnchors } = require("./component-registry");
 
 function createBindingRuntime(deps = {}) {
     const Version = deps.version || "v2.1.0";
     const StitchDebug = deps.debug || NOOP_DEBUG;
     const getProperty = deps.getProperty;
+    const evaluateBinding = deps.evaluateBinding || getProperty;
+    const isPropertyPath = deps.isPropertyPath || function () { return true; };
     const setProperty = deps.setProperty;
     const getValueHandler = deps.getValueHandler;
     const getValueValidator = deps.getValueValidator;
     const getTypeConverter = deps.getTypeConverter;
     const getAttrHandler = deps.getAttrHandler;
+    const normalizeClassValue = deps.normalizeClassValue;
     const getRenderingDelegate = deps.getRenderingDelegate;
     const propertyExists = deps.propertyExists;
     const findSimilarProperty = deps.findSimilarProperty;
     const resolveExternalForeachIntegration = deps.resolveExternalForeachIntegration || function () { return null; };
+    const getComponent = deps.getComponent || function () { return null; };
+    const isCheckboxCollection = deps.isCheckboxCollection;
+    const getCollectionValues = deps.getCollectionValues;
+    const findCollectionIndex = deps.findCollectionIndex;
+    const toggleCollectionValue = deps.toggleCollectionValue;
+    const replaceCollectionValues = deps.replaceCollectionValues;
+    const getValueUpdateOptions = deps.getValueUpdateOptions;
+    const preserveSelection = deps.preserveSelection;
+    const createComponentModel = deps.createComponentModel;
+    const effectScope = deps.effectScope || null;
+    const sanitizeHTML = deps.sanitizeHTML;
+    const toCssPropertyName = deps.toCssPropertyName;
+    const formatStyleValue = deps.formatStyleValue;
+    const parseEventKey = deps.parseEventKey;
+    const parseModifiers = deps.parseModifiers;
+    const addModifiedListener = deps.addModifiedListener;
+    const config = deps.config || {};
 
 function validateBinding(viewModel, path, bindingType, element) {
     if (!StitchDebug.enabled) return true;
+    // Expressions are checked by the parser; only plain paths can be looked up here
+    if (!isPropertyPath(path)) return true;
     if (!propertyExists(viewModel, path)) {
         const suggestion = findSimilarProperty(viewModel, path);
         const availableProps = Object.keys(viewModel).filter(k => !k.startsWith("_")).slice(0, 10);
@@ -35,9 +58,177 @@ function validateBinding(viewModel, path, bindingType, element) {
     return true;
 }
 
+const CONDITIONAL_ATTRIBUTES = ["data-if", "data-else-if", "data-else"];
+
+/**
+ * Warns about modifier combinations that cannot work.
+ *
+ * @param {string} binding - Binding type ("click", "event")
+ * @param {string} key - Event key as written (e.g. "scroll.passive.prevent")
+ * @param {Object} modifiers - Parsed modifiers
+ */
+function warnInvalidModifiers(binding, key, modifiers) {
+    if (modifiers.passive && modifiers.prevent) {
+        console.warn(`[Stitch.js ${Version}] ${binding}: "${key}" combines passive and prevent; preventDefault() is ignored in passive listeners.`);
+    }
+    if (modifiers.debounce !== null && modifiers.throttle !== null) {
+        console.warn(`[Stitch.js ${Version}] ${binding}: "${key}" combines debounce and throttle; only debounce is applied.`);
+    }
+}
+
+/**
+ * Resolves the converter for a checkbox bound to a collection.
+ * Explicit data-type wins; otherwise the first collection value infers the type.
+ * The element is not used for inference: its type="checkbox" would select the boolean converter.
+ *
+ * @param {HTMLElement} element
+ * @param {Array} values - Collection snapshot
+ * @returns {Object} Type converter
+ */
+function getCollectionConverter(element, values) {
+    const sample = values.length > 0 ? values[0] : undefined;
+    return getTypeConverter(element.hasAttribute("data-type") ? element : null, sample);
+}
+
+/**
+ * Resolves the option values of a data-checked-all checkbox: data-checked-options
+ * (path or expression) when present, else the values of same-name checkboxes.
+ *
+ * @param {HTMLElement} element
+ * @param {Object} viewModel
+ * @param {Object} converter
+ * @returns {Array}
+ */
+function resolveCheckedAllOptions(element, viewModel, converter) {
+    const optionsSource = element.getAttribute("data-checked-options");
+    if (optionsSource) {
+        const options = evaluateBinding(viewModel, optionsSource);
+        return options && typeof options[Symbol.iterator] === "function" && typeof options !== "string" ? Array.from(options) : [];
+    }
+    if (!element.name) {
+        return [];
+    }
+    const root = element.form || element.ownerDocument;
+    // Compared by property so names with quotes or backslashes need no selector escaping
+    return Array.from(root.querySelectorAll('input[type="checkbox"]'))
+        .filter(checkbox => checkbox.name === element.name && checkbox !== element && !checkbox.hasAttribute("data-checked-all"))
+        .map(checkbox => converter.toModel(checkbox.value));
+}
+
+/**
+ * Collects the branch chain of a data-if element: the element itself followed by
+ * adjacent data-else-if siblings and an optional terminating data-else sibling.
+ *
+ * @param {HTMLElement} element - Element carrying data-if
+ * @param {string} path - Condition of the data-if branch
+ * @returns {Array<{template: HTMLElement, path: string|null}>} Branches in evaluation order (path null = else)
+ */
+function collectConditionalBranches(element, path) {
+    const branches = [{ template: element, path: path }];
+    let sibling = element.nextElementSibling;
+    while (sibling) {
+        if (sibling.hasAttribute("data-else-if")) {
+            branches.push({ template: sibling, path: sibling.getAttribute("data-else-if") });
+        } else if (sibling.hasAttribute("data-else")) {
+            branches.push({ template: sibling, path: null });
+            break;
+        } else {
+            break;
+        }
+        sibling = sibling.nextElementSibling;
+    }
+    return branches;
+}
+
+/**
+ * Removes bindings that would take a foreach row out of its container, with a warning.
+ * The reconciler keeps exactly one element per item in the container, so the row itself
+ * cannot be replaced by an anchor: data-if on the row is applied as data-visible and
+ * data-portal on the row is ignored. Inside the row both work as usual.
+ *
+ * @param {string} templateSource - Row template markup
+ * @param {HTMLElement} element - foreach container
+ * @param {string} path - foreach path (for the warnings)
+ * @returns {string} Template markup to render rows from
+ */
+function prepareRowTemplate(templateSource, element, path) {
+    const probe = element.ownerDocument.createElement("template");
+    probe.innerHTML = templateSource;
+    const row = probe.content.firstElementChild;
+    const hasCondition = !!row && CONDITIONAL_ATTRIBUTES.some(attrName => row.hasAttribute(attrName));
+    if (!row || (!hasCondition && !row.hasAttribute("data-portal"))) {
+        return templateSource;
+    }
+    if (hasCondition) {
+        console.warn(`[Stitch.js ${Version}] foreach "${path}": data-if on the row element is not supported, it is applied as data-visible. Filter the items or put data-if inside the row.`);
+        const condition = row.getAttribute("data-if") || row.getAttribute("data-else-if");
+        const visible = row.getAttribute("data-visible");
+        CONDITIONAL_ATTRIBUTES.forEach(attrName => row.removeAttribute(attrName));
+        if (condition) {
+            row.setAttribute("data-visible", visible ? `(${visible}) && (${condition})` : condition);
+        }
+    }
+    if (row.hasAttribute("data-portal")) {
+        console.warn(`[Stitch.js ${Version}] foreach "${path}": data-portal on the row element is not supported, rows render in place. Put data-portal on an element inside the row.`);
+        row.removeAttribute("data-portal");
+    }
+    return row.outerHTML;
+}
+
+/**
+ * Finds the validation state created by Stitch.validate() for a binding scope,
+ * walking up $parent so foreach rows can reach the form model.
+ *
+ * @param {Object} viewModel - Binding scope
+ * @returns {Object|null} Validation state ($errors, $dirty, $touched, ...)
+ */
+function resolveValidation(viewModel) {
+    for (let scope = viewModel; scope; scope = scope.$parent) {
+        if (scope.$validation) {
+            return scope.$validation;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolves the validated field path of a form control: data-field, else the
+ * data-value / data-checked binding path, else the name attribute.
+ *
+ * @param {HTMLElement} element
+ * @returns {string|null}
+ */
+function getValidationField(element) {
+    const field = element.getAttribute("data-field") ||
+        element.getAttribute("data-value") ||
+        element.getAttribute("data-checked") ||
+        element.getAttribute("name");
+    return field ? field.trim() : null;
+}
+
+/**
+ * Resolves validation state for a field binding, warning when it is missing.
+ *
+ * @returns {Object|null}
+ */
+function resolveFieldValidation(viewModel, field, bindingType) {
+    const validation = resolveValidation(viewModel);
+    if (!validation) {
+        console.warn(`[Stitch.js ${Version}] ${bindingType}: no validation found for "${field}". Call Stitch.validate(model, rules) before binding.`);
+        return null;
+    }
+    if (!(field in validation.$errors)) {
+        console.warn(`[Stitch.js ${Version}] ${bindingType}: field "${field}" has no validation rules.`);
+        return null;
+    }
+    return validation;
+}
+
 /**
  * @typedef {Object} BindingHandler
  * @property {Function} bind - Establishes reactive binding
+ * @property {boolean} [structural] - Handler owns its element as a template (other bindings on it are deferred to rendered copies)
+ * @property {boolean} [acceptsModifiers] - Also matches data-<type>.<modifier>... attributes; the modifier names arrive as context.modifiers
  */
 
 /**
@@ -69,18 +260,79 @@ const BINDING_HANDLERS = {
         bind(element, viewModel, path, context) {
             validateBinding(viewModel, path, "text", element);
             const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
+                const value = evaluateBinding(viewModel, path);
                 if (typeof value === "function") {
                     console.warn(`[Stitch.js ${Version}] Binding 'text' to a function: "${path}". Did you mean to call it or use a computed property?`);
                 }
                 element.textContent = value != null ? value : "";
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * html binding - Sets element.innerHTML reactively from sanitized markup.
+     * Markup goes through Stitch.config.htmlSanitizer when set, otherwise through the
+     * built-in allowlist sanitizer; with Stitch.config.trustedTypesPolicy it is assigned
+     * as TrustedHTML. Bindings inside the markup are only bound when the element also has
+     * data-html-bind; they are unbound before each update and when the element is unbound.
+     * In that mode the built-in sanitizer keeps only the text, class, visible, if and
+     * foreach bindings.
+     *
+     * @example
+     * // <div data-html="product.description"></div>
+     * // <div data-html="promoHtml" data-html-bind></div>
+     */
+    html: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "html", element);
+            const bindContent = element.hasAttribute("data-html-bind");
+            const unbindContent = () => {
+                if (bindContent) {
+                    Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                }
+            };
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                const markup = value != null ? String(value) : "";
+                const policy = config.trustedTypesPolicy;
+                const html = typeof config.htmlSanitizer === "function"
+                    ? config.htmlSanitizer(markup, element)
+                    : sanitizeHTML(markup, {
+                        document: element.ownerDocument,
+                        policy,
+                        isBindingAttribute: bindContent ? isBindingAttribute : null
+                    });
+                StitchDebug.enabled && StitchDebug.log("bindings", `HTML BINDING UPDATE: "${path}"`, {
+                    element: element.tagName
+                });
+                unbindContent();
+                element.innerHTML = policy && typeof html === "string" ? policy.createHTML(html) : html;
+                if (bindContent) {
+                    Array.from(element.children).forEach(child => context.binder._bindElement(child, viewModel, []));
+                }
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => {
+                context.reactiveSystem.stop(eff);
+                unbindContent();
+            });
         }
     },
     /**
      * value binding - Two-way data binding for form inputs with automatic type conversion.
      * Model changes update view, view changes update model.
+     * Expression values (e.g. data-value="first + ' ' + last") are one-way only.
+     *
+     * View→model timing:
+     * - data-value-update="input" (default) writes on input and change, "change" only on
+     *   change, "blur" only when the element loses focus
+     * - data-debounce="300" delays input writes; change and blur write a pending value at once
+     * - nothing is written between compositionstart and compositionend (IME input);
+     *   the composed text is written on compositionend
+     * Model→view updates of the focused element keep its caret and selection.
+     *
+     * @example
+     * // <input type="search" data-value="query" data-debounce="300">
+     * // <input data-value="code" data-value-update="blur">
      */
     value: {
         bind(element, viewModel, path, context) {
@@ -91,11 +343,15 @@ const BINDING_HANDLERS = {
             });
             const handler = getValueHandler(element);
             const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
+                const value = evaluateBinding(viewModel, path);
                 StitchDebug.enabled && StitchDebug.log("bindings", `VALUE BINDING UPDATE (Model→View): "${path}" = ${value}`);
-                handler.modelToView(element, value, viewModel, path);
+                preserveSelection(element, () => handler.modelToView(element, value, viewModel, path));
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+            if (!isPropertyPath(path)) {
+                console.warn(`[Stitch.js ${Version}] value: binding "${path}" is an expression and can only update the view. Bind a property path for two-way binding.`);
+                return;
+            }
             const updateModel = () => {
                 const value = handler.viewToModel(element);
                 StitchDebug.enabled && StitchDebug.log("bindings", `VALUE BINDING UPDATE (View→Model): "${path}" = ${value}`);
@@ -103,11 +359,186 @@ const BINDING_HANDLERS = {
                 const validValue = validator.validate(element, value, viewModel, path, "user-input");
                 setProperty(viewModel, path, validValue);
             };
-            element.addEventListener("input", updateModel);
+            const options = getValueUpdateOptions(element);
+            if (options.invalid !== null) {
+                console.warn(`[Stitch.js ${Version}] value: unknown data-value-update="${options.invalid}" on "${path}". Use "input", "change" or "blur".`);
+            }
+            let composing = false;
+            let timer = null;
+            const commit = () => {
+                clearTimeout(timer);
+                timer = null;
+                if (!composing) {
+                    updateModel();
+                }
+            };
+            const onInput = e => {
+                if (composing || (e && e.isComposing)) {
+                    return;
+                }
+                if (options.debounce > 0) {
+                    clearTimeout(timer);
+                    timer = setTimeout(commit, options.debounce);
+                } else {
+                    updateModel();
+                }
+            };
+            const listeners = options.events.map(eventName => [eventName, eventName === "input" ? onInput : commit]);
+            listeners.push(["compositionstart", () => {
+                composing = true;
+            }]);
+            listeners.push(["compositionend", e => {
+                composing = false;
+                if (options.mode === "input") {
+                    onInput(e);
+                }
+            }]);
+            listeners.forEach(([eventName, listener]) => element.addEventListener(eventName, listener));
+            context.binder._trackCleanup(element, () => {
+                clearTimeout(timer);
+                listeners.forEach(([eventName, listener]) => element.removeEventListener(eventName, listener));
+            });
+        }
+    },
+    /**
+     * checked binding - Two-way checkbox binding.
+     * Boolean mode: element.checked mirrors a truthy value.
+     * Group mode (bound value is an array or Set): the checkbox is checked while the collection
+     * contains its value, and toggling adds/removes the converted value in place.
+     * Values are converted through getTypeConverter (data-type, else inferred from the collection).
+     *
+     * @example
+     * // <input type="checkbox" value="news" data-checked="selectedTags">
+     * // <input type="checkbox" value="2" data-type="int" data-checked="selectedIds">
+     */
+    checked: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "checked", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                if (isCheckboxCollection(value)) {
+                    const values = getCollectionValues(value);
+                    const converter = getCollectionConverter(element, values);
+                    element.checked = findCollectionIndex(values, converter.toModel(element.value), converter) !== -1;
+                } else {
+                    element.checked = !!value;
+                }
+            }, { batch: true });
+            const updateModel = () => {
+                const value = evaluateBinding(viewModel, path);
+                if (isCheckboxCollection(value)) {
+                    const converter = getCollectionConverter(element, getCollectionValues(value));
+                    toggleCollectionValue(value, converter.toModel(element.value), element.checked, converter);
+                } else if (isPropertyPath(path)) {
+                    setProperty(viewModel, path, element.checked);
+                }
+            };
             element.addEventListener("change", updateModel);
             context.binder._trackCleanup(element, () => {
-                element.removeEventListener("input", updateModel);
                 element.removeEventListener("change", updateModel);
+                context.reactiveSystem.stop(eff);
+            });
+        }
+    },
+    /**
+     * checked-all binding - Tri-state "select all" checkbox for a checkbox group collection.
+     * Checked when every option is selected, indeterminate when some are.
+     * Checking selects all options, unchecking clears the collection (both in place).
+     * Options come from data-checked-options (path or expression), else from
+     * same-name checkboxes in the form/document.
+     *
+     * @example
+     * // <input type="checkbox" data-checked-all="selectedTags" data-checked-options="allTags">
+     */
+    "checked-all": {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "checked-all", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const selection = evaluateBinding(viewModel, path);
+                if (!isCheckboxCollection(selection)) {
+                    console.error(`[Stitch.js ${Version}] checked-all: binding requires an array or Set. Got: ${typeof selection}`);
+                    return;
+                }
+                const values = getCollectionValues(selection);
+                const converter = getCollectionConverter(element, values);
+                const options = resolveCheckedAllOptions(element, viewModel, converter);
+                const selectedCount = options.filter(option => findCollectionIndex(values, option, converter) !== -1).length;
+                element.checked = options.length > 0 && selectedCount === options.length;
+                element.indeterminate = selectedCount > 0 && selectedCount < options.length;
+            }, { batch: true });
+            const updateModel = () => {
+                const selection = evaluateBinding(viewModel, path);
+                if (!isCheckboxCollection(selection)) {
+                    return;
+                }
+                const converter = getCollectionConverter(element, getCollectionValues(selection));
+                const options = resolveCheckedAllOptions(element, viewModel, converter);
+                replaceCollectionValues(selection, element.checked ? options : []);
+            };
+            element.addEventListener("change", updateModel);
+            context.binder._trackCleanup(element, () => {
+                element.removeEventListener("change", updateModel);
+                context.reactiveSystem.stop(eff);
+            });
+        }
+    },
+    /**
+     * error binding - Renders the validation message of a field (see Stitch.validate).
+     * Messages are shown once the field is touched or dirty; the text is empty otherwise.
+     *
+     * @example
+     * // <input data-value="email" data-invalid-class="is-invalid">
+     * // <small data-error="email"></small>
+     */
+    error: {
+        bind(element, viewModel, path, context) {
+            const field = path.trim();
+            const validation = resolveFieldValidation(viewModel, field, "error");
+            if (!validation) {
+                return;
+            }
+            const eff = context.reactiveSystem.effect(() => {
+                const visible = validation.$touched[field] || validation.$dirty[field];
+                element.textContent = visible ? validation.$errors[field] : "";
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * invalid-class binding - Toggles the given class(es) and aria-invalid on a form control
+     * while its field is invalid and touched or dirty. Blurring the control marks it touched.
+     * The field is taken from data-field, data-value, data-checked or name (in that order).
+     *
+     * @example
+     * // <input name="email" data-value="email" data-invalid-class="is-invalid">
+     */
+    "invalid-class": {
+        bind(element, viewModel, path, context) {
+            const field = getValidationField(element);
+            if (!field) {
+                console.warn(`[Stitch.js ${Version}] invalid-class: cannot determine the validated field. Add data-field="path".`);
+                return;
+            }
+            const validation = resolveFieldValidation(viewModel, field, "invalid-class");
+            if (!validation) {
+                return;
+            }
+            const classNames = path.split(/\s+/).filter(Boolean);
+            const eff = context.reactiveSystem.effect(() => {
+                const visible = validation.$touched[field] || validation.$dirty[field];
+                const invalid = !!(visible && validation.$errors[field]);
+                classNames.forEach(className => element.classList.toggle(className, invalid));
+                if (invalid) {
+                    element.setAttribute("aria-invalid", "true");
+                } else {
+                    element.removeAttribute("aria-invalid");
+                }
+            }, { batch: true });
+            const markTouched = () => validation.touch(field);
+            element.addEventListener("blur", markTouched);
+            context.binder._trackCleanup(element, () => {
+                element.removeEventListener("blur", markTouched);
+                context.reactiveSystem.stop(eff);
             });
         }
     },
@@ -119,10 +550,10 @@ const BINDING_HANDLERS = {
         bind(element, viewModel, path, context) {
             validateBinding(viewModel, path, "visible", element);
             const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
+                const value = evaluateBinding(viewModel, path);
                 element.style.display = value ? "" : "none";
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
         }
     },
     /**
@@ -133,21 +564,30 @@ const BINDING_HANDLERS = {
         bind(element, viewModel, path, context) {
             validateBinding(viewModel, path, "enabled", element);
             const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
+                const value = evaluateBinding(viewModel, path);
                 element.disabled = !value;
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
         }
     },
     /**
      * click binding - Attaches click event handler.
      * Supports $parent context for calling parent methods from foreach loops.
+     *
+     * Expression values are evaluated on every click with $event in scope,
+     * e.g. data-click="$parent.remove($data)". An expression that evaluates to a
+     * function (e.g. data-click="editing ? save : edit") is called like a path handler.
+     *
+     * Accepts the data-event modifiers in the attribute name:
+     * data-click.prevent.stop="save", data-click.outside="close", data-click.ctrl.once="select".
      */
     click: {
+        acceptsModifiers: true,
         bind(element, viewModel, path, context) {
             validateBinding(viewModel, path, "click", element);
+            const isPath = isPropertyPath(path);
             const clickHandler = e => {
-                const handler = getProperty(viewModel, path);
+                const handler = isPath ? getProperty(viewModel, path) : evaluateBinding(viewModel, path, { $event: e });
                 if (typeof handler === "function") {
                     // UNWRAP: If viewModel is a context wrapper (has $data), pass $data (the original item)
                     // This ensures handlers receive the actual model, not the context wrapper
@@ -164,18 +604,38 @@ const BINDING_HANDLERS = {
                     }
                 }
             };
-            element.addEventListener("click", clickHandler);
-            context.binder._trackCleanup(element, () => element.removeEventListener("click", clickHandler));
+            const modifierNames = context.modifiers || [];
+            const modifiers = parseModifiers(modifierNames);
+            warnInvalidModifiers("click", ["click"].concat(modifierNames).join("."), modifiers);
+            const removeListener = addModifiedListener(element, "click", modifiers, clickHandler);
+            context.binder._trackCleanup(element, removeListener);
         }
     },
     /**
      * event binding - Generic event handler for any DOM event.
      * Binds multiple event types to handler methods in single declaration.
      *
-     * ⚠️ SYNTAX REQUIREMENT: Binding value must be a property path (e.g., "eventBindings"),
-     * NOT an inline object literal. Inline objects like data-event="{ click: fn }"
-     * will fail because Stitch.js treats all binding values as property paths.
-     * Define the object in your model and reference it by property name.
+     * Binding value is a property path (e.g., "eventBindings") or an inline object
+     * expression (e.g., data-event="{ click: 'save', keyup: 'search' }").
+     * String values are resolved as handler paths on the view model.
+     *
+     * Keys take dot-separated modifiers (see event-modifiers.js):
+     * - prevent, stop - preventDefault() / stopPropagation() once the filters pass
+     * - once, capture, passive - listener options (once counts handled events only)
+     * - self - only events dispatched on the element itself
+     * - outside - events whose target is outside the element (listens on the document)
+     * - key filters (enter, esc, space, tab, up, down, left, right, delete, or any
+     *   KeyboardEvent.key in kebab-case such as page-down), mouse buttons for mouse
+     *   events (left, middle, right), and system modifiers (ctrl, alt, shift, meta, exact)
+     * - debounce-<ms>, throttle-<ms> (250ms when no duration is given)
+     *
+     * @example
+     * // data-event="formEvents"
+     * formEvents: {
+     *     'keydown.enter.prevent': 'save',
+     *     'click.outside': 'close',
+     *     'scroll.passive.throttle-100': 'onScroll'
+     * }
      */
     event: {
         bind(element, viewModel, path, context) {
@@ -186,29 +646,27 @@ const BINDING_HANDLERS = {
             // Track active listeners so each effect run can replace prior registrations.
             const eventListeners = [];
             const removeEventListeners = () => {
-                eventListeners.forEach(({ eventName, wrappedHandler }) => {
-                    element.removeEventListener(eventName, wrappedHandler);
-                });
+                eventListeners.forEach(removeListener => removeListener());
                 eventListeners.length = 0;
             };
             const eff = context.reactiveSystem.effect(() => {
                 // Avoid duplicate listeners when effect re-runs.
                 removeEventListeners();
 
-                const eventConfig = getProperty(viewModel, path);
+                const eventConfig = evaluateBinding(viewModel, path);
                 if (!eventConfig || typeof eventConfig !== "object") {
                     console.error(`[Stitch.js ${Version}] event: binding requires an object. Got: ${typeof eventConfig}`);
                     return;
                 }
-                for (const [eventName, handlerPath] of Object.entries(eventConfig)) {
+                for (const [eventKey, handlerPath] of Object.entries(eventConfig)) {
                     const handler = typeof handlerPath === "string" ? getProperty(viewModel, handlerPath) : handlerPath;
                     if (typeof handler === "function") {
-                        StitchDebug.enabled && StitchDebug.log("bindings", `  Registering: ${eventName} → ${handlerPath}`, {
+                        const { eventName, modifiers } = parseEventKey(eventKey);
+                        StitchDebug.enabled && StitchDebug.log("bindings", `  Registering: ${eventKey} → ${handlerPath}`, {
                             event: eventName
                         });
-                        const wrappedHandler = e => handler.call(viewModel, e);
-                        element.addEventListener(eventName, wrappedHandler);
-                        eventListeners.push({ eventName, wrappedHandler });
+                        warnInvalidModifiers("event", eventKey, modifiers);
+                        eventListeners.push(addModifiedListener(element, eventName, modifiers, e => handler.call(viewModel, e)));
                     } else {
                         console.warn(`[Stitch.js ${Version}] event: binding handler not found: "${handlerPath}"`);
                     }
@@ -216,54 +674,38 @@ const BINDING_HANDLERS = {
             }, { batch: true });
             context.binder._trackCleanup(element, () => {
                 removeEventListeners();
-                context.reactiveSystem.cleanup(eff);
+                context.reactiveSystem.stop(eff);
             });
         }
     },
     /**
      * class binding - Dynamic CSS class management.
      *
-     * ⚠️ SYNTAX REQUIREMENT: Binding value must be a property path (e.g., "classBindings"),
-     * NOT an inline object literal. Inline objects like data-class="{ active: true }"
-     * will fail because Stitch.js treats all binding values as property paths.
-     * Define the object in your model and reference it by property name.
-     *
-     * ⚠️ CRITICAL: String mode replaces ALL classes (destroys framework CSS).
-     * ALWAYS use object mode (computed) with elements that have static classes.
-     * String mode should only be used when element has NO static classes.
+     * Binding value is a property path (e.g., "classBindings") or an expression
+     * (e.g., data-class="{ active: isActive, 'is-done': done }").
      *
-     * Two modes:
-     * - String mode: `element.className = value` (replaces all classes - DESTRUCTIVE)
-     * - Object mode: `element.classList.toggle()` (selective toggle - PRESERVES unlisted classes)
+     * Accepted values (see normalizeClassValue()):
+     * - String: classes to add ("active is-open")
+     * - Object: keys are added when truthy, removed when falsy
+     * - Array: any mix of strings, objects and nested arrays (falsy items skipped)
      *
-     * HOW OBJECT MODE PRESERVATION WORKS:
-     * Object mode "preserves" classes by simple omission - it ONLY toggles classes
-     * that are LISTED in the object. Any class NOT in the object is left untouched.
-     * This is NOT "smart preservation" - it's just classList.toggle() not caring about
-     * classes it wasn't asked to toggle.
-     *
-     * @example
-     * // ❌ BAD: String mode destroys Bootstrap classes
-     * // HTML: <button class="btn btn-primary" data-class="buttonState">
-     * // Model: { buttonState: 'active' }
-     * // Result: class="active" (btn btn-primary DESTROYED by className assignment)
+     * RECONCILIATION: The binding remembers the classes of its previous value. A class
+     * that disappears from the value is removed, unless it was a static class in the HTML
+     * (then it is restored). Classes the binding never listed are left untouched, so
+     * static framework classes (Bootstrap, Tailwind) survive every mode.
      *
      * @example
-     * // ✅ GOOD: Object mode preserves unlisted classes
-     * // HTML: <button class="btn btn-primary" data-class="buttonClasses">
-     * // Model: { buttonClasses: computed(function() { return { active: this.isActive }; }) }
-     * // Result: class="btn btn-primary active"
-     * // Why preserved? Object only lists 'active', so toggle() ignores 'btn' and 'btn-primary'
-     *
-     * @example
-     * // Object mode only affects classes it knows about:
      * // HTML: <div class="foo bar baz" data-class="classes">
      * // Model: { classes: { bar: false, qux: true } }
      * // Result: class="foo baz qux"
-     * // - 'foo' preserved (not in object, never touched)
-     * // - 'bar' removed (in object, value is false)
-     * // - 'baz' preserved (not in object, never touched)
-     * // - 'qux' added (in object, value is true)
+     * // - 'foo' preserved (not in value, never touched)
+     * // - 'bar' removed (in value, falsy)
+     * // - 'qux' added (in value, truthy)
+     * // Later: { classes: { 'is-ok': true } }
+     * // Result: class="foo bar baz is-ok" (qux removed, static 'bar' restored)
+     *
+     * @example
+     * // Mixed: <button class="btn" data-class="[size, { active: isActive }, isError && 'is-error']">
      */
     class: {
         bind(element, viewModel, path, context) {
@@ -272,40 +714,46 @@ const BINDING_HANDLERS = {
                 element: element.tagName,
                 initialClasses: Array.from(element.classList)
             });
+            const staticClasses = new Set(element.classList);
+            let applied = new Map();
             const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
+                const value = evaluateBinding(viewModel, path);
                 StitchDebug.enabled && StitchDebug.log("bindings", `CLASS BINDING UPDATE: "${path}"`, {
                     element: element.tagName,
                     valueType: typeof value,
                     value: value
                 });
-                if (typeof value === "string") {
-                    element.className = value;
-                    StitchDebug.enabled && StitchDebug.log("bindings", `  → Set className to: "${value}"`);
-                } else if (value && typeof value === "object") {
-                    Object.keys(value).forEach(className => {
-                        const shouldHaveClass = !!value[className];
-                        element.classList.toggle(className, shouldHaveClass);
-                        StitchDebug.enabled && StitchDebug.log("bindings", `  → Toggle "${className}": ${shouldHaveClass}`);
-                    });
-                    StitchDebug.enabled && StitchDebug.log("bindings", `  → Final classList: ${Array.from(element.classList).join(", ")}`);
-                }
+                const next = normalizeClassValue(value);
+                applied.forEach((enabled, className) => {
+                    if (!next.has(className)) {
+                        element.classList.toggle(className, staticClasses.has(className));
+                        StitchDebug.enabled && StitchDebug.log("bindings", `  → Reset stale "${className}"`);
+                    }
+                });
+                next.forEach((enabled, className) => {
+                    element.classList.toggle(className, enabled);
+                    StitchDebug.enabled && StitchDebug.log("bindings", `  → Toggle "${className}": ${enabled}`);
+                });
+                applied = next;
+                StitchDebug.enabled && StitchDebug.log("bindings", `  → Final classList: ${Array.from(element.classList).join(", ")}`);
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
         }
     },
     /**
      * attr binding - Dynamic HTML attribute management with type-aware handling.
      *
-     * ⚠️ SYNTAX REQUIREMENT: Binding value must be a property path (e.g., "attrBindings"),
-     * NOT an inline object literal. Inline objects like data-attr="{ title: 'Text' }"
-     * will fail because Stitch.js treats all binding values as property paths.
-     * Define the object in your model and reference it by property name.
+     * Binding value is a property path (e.g., "attrBindings") or an expression
+     * (e.g., data-attr="{ title: tooltip, 'aria-expanded': open }").
      *
      * PRESERVATION: Only manages attributes IN binding object.
      * Static HTML attributes NOT in binding remain unchanged.
      *
      * ⚠️ WARNING: If attribute exists in BOTH HTML and binding, binding wins (overwrites static value).
+     *
+     * RECONCILIATION: An attribute that disappears from the object is removed, or set back
+     * to its static HTML value if it had one. A null/undefined object resets every
+     * attribute the binding set.
      * 
      * Supports: strings, numbers, booleans, objects (style), arrays (class), null/undefined (removes).
      * 
@@ -333,25 +781,117 @@ const BINDING_HANDLERS = {
     attr: {
         bind(element, viewModel, path, context) {
             validateBinding(viewModel, path, "attr", element);
+            // Static value (null when absent) of each attribute, captured before the binding first sets it
+            const originals = new Map();
+            let applied = new Set();
             const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
+                const value = evaluateBinding(viewModel, path);
+                const next = new Set();
                 if (typeof value === "object" && value !== null) {
                     Object.keys(value).forEach(attrName => {
+                        if (!originals.has(attrName)) {
+                            originals.set(attrName, element.getAttribute(attrName));
+                        }
                         const attrValue = value[attrName];
                         const handler = getAttrHandler(attrValue);
                         handler.apply(element, attrName, attrValue);
+                        next.add(attrName);
                     });
-                } else {
+                } else if (value !== null && value !== undefined) {
                     console.warn(`[Stitch.js ${Version}] attr: binding requires an object value. Example: attr: { href: url, target: "_blank" }`);
                 }
+                applied.forEach(attrName => {
+                    if (!next.has(attrName)) {
+                        const original = originals.get(attrName);
+                        if (original === null) {
+                            element.removeAttribute(attrName);
+                        } else {
+                            element.setAttribute(attrName, original);
+                        }
+                    }
+                });
+                applied = next;
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * style binding - Sets individual inline style properties from an object.
+     *
+     * Keys are camelCase or kebab-case properties, or `--custom-properties`. Numbers get
+     * "px" unless the property is unitless; a trailing "!important" sets the priority.
+     * null/undefined/false/"" reset the property.
+     *
+     * PRESERVATION: The inline value a property had before this binding first set it is
+     * remembered. When the property becomes null/undefined/false/"" or disappears from the
+     * object, that value is restored (or the property removed if it had none). Properties
+     * the binding never set (static or set by other libraries) remain.
+     *
+     * @example
+     * // HTML: <div style="display: flex; width: 50px" data-style="{ width: progress * 3, '--accent': color }">
+     * // Model: { progress: 40, color: "#3b82f6" }
+     * // Result: style="display: flex; width: 120px; --accent: #3b82f6;"
+     * // Model: { progress: null, color: "#3b82f6" } → width is back to 50px
+     */
+    style: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "style", element);
+            let applied = new Set();
+            /** @type {Map<string, {value: string, priority: string}>} Inline values before the binding set each property */
+            const originals = new Map();
+            const restore = name => {
+                const original = originals.get(name);
+                if (!original) {
+                    return;
+                }
+                if (original.value) {
+                    element.style.setProperty(name, original.value, original.priority);
+                } else {
+                    element.style.removeProperty(name);
+                }
+            };
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                const next = new Set();
+                if (value && typeof value === "object" && !Array.isArray(value)) {
+                    Object.keys(value).forEach(key => {
+                        const name = toCssPropertyName(key);
+                        const formatted = formatStyleValue(name, value[key]);
+                        if (formatted) {
+                            if (!originals.has(name)) {
+                                originals.set(name, {
+                                    value: element.style.getPropertyValue(name),
+                                    priority: element.style.getPropertyPriority(name)
+                                });
+                            }
+                            element.style.setProperty(name, formatted.value, formatted.priority);
+                            next.add(name);
+                        } else {
+                            restore(name);
+                        }
+                    });
+                } else if (value != null) {
+                    console.warn(`[Stitch.js ${Version}] style: binding requires an object value. Example: data-style="{ width: progress + '%', '--accent': color }"`);
+                }
+                StitchDebug.enabled && StitchDebug.log("bindings", `STYLE BINDING UPDATE: "${path}"`, {
+                    element: element.tagName,
+                    properties: Array.from(next)
+                });
+                applied.forEach(name => {
+                    if (!next.has(name)) {
+                        restore(name);
+                    }
+                });
+                applied = next;
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
         }
     },
     /**
      * foreach binding - Reactive list rendering with smart reconciliation.
      * Delegates to element-specific handlers for specialized rendering.
      * Provides $data, $index, $parent context variables.
+     * data-if and data-portal on the row element itself are not supported (see prepareRowTemplate).
      */
     foreach: {
         bind(element, viewModel, path, context) {
@@ -359,22 +899,266 @@ const BINDING_HANDLERS = {
             if (external && typeof external.bindForeach === "function") {
                 return external.bindForeach(element, viewModel, path, context, {
                     validateBinding: validateBinding,
-                    getProperty: getProperty,
+                    getProperty: evaluateBinding,
                     getRenderingDelegate: external.getRenderingDelegate,
-                    foreachRenderingDelegates: external.delegates
+                    foreachRenderingDelegates: external.delegates,
+                    prepareTemplate: prepareRowTemplate
                 });
             }
 
             validateBinding(viewModel, path, "foreach", element);
-            const templateSource = context.binder._getTemplateSource(element);
+            const templateSource = prepareRowTemplate(context.binder._getTemplateSource(element), element, path);
             const delegate = getRenderingDelegate(element);
             const config = delegate.prepareConfig(element, templateSource);
             element.innerHTML = "";
             const eff = context.reactiveSystem.effect(() => {
-                const items = getProperty(viewModel, path);
+                const items = evaluateBinding(viewModel, path);
                 delegate.render(element, items, config, context.binder, viewModel, path);
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * if binding - Structural conditional rendering with data-else-if / data-else siblings.
+     * Unlike visible, inactive branches are removed from the DOM and their bindings disposed.
+     * The active branch is re-created from the saved template and bound on every switch.
+     *
+     * @example
+     * // <p data-if="loading">Loading...</p>
+     * // <p data-else-if="error" data-text="error"></p>
+     * // <ul data-else data-foreach="items"><li data-text="name"></li></ul>
+     */
+    if: {
+        structural: true,
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "if", element);
+            const parent = element.parentNode;
+            if (!parent) {
+                console.error(`[Stitch.js ${Version}] if: binding requires the element to have a parent node.`);
+                return;
+            }
+
+            const branches = collectConditionalBranches(element, path);
+            const anchor = element.ownerDocument.createComment(` data-if: ${path} `);
+            parent.insertBefore(anchor, element);
+            branches.forEach(branch => branch.template.remove());
+
+            let activeIndex = -1;
+            let activeElement = null;
+            const removeActiveBranch = () => {
+                if (activeElement) {
+                    context.binder._unbindTree(activeElement);
+                    activeElement.remove();
+                    activeElement = null;
+                }
+                activeIndex = -1;
+            };
+
+            const eff = context.reactiveSystem.effect(() => {
+                let nextIndex = -1;
+                for (let i = 0; i < branches.length; i++) {
+                    const branchPath = branches[i].path;
+                    if (branchPath === null || evaluateBinding(viewModel, branchPath)) {
+                        nextIndex = i;
+                        break;
+                    }
+                }
+                if (nextIndex === activeIndex) {
+                    return;
+                }
+
+                StitchDebug.enabled && StitchDebug.log("bindings", `IF BINDING UPDATE: "${path}" → branch ${nextIndex}`, {
+                    element: element.tagName
+                });
+                removeActiveBranch();
+                if (nextIndex === -1 || !anchor.parentNode) {
+                    return;
+                }
+
+                const rendered = branches[nextIndex].template.cloneNode(true);
+                CONDITIONAL_ATTRIBUTES.forEach(attrName => rendered.removeAttribute(attrName));
+                anchor.parentNode.insertBefore(rendered, anchor.nextSibling);
+                context.binder._bindElement(rendered, viewModel, []);
+                activeElement = rendered;
+                activeIndex = nextIndex;
+            }, { batch: true });
+
+            // Tracked on the parent: the template itself is detached, so subtree unbinds
+            // (e.g. an enclosing data-if branch) can only reach this binding through its anchor's parent.
+            context.binder._trackCleanup(parent, () => {
+                context.reactiveSystem.stop(eff);
+                removeActiveBranch();
+            });
+        }
+    },
+    /**
+     * component binding - Renders a registered component into the host element.
+     * The instance state comes from setup(props) and lives in its own child Observable;
+     * data-props (path or expression, evaluated in the parent scope) flows into the
+     * reactive $props object. Host children fill the template's <slot> outlets and stay
+     * bound to the parent scope. setup() and the instance's bindings run in a per-instance
+     * effect scope that is stopped on unbind.
+     *
+     * @example
+     * // Stitch.component("userCard", {
+     * //     template: '<h3 data-text="$props.name"></h3><slot name="actions"></slot>',
+     * //     setup(props) { return { expanded: false }; }
+     * // });
+     * // <div data-component="userCard" data-props="selectedUser">
+     * //     <button slot="actions" data-click="edit">Edit</button>
+     * // </div>
+     */
+    component: {
+        bind(element, viewModel, path, context) {
+            const name = path.trim();
+            const definition = getComponent(name);
+            if (!definition) {
+                console.error(`[Stitch.js ${Version}] component: "${name}" is not registered. Use Stitch.component("${name}", { template, setup }).`);
+                return;
+            }
+            const doc = element.ownerDocument;
+            const fragment = createTemplateFragment(definition.template, doc);
+            if (!fragment) {
+                console.error(`[Stitch.js ${Version}] component: template "${definition.template}" for "${name}" was not found.`);
+                return;
+            }
+
+            // Watchers, effects and computeds created by setup() or the template belong to
+            // this instance and are stopped when it is unbound.
+            const scope = effectScope ? effectScope() : null;
+            const inScope = fn => (scope ? scope.run(fn) : fn());
+
+            // Props: parent scope → child, one-way. Values are compared against the last
+            // synced snapshot so the effect never subscribes to the props object itself.
+            const propsSource = element.getAttribute("data-props");
+            const props = createComponentModel({}, null, viewModel);
+            const synced = new Map();
+            const propsEff = inScope(() => context.reactiveSystem.effect(() => {
+                const source = propsSource ? evaluateBinding(viewModel, propsSource) : null;
+                const next = source && typeof source === "object" ? source : {};
+                Object.keys(next).forEach(key => {
+                    const value = next[key];
+                    if (synced.has(key) && synced.get(key) === value) {
+                        return;
+                    }
+                    synced.set(key, value);
+                    props.$set(key, value);
+                });
+                synced.forEach((value, key) => {
+                    if (!(key in next) && value !== undefined) {
+                        synced.set(key, undefined);
+                        props[key] = undefined;
+                    }
+                });
+            }, { batch: true }));
+
+            const state = definition.setup ? inScope(() => definition.setup(props)) : null;
+            const model = createComponentModel(state && typeof state === "object" ? state : {}, props, viewModel);
+
+            StitchDebug.enabled && StitchDebug.log("bindings", `COMPONENT BINDING: "${name}"`, {
+                element: element.tagName,
+                props: propsSource
+            });
+
+            const slots = extractSlotContent(element);
+            const outlets = placeSlotAnchors(fragment, doc);
+            element.appendChild(fragment);
+            inScope(() => {
+                Array.from(element.children).forEach(child => {
+                    context.binder._bindElement(child, model, []);
+                });
+
+                // Slot content is inserted after the template is bound so it is only bound once, in the parent scope.
+                outlets.forEach(outlet => {
+                    const provided = slots[outlet.name];
+                    const nodes = provided ? provided : outlet.fallback;
+                    const slotScope = provided ? viewModel : model;
+                    nodes.forEach(node => {
+                        outlet.anchor.parentNode.insertBefore(node, outlet.anchor);
+                        if (node.nodeType === 1) {
+                            context.binder._bindElement(node, slotScope, []);
+                        }
+                    });
+                });
+            });
+
+            context.binder._trackCleanup(element, () => {
+                context.reactiveSystem.stop(propsEff);
+                Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                if (scope) {
+                    scope.stop();
+                }
+            });
+        }
+    },
+    /**
+     * portal binding - Moves the element into another DOM location (CSS selector of the target)
+     * while its subtree stays bound to the original scope, including foreach item contexts.
+     * A comment anchor marks the original position. Unbinding the element, its original
+     * ancestors (or removing its foreach row) or disposing the binder removes the portaled
+     * element from the target.
+     *
+     * @example
+     * // <ul data-foreach="files">
+     * //     <li>
+     * //         <div class="menu" data-portal="#overlay-root" data-visible="menuOpen">
+     * //             <button data-click="$parent.remove">Delete</button>
+     * //         </div>
+     * //     </li>
+     * // </ul>
+     */
+    portal: {
+        bind(element, viewModel, path, context) {
+            const selector = path.trim();
+            const doc = element.ownerDocument;
+            let target = null;
+            try {
+                target = doc.querySelector(selector);
+            } catch (error) {
+                target = null;
+            }
+            // Another boundary on the same element (foreach, component) renders the children itself
+            const ownsChildren = !element.hasAttribute("data-foreach") && !element.hasAttribute("data-component");
+            const bindChildren = () => {
+                if (ownsChildren) {
+                    Array.from(element.children).forEach(child => {
+                        context.binder._bindElement(child, viewModel, []);
+                    });
+                }
+            };
+
+            const parent = element.parentNode;
+            if (!target || !parent) {
+                console.error(`[Stitch.js ${Version}] portal: target "${selector}" not found. Rendering in place.`);
+                bindChildren();
+                return;
+            }
+
+            StitchDebug.enabled && StitchDebug.log("bindings", `PORTAL BINDING: "${selector}"`, {
+                element: element.tagName
+            });
+            const anchor = doc.createComment(` data-portal: ${selector} `);
+            parent.insertBefore(anchor, element);
+            target.appendChild(element);
+            bindChildren();
+
+            let disposed = false;
+            const disposePortal = () => {
+                if (disposed) {
+                    return;
+                }
+                disposed = true;
+                if (ownsChildren) {
+                    Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                }
+                element.remove();
+                anchor.remove();
+            };
+            // Tracked on the element and on its original parent: once moved, subtree unbinds of
+            // the original location (a removed foreach row, a data-if branch) can only reach the
+            // portal through the parent.
+            context.binder._trackCleanup(element, disposePortal);
+            context.binder._trackCleanup(parent, disposePortal);
         }
     },
     /**
@@ -385,12 +1169,49 @@ const BINDING_HANDLERS = {
         bind(element, viewModel, path, context) {
             validateBinding(viewModel, path, "loading", element);
             const eff = context.reactiveSystem.effect(() => {
-                const isLoading = getProperty(viewModel, path);
+                const isLoading = evaluateBinding(viewModel, path);
                 element.disabled = isLoading;
                 element.classList.toggle("loading", isLoading);
                 element.setAttribute("aria-busy", isLoading ? "true" : "false");
             }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * error-boundary binding - When a binding inside the element throws (while binding
+     * or on a later update), its content is unbound and replaced by fallback content,
+     * bound to the same scope. The error is still reported to Stitch.config.errorHandler.
+     * The value is a "#template-id" or inline HTML; when empty, a direct <template>
+     * child is the fallback.
+     *
+     * @example
+     * // <section data-error-boundary="#chart-error">
+     * //     <canvas data-attr="chartAttrs"></canvas>
+     * // </section>
+     * // <template id="chart-error"><p>Chart unavailable. <button data-click="reload">Retry</button></p></template>
+     */
+    "error-boundary": {
+        bind(element, viewModel, path, context) {
+            const fallback = path.trim() || Array.from(element.children).find(child => child.tagName === "TEMPLATE");
+            if (!fallback) {
+                console.warn(`[Stitch.js ${Version}] error-boundary: no fallback. Use data-error-boundary="#template-id" or add a <template> child.`);
+                return;
+            }
+            context.binder._registerErrorBoundary(element, () => {
+                StitchDebug.enabled && StitchDebug.log("bindings", "ERROR BOUNDARY: rendering fallback", {
+                    element: element.tagName
+                });
+                Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                element.textContent = "";
+                const fragment = createTemplateFragment(fallback, element.ownerDocument);
+                if (!fragment) {
+                    console.warn(`[Stitch.js ${Version}] error-boundary: fallback template "${fallback}" was not found.`);
+                    return;
+                }
+                const rendered = Array.from(fragment.children);
+                element.appendChild(fragment);
+                rendered.forEach(child => context.binder._bindElement(child, viewModel, []));
+            });
         }
     }
 };
@@ -446,12 +1267,30 @@ function getBindingHandler(type) {
     return BINDING_HANDLERS[type] || null;
 }
 
+/**
+ * Whether an attribute name is a binding for a registered handler, with or without modifiers.
+ *
+ * @param {string} name - Lowercase attribute name
+ * @returns {boolean}
+ * @example
+ * isBindingAttribute('data-click.prevent'); // true
+ * isBindingAttribute('data-template');      // false
+ */
+function isBindingAttribute(name) {
+    if (!name.startsWith("data-")) {
+        return false;
+    }
+    const type = name.substring(5);
+    const dot = type.indexOf(".");
+    return !!getBindingHandler(dot > 0 ? type.substring(0, dot) : type);
+}
+
 /**
  * Scans element attributes to find data-* bindings that correspond to registered handlers.
  * Filters out non-binding data-* attributes (like data-template, data-default-text).
  * 
  * @param {HTMLElement} element - Element to scan for binding attributes
- * @returns {Array<Object>} Array of binding objects [{type, path, attributeName}]
+ * @returns {Array<Object>} Array of binding objects [{type, path, attributeName, modifiers?}]
  * @example
  * // Single binding
  * // HTML: <div data-text="message"></div>
@@ -466,6 +1305,11 @@ function getBindingHandler(type) {
  * //   { type: 'value', path: 'count', attributeName: 'data-value' },
  * //   { type: 'enabled', path: 'isActive', attributeName: 'data-enabled' }
  * // ]
+ *
+ * @example
+ * // Modifiers (handlers with acceptsModifiers)
+ * // HTML: <a data-click.prevent.stop="open">
+ * // Returns: [{ type: 'click', path: 'open', attributeName: 'data-click.prevent.stop', modifiers: ['prevent', 'stop'] }]
  */
 function scanCustomAttributes(element) {
     const external = resolveExternalBindingScanIntegration();
@@ -483,6 +1327,18 @@ function scanCustomAttributes(element) {
                     path: attr.value,
                     attributeName: attr.name
                 });
+                continue;
+            }
+            // Modified bindings: data-click.prevent.stop="save"
+            const dot = type.indexOf(".");
+            const baseHandler = dot > 0 ? getBindingHandler(type.substring(0, dot)) : null;
+            if (baseHandler && baseHandler.acceptsModifiers) {
+                bindings.push({
+                    type: type.substring(0, dot),
+                    path: attr.value,
+                    attributeName: attr.name,
+                    modifiers: type.substring(dot + 1).split(".")
+                });
             }
         }
     }
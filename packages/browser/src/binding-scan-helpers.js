@@ -11,12 +11,34 @@ function getBindingHandler(type, handlers) {
     return handlers[type] || null;
 }
 
+/**
+ * Splits `data-<type>.<modifier>...` attribute types (e.g. "click.prevent.stop") for
+ * handlers that accept modifiers (`acceptsModifiers: true`).
+ *
+ * @param {string} type - Attribute name without the "data-" prefix
+ * @param {Object} handlers
+ * @returns {{type: string, modifiers: string[]}|null}
+ */
+function parseModifiedBindingType(type, handlers) {
+    const dot = type.indexOf(".");
+    if (dot <= 0) {
+        return null;
+    }
+    const baseType = type.substring(0, dot);
+    const handler = getBindingHandler(baseType, handlers);
+    if (!handler || !handler.acceptsModifiers) {
+        return null;
+    }
+    return { type: baseType, modifiers: type.substring(dot + 1).split(".") };
+}
+
 /**
  * Scans element attributes and returns recognized data-* bindings.
+ * Modified bindings (data-click.prevent) carry their modifiers.
  *
  * @param {HTMLElement} element
  * @param {Object} handlers
- * @returns {Array<{type: string, path: string, attributeName: string}>}
+ * @returns {Array<{type: string, path: string, attributeName: string, modifiers?: string[]}>}
  */
 function scanCustomAttributes(element, handlers) {
     const bindings = [];
@@ -30,6 +52,16 @@ function scanCustomAttributes(element, handlers) {
                     path: attr.value,
                     attributeName: attr.name
                 });
+                continue;
+            }
+            const modified = parseModifiedBindingType(type, handlers);
+            if (modified) {
+                bindings.push({
+                    type: modified.type,
+                    path: attr.value,
+                    attributeName: attr.name,
+                    modifiers: modified.modifiers
+                });
             }
         }
     }
@@ -55,6 +87,7 @@ function createBindingScanner(handlers) {
 
 module.exports = {
     getBindingHandler,
+    parseModifiedBindingType,
     scanCustomAttributes,
     createBindingScanner
 };
@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * Component registry and template/slot helpers for data-component bindings.
+ *
+ * A component packages a template with a setup(props) function that returns the
+ * state of a per-instance child Observable. The binding handler (binding-runtime)
+ * renders the template into the host element, binds it against the child model
+ * and fills <slot> outlets with the host's original children bound against the
+ * parent scope.
+ */
+
+/**
+ * @typedef {Object} ComponentDefinition
+ * @property {string} name - Registered component name
+ * @property {string|HTMLTemplateElement} template - HTML string, "#id" selector of a <template>, or a <template> element
+ * @property {Function} [setup] - setup(props) returning the instance state object
+ */
+
+const COMPONENT_NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Creates an isolated component registry.
+ *
+ * @param {Object} [deps={}]
+ * @param {string} [deps.version]
+ * @returns {{define: Function, get: Function, has: Function}}
+ */
+function createComponentRegistry(deps = {}) {
+    const Version = deps.version || "v2.1.0";
+    const definitions = new Map();
+
+    /**
+     * Registers a component definition.
+     *
+     * @param {string} name - Component name used in data-component
+     * @param {Object} definition - { template, setup(props) }
+     * @returns {ComponentDefinition}
+     * @throws {Error} If name or definition is invalid
+     */
+    function define(name, definition) {
+        if (typeof name !== "string" || !COMPONENT_NAME_PATTERN.test(name)) {
+            throw new Error(`Stitch.js ${Version}: component() requires a name made of letters, digits, "-" or "_". Got: "${name}"`);
+        }
+        if (!definition || typeof definition !== "object" || !definition.template) {
+            throw new Error(`Stitch.js ${Version}: component("${name}") requires a definition with a template`);
+        }
+        if (definition.setup !== undefined && typeof definition.setup !== "function") {
+            throw new Error(`Stitch.js ${Version}: component("${name}") setup must be a function`);
+        }
+        if (definitions.has(name)) {
+            console.warn(`[Stitch.js ${Version}] component: "${name}" is already registered and will be replaced.`);
+        }
+        const normalized = Object.freeze({
+            name: name,
+            template: definition.template,
+            setup: definition.setup || null
+        });
+        definitions.set(name, normalized);
+        return normalized;
+    }
+
+    return {
+        define,
+        get(name) {
+            return definitions.get(name) || null;
+        },
+        has(name) {
+            return definitions.has(name);
+        }
+    };
+}
+
+/**
+ * Builds a fresh DocumentFragment from a component template.
+ *
+ * @param {string|HTMLTemplateElement} template
+ * @param {Document} doc
+ * @returns {DocumentFragment|null} null if a "#id" template cannot be found
+ */
+function createTemplateFragment(template, doc) {
+    let templateElement = template;
+    if (typeof template === "string") {
+        const trimmed = template.trim();
+        if (trimmed.startsWith("#")) {
+            templateElement = doc.querySelector(trimmed);
+            if (!templateElement) {
+                return null;
+            }
+        } else {
+            templateElement = doc.createElement("template");
+            templateElement.innerHTML = trimmed;
+        }
+    }
+    if (templateElement.content) {
+        return doc.importNode(templateElement.content, true);
+    }
+    // Non-<template> element: use its children as the template
+    const fragment = doc.createDocumentFragment();
+    Array.from(templateElement.childNodes).forEach(node => fragment.appendChild(node.cloneNode(true)));
+    return fragment;
+}
+
+/**
+ * Removes the host's children and groups them by slot name.
+ * Elements with slot="name" or data-slot="name" go to that slot, everything else to "default".
+ * Whitespace-only text nodes are dropped.
+ *
+ * @param {HTMLElement} host
+ * @returns {Object.<string, Node[]>}
+ */
+function extractSlotContent(host) {
+    const slots = Object.create(null);
+    Array.from(host.childNodes).forEach(node => {
+        host.removeChild(node);
+        if (node.nodeType === 3 && !node.textContent.trim()) {
+            return;
+        }
+        let name = "default";
+        if (node.nodeType === 1) {
+            name = node.getAttribute("slot") || node.getAttribute("data-slot") || "default";
+        }
+        (slots[name] || (slots[name] = [])).push(node);
+    });
+    return slots;
+}
+
+/**
+ * Replaces <slot> elements in a template fragment with comment anchors.
+ *
+ * @param {DocumentFragment} fragment
+ * @param {Document} doc
+ * @returns {Array<{name: string, anchor: Comment, fallback: Node[]}>}
+ */
+function placeSlotAnchors(fragment, doc) {
+    return Array.from(fragment.querySelectorAll("slot")).map(slot => {
+        const name = slot.getAttribute("name") || "default";
+        const anchor = doc.createComment(` slot: ${name} `);
+        const fallback = Array.from(slot.childNodes);
+        slot.parentNode.replaceChild(anchor, slot);
+        return { name, anchor, fallback };
+    });
+}
+
+module.exports = {
+    createComponentRegistry,
+    createTemplateFragment,
+    extractSlotContent,
+    placeSlotAnchors
+};
@@ -6,9 +6,16 @@ function createDataBinderClass(deps = {}) {
     const Version = deps.version || "v2.1.0";
     const StitchDebug = deps.debug || NOOP_DEBUG;
     const getProperty = deps.getProperty;
+    const evaluateBinding = deps.evaluateBinding || getProperty;
     const getBindingHandler = deps.getBindingHandler;
     const scanCustomAttributes = deps.scanCustomAttributes;
     const BINDING_HANDLERS = deps.bindingHandlers || Object.create(null);
+    const registerRenderingDelegate = deps.registerRenderingDelegate || null;
+    const effectScope = deps.effectScope || null;
+    const onScopeDispose = deps.onScopeDispose || null;
+    const handleError = deps.handleError || function (error) {
+        console.error(`[Stitch.js ${Version}] Binding error:`, error);
+    };
 class DataBinder {
     /**
      * Creates a new DataBinder instance.
@@ -25,6 +32,10 @@ class DataBinder {
         this.hooks = this.createHooks(hooks);
         /** @type {Map<HTMLElement, Set<Function>>} Cleanup functions per element for unbind */
         this._elementCleanups = new Map();
+        /** @type {Map<HTMLElement, Object>} Effect scope per bind() root */
+        this._scopes = new Map();
+        /** @type {Map<HTMLElement, Object>} data-error-boundary state: { renderFallback, tripped } */
+        this._errorBoundaries = new Map();
         /** @type {boolean} Whether binder has been disposed */
         this._disposed = false;
     }
@@ -51,20 +62,38 @@ class DataBinder {
         }
         this.reactiveSystem = viewModel._factory.reactiveSystem;
 
-        // Global onChange hook: subscribe once per root bind and route model change events.
-        if (typeof this.hooks.onChange === "function") {
-            const onChangeHandler = change => {
-                try {
-                    this.hooks.onChange.call(this, change, viewModel, element);
-                } catch (error) {
-                    console.warn(`[Stitch.js ${Version}] DataBinder onChange hook error:`, error);
-                }
-            };
-            viewModel.on(onChangeHandler);
-            this._trackCleanup(element, () => viewModel.off(onChangeHandler));
+        const bindRoot = () => {
+            // Global onChange hook: subscribe once per root bind and route model change events.
+            if (typeof this.hooks.onChange === "function") {
+                const onChangeHandler = change => {
+                    try {
+                        this.hooks.onChange.call(this, change, viewModel, element);
+                    } catch (error) {
+                        console.warn(`[Stitch.js ${Version}] DataBinder onChange hook error:`, error);
+                    }
+                };
+                viewModel.on(onChangeHandler);
+                this._trackCleanup(element, () => viewModel.off(onChangeHandler));
+            }
+
+            this._bindElement(element, viewModel, []);
+        };
+
+        if (!effectScope) {
+            bindRoot();
+            return;
         }
 
-        this._bindElement(element, viewModel, []);
+        // One scope per root: every effect created for this subtree, now or when rows/branches
+        // render later, is stopped by dispose()/unbind(root) even if a cleanup was missed.
+        let scope = this._scopes.get(element);
+        if (!scope) {
+            scope = effectScope();
+            this._scopes.set(element, scope);
+            // Stopping an enclosing effect scope also unbinds the DOM (listeners, portals)
+            scope.run(() => onScopeDispose(() => this._unbindTree(element)));
+        }
+        scope.run(bindRoot);
     }
 
     /**
@@ -89,6 +118,11 @@ class DataBinder {
      * @param {string} contextPath - Current path in view model
      */
     _bindElement(element, context, contextPath) {
+        // data-else-if / data-else siblings are templates owned by the preceding data-if
+        if (this._isConditionalBranch(element)) {
+            return;
+        }
+
         // Process this element's bindings
         this._processBindings(element, context, contextPath);
 
@@ -121,14 +155,49 @@ class DataBinder {
             return true;
         }
 
-        // Future boundary types can be added here:
-        // if (element.hasAttribute("data-component")) return true;
-        // if (element.hasAttribute("data-portal")) return true;
-        // if (element.hasAttribute("data-if")) return true;
+        // data-if boundaries: the element is a template rendered (and bound) only while truthy
+        if (element.hasAttribute("data-if")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        // component boundaries: the host's children are replaced by the component template
+        if (element.hasAttribute("data-component")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        // portal boundaries: the portal binding moves the element and binds its children in place
+        if (element.hasAttribute("data-portal")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        // html boundaries: the content is replaced by the injected markup, bound only with data-html-bind
+        if (element.hasAttribute("data-html")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
 
         return false;
     }
 
+    /**
+     * Checks if element is a data-else-if / data-else branch of a data-if chain.
+     * Branch templates are detached and rendered by the data-if binding, never bound in place.
+     *
+     * @private
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} true if element is a conditional branch template
+     */
+    _isConditionalBranch(element) {
+        if (element.hasAttribute("data-else-if") || element.hasAttribute("data-else")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Skipped conditional branch template: " + element.tagName);
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Scans and applies bindings to single element.
      * Prevents duplicate binding.
@@ -138,10 +207,21 @@ class DataBinder {
         if (this.boundElements.has(element)) {
             return;
         }
-        const customBindings = scanCustomAttributes(element);
+        let customBindings = scanCustomAttributes(element);
+
+        // Structural bindings (data-if) own the element as a template: other bindings on it
+        // are applied to the rendered copy instead of the template itself.
+        const structuralBinding = customBindings.find(binding => {
+            const handler = getBindingHandler(binding.type);
+            return handler && handler.structural;
+        });
+        if (structuralBinding) {
+            customBindings = [structuralBinding];
+        }
+
         if (customBindings.length > 0) {
             customBindings.forEach(binding => {
-                this._applyTypedBinding(element, context, binding.type, binding.path, contextPath);
+                this._applyTypedBinding(element, context, binding.type, binding.path, contextPath, binding.modifiers);
             });
             this.boundElements.add(element);
 
@@ -160,7 +240,7 @@ class DataBinder {
      * Checks for property-specific hooks before applying default binding.
      * @private
      */
-    _applyTypedBinding(element, viewModel, type, path, contextPath = []) {
+    _applyTypedBinding(element, viewModel, type, path, contextPath = [], modifiers = []) {
         // Construct full path from context
         const fullPath = contextPath.length > 0 ? `${contextPath.join('.')}.${path}` : path;
 
@@ -173,8 +253,8 @@ class DataBinder {
         const propertyName = path.split('.').pop();
         const propertyHooks = this.hooks.properties[propertyName] || this.hooks.properties[fullPath] || this.hooks.properties[path];
 
-        // Get initial value for hook
-        const value = getProperty(viewModel, path);
+        // Get initial value for hook (only when hooked: expressions such as data-click="save()" must not run at bind time)
+        const value = propertyHooks ? evaluateBinding(viewModel, path) : undefined;
 
         // If onBind hook exists, call it instead of default binding
         if (propertyHooks && propertyHooks.onBind) {
@@ -194,9 +274,18 @@ class DataBinder {
             if (handler) {
                 const context = {
                     reactiveSystem: this.reactiveSystem,
-                    binder: this
+                    binder: this,
+                    modifiers
                 };
-                handler.bind(element, viewModel, path, context);
+                const bindingInfo = this._createBindingInfo(type, fullPath, element);
+                try {
+                    this.reactiveSystem.withBinding(bindingInfo, () => {
+                        handler.bind(element, viewModel, path, context);
+                    });
+                } catch (error) {
+                    // A binding that throws while binding must not stop the rest of the tree
+                    handleError(error, { binding: bindingInfo, element });
+                }
             } else {
                 console.warn(`[Stitch.js ${Version}] Unknown binding type: ${type}`);
             }
@@ -212,19 +301,67 @@ class DataBinder {
             // Track old value for onChange callback
             let oldValue = value;
 
-            const eff = this.reactiveSystem.effect(() => {
-                const newValue = getProperty(viewModel, path);
+            const eff = this.reactiveSystem.withBinding(this._createBindingInfo(type, fullPath, element), () => this.reactiveSystem.effect(() => {
+                const newValue = evaluateBinding(viewModel, path);
 
                 // Call onChange hook with DataBinder as 'this'
                 propertyHooks.onChange.call(this, element, newValue, oldValue, binding, fullPath);
 
                 // Update oldValue for next change
                 oldValue = newValue;
-            });
-            this._trackCleanup(element, () => this.reactiveSystem.cleanup(eff));
+            }));
+            this._trackCleanup(element, () => this.reactiveSystem.stop(eff));
         }
     }
 
+    /**
+     * Describes a binding for the effects it creates. Errors reported for those
+     * effects trip the nearest data-error-boundary around the element.
+     * @private
+     */
+    _createBindingInfo(type, path, element) {
+        return {
+            type,
+            path,
+            element,
+            onError: () => this._tripErrorBoundary(element)
+        };
+    }
+
+    /**
+     * Registers a data-error-boundary element (called by the error-boundary binding).
+     * @private
+     * @param {HTMLElement} element - Boundary element
+     * @param {Function} renderFallback - Swaps the boundary content for its fallback
+     */
+    _registerErrorBoundary(element, renderFallback) {
+        this._errorBoundaries.set(element, { renderFallback, tripped: false });
+        this._trackCleanup(element, () => this._errorBoundaries.delete(element));
+    }
+
+    /**
+     * Renders the fallback of the nearest registered data-error-boundary around
+     * element (once). The swap waits for the current bind/flush to finish so the
+     * failing subtree is fully bound before it is unbound.
+     * @private
+     */
+    _tripErrorBoundary(element) {
+        let boundary = element;
+        while (boundary && !this._errorBoundaries.has(boundary)) {
+            boundary = boundary.parentElement;
+        }
+        const state = boundary && this._errorBoundaries.get(boundary);
+        if (!state || state.tripped) {
+            return;
+        }
+        state.tripped = true;
+        Promise.resolve().then(() => {
+            if (!this._disposed && this._errorBoundaries.get(boundary) === state) {
+                state.renderFallback();
+            }
+        });
+    }
+
     /**
      * Extracts template for foreach binding.
      * Supports inline or external (data-template).
@@ -252,7 +389,8 @@ class DataBinder {
     }
 
     /**
-     * Removes element from tracking (does NOT clean up effects).
+     * Removes element from tracking and runs its cleanups.
+     * For a bind() root, also stops the root's effect scope.
      *
      * @param {string|HTMLElement} element - CSS selector or HTMLElement
      */
@@ -274,9 +412,30 @@ class DataBinder {
                 });
                 this._elementCleanups.delete(element);
             }
+
+            // 3. Stop the effect scope of a bind() root
+            const scope = this._scopes.get(element);
+            if (scope) {
+                this._scopes.delete(element);
+                scope.stop();
+            }
         }
     }
 
+    /**
+     * Unbinds an element and all of its descendants, running their cleanups.
+     * Used by structural bindings when they remove a rendered subtree.
+     *
+     * @private
+     * @param {HTMLElement} root - Root of the subtree to unbind
+     */
+    _unbindTree(root) {
+        this.unbind(root);
+        Array.from(root.querySelectorAll("*")).forEach(child => {
+            this.unbind(child);
+        });
+    }
+
     /**
      * Registers a cleanup function for disposal.
      * @private
@@ -311,6 +470,11 @@ class DataBinder {
             });
         });
         this._elementCleanups.clear();
+
+        // Stop root scopes: catches effects created after bind() without a tracked cleanup
+        this._scopes.forEach(scope => scope.stop());
+        this._scopes.clear();
+
         this.boundElements.clear();
         this.reactiveSystem = null;
 
@@ -349,6 +513,29 @@ DataBinder.registerBinding = function (name, handler) {
     }
     BINDING_HANDLERS[name] = handler;
 };
+
+/**
+ * Registers a foreach rendering delegate (PUBLIC API).
+ * Use a tag name to replace the built-in delegate for that container tag, or any other
+ * name and select it with data-foreach-delegate="name".
+ *
+ * @static
+ * @param {string} name - Delegate name or container tag name
+ * @param {Object} delegate - { getKey(item, index), prepareConfig?, render? }
+ * @returns {Object} Registered delegate
+ * @throws {Error} If name or delegate is invalid
+ * @example
+ * Stitch.DataBinder.registerForeachDelegate('orderLines', {
+ *     getKey: (line) => line.orderId + ':' + line.sku
+ * });
+ * // Usage: <tbody data-foreach="lines" data-foreach-delegate="orderLines">...</tbody>
+ */
+DataBinder.registerForeachDelegate = function (name, delegate) {
+    if (!registerRenderingDelegate) {
+        throw new Error(`Stitch.js ${Version}: registerForeachDelegate is not available in this build`);
+    }
+    return registerRenderingDelegate(name, delegate);
+};
     return DataBinder;
 }
 
@@ -5,6 +5,7 @@
  * - validate binding path
  * - resolve template + rendering delegate
  * - install reactive effect
+ * - collect array splice patches between renders
  * - track cleanup
  *
  * @param {HTMLElement} element
@@ -16,23 +17,47 @@
  * @param {Function} deps.getProperty
  * @param {Function} deps.getRenderingDelegate
  * @param {Object} deps.foreachRenderingDelegates
+ * @param {Function} [deps.prepareTemplate] - (templateSource, element, path) => row template markup
  * @returns {*}
  */
 function bindForeach(element, viewModel, path, context, deps) {
     deps.validateBinding(viewModel, path, "foreach", element);
 
-    const templateSource = context.binder._getTemplateSource(element);
+    const source = context.binder._getTemplateSource(element);
+    const templateSource = deps.prepareTemplate ? deps.prepareTemplate(source, element, path) : source;
     const delegate = deps.getRenderingDelegate(element, deps.foreachRenderingDelegates);
     const config = delegate.prepareConfig(element, templateSource);
 
     element.innerHTML = "";
 
+    // Patches of the rendered array since the last render; null means unknown (first render
+    // of this array), so the delegate reconciles all rows.
+    let patchSource = null;
+    let pendingPatches = null;
+    let stopPatches = null;
+
     const eff = context.reactiveSystem.effect(() => {
         const items = deps.getProperty(viewModel, path);
-        delegate.render(element, items, config, context.binder, viewModel, path);
+        if (items !== patchSource) {
+            if (stopPatches) stopPatches();
+            stopPatches = null;
+            patchSource = items;
+            pendingPatches = null;
+            if (Array.isArray(items) && items.__isReactive) {
+                stopPatches = context.reactiveSystem.onArrayPatch(items, patches => {
+                    if (pendingPatches) pendingPatches.push(...patches);
+                });
+            }
+        }
+        const patches = pendingPatches && pendingPatches.length > 0 ? pendingPatches : null;
+        pendingPatches = [];
+        delegate.render(element, items, config, context.binder, viewModel, path, patches);
     }, { batch: true });
 
-    context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+    context.binder._trackCleanup(element, () => {
+        context.reactiveSystem.stop(eff);
+        if (stopPatches) stopPatches();
+    });
     return eff;
 }
 
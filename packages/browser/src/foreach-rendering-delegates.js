@@ -1,5 +1,7 @@
 "use strict";
 
+const { createVirtualRenderingDelegate } = require("./foreach-virtual-rendering");
+
 /**
  * Standard item rendering with full re-render on every change.
  *
@@ -32,25 +34,51 @@ function renderItemsStandard(element, items, templateSource, binder, viewModel,
  * @param {Object} viewModel
  * @param {Object} deps
  * @param {Function} deps.reconcileRows
+ * @param {Function} [deps.applyRowPatches] - Applies array splice patches to the rows in place
  * @param {Function} deps.createItemContext
  * @param {Object} deps.stitchDebug
+ * @param {Function} [deps.getKey] - Custom row key function (item, index) => key
+ * @param {Array} [deps.patches] - Splice patches since the last render (null when unknown)
+ * @param {string} [deps.version]
  */
 function renderItemsSmart(element, items, templateSource, binder, viewModel, deps) {
     const containerTag = element.tagName.toLowerCase();
     const stitchDebug = deps.stitchDebug;
 
-    if (stitchDebug && stitchDebug.enabled && items.length > 0 && typeof items[0] === "object" && items[0] !== null) {
+    if (stitchDebug && stitchDebug.enabled && !deps.getKey && items.length > 0 && typeof items[0] === "object" && items[0] !== null) {
         const firstItem = items[0];
         if (!firstItem.hasOwnProperty("id") && !firstItem.hasOwnProperty("key")) {
             stitchDebug.log("warnings", `Performance Warning: foreach items in <${containerTag}> are objects but missing 'id' or 'key' property.`, {
                 element: element,
-                hint: "Add an 'id' or 'key' property to your items to enable smart DOM reconciliation."
+                hint: "Add an 'id' or 'key' property to your items, or data-key=\"prop\" on the container, to enable smart DOM reconciliation."
             });
         }
     }
 
-    const rows = deps.reconcileRows(element, items, templateSource, containerTag);
+    const onRemoveRow = row => binder._unbindTree(row);
+
+    // Known splice patches only touch the patched rows; everything else goes through keyed reconciliation
+    let firstChanged = deps.patches && deps.applyRowPatches
+        ? deps.applyRowPatches(element, deps.patches, items.length, templateSource, containerTag, { getKey: deps.getKey, onRemoveRow })
+        : -1;
+    let rows;
+    if (firstChanged >= 0) {
+        rows = element.children;
+    } else {
+        firstChanged = 0;
+        rows = deps.reconcileRows(element, items, templateSource, containerTag, {
+            getKey: deps.getKey,
+            version: deps.version,
+            // Rows stay bound to the item they were rendered for; a different item under the same key gets a fresh row
+            canReuseRow: (row, item) => !row._stitchItemContext || row._stitchItemContext.$data === item,
+            onRemoveRow
+        });
+    }
+    // Every item is read so the effect keeps tracking each index, but rows before the first change are left alone
     items.forEach((item, index) => {
+        if (index < firstChanged) {
+            return;
+        }
         const row = rows[index];
         const itemContext = deps.createItemContext(item, index, viewModel);
         if (!row._stitchItemContext) {
@@ -73,26 +101,55 @@ function renderItemsSmart(element, items, templateSource, binder, viewModel, dep
  * @param {Function} deps.createItemContext
  * @param {Function} deps.createTemplateElement
  * @param {Function} deps.reconcileRows
+ * @param {Function} [deps.applyRowPatches]
+ * @param {Function} [deps.evaluateBinding] - Evaluates data-key paths/expressions (defaults to getProperty)
  * @param {Document} [deps.doc]
+ * @param {string} [deps.version]
  * @returns {Object}
  */
 function createRenderingDelegates(deps) {
     const stitchDebug = deps.stitchDebug || { enabled: false, log: function () {} };
     const getProperty = deps.getProperty;
+    const evaluateKey = deps.evaluateBinding || getProperty;
+    const Version = deps.version || "2.1.0";
     const getValueValidator = deps.getValueValidator;
     const doc = deps.doc || (typeof document !== "undefined" ? document : null);
 
     const renderStandard = function (element, items, templateSource, binder, viewModel) {
         return renderItemsStandard(element, items, templateSource, binder, viewModel, deps);
     };
-    const renderSmart = function (element, items, templateSource, binder, viewModel) {
+    const renderSmart = function (element, items, templateSource, binder, viewModel, getKey, patches) {
         return renderItemsSmart(element, items, templateSource, binder, viewModel, {
             reconcileRows: deps.reconcileRows,
+            applyRowPatches: deps.applyRowPatches,
             createItemContext: deps.createItemContext,
-            stitchDebug
+            stitchDebug,
+            getKey,
+            patches,
+            version: deps.version
         });
     };
 
+    /**
+     * Resolves the row key function for a foreach container.
+     * data-key on the container wins over the delegate's getKey option.
+     *
+     * @param {HTMLElement} element
+     * @param {Object} delegate
+     * @returns {Function|null} (item, index) => key
+     */
+    const resolveKeyFunction = function (element, delegate) {
+        const keySource = element.getAttribute("data-key");
+        if (keySource && keySource.trim()) {
+            // Evaluated against the item context so "$data", "$index" and composite expressions work
+            return (item, index) => evaluateKey(deps.createItemContext(item, index, null), keySource.trim());
+        }
+        if (delegate && typeof delegate.getKey === "function") {
+            return (item, index) => delegate.getKey(item, index);
+        }
+        return null;
+    };
+
     const SELECT_RENDERING_DELEGATE = {
         prepareConfig(element, templateSource) {
             return {
@@ -106,7 +163,7 @@ function createRenderingDelegates(deps) {
             if (stitchDebug.enabled && Array.isArray(items) && items.length > 100) {
                 stitchDebug.log("warnings", `Performance Warning: <select> with ${items.length} items triggers full re-render on every update.`, {
                     element: element,
-                    hint: "Consider using a virtualization library or custom component for large dropdowns."
+                    hint: "Consider a filtered list with data-virtual (options cannot be virtualized) or a custom component for large dropdowns."
                 });
             }
 
@@ -147,12 +204,13 @@ function createRenderingDelegates(deps) {
     const LIST_RENDERING_DELEGATE = {
         prepareConfig(element, templateSource) {
             return {
-                templateSource: templateSource
+                templateSource: templateSource,
+                getKey: resolveKeyFunction(element, this)
             };
         },
-        render(element, items, config, binder, viewModel, path) {
+        render(element, items, config, binder, viewModel, path, patches) {
             if (Array.isArray(items)) {
-                renderSmart(element, items, config.templateSource, binder, viewModel);
+                renderSmart(element, items, config.templateSource, binder, viewModel, config.getKey, patches);
             } else {
                 element.innerHTML = "";
             }
@@ -162,12 +220,13 @@ function createRenderingDelegates(deps) {
     const TABLE_RENDERING_DELEGATE = {
         prepareConfig(element, templateSource) {
             return {
-                templateSource: templateSource
+                templateSource: templateSource,
+                getKey: resolveKeyFunction(element, this)
             };
         },
-        render(element, items, config, binder, viewModel, path) {
+        render(element, items, config, binder, viewModel, path, patches) {
             if (Array.isArray(items)) {
-                renderSmart(element, items, config.templateSource, binder, viewModel);
+                renderSmart(element, items, config.templateSource, binder, viewModel, config.getKey, patches);
             } else {
                 element.innerHTML = "";
             }
@@ -177,18 +236,28 @@ function createRenderingDelegates(deps) {
     const DEFAULT_RENDERING_DELEGATE = {
         prepareConfig(element, templateSource) {
             return {
-                templateSource: templateSource
+                templateSource: templateSource,
+                getKey: resolveKeyFunction(element, this)
             };
         },
-        render(element, items, config, binder, viewModel, path) {
+        render(element, items, config, binder, viewModel, path, patches) {
             if (Array.isArray(items)) {
-                renderSmart(element, items, config.templateSource, binder, viewModel);
+                renderSmart(element, items, config.templateSource, binder, viewModel, config.getKey, patches);
             } else {
                 element.innerHTML = "";
             }
         }
     };
 
+    const VIRTUAL_RENDERING_DELEGATE = createVirtualRenderingDelegate({
+        reconcileRows: deps.reconcileRows,
+        createItemContext: deps.createItemContext,
+        createTemplateElement: deps.createTemplateElement,
+        resolveKeyFunction,
+        doc,
+        version: deps.version
+    });
+
     const FOREACH_RENDERING_DELEGATES = {
         select: SELECT_RENDERING_DELEGATE,
         ul: LIST_RENDERING_DELEGATE,
@@ -196,7 +265,40 @@ function createRenderingDelegates(deps) {
         tbody: TABLE_RENDERING_DELEGATE,
         thead: TABLE_RENDERING_DELEGATE,
         tfoot: TABLE_RENDERING_DELEGATE,
-        default: DEFAULT_RENDERING_DELEGATE
+        default: DEFAULT_RENDERING_DELEGATE,
+        virtual: VIRTUAL_RENDERING_DELEGATE
+    };
+
+    /**
+     * Registers a foreach rendering delegate.
+     *
+     * The name is either a container tag name (replacing the built-in delegate for that tag)
+     * or a custom name selected with data-foreach-delegate="name". A delegate may provide
+     * only `getKey(item, index)`; missing prepareConfig/render fall back to the default
+     * keyed rendering.
+     *
+     * @param {string} name
+     * @param {Object} delegate - { getKey?, prepareConfig?, render? }
+     * @returns {Object} The registered delegate
+     * @throws {Error} If name or delegate is invalid
+     */
+    const registerRenderingDelegate = function (name, delegate) {
+        if (typeof name !== "string" || !name.trim()) {
+            throw new Error(`Stitch.js ${Version}: registerForeachDelegate() requires a name`);
+        }
+        if (!delegate || typeof delegate !== "object") {
+            throw new Error(`Stitch.js ${Version}: registerForeachDelegate("${name}") requires a delegate object`);
+        }
+        if (delegate.getKey !== undefined && typeof delegate.getKey !== "function") {
+            throw new Error(`Stitch.js ${Version}: registerForeachDelegate("${name}") getKey must be a function`);
+        }
+        const key = name.trim().toLowerCase();
+        if (FOREACH_RENDERING_DELEGATES[key]) {
+            console.warn(`[Stitch.js ${Version}] registerForeachDelegate: Overriding existing delegate "${key}"`);
+        }
+        const registered = Object.assign({}, DEFAULT_RENDERING_DELEGATE, delegate);
+        FOREACH_RENDERING_DELEGATES[key] = registered;
+        return registered;
     };
 
     return {
@@ -204,19 +306,29 @@ function createRenderingDelegates(deps) {
         LIST_RENDERING_DELEGATE,
         TABLE_RENDERING_DELEGATE,
         DEFAULT_RENDERING_DELEGATE,
-        FOREACH_RENDERING_DELEGATES
+        VIRTUAL_RENDERING_DELEGATE,
+        FOREACH_RENDERING_DELEGATES,
+        registerRenderingDelegate
     };
 }
 
 /**
- * Selects rendering delegate by tag name.
+ * Selects rendering delegate by data-foreach-delegate name, then data-virtual, then by tag name.
+ * <select> containers ignore data-virtual (options cannot be virtualized).
  *
  * @param {HTMLElement} element
  * @param {Object} delegates
  * @returns {Object}
  */
 function getRenderingDelegate(element, delegates) {
+    const delegateName = (element.getAttribute("data-foreach-delegate") || "").trim().toLowerCase();
+    if (delegateName && Object.prototype.hasOwnProperty.call(delegates, delegateName)) {
+        return delegates[delegateName];
+    }
     const tagName = element.tagName.toLowerCase();
+    if (element.hasAttribute("data-virtual") && tagName !== "select" && delegates.virtual) {
+        return delegates.virtual;
+    }
     return delegates[tagName] || delegates.default;
 }
 
@@ -0,0 +1,371 @@
+"use strict";
+
+/**
+ * Virtualized foreach rendering (data-virtual).
+ *
+ * Only the rows inside the scroll viewport (plus overscan) are created and bound.
+ * Two spacer elements before and after the window keep the full scroll height.
+ * Rows that stay inside the window keep their element and item context while
+ * scrolling; rows that leave it are unbound and removed.
+ *
+ * @example
+ * // <div style="height: 400px; overflow: auto">
+ * //   <table><tbody data-foreach="auditLog" data-virtual="32" data-key="eventId">...</tbody></table>
+ * // </div>
+ */
+
+const DEFAULT_OVERSCAN = 5;
+const DEFAULT_ESTIMATED_ROW_HEIGHT = 40;
+// Rows assumed visible while the scroller has no layout yet (hidden or not attached)
+const FALLBACK_VISIBLE_ROWS = 10;
+
+/**
+ * Reads data-virtual options from a foreach container.
+ * data-virtual="32" fixes the row height; data-virtual or data-virtual="auto" measures rows.
+ *
+ * @param {HTMLElement} element
+ * @returns {{rowHeight: number|null, overscan: number, estimatedRowHeight: number|null}}
+ */
+function parseVirtualOptions(element) {
+    const rowHeight = parseFloat(element.getAttribute("data-virtual"));
+    const overscan = parseInt(element.getAttribute("data-virtual-overscan"), 10);
+    const estimate = parseFloat(element.getAttribute("data-virtual-estimate"));
+    return {
+        rowHeight: rowHeight > 0 ? rowHeight : null,
+        overscan: overscan >= 0 ? overscan : DEFAULT_OVERSCAN,
+        estimatedRowHeight: estimate > 0 ? estimate : null
+    };
+}
+
+/**
+ * Builds row offsets for a list of `count` rows.
+ * Fixed heights are computed directly; measured heights use a prefix-sum table
+ * where unmeasured rows count with the estimated height.
+ *
+ * @param {number} count
+ * @param {number|null} rowHeight - Fixed row height, or null for measured rows
+ * @param {Map<number, number>} measuredHeights - Measured heights by index
+ * @param {number} estimatedRowHeight
+ * @returns {{offsetOf: Function, indexAt: Function, totalHeight: number}}
+ */
+function createRowLayout(count, rowHeight, measuredHeights, estimatedRowHeight) {
+    if (rowHeight) {
+        return {
+            offsetOf: index => index * rowHeight,
+            indexAt: y => Math.min(Math.max(count - 1, 0), Math.max(0, Math.floor(y / rowHeight))),
+            totalHeight: count * rowHeight
+        };
+    }
+
+    const offsets = new Float64Array(count + 1);
+    for (let i = 0; i < count; i++) {
+        const measured = measuredHeights.get(i);
+        offsets[i + 1] = offsets[i] + (measured !== undefined ? measured : estimatedRowHeight);
+    }
+    return {
+        offsetOf: index => offsets[index],
+        indexAt(y) {
+            // Last row whose top edge is at or above y
+            let low = 0;
+            let high = Math.max(count - 1, 0);
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (offsets[mid] <= y) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return low;
+        },
+        totalHeight: offsets[count]
+    };
+}
+
+/**
+ * Computes the [start, end) range of rows to render.
+ *
+ * @param {Object} layout - From createRowLayout()
+ * @param {number} count
+ * @param {number} scrollTop - Scroll position relative to the first row
+ * @param {number} viewportHeight
+ * @param {number} overscan
+ * @returns {{start: number, end: number}}
+ */
+function computeVirtualWindow(layout, count, scrollTop, viewportHeight, overscan) {
+    if (count === 0) {
+        return { start: 0, end: 0 };
+    }
+    const first = layout.indexAt(scrollTop);
+    const last = layout.indexAt(scrollTop + viewportHeight);
+    return {
+        start: Math.max(0, first - overscan),
+        end: Math.min(count, last + 1 + overscan)
+    };
+}
+
+/**
+ * Finds the element whose scrolling moves the rows: data-virtual-scroller (selector),
+ * else the nearest ancestor (or the container itself) with overflow auto/scroll,
+ * else the window.
+ *
+ * @param {HTMLElement} element
+ * @param {Window} win
+ * @returns {HTMLElement|Window}
+ */
+function findScrollContainer(element, win) {
+    const selector = element.getAttribute("data-virtual-scroller");
+    if (selector) {
+        const target = element.closest(selector) || element.ownerDocument.querySelector(selector);
+        if (target) {
+            return target;
+        }
+    }
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        const style = win.getComputedStyle(node);
+        if (/(auto|scroll)/.test(`${style.overflowY} ${style.overflow}`)) {
+            return node;
+        }
+    }
+    return win;
+}
+
+/**
+ * Creates a spacer element matching the container's row type.
+ *
+ * @param {Document} doc
+ * @param {string} containerTag
+ * @param {number} columnCount - Cell span for table spacers
+ * @returns {HTMLElement}
+ */
+function createSpacer(doc, containerTag, columnCount) {
+    let spacer;
+    if (containerTag === "tbody" || containerTag === "thead" || containerTag === "tfoot") {
+        spacer = doc.createElement("tr");
+        const cell = doc.createElement("td");
+        cell.colSpan = columnCount || 1;
+        cell.style.padding = "0";
+        cell.style.border = "0";
+        spacer.appendChild(cell);
+    } else if (containerTag === "ul" || containerTag === "ol") {
+        spacer = doc.createElement("li");
+        spacer.style.listStyle = "none";
+    } else {
+        spacer = doc.createElement("div");
+    }
+    spacer.setAttribute("aria-hidden", "true");
+    spacer.setAttribute("data-stitch-spacer", "");
+    spacer.style.height = "0px";
+    spacer.style.margin = "0";
+    spacer.style.padding = "0";
+    return spacer;
+}
+
+/**
+ * Builds the data-virtual rendering delegate.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.reconcileRows
+ * @param {Function} deps.createItemContext
+ * @param {Function} deps.createTemplateElement
+ * @param {Function} deps.resolveKeyFunction - (element, delegate) => key function or null
+ * @param {Document} [deps.doc]
+ * @param {string} [deps.version]
+ * @returns {{prepareConfig: Function, render: Function}}
+ */
+function createVirtualRenderingDelegate(deps) {
+    const doc = deps.doc || (typeof document !== "undefined" ? document : null);
+    const win = doc && doc.defaultView;
+    const requestFrame = win && typeof win.requestAnimationFrame === "function"
+        ? callback => win.requestAnimationFrame(callback)
+        : callback => setTimeout(callback, 16);
+    const cancelFrame = win && typeof win.cancelAnimationFrame === "function"
+        ? id => win.cancelAnimationFrame(id)
+        : id => clearTimeout(id);
+
+    function getLayout(state, count) {
+        if (!state.layout || state.layoutCount !== count) {
+            const estimate = state.options.estimatedRowHeight || state.measuredEstimate || DEFAULT_ESTIMATED_ROW_HEIGHT;
+            state.layout = createRowLayout(count, state.options.rowHeight, state.measuredHeights, estimate);
+            state.layoutCount = count;
+        }
+        return state.layout;
+    }
+
+    function readViewport(element, state) {
+        const scroller = state.scroller;
+        let scrollTop;
+        let height;
+        if (scroller === win) {
+            scrollTop = Math.max(0, -element.getBoundingClientRect().top);
+            height = win.innerHeight;
+        } else {
+            // Offset of the first row inside the scroller (e.g. below a <thead>)
+            const listTop = scroller === element
+                ? 0
+                : element.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+            scrollTop = Math.max(0, scroller.scrollTop - listTop);
+            height = scroller.clientHeight;
+        }
+        if (!height) {
+            height = (state.options.rowHeight || state.options.estimatedRowHeight || state.measuredEstimate || DEFAULT_ESTIMATED_ROW_HEIGHT) * FALLBACK_VISIBLE_ROWS;
+        }
+        return { scrollTop, height };
+    }
+
+    function computeWindow(element, state, count) {
+        const layout = getLayout(state, count);
+        const viewport = readViewport(element, state);
+        return computeVirtualWindow(layout, count, viewport.scrollTop, viewport.height, state.options.overscan);
+    }
+
+    function updateSpacers(state, count, start, end) {
+        const layout = getLayout(state, count);
+        state.topSpacer.style.height = `${layout.offsetOf(start)}px`;
+        state.bottomSpacer.style.height = `${layout.totalHeight - layout.offsetOf(end)}px`;
+    }
+
+    function measureRows(rows, state, start) {
+        let changed = false;
+        rows.forEach((row, offset) => {
+            const height = row.getBoundingClientRect().height;
+            if (height > 0 && state.measuredHeights.get(start + offset) !== height) {
+                state.measuredHeights.set(start + offset, height);
+                changed = true;
+            }
+        });
+        if (changed) {
+            if (!state.measuredEstimate) {
+                state.measuredEstimate = state.measuredHeights.get(start);
+            }
+            state.layout = null;
+        }
+        return changed;
+    }
+
+    function installScrollListener(element, state, binder) {
+        state.scroller = findScrollContainer(element, win);
+        const onScroll = () => {
+            if (state.frame !== null) return;
+            state.frame = requestFrame(() => {
+                state.frame = null;
+                const count = state.items ? state.items.length : 0;
+                const next = computeWindow(element, state, count);
+                if (next.start !== state.start || next.end !== state.end) {
+                    // Re-runs the foreach effect, so rows entering the window are read (and tracked) there
+                    state.reactiveSystem.trigger(state, "window");
+                }
+            });
+        };
+        state.scroller.addEventListener("scroll", onScroll, { passive: true });
+        win.addEventListener("resize", onScroll);
+        binder._trackCleanup(element, () => {
+            state.scroller.removeEventListener("scroll", onScroll);
+            win.removeEventListener("resize", onScroll);
+            if (state.frame !== null) {
+                cancelFrame(state.frame);
+                state.frame = null;
+            }
+        });
+    }
+
+    function render(element, items, config, binder, viewModel) {
+        const state = config.state;
+        const containerTag = element.tagName.toLowerCase();
+
+        if (!Array.isArray(items)) {
+            element.innerHTML = "";
+            state.items = null;
+            return;
+        }
+        if (!state.scroller) {
+            state.reactiveSystem = binder.reactiveSystem;
+            installScrollListener(element, state, binder);
+        }
+        if (items !== state.items) {
+            state.measuredHeights.clear();
+            state.layout = null;
+        }
+        state.items = items;
+        state.reactiveSystem.track(state, "window");
+
+        const count = items.length;
+        const { start, end } = computeWindow(element, state, count);
+        state.start = start;
+        state.end = end;
+
+        const windowItems = [];
+        for (let index = start; index < end; index++) {
+            windowItems.push(items[index]);
+        }
+
+        // Spacers are detached while reconciling so only item rows are matched by key
+        state.topSpacer.remove();
+        state.bottomSpacer.remove();
+        const rows = deps.reconcileRows(element, windowItems, config.templateSource, containerTag, {
+            getKey: config.getKey,
+            indexOffset: start,
+            version: deps.version,
+            canReuseRow: (row, item) => !row._stitchItemContext || row._stitchItemContext.$data === item,
+            onRemoveRow: row => binder._unbindTree(row)
+        });
+
+        rows.forEach((row, offset) => {
+            const index = start + offset;
+            if (!row._stitchItemContext) {
+                const itemContext = deps.createItemContext(windowItems[offset], index, viewModel);
+                binder._bindElement(row, itemContext, []);
+                row._stitchItemContext = itemContext;
+            } else {
+                row._stitchItemContext.$index = index;
+            }
+        });
+
+        element.insertBefore(state.topSpacer, element.firstChild);
+        element.appendChild(state.bottomSpacer);
+
+        if (!state.options.rowHeight) {
+            measureRows(rows, state, start);
+        }
+        updateSpacers(state, count, start, end);
+    }
+
+    return {
+        prepareConfig(element, templateSource) {
+            const containerTag = element.tagName.toLowerCase();
+            let columnCount = 1;
+            if (containerTag === "tbody" || containerTag === "thead" || containerTag === "tfoot") {
+                const templateRow = deps.createTemplateElement(templateSource, containerTag);
+                columnCount = Array.from(templateRow.children).reduce((sum, cell) => sum + (cell.colSpan || 1), 0) || 1;
+            }
+            return {
+                templateSource: templateSource,
+                getKey: deps.resolveKeyFunction(element, this),
+                state: {
+                    options: parseVirtualOptions(element),
+                    topSpacer: createSpacer(doc, containerTag, columnCount),
+                    bottomSpacer: createSpacer(doc, containerTag, columnCount),
+                    measuredHeights: new Map(),
+                    measuredEstimate: null,
+                    layout: null,
+                    layoutCount: -1,
+                    items: null,
+                    scroller: null,
+                    reactiveSystem: null,
+                    frame: null,
+                    start: 0,
+                    end: 0
+                }
+            };
+        },
+        render
+    };
+}
+
+module.exports = {
+    parseVirtualOptions,
+    createRowLayout,
+    computeVirtualWindow,
+    findScrollContainer,
+    createVirtualRenderingDelegate
+};
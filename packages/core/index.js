@@ -4,7 +4,11 @@ const VERSION = "2.1.0";
 const { MessageBus } = require("./src/message-bus");
 const { BatchScheduler } = require("./src/batch-scheduler");
 const { ComputedRef } = require("./src/computed-ref");
+const { AsyncComputedRef } = require("./src/async-computed-ref");
 const { ReactiveSystem } = require("./src/reactive-system");
+const { EffectScope, effectScope, getCurrentScope, onScopeDispose } = require("./src/effect-scope");
+const { config } = require("./src/config");
+const { handleError } = require("./src/error-handler");
 
 module.exports = {
     MessageBus,
@@ -12,5 +16,12 @@ module.exports = {
     CoreMessageBus: MessageBus,
     BatchScheduler,
     ComputedRef,
-    ReactiveSystem
+    AsyncComputedRef,
+    ReactiveSystem,
+    EffectScope,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    config,
+    handleError
 };
@@ -0,0 +1,152 @@
+"use strict";
+
+const { recordEffectScope } = require("./effect-scope");
+
+/**
+ * Drives an async computed: runs the getter, tracks the reactive values it reads
+ * before its first `await`, and writes the outcome into a reactive state object
+ * `{ value, loading, error }`.
+ *
+ * Like ComputedRef it is notified through markDirty() without losing its
+ * dependencies, so a debounced re-run keeps reacting to changes made while it waits.
+ * Each run gets an AbortSignal that is aborted when a newer run starts or the ref
+ * stops; results of stale runs are ignored.
+ */
+class AsyncComputedRef {
+    /**
+     * @param {Function} getter - Called as getter.call(context, { signal }); may return a Promise
+     * @param {ReactiveSystem} reactiveSystem
+     * @param {Object} context - `this` for the getter (the reactive object owning the property)
+     * @param {Object} state - Reactive `{ value, loading, error }` state
+     * @param {Object} [options]
+     * @param {number} [options.debounce=0] - Delay in ms before re-running after a change
+     * @param {string} [options.key] - Property name (used by devtools)
+     */
+    constructor(getter, reactiveSystem, context, state, options = {}) {
+        this.getter = getter;
+        this.reactiveSystem = reactiveSystem;
+        this.context = context;
+        this.state = state;
+        this.debounce = options.debounce || 0;
+        this.key = options.key || null;
+        this.deps = new Set();
+        this.id = Math.random().toString(36).substr(2, 9);
+        // Notified like a computed: trigger() calls markDirty() instead of running it
+        this.isComputedRef = true;
+        this.active = true;
+        this.runId = 0;
+        this.controller = null;
+        this.timer = null;
+        // Runs outside of a batch; inside one it is deferred like a synchronous effect
+        this.runner = () => this.run();
+        this.runner.options = {};
+        this.scope = reactiveSystem.currentEffect ? null : recordEffectScope(this);
+    }
+
+    markDirty() {
+        if (!this.active) {
+            return;
+        }
+        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `ASYNC COMPUTED MARKED DIRTY (id: ${this.id})`);
+        if (this.debounce > 0) {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(this.runner, this.debounce);
+        } else {
+            this.reactiveSystem.scheduleEffect(this.runner);
+        }
+    }
+
+    /**
+     * Runs the getter now (cancelling a pending debounce and any run in flight).
+     */
+    run() {
+        if (!this.active) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this._abort();
+
+        const runId = ++this.runId;
+        const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+        this.controller = controller;
+
+        let result;
+        this.cleanup();
+        this.reactiveSystem.effectStack.push(this);
+        try {
+            result = this.getter.call(this.context, { signal: controller ? controller.signal : undefined });
+        } catch (error) {
+            this._settle(runId, undefined, error, true);
+            return;
+        } finally {
+            this.reactiveSystem.effectStack.pop();
+        }
+
+        if (!result || typeof result.then !== "function") {
+            this._settle(runId, result, null, false);
+            return;
+        }
+        this.state.error = null;
+        this.state.loading = true;
+        result.then(
+            value => this._settle(runId, value, null, false),
+            error => this._settle(runId, undefined, error, true)
+        );
+    }
+
+    _settle(runId, value, error, failed) {
+        // A newer run (or stop()) superseded this one
+        if (runId !== this.runId || !this.active) {
+            return;
+        }
+        this.controller = null;
+        if (failed) {
+            this.state.error = error === undefined || error === null ? new Error("asyncComputed getter failed") : error;
+        } else {
+            this.state.value = value;
+            this.state.error = null;
+        }
+        this.state.loading = false;
+    }
+
+    _abort() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    cleanup() {
+        this.deps.forEach((dep) => {
+            dep.delete(this);
+        });
+        this.deps.clear();
+    }
+
+    /**
+     * Stops re-running: drops dependencies, cancels a pending debounce and aborts
+     * the run in flight. The state keeps its last values.
+     */
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this._abort();
+        this.cleanup();
+        if (this.state.loading) {
+            this.state.loading = false;
+        }
+        if (this.scope) {
+            this.scope.effects.delete(this);
+            this.scope = null;
+        }
+    }
+}
+
+module.exports = {
+    AsyncComputedRef
+};
@@ -1,12 +1,15 @@
 "use strict";
 
 const { NOOP_DEBUG } = require("../../utils/src/debug-config");
+const { handleError } = require("./error-handler");
 
 class BatchScheduler {
     constructor(options = {}) {
         this.version = options.version || "v2.1.0";
         this.debug = options.debug || NOOP_DEBUG;
+        this._preEffects = new Set();
         this._pendingEffects = new Set();
+        this._postEffects = new Set();
         this.flushing = false;
         this.flushScheduled = false;
         this.flushDepth = 0;
@@ -19,7 +22,15 @@ class BatchScheduler {
                 `[Stitch.js ${this.version} BatchScheduler] queue() expects a function, got ${typeof effect}`
             );
         }
-        this._pendingEffects.add(effect);
+        // Effects created with { flush: 'pre' | 'post' } run before / after the regular queue
+        const flush = effect.options && effect.options.flush;
+        if (flush === "pre") {
+            this._preEffects.add(effect);
+        } else if (flush === "post") {
+            this._postEffects.add(effect);
+        } else {
+            this._pendingEffects.add(effect);
+        }
         this.scheduleFlush();
     }
 
@@ -38,7 +49,7 @@ class BatchScheduler {
                 `[Stitch.js ${this.version} BatchScheduler] Maximum flush depth exceeded.\n` +
                 "Possible infinite loop detected. Queue cleared."
             );
-            this._pendingEffects.clear();
+            this.clear();
             this.flushDepth = 0;
             this.flushScheduled = false;
             return;
@@ -48,36 +59,47 @@ class BatchScheduler {
         this.flushScheduled = false;
         this.flushDepth++;
 
-        this.debug.enabled && this.debug.group("effects", `Flushing BatchScheduler (${this._pendingEffects.size} effects, depth: ${this.flushDepth})`);
+        this.debug.enabled && this.debug.group("effects", `Flushing BatchScheduler (${this._preEffects.size + this._pendingEffects.size + this._postEffects.size} effects, depth: ${this.flushDepth})`);
 
-        const effectsToRun = Array.from(this._pendingEffects);
-        this._pendingEffects.clear();
-
-        effectsToRun.forEach((effect) => {
-            try {
-                effect();
-            } catch (error) {
-                console.error(`[Stitch.js ${this.version} BatchScheduler] Error in effect:`, error);
-            }
-        });
+        this._runQueue(this._preEffects);
+        this._runQueue(this._pendingEffects);
+        // Post effects wait until the regular effects they may depend on have settled
+        if (this._preEffects.size === 0 && this._pendingEffects.size === 0) {
+            this._runQueue(this._postEffects);
+        }
 
         this.debug.enabled && this.debug.groupEnd("effects");
 
         this.flushing = false;
-        if (this._pendingEffects.size > 0) {
-            this.debug.enabled && this.debug.log("effects", `New effects queued during flush (${this._pendingEffects.size}), scheduling next flush`);
+        if (this.hasQueued()) {
+            this.debug.enabled && this.debug.log("effects", "New effects queued during flush, scheduling next flush");
             this.scheduleFlush();
         } else {
             this.flushDepth = 0;
         }
     }
 
+    _runQueue(queue) {
+        const effectsToRun = Array.from(queue);
+        queue.clear();
+
+        effectsToRun.forEach((effect) => {
+            try {
+                effect();
+            } catch (error) {
+                handleError(error, { effect });
+            }
+        });
+    }
+
     hasQueued() {
-        return this._pendingEffects.size > 0;
+        return this._preEffects.size > 0 || this._pendingEffects.size > 0 || this._postEffects.size > 0;
     }
 
     clear() {
+        this._preEffects.clear();
         this._pendingEffects.clear();
+        this._postEffects.clear();
         this.flushScheduled = false;
     }
 }
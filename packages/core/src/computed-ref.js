@@ -1,17 +1,44 @@
 "use strict";
 
+const { recordEffectScope } = require("./effect-scope");
+const { handleError } = require("./error-handler");
+
+/**
+ * Reads a dot-notation path ("price.cents") so every object along it is tracked.
+ */
+function readPath(context, path) {
+    return String(path).split(".").reduce((current, key) => (current == null ? undefined : current[key]), context);
+}
+
 class ComputedRef {
-    constructor(getter, reactiveSystem, context, explicitDeps = null) {
+    /**
+     * @param {Function} getter
+     * @param {ReactiveSystem} reactiveSystem
+     * @param {Object} context - `this` for the getter
+     * @param {Array<string>} [explicitDeps=null] - Paths read before each evaluation
+     * @param {string} [key=null] - Property name (used in circular dependency errors and devtools)
+     */
+    constructor(getter, reactiveSystem, context, explicitDeps = null, key = null) {
         this.getter = getter;
         this.reactiveSystem = reactiveSystem;
         this.context = context;
         this.explicitDeps = explicitDeps;
+        this.key = key;
         this.value = undefined;
         this.dirty = true;
+        /** True while the getter runs; a nested get() of the same computed is a cycle */
+        this.evaluating = false;
+        /** True when the last evaluation threw: it stays dirty but must still notify dependents */
+        this.failed = false;
         this.dependents = new Set();
         this.deps = new Set();
         this.id = Math.random().toString(36).substr(2, 9);
         this.isComputedRef = true;
+        /** Set by the model's property descriptor when the computed has a set() */
+        this.writable = false;
+        this.active = true;
+        // Computeds converted lazily while an effect runs belong to their model, not the running scope
+        this.scope = reactiveSystem.currentEffect ? null : recordEffectScope(this);
 
         this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED REF CREATED (id: ${this.id})`, {
             hasExplicitDeps: !!explicitDeps,
@@ -20,20 +47,24 @@ class ComputedRef {
     }
 
     markDirty() {
-        if (this.dirty) {
+        if (this.dirty && !this.failed) {
             return;
         }
+        this.failed = false;
 
         this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED MARKED DIRTY (id: ${this.id})`);
         this.dirty = true;
 
-        this.dependents.forEach((dependent) => {
-            if (dependent.isComputedRef) {
-                dependent.markDirty();
-            } else if (dependent.options && dependent.options.batch) {
-                this.reactiveSystem.batchScheduler.queue(dependent);
-            } else {
-                dependent();
+        // Copy: dependents re-subscribe while they run
+        new Set(this.dependents).forEach((dependent) => {
+            try {
+                if (dependent.isComputedRef) {
+                    dependent.markDirty();
+                } else {
+                    this.reactiveSystem.scheduleEffect(dependent);
+                }
+            } catch (error) {
+                handleError(error, { effect: dependent, target: this.context, key: this.key });
             }
         });
     }
@@ -42,16 +73,19 @@ class ComputedRef {
         this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTING VALUE (id: ${this.id})`);
         this.cleanup();
         this.reactiveSystem.effectStack.push(this);
+        this.evaluating = true;
 
         try {
             if (this.explicitDeps && this.context) {
                 for (const depKey of this.explicitDeps) {
-                    void this.context[depKey];
+                    void readPath(this.context, depKey);
                 }
             }
 
+            this.failed = true;
             this.value = this.getter.call(this.context);
             this.dirty = false;
+            this.failed = false;
 
             this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED VALUE (id: ${this.id})`, {
                 value: this.value,
@@ -60,14 +94,46 @@ class ComputedRef {
 
             return this.value;
         } finally {
+            this.evaluating = false;
             this.reactiveSystem.effectStack.pop();
         }
     }
 
+    /**
+     * Throws when this computed is read while its own getter is running.
+     * The chain lists the computeds on the effect stack from the first read on.
+     */
+    _assertNotEvaluating() {
+        if (!this.evaluating) {
+            return;
+        }
+        const label = entry => entry.key || `(computed ${entry.id})`;
+        const stack = this.reactiveSystem.effectStack;
+        const start = stack.lastIndexOf(this);
+        // A stopped computed is not on the stack while it evaluates
+        const chain = start < 0 ? [label(this)] : stack.slice(start).filter(entry => entry.isComputedRef).map(label);
+        chain.push(label(this));
+        throw new Error(`Stitch.js ${this.reactiveSystem.version}: Circular computed dependency: ${chain.join(" → ")}`);
+    }
+
     get() {
+        this._assertNotEvaluating();
+        if (!this.active) {
+            this.evaluating = true;
+            try {
+                return this.getter.call(this.context);
+            } finally {
+                this.evaluating = false;
+            }
+        }
+
         const currentEffect = this.reactiveSystem.currentEffect;
         if (currentEffect) {
             this.dependents.add(currentEffect);
+            // Lets cleanup()/stop() of the dependent unsubscribe it from this computed
+            if (currentEffect.deps) {
+                currentEffect.deps.add(this.dependents);
+            }
             this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log(
                 "computed",
                 `COMPUTED TRACKED (id: ${this.id}) by effect ${currentEffect.id || "unknown"}`
@@ -90,6 +156,24 @@ class ComputedRef {
         });
         this.deps.clear();
     }
+
+    /**
+     * Releases the computed: drops its dependencies and dependents. A stopped
+     * computed still returns fresh values, but no longer caches or notifies.
+     */
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        this.cleanup();
+        this.dependents.clear();
+        this.dirty = true;
+        if (this.scope) {
+            this.scope.effects.delete(this);
+            this.scope = null;
+        }
+    }
 }
 
 module.exports = {
@@ -0,0 +1,19 @@
+"use strict";
+
+/**
+ * Global configuration (exposed as `Stitch.config`).
+ *
+ * Module-level state shared by every ReactiveSystem and DataBinder instance.
+ */
+const config = {
+    /** Called as errorHandler(error, { effect, target, key, element }) instead of console.error */
+    errorHandler: null,
+    /** Replaces the built-in data-html sanitizer: htmlSanitizer(html, element) returns a string or TrustedHTML */
+    htmlSanitizer: null,
+    /** Trusted Types policy (from trustedTypes.createPolicy()) used for data-html; its createHTML() receives sanitized markup */
+    trustedTypesPolicy: null
+};
+
+module.exports = {
+    config
+};
@@ -0,0 +1,164 @@
+"use strict";
+
+/**
+ * Effect scopes group effects, watchers and computeds for disposal.
+ *
+ * Everything created inside `scope.run(fn)` is recorded on the scope and stopped
+ * by `scope.stop()`. Scopes created inside another scope's run() are nested and
+ * stopped with their parent unless created detached. An effect keeps the scope it
+ * was created in: effects created while it re-runs (for example rows rendered by a
+ * foreach effect) join the same scope.
+ *
+ * The active scope is module-level state shared by every ReactiveSystem instance.
+ */
+
+const Version = "v2.1.0";
+
+/** @type {EffectScope|null} */
+let activeScope = null;
+
+class EffectScope {
+    /**
+     * @param {boolean} [detached=false] - If true, the scope is not collected by the active scope
+     */
+    constructor(detached = false) {
+        /** @type {boolean} False once stop() ran */
+        this.active = true;
+        /** @type {Set<Object>} Effects and computeds owned by this scope */
+        this.effects = new Set();
+        /** @type {Function[]} onScopeDispose callbacks */
+        this.cleanups = [];
+        /** @type {Set<EffectScope>} Nested scopes */
+        this.scopes = new Set();
+        /** @type {EffectScope|null} */
+        this.parent = null;
+
+        if (!detached && activeScope) {
+            this.parent = activeScope;
+            activeScope.scopes.add(this);
+        }
+    }
+
+    /**
+     * Runs fn with this scope active and returns its result.
+     *
+     * @param {Function} fn
+     * @returns {*} fn's return value, or undefined if the scope is stopped
+     */
+    run(fn) {
+        if (!this.active) {
+            console.warn(`[Stitch.js ${Version}] effectScope: cannot run an inactive scope.`);
+            return undefined;
+        }
+        const previousScope = activeScope;
+        activeScope = this;
+        try {
+            return fn();
+        } finally {
+            activeScope = previousScope;
+        }
+    }
+
+    /**
+     * Stops every recorded effect/computed, nested scope and onScopeDispose callback.
+     * Safe to call more than once.
+     */
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+
+        Array.from(this.effects).forEach(effect => effect.stop());
+        this.effects.clear();
+        Array.from(this.scopes).forEach(scope => scope.stop());
+        this.scopes.clear();
+        this.cleanups.forEach(fn => {
+            try {
+                fn();
+            } catch (error) {
+                console.error(`[Stitch.js ${Version}] onScopeDispose callback error:`, error);
+            }
+        });
+        this.cleanups.length = 0;
+
+        if (this.parent) {
+            this.parent.scopes.delete(this);
+            this.parent = null;
+        }
+    }
+}
+
+/**
+ * Creates an effect scope.
+ *
+ * @param {boolean} [detached=false] - If true, the scope is not stopped with the active scope
+ * @returns {EffectScope}
+ * @example
+ * const scope = Stitch.effectScope();
+ * scope.run(() => {
+ *     model.$watch('query', search);
+ *     Stitch.onScopeDispose(() => socket.close());
+ * });
+ * scope.stop(); // stops the watcher and closes the socket
+ */
+function effectScope(detached = false) {
+    return new EffectScope(detached);
+}
+
+/**
+ * @returns {EffectScope|null} The scope currently running, if any
+ */
+function getCurrentScope() {
+    return activeScope;
+}
+
+/**
+ * Makes `scope` the active scope and returns the previous one.
+ * Used by effect runners so effects created during a re-run join the owner's scope.
+ *
+ * @param {EffectScope|null} scope
+ * @returns {EffectScope|null}
+ */
+function setCurrentScope(scope) {
+    const previousScope = activeScope;
+    activeScope = scope;
+    return previousScope;
+}
+
+/**
+ * Registers a callback that runs when the active scope stops.
+ *
+ * @param {Function} fn
+ */
+function onScopeDispose(fn) {
+    if (activeScope) {
+        activeScope.cleanups.push(fn);
+    } else {
+        console.warn(`[Stitch.js ${Version}] onScopeDispose() was called outside of an effect scope and will never run.`);
+    }
+}
+
+/**
+ * Records a stoppable effect or computed on a scope (the active scope by default).
+ *
+ * @param {{stop: Function}} effect
+ * @param {EffectScope|null} [scope=activeScope]
+ * @returns {EffectScope|null} The scope the effect was recorded on
+ */
+function recordEffectScope(effect, scope = activeScope) {
+    if (scope && scope.active) {
+        scope.effects.add(effect);
+        return scope;
+    }
+    return null;
+}
+
+module.exports = {
+    EffectScope,
+    effectScope,
+    getCurrentScope,
+    setCurrentScope,
+    onScopeDispose,
+    recordEffectScope
+};
@@ -0,0 +1,61 @@
+"use strict";
+
+/**
+ * Central reporting for errors thrown by effects, computeds, change handlers,
+ * bindings and reactive-system listeners. Callers catch the error where it happens (so the remaining dependents
+ * still run) and hand it to handleError().
+ */
+
+const { config } = require("./config");
+
+const Version = "v2.1.0";
+
+/**
+ * Reports an isolated error. Binding effects carry their binding (see
+ * ReactiveSystem.withBinding()); its element is added to the info and its
+ * onError callback (error boundaries) is notified.
+ *
+ * @param {*} error
+ * @param {Object} [info]
+ * @param {Function} [info.effect] - Effect (or computed) that threw
+ * @param {Object} [info.target] - Reactive object whose change was being propagated
+ * @param {string} [info.key] - Changed property
+ * @param {Element} [info.element] - Bound element
+ * @param {string} [info.source] - What failed when it is not an effect or binding (e.g. "mutation listener")
+ * @param {{type: string, path: string, element: Element, onError?: Function}} [info.binding]
+ */
+function handleError(error, info = {}) {
+    const binding = info.binding || (info.effect && info.effect.binding) || null;
+    const context = {
+        effect: info.effect || null,
+        target: info.target || null,
+        key: info.key === undefined ? null : info.key,
+        element: info.element || (binding && binding.element) || null,
+        source: info.source || null
+    };
+
+    if (binding && typeof binding.onError === "function") {
+        try {
+            binding.onError(error, context);
+        } catch (boundaryError) {
+            console.error(`[Stitch.js ${Version}] Error boundary failed:`, boundaryError);
+        }
+    }
+
+    if (typeof config.errorHandler === "function") {
+        try {
+            config.errorHandler(error, context);
+            return;
+        } catch (handlerError) {
+            console.error(`[Stitch.js ${Version}] errorHandler threw:`, handlerError);
+        }
+    }
+    const where = binding ? ` in data-${binding.type}="${binding.path}"`
+        : context.source ? ` in ${context.source}${context.key !== null ? ` for "${String(context.key)}"` : ""}`
+        : context.key !== null ? ` while updating "${String(context.key)}"` : "";
+    console.error(`[Stitch.js ${Version}] Error${where}:`, error);
+}
+
+module.exports = {
+    handleError
+};
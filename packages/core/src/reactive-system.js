@@ -2,6 +2,26 @@
 
 const { MessageBus, NOOP_DEBUG } = require("./message-bus");
 const { BatchScheduler } = require("./batch-scheduler");
+const { recordEffectScope, setCurrentScope } = require("./effect-scope");
+const { handleError } = require("./error-handler");
+
+/**
+ * Merges a deferred notification into `groups` (owner -> key -> notification),
+ * keeping the first old value and the last new value.
+ */
+function coalesce(groups, owner, key, notification) {
+    let keys = groups.get(owner);
+    if (!keys) {
+        keys = new Map();
+        groups.set(owner, keys);
+    }
+    const pending = keys.get(key);
+    if (pending) {
+        keys.set(key, Object.assign({}, notification, { oldValue: pending.oldValue }));
+    } else {
+        keys.set(key, notification);
+    }
+}
 
 class ReactiveSystem {
     constructor(bubbleChangeUp = null, options = {}) {
@@ -10,6 +30,30 @@ class ReactiveSystem {
         this.effects = new Set();
         this.effectStack = [];
         this.depsMap = new WeakMap();
+        /** @type {WeakMap<Array, Set<Function>>} Reactive array proxy -> synchronous patch listeners */
+        this.arrayPatchListeners = new WeakMap();
+        /** @type {WeakMap<Object, Set<Function>>} Raw reactive target -> mutation listeners */
+        this.mutationListeners = new WeakMap();
+        this.mutationListenerCount = 0;
+        /** Depth of nested batch() calls; synchronous effects and change handlers are deferred while > 0 */
+        this.batchDepth = 0;
+        this._deferredEffects = new Set();
+        /**
+         * One frame per open batch(): undo entries and notifications deferred to the end
+         * of the outermost batch. A null frame marks a rollback in progress.
+         * @type {Array<{undo: Function[], notifications: Object[]}|null>}
+         */
+        this._batchFrames = [];
+        /** @type {Set<Function>} Called with the frame of each batch() that is rolled back (see onRollback()) */
+        this._rollbackListeners = new Set();
+        /**
+         * Notifications of committed outermost batches, delivered by the next flush. Appended to,
+         * not replaced: an effect run by a flush may commit its own batch before the handlers run.
+         * @type {Object[]}
+         */
+        this._committedNotifications = [];
+        /** @type {{type: string, path: string, element: Element}|null} Binding being set up (see withBinding()) */
+        this.activeBinding = null;
 
         const BatchSchedulerCtor = options.BatchScheduler || BatchScheduler;
         const MessageBusCtor = options.MessageBus || MessageBus;
@@ -31,13 +75,17 @@ class ReactiveSystem {
             const newValue = payload.newValue;
             if (parent._changeHandlers && parent._changeHandlers.size > 0) {
                 parent._changeHandlers.forEach((handler) => {
-                    handler({
-                        field: fullPath,
-                        oldValue,
-                        newValue,
-                        target: parent,
-                        nestedChange: true
-                    });
+                    try {
+                        handler({
+                            field: fullPath,
+                            oldValue,
+                            newValue,
+                            target: parent,
+                            nestedChange: true
+                        });
+                    } catch (error) {
+                        handleError(error, { target: parent, key: fullPath });
+                    }
                 });
             }
         });
@@ -46,17 +94,23 @@ class ReactiveSystem {
             const target = payload.target;
             const method = payload.method;
             const args = payload.args;
+            const patches = payload.patches;
             const oldLength = payload.oldLength;
             const newLength = payload.newLength;
 
             if (target._changeHandlers) {
                 target._changeHandlers.forEach((handler) => {
-                    handler({
-                        field: "items",
-                        action: method,
-                        args,
-                        target
-                    });
+                    try {
+                        handler({
+                            field: "items",
+                            action: method,
+                            args,
+                            patches,
+                            target
+                        });
+                    } catch (error) {
+                        handleError(error, { target, key: "items" });
+                    }
                 });
             }
 
@@ -113,34 +167,71 @@ class ReactiveSystem {
 
         if (!dep || dep.size === 0) {
             this.debug.enabled && this.debug.log("reactivity", `TRIGGER SKIPPED (no deps): ${this._getObjectId(target)}.${String(key)}`);
-            return;
-        }
+        } else {
+            this.debug.enabled && this.debug.log("reactivity", `TRIGGER: ${this._getObjectId(target)}.${String(key)} (${dep.size} dependents)`, {
+                oldValue,
+                newValue
+            });
 
-        this.debug.enabled && this.debug.log("reactivity", `TRIGGER: ${this._getObjectId(target)}.${String(key)} (${dep.size} dependents)`, {
-            oldValue,
-            newValue
-        });
+            const effectsToRun = new Set(dep);
+            effectsToRun.forEach((dependent) => {
+                // A throwing dependent must not keep the others from updating
+                try {
+                    if (dependent.isComputedRef) {
+                        dependent.markDirty();
+                    } else {
+                        this.scheduleEffect(dependent);
+                    }
+                } catch (error) {
+                    handleError(error, { effect: dependent, target, key });
+                }
+            });
+        }
 
-        const effectsToRun = new Set(dep);
-        effectsToRun.forEach((dependent) => {
-            if (dependent.isComputedRef) {
-                dependent.markDirty();
-            } else if (dependent.options && dependent.options.batch) {
-                this.batchScheduler.queue(dependent);
+        if (target._changeHandlers && target._changeHandlers.size > 0) {
+            if (this.batchDepth > 0) {
+                this._deferNotification({ type: "change", target, key, oldValue, newValue });
             } else {
-                dependent();
+                this._callChangeHandlers(target, key, oldValue, newValue);
             }
-        });
+        }
+    }
+
+    /**
+     * Publishes an internal change event ("nested-change" / "array-mutation") on the
+     * message bus, or defers it to the end of the current batch().
+     *
+     * @param {string} event
+     * @param {Object} payload
+     */
+    publishChange(event, payload) {
+        if (this.batchDepth > 0) {
+            this._deferNotification({ type: "event", event, payload });
+        } else {
+            this.messageBus.publish(event, payload);
+        }
+    }
 
-        if (target._changeHandlers) {
-            target._changeHandlers.forEach((handler) => {
+    _callChangeHandlers(target, key, oldValue, newValue) {
+        target._changeHandlers.forEach((handler) => {
+            try {
                 handler({
                     field: key,
                     oldValue,
                     newValue,
                     target
                 });
-            });
+            } catch (error) {
+                handleError(error, { target, key });
+            }
+        });
+    }
+
+    _deferNotification(notification) {
+        const frame = this._batchFrames[this._batchFrames.length - 1];
+        // Notifications of changes made while rolling back are dropped with the changes they revert
+        if (frame) {
+            frame.notifications.push(notification);
         }
     }
 
@@ -148,8 +239,13 @@ class ReactiveSystem {
         const effectId = Math.random().toString(36).substr(2, 9);
 
         const effect = () => {
+            if (!effect.active) {
+                return undefined;
+            }
             this.cleanup(effect);
             this.effectStack.push(effect);
+            // Effects created during a re-run belong to the scope this effect was created in
+            const previousScope = setCurrentScope(effect.scope);
 
             this.debug.enabled && this.debug.log("effects", `EFFECT RUNNING (id: ${effectId})`, {
                 stackDepth: this.effectStack.length,
@@ -159,6 +255,7 @@ class ReactiveSystem {
             try {
                 return fn();
             } finally {
+                setCurrentScope(previousScope);
                 this.effectStack.pop();
             }
         };
@@ -166,6 +263,10 @@ class ReactiveSystem {
         effect.deps = new Set();
         effect.options = options;
         effect.id = effectId;
+        effect.active = true;
+        effect.stop = () => this.stop(effect);
+        effect.scope = recordEffectScope(effect);
+        effect.binding = this.activeBinding;
 
         this.debug.enabled && this.debug.log("effects", `EFFECT CREATED (id: ${effectId})`, {
             lazy: !!options.lazy,
@@ -179,12 +280,314 @@ class ReactiveSystem {
         return effect;
     }
 
+    /**
+     * Runs a triggered effect: batched effects are queued on the BatchScheduler,
+     * synchronous effects run now, or at the end of the outermost batch().
+     *
+     * @param {Function} effect
+     */
+    scheduleEffect(effect) {
+        if (effect.options && effect.options.batch) {
+            this.batchScheduler.queue(effect);
+        } else if (this.batchDepth > 0) {
+            this._deferredEffects.add(effect);
+        } else {
+            effect();
+        }
+    }
+
+    /**
+     * Runs fn with `binding` recorded on every effect it creates, so introspection
+     * (devtools.graph()) can tell binding effects and their elements apart.
+     *
+     * @param {{type: string, path: string, element: Element}} binding
+     * @param {Function} fn
+     * @returns {*} fn's return value
+     */
+    withBinding(binding, fn) {
+        const previousBinding = this.activeBinding;
+        this.activeBinding = binding;
+        try {
+            return fn();
+        } finally {
+            this.activeBinding = previousBinding;
+        }
+    }
+
+    /**
+     * Runs fn as a transaction: synchronous effects (including sync $watch callbacks)
+     * and on() change handlers are deferred until the outermost batch ends, then run
+     * once (change handlers once per target/key). Computeds are still invalidated
+     * immediately. If fn throws, every change it made is reverted before the error
+     * is rethrown. Batches nest; an inner batch that throws only reverts its own changes.
+     *
+     * @param {Function} fn
+     * @returns {*} fn's return value
+     */
+    batch(fn) {
+        const frame = { undo: [], notifications: [] };
+        this.batchDepth++;
+        this._batchFrames.push(frame);
+        let failed = false;
+        try {
+            return fn();
+        } catch (error) {
+            failed = true;
+            this._rollback(frame.undo);
+            this._notifyRollback(frame);
+            throw error;
+        } finally {
+            this._batchFrames.pop();
+            const outerFrame = this._batchFrames[this._batchFrames.length - 1];
+            if (!failed) {
+                if (outerFrame) {
+                    outerFrame.undo.push(...frame.undo);
+                    outerFrame.notifications.push(...frame.notifications);
+                } else {
+                    this._committedNotifications.push(...frame.notifications);
+                }
+            }
+            this.batchDepth--;
+            if (this.batchDepth === 0) {
+                this._flushDeferredEffects();
+            }
+        }
+    }
+
+    /**
+     * True while a batch() is recording undo entries (see recordUndo()).
+     *
+     * @returns {boolean}
+     */
+    isRecordingUndo() {
+        return this._batchFrames.length > 0 && this._batchFrames[this._batchFrames.length - 1] !== null;
+    }
+
+    /**
+     * True while a failed batch() is reverting its changes. Mutation listeners still
+     * receive the reverting writes; listeners that keep their own log of changes
+     * (history) ignore them and use onRollback() instead.
+     *
+     * @returns {boolean}
+     */
+    isRollingBack() {
+        return this._batchFrames.length > 0 && this._batchFrames[this._batchFrames.length - 1] === null;
+    }
+
+    /**
+     * Open batch() frames, outermost first. Frames identify a batch in onRollback().
+     *
+     * @returns {Object[]}
+     */
+    openBatchFrames() {
+        return this._batchFrames.filter(Boolean);
+    }
+
+    /**
+     * Subscribes to rollbacks: the listener is called with the frame of a batch()
+     * (see openBatchFrames()) after its changes were reverted.
+     *
+     * @param {Function} listener - Called with (frame)
+     * @returns {Function} Unsubscribe function
+     */
+    onRollback(listener) {
+        this._rollbackListeners.add(listener);
+        return () => this._rollbackListeners.delete(listener);
+    }
+
+    _notifyRollback(frame) {
+        Array.from(this._rollbackListeners).forEach((listener) => {
+            try {
+                listener(frame);
+            } catch (error) {
+                handleError(error, { source: "rollback listener" });
+            }
+        });
+    }
+
+    /**
+     * Records how to revert a mutation made inside the current batch().
+     *
+     * @param {Function} undo
+     */
+    recordUndo(undo) {
+        if (this.isRecordingUndo()) {
+            this._batchFrames[this._batchFrames.length - 1].undo.push(undo);
+        }
+    }
+
+    _rollback(undoLog) {
+        // Reverting must not record undo entries or notifications into an outer batch
+        this._batchFrames.push(null);
+        try {
+            for (let i = undoLog.length - 1; i >= 0; i--) {
+                try {
+                    undoLog[i]();
+                } catch (error) {
+                    handleError(error, { source: "batch rollback" });
+                }
+            }
+        } finally {
+            this._batchFrames.pop();
+        }
+    }
+
+    _flushDeferredEffects() {
+        while (this._deferredEffects.size > 0) {
+            const effectsToRun = Array.from(this._deferredEffects);
+            this._deferredEffects.clear();
+            effectsToRun.forEach((effect) => {
+                try {
+                    effect();
+                } catch (error) {
+                    handleError(error, { effect });
+                }
+            });
+        }
+
+        // Change handlers once per target/key and nested changes once per parent/path
+        // (first old value, last new value); array mutation events in order
+        const notifications = this._committedNotifications;
+        this._committedNotifications = [];
+        const changes = new Map();
+        const nestedChanges = new Map();
+        const events = [];
+        notifications.forEach((notification) => {
+            if (notification.type === "change") {
+                coalesce(changes, notification.target, notification.key, notification);
+            } else if (notification.event === "nested-change") {
+                coalesce(nestedChanges, notification.payload.parent, notification.payload.fullPath, notification.payload);
+            } else {
+                events.push(notification);
+            }
+        });
+        changes.forEach((keys, target) => {
+            keys.forEach((change, key) => {
+                this._callChangeHandlers(target, key, change.oldValue, change.newValue);
+            });
+        });
+        nestedChanges.forEach((paths) => {
+            paths.forEach((payload) => this.messageBus.publish("nested-change", payload));
+        });
+        events.forEach(({ event, payload }) => this.messageBus.publish(event, payload));
+    }
+
+    /**
+     * Subscribes to mutations of a reactive target and everything nested below it.
+     * Listeners receive the mutations of one change, in order, as
+     * `[{ op: 'add' | 'remove' | 'replace', path, value, oldValue }]` where `path` is
+     * the array of keys/indices from the target to the changed value.
+     *
+     * @param {Object} target - Raw reactive object, array or collection
+     * @param {Function} listener - Called with (mutations)
+     * @returns {Function} Unsubscribe function
+     */
+    onMutation(target, listener) {
+        let listeners = this.mutationListeners.get(target);
+        if (!listeners) {
+            listeners = new Set();
+            this.mutationListeners.set(target, listeners);
+        }
+        if (!listeners.has(listener)) {
+            listeners.add(listener);
+            this.mutationListenerCount++;
+        }
+        return () => {
+            if (listeners.delete(listener)) {
+                this.mutationListenerCount--;
+            }
+        };
+    }
+
+    /**
+     * Delivers the mutations of one change to the onMutation() listeners of one target.
+     *
+     * @param {Object} target - Raw reactive target
+     * @param {Array<Object>} mutations - [{ op, path, value, oldValue }]
+     */
+    notifyMutation(target, mutations) {
+        const listeners = this.mutationListeners.get(target);
+        if (!listeners || listeners.size === 0) {
+            return;
+        }
+        Array.from(listeners).forEach((listener) => {
+            try {
+                listener(mutations);
+            } catch (error) {
+                handleError(error, {
+                    target,
+                    key: mutations.length > 0 ? mutations[0].path.join(".") : undefined,
+                    source: "mutation listener"
+                });
+            }
+        });
+    }
+
+    /**
+     * Subscribes to splice patches of a reactive array. Listeners run synchronously
+     * after each mutation (method calls and index/length assignments) with
+     * `[{ index, removed, added }]`; applying the patches in order to the previous
+     * contents yields the new contents.
+     *
+     * @param {Array} array - Reactive array proxy
+     * @param {Function} listener - Called with (patches, array)
+     * @returns {Function} Unsubscribe function
+     */
+    onArrayPatch(array, listener) {
+        let listeners = this.arrayPatchListeners.get(array);
+        if (!listeners) {
+            listeners = new Set();
+            this.arrayPatchListeners.set(array, listeners);
+        }
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * Delivers splice patches to onArrayPatch() listeners.
+     *
+     * @param {Array} array - Reactive array proxy
+     * @param {Array<{index: number, removed: Array, added: Array}>} patches
+     */
+    notifyArrayPatch(array, patches) {
+        const listeners = this.arrayPatchListeners.get(array);
+        if (!listeners || listeners.size === 0) {
+            return;
+        }
+        Array.from(listeners).forEach((listener) => {
+            try {
+                listener(patches, array);
+            } catch (error) {
+                handleError(error, { target: array, key: "items", source: "array patch listener" });
+            }
+        });
+    }
+
     cleanup(effect) {
         effect.deps.forEach((dep) => {
             dep.delete(effect);
         });
         effect.deps.clear();
     }
+
+    /**
+     * Permanently stops an effect: removes its dependencies, skips pending batched
+     * runs and releases it from its effect scope. Safe to call more than once.
+     *
+     * @param {Function} effect - Effect returned by effect()
+     */
+    stop(effect) {
+        if (!effect || effect.active === false) {
+            return;
+        }
+        effect.active = false;
+        this.cleanup(effect);
+        if (effect.scope) {
+            effect.scope.effects.delete(effect);
+            effect.scope = null;
+        }
+        this.debug.enabled && this.debug.log("effects", `EFFECT STOPPED (id: ${effect.id})`);
+    }
 }
 
 module.exports = {
@@ -9,6 +9,10 @@ const typeConverters = require("./src/type-converters");
 const foreachTemplateHelpers = require("./src/foreach-template-helpers");
 const foreachReconcileHelpers = require("./src/foreach-reconcile-helpers");
 const reactiveObjectHelpers = require("./src/reactive-object-helpers");
+const expressionParser = require("./src/expression-parser");
+const htmlSanitizer = require("./src/html-sanitizer");
+const styleHelpers = require("./src/style-helpers");
+const eventModifiers = require("./src/event-modifiers");
 
 const debugState = debugConfig.createDebugState(`v${VERSION}`);
 const debug = {
@@ -52,5 +56,9 @@ module.exports = {
     ...typeConverters,
     ...foreachTemplateHelpers,
     ...foreachReconcileHelpers,
-    ...reactiveObjectHelpers
+    ...reactiveObjectHelpers,
+    ...expressionParser,
+    ...htmlSanitizer,
+    ...styleHelpers,
+    ...eventModifiers
 };
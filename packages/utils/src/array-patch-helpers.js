@@ -0,0 +1,140 @@
+"use strict";
+
+/**
+ * Normalizes array mutations into splice patches.
+ *
+ * A patch `{ index, removed, added }` means: at `index`, `removed` items were taken
+ * out and `added` items were inserted. Applying a mutation's patches in order to the
+ * previous array yields the new array.
+ */
+
+/**
+ * Resolves a relative array index (negative counts from the end) like Array.prototype.splice.
+ *
+ * @param {*} value
+ * @param {number} length
+ * @returns {number}
+ */
+function resolveRelativeIndex(value, length) {
+    const relative = Math.trunc(Number(value)) || 0;
+    return relative < 0 ? Math.max(length + relative, 0) : Math.min(relative, length);
+}
+
+/**
+ * Diffs two arrays into a single patch covering everything between the
+ * common prefix and the common suffix.
+ *
+ * @param {Array} oldItems
+ * @param {Array} newItems
+ * @returns {Array<{index: number, removed: Array, added: Array}>} Zero or one patch
+ */
+function diffArrays(oldItems, newItems) {
+    let start = 0;
+    const maxStart = Math.min(oldItems.length, newItems.length);
+    while (start < maxStart && oldItems[start] === newItems[start]) {
+        start++;
+    }
+    let oldEnd = oldItems.length;
+    let newEnd = newItems.length;
+    while (oldEnd > start && newEnd > start && oldItems[oldEnd - 1] === newItems[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+    if (oldEnd === start && newEnd === start) {
+        return [];
+    }
+    return [{
+        index: start,
+        removed: oldItems.slice(start, oldEnd),
+        added: newItems.slice(start, newEnd)
+    }];
+}
+
+/**
+ * Builds the splice patches for an array method call.
+ *
+ * @param {string} method - push, pop, shift, unshift, splice, sort, reverse or fill
+ * @param {Array} args - Arguments the method was called with
+ * @param {*} result - Return value of the method
+ * @param {number} oldLength - Array length before the call
+ * @param {Array|null} oldItems - Array contents before the call (required for sort, reverse and fill)
+ * @param {Array} newItems - Array contents after the call
+ * @returns {Array<{index: number, removed: Array, added: Array}>}
+ */
+function createArrayPatches(method, args, result, oldLength, oldItems, newItems) {
+    let patch = null;
+
+    switch (method) {
+        case "push":
+            patch = { index: oldLength, removed: [], added: newItems.slice(oldLength) };
+            break;
+        case "pop":
+            patch = oldLength > 0 ? { index: oldLength - 1, removed: [result], added: [] } : null;
+            break;
+        case "shift":
+            patch = oldLength > 0 ? { index: 0, removed: [result], added: [] } : null;
+            break;
+        case "unshift":
+            patch = { index: 0, removed: [], added: newItems.slice(0, args.length) };
+            break;
+        case "splice": {
+            const index = resolveRelativeIndex(args[0], oldLength);
+            const addedCount = Math.max(args.length - 2, 0);
+            patch = { index, removed: result, added: newItems.slice(index, index + addedCount) };
+            break;
+        }
+        default:
+            // sort, reverse, fill: compare contents
+            return diffArrays(oldItems, newItems);
+    }
+
+    if (!patch || (patch.removed.length === 0 && patch.added.length === 0)) {
+        return [];
+    }
+    return [patch];
+}
+
+/**
+ * Builds the patches for a direct index or length assignment.
+ *
+ * @param {string|number} key - Assigned property ("length" or an index)
+ * @param {number} oldLength - Array length before the assignment
+ * @param {*} previous - Old value at the index, or for "length" the items cut off by a shorter length
+ * @param {Array} newItems - Array contents after the assignment
+ * @returns {Array<{index: number, removed: Array, added: Array}>}
+ */
+function createAssignmentPatches(key, oldLength, previous, newItems) {
+    const newLength = newItems.length;
+    if (key === "length") {
+        if (newLength < oldLength) {
+            return [{ index: newLength, removed: previous, added: [] }];
+        }
+        return newLength > oldLength ? [{ index: oldLength, removed: [], added: newItems.slice(oldLength) }] : [];
+    }
+    const index = Number(key);
+    if (index < oldLength) {
+        return [{ index, removed: [previous], added: [newItems[index]] }];
+    }
+    // Assigning past the end also adds the holes before it
+    return [{ index: oldLength, removed: [], added: newItems.slice(oldLength, index + 1) }];
+}
+
+/**
+ * Returns true if an item removed by one patch is added back by another
+ * (the patches describe moves such as sort or reverse).
+ *
+ * @param {Array<{removed: Array, added: Array}>} patches
+ * @returns {boolean}
+ */
+function patchesMoveItems(patches) {
+    const removed = new Set();
+    patches.forEach(patch => patch.removed.forEach(item => removed.add(item)));
+    return patches.some(patch => patch.added.some(item => removed.has(item)));
+}
+
+module.exports = {
+    diffArrays,
+    createArrayPatches,
+    createAssignmentPatches,
+    patchesMoveItems
+};
@@ -78,7 +78,38 @@ function getAttrHandler(value) {
     return ATTR_VALUE_HANDLERS.default;
 }
 
+function splitClassNames(text) {
+    return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Normalizes a data-class value into the classes it turns on or off.
+ * Strings list classes to add ("active is-open"); object keys (which may also list
+ * several classes) are added when their value is truthy and removed otherwise.
+ * Arrays may nest and mix all three; falsy items are skipped and later entries win.
+ *
+ * @param {string|Object|Array|null|undefined} value
+ * @param {Map<string, boolean>} [classes] - Map to fill (used for nested arrays)
+ * @returns {Map<string, boolean>} class name -> whether it should be present
+ * @example
+ * normalizeClassValue(["card", { active: true, "is-error": false }, ["lg"]]);
+ * // Returns: Map { "card" => true, "active" => true, "is-error" => false, "lg" => true }
+ */
+function normalizeClassValue(value, classes = new Map()) {
+    if (Array.isArray(value)) {
+        value.forEach(item => normalizeClassValue(item, classes));
+    } else if (value && typeof value === "object") {
+        Object.keys(value).forEach(key => {
+            splitClassNames(key).forEach(name => classes.set(name, !!value[key]));
+        });
+    } else if (typeof value === "string" || typeof value === "number") {
+        splitClassNames(String(value)).forEach(name => classes.set(name, true));
+    }
+    return classes;
+}
+
 module.exports = {
     ATTR_VALUE_HANDLERS,
-    getAttrHandler
+    getAttrHandler,
+    normalizeClassValue
 };
@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * Event modifiers for data-click / data-event: `keydown.enter.prevent`,
+ * `click.outside`, `scroll.passive.throttle-100`, ...
+ *
+ * Filters (keys, system modifiers, `self`, `outside`) decide whether an event is
+ * handled at all; `prevent` / `stop` then apply synchronously, before a debounced or
+ * throttled handler runs.
+ */
+
+const DEFAULT_RATE_LIMIT = 250;
+
+const SYSTEM_MODIFIERS = ["ctrl", "alt", "shift", "meta"];
+
+/** Modifier names that map to KeyboardEvent.key values with a different spelling */
+const KEY_ALIASES = {
+    enter: ["Enter"],
+    esc: ["Escape", "Esc"],
+    escape: ["Escape", "Esc"],
+    space: [" ", "Spacebar"],
+    tab: ["Tab"],
+    up: ["ArrowUp", "Up"],
+    down: ["ArrowDown", "Down"],
+    left: ["ArrowLeft", "Left"],
+    right: ["ArrowRight", "Right"],
+    delete: ["Delete", "Backspace"]
+};
+
+const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+
+/**
+ * Parses an event key such as "keydown.enter.prevent" or a list of modifiers.
+ *
+ * @param {string} key - Event name followed by dot-separated modifiers
+ * @returns {{eventName: string, modifiers: Object}}
+ * @example
+ * parseEventKey("scroll.passive.throttle-100");
+ * // Returns: { eventName: "scroll", modifiers: { passive: true, throttle: 100, keys: [], system: [], ... } }
+ */
+function parseEventKey(key) {
+    const parts = String(key).split(".");
+    return {
+        eventName: parts[0],
+        modifiers: parseModifiers(parts.slice(1))
+    };
+}
+
+/**
+ * @param {string[]} names - Modifier names (e.g. ["enter", "prevent", "debounce-300"])
+ * @returns {Object} Normalized modifiers
+ */
+function parseModifiers(names) {
+    const modifiers = {
+        prevent: false,
+        stop: false,
+        once: false,
+        capture: false,
+        passive: false,
+        self: false,
+        outside: false,
+        exact: false,
+        debounce: null,
+        throttle: null,
+        system: [],
+        keys: []
+    };
+    names.forEach(name => {
+        const lower = name.toLowerCase();
+        const rateLimit = /^(debounce|throttle)(?:-(\d+)(?:ms)?)?$/.exec(lower);
+        if (rateLimit) {
+            modifiers[rateLimit[1]] = rateLimit[2] === undefined ? DEFAULT_RATE_LIMIT : Number(rateLimit[2]);
+        } else if (lower in modifiers && typeof modifiers[lower] === "boolean") {
+            modifiers[lower] = true;
+        } else if (SYSTEM_MODIFIERS.includes(lower)) {
+            modifiers.system.push(lower);
+        } else if (lower) {
+            modifiers.keys.push(lower);
+        }
+    });
+    return modifiers;
+}
+
+function isMouseEvent(event) {
+    return typeof event.button === "number" && event.key === undefined;
+}
+
+function matchesKey(event, name) {
+    if (isMouseEvent(event)) {
+        return name in MOUSE_BUTTONS && event.button === MOUSE_BUTTONS[name];
+    }
+    if (typeof event.key !== "string") {
+        return false;
+    }
+    const aliases = KEY_ALIASES[name];
+    if (aliases) {
+        return aliases.includes(event.key);
+    }
+    // "page-down" matches "PageDown", "a" matches "a" / "A"
+    return event.key.toLowerCase() === name.replace(/-/g, "");
+}
+
+/**
+ * Whether an event passes the key, system-modifier and `self` filters.
+ * (`outside` is handled by listening on the document.)
+ *
+ * @param {Event} event
+ * @param {Element} element - Bound element
+ * @param {Object} modifiers - From parseModifiers()
+ * @returns {boolean}
+ */
+function matchesModifiers(event, element, modifiers) {
+    if (modifiers.self && event.target !== element) {
+        return false;
+    }
+    if (modifiers.system.some(name => !event[`${name}Key`])) {
+        return false;
+    }
+    if (modifiers.exact && SYSTEM_MODIFIERS.some(name => event[`${name}Key`] && !modifiers.system.includes(name))) {
+        return false;
+    }
+    if (modifiers.keys.length > 0 && !modifiers.keys.some(name => matchesKey(event, name))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Adds a listener for `eventName` on element that applies the modifiers.
+ *
+ * @param {Element} element - Bound element
+ * @param {string} eventName
+ * @param {Object} modifiers - From parseModifiers() / parseEventKey()
+ * @param {Function} callback - Called with the event
+ * @returns {Function} Removes the listener and cancels a pending debounced call
+ */
+function addModifiedListener(element, eventName, modifiers, callback) {
+    const target = modifiers.outside ? element.ownerDocument : element;
+    const options = { capture: modifiers.capture, passive: modifiers.passive };
+    let timer = null;
+    let lastRun = -Infinity;
+    let removed = false;
+
+    const remove = () => {
+        removed = true;
+        clearTimeout(timer);
+        timer = null;
+        target.removeEventListener(eventName, listener, options);
+    };
+
+    function listener(event) {
+        if (modifiers.outside && (!element.isConnected || element.contains(event.target))) {
+            return;
+        }
+        if (!matchesModifiers(event, element, modifiers)) {
+            return;
+        }
+        if (modifiers.prevent) {
+            event.preventDefault();
+        }
+        if (modifiers.stop) {
+            event.stopPropagation();
+        }
+        if (modifiers.once) {
+            target.removeEventListener(eventName, listener, options);
+        }
+        if (modifiers.debounce !== null) {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timer = null;
+                if (!removed) {
+                    callback(event);
+                }
+            }, modifiers.debounce);
+            return;
+        }
+        if (modifiers.throttle !== null) {
+            const now = Date.now();
+            if (now - lastRun < modifiers.throttle) {
+                return;
+            }
+            lastRun = now;
+        }
+        callback(event);
+    }
+
+    target.addEventListener(eventName, listener, options);
+    return remove;
+}
+
+module.exports = {
+    parseEventKey,
+    parseModifiers,
+    matchesModifiers,
+    addModifiedListener
+};
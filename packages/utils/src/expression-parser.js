@@ -0,0 +1,573 @@
+"use strict";
+
+/**
+ * Binding expression parser and evaluator.
+ *
+ * Parses binding attribute values such as `!isActive`, `count > 0`,
+ * `{ active: isSelected }` or `format(price, 'USD')` into a small AST and
+ * compiles it into closures. No eval/new Function is used, so bindings work
+ * under a strict Content-Security-Policy.
+ *
+ * Identifiers resolve against the binding scope (the view model or foreach item
+ * context), so every reactive read happens through the normal property getters
+ * and is tracked by ReactiveSystem.track like any plain property-path binding.
+ */
+
+/**
+ * Matches plain dot-notation property paths (e.g. `user.name`, `$parent.items`, `rows.0`).
+ * These keep using getProperty() so existing path semantics and diagnostics are unchanged.
+ */
+const PROPERTY_PATH_PATTERN = /^\s*[A-Za-z_$][\w$]*(\.[\w$]+)*\s*$/;
+
+/**
+ * Globals readable from expressions when a name is not found in the scope.
+ * `Object` is a frozen subset: getPrototypeOf / getOwnPropertyDescriptor would
+ * reach the Function constructor without naming a blocked member.
+ */
+const EXPRESSION_GLOBALS = Object.freeze({
+    Math: Math,
+    Number: Number,
+    String: String,
+    Boolean: Boolean,
+    Array: Array,
+    Object: Object.freeze({ keys: Object.keys, values: Object.values, entries: Object.entries }),
+    JSON: JSON,
+    Date: Date,
+    parseInt: parseInt,
+    parseFloat: parseFloat,
+    isNaN: isNaN,
+    isFinite: isFinite,
+    Infinity: Infinity,
+    NaN: NaN
+});
+
+/**
+ * Member names that could reach the Function constructor or mutate prototypes.
+ */
+const BLOCKED_MEMBERS = new Set(["constructor", "__proto__", "prototype", "__defineGetter__", "__defineSetter__", "__lookupGetter__", "__lookupSetter__"]);
+
+/**
+ * Values expressions may not call or produce, however they were reached: the
+ * Function constructors compile code and Function.prototype leads back to them.
+ */
+const BLOCKED_VALUES = new Set([
+    Function,
+    Function.prototype,
+    Object.getPrototypeOf(function* () {}).constructor
+]);
+
+function guardValue(value) {
+    if (BLOCKED_VALUES.has(value)) {
+        throw new Error("Access to the Function constructor is not allowed in binding expressions");
+    }
+    return value;
+}
+
+const KEYWORD_LITERALS = {
+    true: true,
+    false: false,
+    null: null,
+    undefined: undefined
+};
+
+const PUNCTUATORS = ["===", "!==", "?.", "??", "==", "!=", "<=", ">=", "&&", "||", "!", "<", ">", "+", "-", "*", "/", "%", "?", ":", ".", ",", "(", ")", "[", "]", "{", "}"];
+
+const BINARY_PRECEDENCE = {
+    "??": 1,
+    "||": 2,
+    "&&": 3,
+    "==": 4, "!=": 4, "===": 4, "!==": 4,
+    "<": 5, ">": 5, "<=": 5, ">=": 5,
+    "+": 6, "-": 6,
+    "*": 7, "/": 7, "%": 7
+};
+
+function createSyntaxError(source, position, message) {
+    return new SyntaxError(`Invalid binding expression "${source}" at position ${position}: ${message}`);
+}
+
+/**
+ * Splits expression source into tokens.
+ *
+ * @param {string} source
+ * @returns {Array<{type: string, value: *, pos: number}>}
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1] || ""))) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+            tokens.push({ type: "number", value: Number(match[0]), pos: i });
+            i += match[0].length;
+            continue;
+        }
+        if (ch === "'" || ch === "\"") {
+            let value = "";
+            let j = i + 1;
+            while (j < source.length && source[j] !== ch) {
+                if (source[j] === "\\" && j + 1 < source.length) {
+                    const escaped = source[j + 1];
+                    value += escaped === "n" ? "\n" : escaped === "t" ? "\t" : escaped;
+                    j += 2;
+                } else {
+                    value += source[j];
+                    j++;
+                }
+            }
+            if (j >= source.length) {
+                throw createSyntaxError(source, i, "unterminated string");
+            }
+            tokens.push({ type: "string", value: value, pos: i });
+            i = j + 1;
+            continue;
+        }
+        if (/[A-Za-z_$]/.test(ch)) {
+            const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+            tokens.push({ type: "identifier", value: match[0], pos: i });
+            i += match[0].length;
+            continue;
+        }
+        const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (!punctuator) {
+            throw createSyntaxError(source, i, `unexpected character "${ch}"`);
+        }
+        // `a?.5:1` is a ternary with a decimal, not optional chaining
+        if (punctuator === "?." && /[0-9]/.test(source[i + 2] || "")) {
+            tokens.push({ type: "punctuator", value: "?", pos: i });
+            i += 1;
+            continue;
+        }
+        tokens.push({ type: "punctuator", value: punctuator, pos: i });
+        i += punctuator.length;
+    }
+    tokens.push({ type: "eof", value: null, pos: source.length });
+    return tokens;
+}
+
+/**
+ * Parses expression source into an AST.
+ *
+ * @param {string} source - Binding expression
+ * @returns {Object} AST root node
+ * @throws {SyntaxError} If the expression is malformed
+ */
+function parseExpression(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isPunctuator = (value) => peek().type === "punctuator" && peek().value === value;
+    const expect = (value) => {
+        const token = next();
+        if (token.type !== "punctuator" || token.value !== value) {
+            throw createSyntaxError(source, token.pos, `expected "${value}"`);
+        }
+        return token;
+    };
+
+    function parseTernary() {
+        const test = parseBinary(0);
+        if (isPunctuator("?")) {
+            next();
+            const consequent = parseTernary();
+            expect(":");
+            const alternate = parseTernary();
+            return { type: "Conditional", test, consequent, alternate };
+        }
+        return test;
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const precedence = token.type === "punctuator" ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence <= minPrecedence) {
+                return left;
+            }
+            next();
+            const right = parseBinary(precedence);
+            const isLogical = token.value === "&&" || token.value === "||" || token.value === "??";
+            left = { type: isLogical ? "Logical" : "Binary", operator: token.value, left, right };
+        }
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token.type === "punctuator" && (token.value === "!" || token.value === "-" || token.value === "+")) {
+            next();
+            return { type: "Unary", operator: token.value, argument: parseUnary() };
+        }
+        if (token.type === "identifier" && token.value === "typeof") {
+            next();
+            return { type: "Unary", operator: "typeof", argument: parseUnary() };
+        }
+        return parsePostfix(parsePrimary());
+    }
+
+    function parsePostfix(node) {
+        for (;;) {
+            if (isPunctuator(".") || isPunctuator("?.")) {
+                const optional = next().value === "?.";
+                if (optional && isPunctuator("(")) {
+                    next();
+                    node = { type: "Call", callee: node, args: parseArguments(")"), optional: true };
+                    continue;
+                }
+                if (optional && isPunctuator("[")) {
+                    next();
+                    const property = parseTernary();
+                    expect("]");
+                    node = { type: "Member", object: node, property, computed: true, optional: true };
+                    continue;
+                }
+                const name = next();
+                if (name.type !== "identifier") {
+                    throw createSyntaxError(source, name.pos, "expected property name");
+                }
+                if (BLOCKED_MEMBERS.has(name.value)) {
+                    throw createSyntaxError(source, name.pos, `access to "${name.value}" is not allowed`);
+                }
+                node = { type: "Member", object: node, property: { type: "Literal", value: name.value }, computed: false, optional };
+            } else if (isPunctuator("[")) {
+                next();
+                const property = parseTernary();
+                expect("]");
+                node = { type: "Member", object: node, property, computed: true, optional: false };
+            } else if (isPunctuator("(")) {
+                next();
+                node = { type: "Call", callee: node, args: parseArguments(")"), optional: false };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    function parseArguments(closing) {
+        const args = [];
+        while (!isPunctuator(closing)) {
+            args.push(parseTernary());
+            if (!isPunctuator(closing)) {
+                expect(",");
+            }
+        }
+        expect(closing);
+        return args;
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (token.type === "number" || token.type === "string") {
+            return { type: "Literal", value: token.value };
+        }
+        if (token.type === "identifier") {
+            if (Object.prototype.hasOwnProperty.call(KEYWORD_LITERALS, token.value)) {
+                return { type: "Literal", value: KEYWORD_LITERALS[token.value] };
+            }
+            if (token.value === "this") {
+                return { type: "This" };
+            }
+            return { type: "Identifier", name: token.value };
+        }
+        if (token.type === "punctuator") {
+            if (token.value === "(") {
+                const expression = parseTernary();
+                expect(")");
+                return expression;
+            }
+            if (token.value === "[") {
+                return { type: "Array", elements: parseArguments("]") };
+            }
+            if (token.value === "{") {
+                return parseObject();
+            }
+        }
+        throw createSyntaxError(source, token.pos, token.type === "eof" ? "unexpected end of expression" : `unexpected token "${token.value}"`);
+    }
+
+    function parseObject() {
+        const properties = [];
+        while (!isPunctuator("}")) {
+            const keyToken = next();
+            let key;
+            if (keyToken.type === "identifier" || keyToken.type === "string" || keyToken.type === "number") {
+                key = String(keyToken.value);
+            } else if (keyToken.type === "punctuator" && keyToken.value === "[") {
+                key = parseTernary();
+                expect("]");
+            } else {
+                throw createSyntaxError(source, keyToken.pos, "expected object key");
+            }
+            let value;
+            if (isPunctuator(":")) {
+                next();
+                value = parseTernary();
+            } else if (keyToken.type === "identifier") {
+                value = { type: "Identifier", name: key };
+            } else {
+                throw createSyntaxError(source, peek().pos, "expected \":\"");
+            }
+            properties.push({ key, value });
+            if (!isPunctuator("}")) {
+                expect(",");
+            }
+        }
+        expect("}");
+        return { type: "Object", properties };
+    }
+
+    const ast = parseTernary();
+    if (peek().type !== "eof") {
+        throw createSyntaxError(source, peek().pos, `unexpected token "${peek().value}"`);
+    }
+    return ast;
+}
+
+/**
+ * Resolves an identifier: locals, then the scope (tracked read), then allowed globals.
+ */
+function resolveIdentifier(name, scope, locals) {
+    if (locals && Object.prototype.hasOwnProperty.call(locals, name)) {
+        return guardValue(locals[name]);
+    }
+    if (scope != null && typeof scope === "object" && name in scope) {
+        return guardValue(scope[name]);
+    }
+    if (Object.prototype.hasOwnProperty.call(EXPRESSION_GLOBALS, name)) {
+        return EXPRESSION_GLOBALS[name];
+    }
+    return undefined;
+}
+
+/**
+ * Receiver for bare function calls. Foreach item contexts unwrap to $data so methods
+ * mutate the item itself (mirrors data-click behavior).
+ */
+function resolveCallReceiver(scope) {
+    if (scope && typeof scope === "object" && scope.$data && typeof scope.$data === "object") {
+        return scope.$data;
+    }
+    return scope;
+}
+
+function readMember(object, key) {
+    if (object == null) {
+        return undefined;
+    }
+    if (BLOCKED_MEMBERS.has(String(key))) {
+        throw new Error(`Access to "${String(key)}" is not allowed in binding expressions`);
+    }
+    return guardValue(object[key]);
+}
+
+const BINARY_OPERATORS = {
+    "==": (a, b) => a == b,
+    "!=": (a, b) => a != b,
+    "===": (a, b) => a === b,
+    "!==": (a, b) => a !== b,
+    "<": (a, b) => a < b,
+    ">": (a, b) => a > b,
+    "<=": (a, b) => a <= b,
+    ">=": (a, b) => a >= b,
+    "+": (a, b) => a + b,
+    "-": (a, b) => a - b,
+    "*": (a, b) => a * b,
+    "/": (a, b) => a / b,
+    "%": (a, b) => a % b
+};
+
+/**
+ * Compiles an AST node into a closure `(scope, locals) => value`.
+ *
+ * @param {Object} node
+ * @returns {Function}
+ */
+function compileNode(node) {
+    switch (node.type) {
+        case "Literal": {
+            const value = node.value;
+            return () => value;
+        }
+        case "This":
+            return (scope) => scope;
+        case "Identifier": {
+            const name = node.name;
+            return (scope, locals) => resolveIdentifier(name, scope, locals);
+        }
+        case "Member": {
+            const object = compileNode(node.object);
+            const property = compileNode(node.property);
+            return (scope, locals) => readMember(object(scope, locals), property(scope, locals));
+        }
+        case "Call": {
+            const args = node.args.map(compileNode);
+            let resolveCallee;
+            if (node.callee.type === "Member") {
+                const object = compileNode(node.callee.object);
+                const property = compileNode(node.callee.property);
+                resolveCallee = (scope, locals) => {
+                    const receiver = object(scope, locals);
+                    return { receiver, fn: readMember(receiver, property(scope, locals)) };
+                };
+            } else {
+                const callee = compileNode(node.callee);
+                resolveCallee = (scope, locals) => ({ receiver: resolveCallReceiver(scope), fn: callee(scope, locals) });
+            }
+            return (scope, locals) => {
+                const resolved = resolveCallee(scope, locals);
+                if (typeof resolved.fn !== "function") {
+                    if (resolved.fn == null && (node.optional || (node.callee.type === "Member" && resolved.receiver == null))) {
+                        return undefined;
+                    }
+                    throw new TypeError("Binding expression calls a value that is not a function");
+                }
+                guardValue(resolved.fn);
+                return guardValue(resolved.fn.apply(resolved.receiver, args.map(arg => arg(scope, locals))));
+            };
+        }
+        case "Unary": {
+            const argument = compileNode(node.argument);
+            switch (node.operator) {
+                case "!": return (scope, locals) => !argument(scope, locals);
+                case "-": return (scope, locals) => -argument(scope, locals);
+                case "+": return (scope, locals) => +argument(scope, locals);
+                default: return (scope, locals) => typeof argument(scope, locals);
+            }
+        }
+        case "Binary": {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            const operate = BINARY_OPERATORS[node.operator];
+            return (scope, locals) => operate(left(scope, locals), right(scope, locals));
+        }
+        case "Logical": {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            if (node.operator === "&&") {
+                return (scope, locals) => left(scope, locals) && right(scope, locals);
+            }
+            if (node.operator === "||") {
+                return (scope, locals) => left(scope, locals) || right(scope, locals);
+            }
+            return (scope, locals) => {
+                const value = left(scope, locals);
+                return value != null ? value : right(scope, locals);
+            };
+        }
+        case "Conditional": {
+            const test = compileNode(node.test);
+            const consequent = compileNode(node.consequent);
+            const alternate = compileNode(node.alternate);
+            return (scope, locals) => (test(scope, locals) ? consequent(scope, locals) : alternate(scope, locals));
+        }
+        case "Array": {
+            const elements = node.elements.map(compileNode);
+            return (scope, locals) => elements.map(element => element(scope, locals));
+        }
+        case "Object": {
+            const properties = node.properties.map(prop => ({
+                key: typeof prop.key === "string" ? prop.key : compileNode(prop.key),
+                value: compileNode(prop.value)
+            }));
+            return (scope, locals) => {
+                const result = {};
+                properties.forEach(prop => {
+                    const key = typeof prop.key === "string" ? prop.key : String(prop.key(scope, locals));
+                    if (BLOCKED_MEMBERS.has(key)) {
+                        throw new Error(`Object key "${key}" is not allowed in binding expressions`);
+                    }
+                    result[key] = prop.value(scope, locals);
+                });
+                return result;
+            };
+        }
+        default:
+            throw new Error(`Unsupported binding expression node: ${node.type}`);
+    }
+}
+
+/** @type {Map<string, Function>} Expression source -> compiled evaluator */
+const compiledExpressionCache = new Map();
+
+/**
+ * Compiles (and caches) an expression into an evaluator function.
+ *
+ * @param {string} source - Binding expression
+ * @returns {Function} `(scope, locals) => value`
+ * @throws {SyntaxError} If the expression is malformed
+ */
+function compileExpression(source) {
+    let compiled = compiledExpressionCache.get(source);
+    if (!compiled) {
+        compiled = compileNode(parseExpression(source));
+        compiledExpressionCache.set(source, compiled);
+    }
+    return compiled;
+}
+
+/**
+ * Checks whether a binding value is a plain dot-notation property path.
+ *
+ * @param {string} source
+ * @returns {boolean}
+ */
+function isPropertyPath(source) {
+    return typeof source === "string" && PROPERTY_PATH_PATTERN.test(source) && !Object.prototype.hasOwnProperty.call(KEYWORD_LITERALS, source.trim());
+}
+
+/**
+ * Evaluates a binding expression against a scope.
+ *
+ * @param {Object} scope - View model or foreach item context
+ * @param {string} source - Binding expression
+ * @param {Object} [locals] - Extra read-only names (e.g. `$event`)
+ * @returns {*}
+ * @throws {SyntaxError} If the expression is malformed
+ */
+function evaluateExpression(scope, source, locals = null) {
+    return compileExpression(source)(scope, locals);
+}
+
+/**
+ * Creates the binding reader used by binding handlers: property paths go through
+ * getProperty(), everything else is evaluated as an expression. Syntax errors are
+ * reported and produce undefined, matching getProperty()'s lenient behavior.
+ *
+ * @param {Object} deps
+ * @param {string} deps.version
+ * @param {Function} deps.getProperty
+ * @returns {Function} `(scope, source, locals) => value`
+ */
+function createBindingEvaluator(deps) {
+    const { version, getProperty } = deps;
+    return function evaluateBinding(scope, source, locals = null) {
+        if (!locals && isPropertyPath(source)) {
+            return getProperty(scope, source.trim());
+        }
+        try {
+            return evaluateExpression(scope, source, locals);
+        } catch (error) {
+            if (error instanceof SyntaxError) {
+                console.error(`[Stitch.js ${version}] ${error.message}`);
+                return undefined;
+            }
+            throw error;
+        }
+    };
+}
+
+module.exports = {
+    EXPRESSION_GLOBALS,
+    parseExpression,
+    compileExpression,
+    evaluateExpression,
+    createBindingEvaluator,
+    isPropertyPath
+};
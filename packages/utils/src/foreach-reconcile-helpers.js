@@ -1,6 +1,7 @@
 "use strict";
 
 const { createTemplateElement: defaultCreateTemplateElement } = require("./foreach-template-helpers");
+const { patchesMoveItems } = require("./array-patch-helpers");
 
 /**
  * Creates item context object with $data, $index, $parent for foreach templates.
@@ -31,35 +32,102 @@ function createItemContext(item, index, viewModel) {
 /**
  * Generates a stable key for array reconciliation.
  *
+ * Priority: key function (data-key / delegate getKey), then `item.id`, then `item.key`.
+ * Objects without an identity fall back to the index. Primitives are keyed by value;
+ * reconcileRows numbers repeated values by occurrence so duplicates stay distinct.
+ *
  * @param {*} item
  * @param {number} index
+ * @param {Function} [getKey] - Custom key function (item, index) => key
  * @returns {string}
  */
-function getItemKey(item, index) {
+function getItemKey(item, index, getKey) {
+    if (getKey) {
+        const key = getKey(item, index);
+        if (key !== undefined && key !== null) return `item-${key}`;
+    }
     if (typeof item === "object" && item !== null) {
         if (item.id !== undefined) return `item-${item.id}`;
         if (item.key !== undefined) return `item-${item.key}`;
+        return `item-${index}`;
+    }
+    return `value-${typeof item}:${String(item)}`;
+}
+
+/**
+ * Computes the longest strictly increasing subsequence of a sequence of numbers.
+ * Entries of -1 (rows without a previous position) are skipped.
+ *
+ * @param {number[]} sequence
+ * @returns {number[]} Indices into `sequence` forming the subsequence, ascending
+ */
+function longestIncreasingSubsequence(sequence) {
+    const predecessors = new Array(sequence.length);
+    const tails = [];
+
+    for (let i = 0; i < sequence.length; i++) {
+        const value = sequence[i];
+        if (value < 0) continue;
+
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sequence[tails[mid]] < value) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        predecessors[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    }
+
+    const result = new Array(tails.length);
+    let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+    for (let k = tails.length - 1; k >= 0; k--) {
+        result[k] = index;
+        index = predecessors[index];
     }
-    return `item-${index}`;
+    return result;
 }
 
 /**
  * Reconciles container rows by keyed reuse and creation.
  *
+ * Reused rows that form the longest increasing subsequence of their previous
+ * positions stay in place; only the remaining rows are moved, so reversing or
+ * rotating a list touches the minimal number of nodes (preserving focus and
+ * CSS transitions on the stable rows).
+ *
+ * Duplicate keys are disambiguated by occurrence, so every item still gets its
+ * own row. Duplicate identity keys are reported with a warning; repeated
+ * primitive values are expected and stay silent.
+ *
  * @param {HTMLElement} container
  * @param {Array} newItems
  * @param {string} templateSource
  * @param {string} containerTag
  * @param {Object} [deps]
  * @param {Function} [deps.createTemplateElement]
+ * @param {Function} [deps.getKey] - Custom key function (item, index) => key
+ * @param {number} [deps.indexOffset=0] - Index of newItems[0] in the full list (virtualized windows)
+ * @param {Function} [deps.canReuseRow] - (row, item) => false to replace a keyed row with a fresh one
+ * @param {Function} [deps.onRemoveRow] - Called with each row removed from the container
+ * @param {string} [deps.version]
  * @returns {HTMLElement[]}
  */
 function reconcileRows(container, newItems, templateSource, containerTag, deps = {}) {
     const createTemplate = deps.createTemplateElement || defaultCreateTemplateElement;
+    const version = deps.version || "2.1.0";
+    const indexOffset = deps.indexOffset || 0;
 
     const existingRows = Array.from(container.children);
     const newRowElements = [];
     const existingRowsByKey = new Map();
+    const previousPositions = new Map();
+    const keyCounts = new Map();
+    const duplicateKeys = [];
 
     existingRows.forEach((row, index) => {
         const key = row.dataset.stitchKey || `item-${index}`;
@@ -67,9 +135,16 @@ function reconcileRows(container, newItems, templateSource, containerTag, deps =
     });
 
     newItems.forEach((item, index) => {
-        const key = getItemKey(item, index);
-        if (existingRowsByKey.has(key)) {
-            const existingRow = existingRowsByKey.get(key);
+        let key = getItemKey(item, indexOffset + index, deps.getKey);
+        const count = keyCounts.get(key) || 0;
+        keyCounts.set(key, count + 1);
+        if (count > 0) {
+            if (count === 1 && key.startsWith("item-")) duplicateKeys.push(key);
+            key = `${key}~${count}`;
+        }
+
+        const existingRow = existingRowsByKey.get(key);
+        if (existingRow && (!deps.canReuseRow || deps.canReuseRow(existingRow, item))) {
             newRowElements.push(existingRow);
             existingRowsByKey.delete(key);
         } else {
@@ -79,21 +154,116 @@ function reconcileRows(container, newItems, templateSource, containerTag, deps =
         }
     });
 
+    if (duplicateKeys.length > 0) {
+        console.warn(`[Stitch.js ${version}] foreach: duplicate item keys in <${containerTag}>: ${duplicateKeys.map(key => `"${key.slice(5)}"`).join(", ")}. Rows with duplicate keys cannot be tracked reliably; make each item's id/key unique.`);
+    }
+
     existingRowsByKey.forEach(row => {
         row.remove();
+        if (deps.onRemoveRow) {
+            deps.onRemoveRow(row);
+        }
     });
 
-    newRowElements.forEach((row, index) => {
-        if (container.children[index] !== row) {
-            container.insertBefore(row, container.children[index] || null);
-        }
+    Array.from(container.children).forEach((row, index) => {
+        previousPositions.set(row, index);
     });
 
+    const sequence = newRowElements.map(row => previousPositions.has(row) ? previousPositions.get(row) : -1);
+    const stableIndices = longestIncreasingSubsequence(sequence);
+    let stablePointer = stableIndices.length - 1;
+    let nextSibling = null;
+
+    // Walk backwards so each moved/created row can be inserted before its already-placed successor
+    for (let index = newRowElements.length - 1; index >= 0; index--) {
+        const row = newRowElements[index];
+        if (stablePointer >= 0 && stableIndices[stablePointer] === index) {
+            stablePointer--;
+        } else {
+            container.insertBefore(row, nextSibling);
+        }
+        nextSibling = row;
+    }
+
     return newRowElements;
 }
 
+/**
+ * Applies array splice patches to keyed rows in place: rows of removed items are
+ * removed and rows for added items are created at their index. Rows outside the
+ * patched ranges are not touched, so appending to a long list only creates the new rows.
+ *
+ * Returns -1 without touching the DOM when the patches cannot be applied safely and
+ * the caller should fall back to reconcileRows(): the rows do not match the array the
+ * patches start from, items move (sort, reverse, remove-and-reinsert), or an added
+ * item's key is already in use.
+ *
+ * @param {HTMLElement} container
+ * @param {Array<{index: number, removed: Array, added: Array}>} patches
+ * @param {number} newLength - Array length after the patches
+ * @param {string} templateSource
+ * @param {string} containerTag
+ * @param {Object} [deps]
+ * @param {Function} [deps.createTemplateElement]
+ * @param {Function} [deps.getKey] - Custom key function (item, index) => key
+ * @param {Function} [deps.onRemoveRow] - Called with each row removed from the container
+ * @returns {number} Index of the first row that was added, removed or shifted, or -1
+ */
+function applyRowPatches(container, patches, newLength, templateSource, containerTag, deps = {}) {
+    const createTemplate = deps.createTemplateElement || defaultCreateTemplateElement;
+
+    let expectedRows = newLength;
+    patches.forEach(patch => {
+        expectedRows += patch.removed.length - patch.added.length;
+    });
+    if (patches.length === 0 || container.children.length !== expectedRows || patchesMoveItems(patches)) {
+        return -1;
+    }
+
+    // Keys for added rows are computed up front so a collision aborts before any DOM change
+    const addedKeys = [];
+    const seenKeys = new Set();
+    for (const patch of patches) {
+        const keys = patch.added.map((item, offset) => getItemKey(item, patch.index + offset, deps.getKey));
+        for (const key of keys) {
+            if (seenKeys.has(key) || container.querySelector(`:scope > [data-stitch-key="${cssEscape(key)}"]`)) {
+                return -1;
+            }
+            seenKeys.add(key);
+        }
+        addedKeys.push(keys);
+    }
+
+    let firstChanged = newLength;
+    patches.forEach((patch, patchIndex) => {
+        const rows = container.children;
+        for (let i = 0; i < patch.removed.length; i++) {
+            const row = rows[patch.index];
+            row.remove();
+            if (deps.onRemoveRow) {
+                deps.onRemoveRow(row);
+            }
+        }
+        const reference = rows[patch.index] || null;
+        addedKeys[patchIndex].forEach(key => {
+            const templateEl = createTemplate(templateSource, containerTag);
+            templateEl.dataset.stitchKey = key;
+            container.insertBefore(templateEl, reference);
+        });
+        firstChanged = Math.min(firstChanged, patch.index);
+    });
+    return firstChanged;
+}
+
+// Escapes a key for use inside a quoted attribute selector
+function cssEscape(value) {
+    return typeof CSS !== "undefined" && CSS.escape ? CSS.escape(value) : String(value).replace(/["\\]/g, "\\$&");
+}
+
 module.exports = {
     createItemContext,
     getItemKey,
-    reconcileRows
+    longestIncreasingSubsequence,
+    reconcileRows,
+    applyRowPatches
 };
@@ -0,0 +1,155 @@
+"use strict";
+
+/**
+ * Built-in allowlist sanitizer used by the data-html binding.
+ *
+ * The markup is parsed into an inert <template> (scripts do not run and images do
+ * not load there), then every node that is not on the allowlist is removed:
+ * - elements in DROPPED_TAGS are removed with their content
+ * - other unknown elements are unwrapped (their allowed content is kept)
+ * - comments are removed
+ * - attributes must be allowed globally or for their tag; event handlers (on*),
+ *   `style`, `id` and `name` never are
+ * - URL attributes must be relative or use http(s), mailto or tel
+ * - with `isBindingAttribute` (data-html-bind), Stitch binding attributes are removed
+ *   unless they are in CONTENT_BINDINGS
+ */
+
+const ALLOWED_TAGS = new Set([
+    "a", "abbr", "article", "aside", "b", "bdi", "bdo", "blockquote", "br", "caption", "cite",
+    "code", "col", "colgroup", "dd", "del", "details", "dfn", "div", "dl", "dt", "em", "figcaption",
+    "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "i", "img", "ins",
+    "kbd", "li", "mark", "nav", "ol", "p", "pre", "q", "s", "samp", "section", "small", "span",
+    "strong", "sub", "summary", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "time",
+    "tr", "u", "ul", "var", "wbr"
+]);
+
+/** Elements removed together with their content */
+const DROPPED_TAGS = new Set([
+    "script", "style", "template", "iframe", "frame", "frameset", "object", "embed", "applet",
+    "noscript", "noembed", "svg", "math", "link", "meta", "base", "title", "form", "input",
+    "button", "select", "option", "textarea"
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(["class", "title", "lang", "dir", "role"]);
+
+const TAG_ATTRIBUTES = {
+    a: ["href", "target", "rel"],
+    img: ["src", "alt", "width", "height"],
+    blockquote: ["cite"],
+    q: ["cite"],
+    del: ["cite", "datetime"],
+    ins: ["cite", "datetime"],
+    time: ["datetime"],
+    ol: ["start", "reversed"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan", "scope"],
+    col: ["span"],
+    colgroup: ["span"],
+    details: ["open"]
+};
+
+/**
+ * Bindings kept in markup that data-html-bind binds. The others can set attributes,
+ * styles or markup, attach handlers or mount components, so they would turn
+ * sanitized markup back into script.
+ */
+const CONTENT_BINDINGS = new Set(["data-text", "data-class", "data-visible", "data-if", "data-foreach"]);
+
+const URL_ATTRIBUTES = new Set(["href", "src", "cite"]);
+const SAFE_URL_SCHEMES = new Set(["http", "https", "mailto", "tel"]);
+
+/**
+ * Whether a URL attribute value is relative or uses an allowed scheme.
+ * Whitespace and control characters are ignored the way browsers ignore them
+ * ("java\tscript:" is still a javascript: URL).
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isSafeUrl(value) {
+    const normalized = String(value).replace(/[\u0000- \u007f-\u009f]/g, "");
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+    return !scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+function isAllowedAttribute(tag, name, isBindingAttribute) {
+    if (name.startsWith("on") || name === "style" || name === "id" || name === "name") {
+        return false;
+    }
+    if (isBindingAttribute && isBindingAttribute(name) && !CONTENT_BINDINGS.has(name)) {
+        return false;
+    }
+    if (GLOBAL_ATTRIBUTES.has(name) || name.startsWith("aria-") || name.startsWith("data-")) {
+        return true;
+    }
+    return !!TAG_ATTRIBUTES[tag] && TAG_ATTRIBUTES[tag].includes(name);
+}
+
+function sanitizeAttributes(element, tag, isBindingAttribute) {
+    Array.from(element.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        if (!isAllowedAttribute(tag, name, isBindingAttribute) || (URL_ATTRIBUTES.has(name) && !isSafeUrl(attr.value))) {
+            element.removeAttribute(attr.name);
+        }
+    });
+    // Links opening a new window must not get access to this one
+    if (tag === "a" && element.getAttribute("target") === "_blank") {
+        element.setAttribute("rel", "noopener noreferrer");
+    }
+}
+
+function sanitizeChildren(parent, isBindingAttribute) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 3) {
+            return;
+        }
+        if (node.nodeType !== 1) {
+            parent.removeChild(node);
+            return;
+        }
+        const tag = node.tagName.toLowerCase();
+        if (DROPPED_TAGS.has(tag)) {
+            parent.removeChild(node);
+            return;
+        }
+        sanitizeChildren(node, isBindingAttribute);
+        if (!ALLOWED_TAGS.has(tag)) {
+            while (node.firstChild) {
+                parent.insertBefore(node.firstChild, node);
+            }
+            parent.removeChild(node);
+            return;
+        }
+        sanitizeAttributes(node, tag, isBindingAttribute);
+    });
+}
+
+/**
+ * Sanitizes an HTML string with the built-in allowlist.
+ *
+ * @param {string} html - Untrusted markup
+ * @param {Object} [options]
+ * @param {Document} [options.document=document] - Document used to parse the markup
+ * @param {{createHTML: Function}} [options.policy] - Trusted Types policy; needed to parse when Trusted Types are enforced
+ * @param {Function} [options.isBindingAttribute] - Called with an attribute name; binding attributes outside CONTENT_BINDINGS are removed
+ * @returns {string} Sanitized markup
+ * @example
+ * sanitizeHTML('<b onclick="steal()">Hi</b><script>steal()</script>');
+ * // Returns: '<b>Hi</b>'
+ */
+function sanitizeHTML(html, options = {}) {
+    const doc = options.document || document;
+    const template = doc.createElement("template");
+    const markup = html == null ? "" : String(html);
+    template.innerHTML = options.policy ? options.policy.createHTML(markup) : markup;
+    sanitizeChildren(template.content, options.isBindingAttribute);
+    const container = doc.createElement("div");
+    container.appendChild(template.content);
+    return container.innerHTML;
+}
+
+module.exports = {
+    sanitizeHTML,
+    isSafeUrl
+};
@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Re-applies or reverts mutation records (`{ op, key, value, oldValue }`, as delivered
+ * to onMutation() listeners) on the reactive container they happened in.
+ *
+ * Values are restored by reference, so restored array items keep their identity.
+ * Set members are addressed by value (their recorded key is only a position).
+ */
+
+function insertAt(container, key, value) {
+    if (Array.isArray(container)) {
+        container.splice(key, 0, value);
+    } else if (container instanceof Map) {
+        container.set(key, value);
+    } else if (container instanceof Set) {
+        container.add(value);
+    } else if (Object.prototype.hasOwnProperty.call(container, key) || typeof container.$set !== "function") {
+        container[key] = value;
+    } else {
+        container.$set(key, value);
+    }
+}
+
+function removeAt(container, key, value) {
+    if (Array.isArray(container)) {
+        container.splice(key, 1);
+    } else if (container instanceof Map) {
+        container.delete(key);
+    } else if (container instanceof Set) {
+        container.delete(value);
+    } else if (typeof container.$delete === "function") {
+        container.$delete(key);
+    } else {
+        delete container[key];
+    }
+}
+
+function replaceAt(container, key, value) {
+    if (container instanceof Map) {
+        container.set(key, value);
+    } else {
+        container[key] = value;
+    }
+}
+
+/**
+ * Applies (revert = false) or undoes (revert = true) one mutation on its container.
+ *
+ * @param {Object} container - Reactive object, array proxy, Map or Set the mutation happened in
+ * @param {string|number|*} key - Property, index or Map key
+ * @param {{op: string, value: *, oldValue: *}} mutation
+ * @param {boolean} revert
+ */
+function applyMutation(container, key, mutation, revert) {
+    const op = revert ? ({ add: "remove", remove: "add", replace: "replace" })[mutation.op] : mutation.op;
+    if (op === "add") {
+        insertAt(container, key, revert ? mutation.oldValue : mutation.value);
+    } else if (op === "remove") {
+        removeAt(container, key, revert ? mutation.value : mutation.oldValue);
+    } else {
+        replaceAt(container, key, revert ? mutation.oldValue : mutation.value);
+    }
+}
+
+module.exports = {
+    applyMutation
+};
@@ -1,5 +1,7 @@
 "use strict";
 
+const Version = "v2.1.0";
+
 function defineHidden(target, name, value) {
     Object.defineProperty(target, name, {
         value: value,
@@ -9,6 +11,38 @@ function defineHidden(target, name, value) {
     });
 }
 
+/**
+ * Creates the reactive state of a model add-on (history(), persist(), validate()) and
+ * attaches it to the model as a hidden property, stopping the state attached before.
+ * The state is created by the model's own factory so bindings on an isolated model
+ * track it, and the property stays configurable so calling the add-on again replaces it.
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {string} name - Property name ("$history")
+ * @param {Object} initial - Initial state
+ * @param {string} caller - Add-on name for the error message ("history")
+ * @returns {Object} Reactive state; it must get a hidden stop() before the add-on is called again
+ * @throws {Error} If model was not created with Observable.create()
+ */
+function attachModelState(model, name, initial, caller) {
+    const factory = model && model._factory;
+    if (!factory || !factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: ${caller}() requires a model created with Observable.create()`);
+    }
+    const state = factory.reactive(initial, new WeakSet);
+    defineHidden(state, "_factory", factory);
+    if (model[name]) {
+        model[name].stop();
+    }
+    Object.defineProperty(model, name, {
+        value: state,
+        writable: false,
+        enumerable: false,
+        configurable: true
+    });
+    return state;
+}
+
 function addChangeHandler(handler) {
     this._changeHandlers.add(handler);
 }
@@ -36,8 +70,40 @@ function toJSON() {
     return result;
 }
 
+/**
+ * Reads every nested value of a reactive object, array, Map or Set so the
+ * running effect tracks all of them (used by deep watchers).
+ *
+ * @param {*} value - Value to traverse
+ * @param {Set<Object>} [seen=new Set()] - Visited objects (guards against cycles)
+ * @returns {*} The value passed in
+ */
+function traverseReactive(value, seen = new Set()) {
+    if (!value || typeof value !== "object" || !value.__isReactive || seen.has(value)) {
+        return value;
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++) {
+            traverseReactive(value[i], seen);
+        }
+    } else if (value instanceof Map) {
+        value.forEach((item, key) => {
+            traverseReactive(key, seen);
+            traverseReactive(item, seen);
+        });
+    } else if (value instanceof Set) {
+        value.forEach(item => traverseReactive(item, seen));
+    } else {
+        Object.keys(value).forEach(key => traverseReactive(value[key], seen));
+    }
+    return value;
+}
+
 module.exports = {
     defineHidden,
+    attachModelState,
+    traverseReactive,
     addChangeHandler,
     removeChangeHandler,
     toJSON
@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * Reversible JSON encoding for model snapshots.
+ *
+ * `toJSON()` keeps Maps and Sets as is (JSON.stringify writes them as `{}`) and turns
+ * Dates into strings that cannot be told apart from other strings. These helpers tag
+ * such values so they survive a JSON round trip:
+ *
+ * - Date → `{ "$type": "Date", "value": "2024-01-01T00:00:00.000Z" }`
+ * - Map  → `{ "$type": "Map", "entries": [[key, value], ...] }`
+ * - Set  → `{ "$type": "Set", "values": [...] }`
+ * - plain objects that have their own `$type` key → `{ "$type": "Object", "value": {...} }`
+ */
+
+const TYPE_KEY = "$type";
+
+/**
+ * Returns true for computed properties of reactive objects (non-configurable
+ * accessors), which are derived and never serialized.
+ *
+ * @param {Object} target
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isComputedProperty(target, key) {
+    const descriptor = Object.getOwnPropertyDescriptor(target, key);
+    return !!descriptor && typeof descriptor.get === "function" && descriptor.configurable === false;
+}
+
+/**
+ * Encodes a (possibly reactive) value as JSON-safe data.
+ * Keys starting with "_", functions and computed properties are skipped.
+ *
+ * @param {*} value
+ * @param {Function} [filter] - Called with the key path of each object property; return false to skip it
+ * @param {Array<string>} [path=[]] - Key path of value (passed to filter)
+ * @returns {*}
+ */
+function serializeValue(value, filter, path = []) {
+    if (!value || typeof value !== "object") {
+        return typeof value === "function" ? undefined : value;
+    }
+    if (value instanceof Date) {
+        return { [TYPE_KEY]: "Date", value: value.toISOString() };
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, item => {
+            const encoded = serializeValue(item);
+            return encoded === undefined ? null : encoded;
+        });
+    }
+    if (value instanceof Map) {
+        return { [TYPE_KEY]: "Map", entries: Array.from(value, ([key, item]) => [serializeValue(key), serializeValue(item)]) };
+    }
+    if (value instanceof Set) {
+        return { [TYPE_KEY]: "Set", values: Array.from(value, item => serializeValue(item)) };
+    }
+    const result = {};
+    Object.keys(value).forEach(key => {
+        if (key.startsWith("_") || isComputedProperty(value, key)) return;
+        const childPath = path.concat([key]);
+        if (filter && !filter(childPath)) return;
+        const encoded = serializeValue(value[key], filter, childPath);
+        if (encoded !== undefined) {
+            result[key] = encoded;
+        }
+    });
+    return Object.prototype.hasOwnProperty.call(result, TYPE_KEY) ? { [TYPE_KEY]: "Object", value: result } : result;
+}
+
+/**
+ * Decodes data produced by serializeValue() back into Dates, Maps and Sets.
+ *
+ * @param {*} data
+ * @returns {*}
+ */
+function deserializeValue(data) {
+    if (!data || typeof data !== "object") {
+        return data;
+    }
+    if (Array.isArray(data)) {
+        return data.map(item => deserializeValue(item));
+    }
+    switch (data[TYPE_KEY]) {
+        case "Date":
+            return new Date(data.value);
+        case "Map":
+            return new Map((data.entries || []).map(([key, item]) => [deserializeValue(key), deserializeValue(item)]));
+        case "Set":
+            return new Set((data.values || []).map(item => deserializeValue(item)));
+        case "Object":
+            data = data.value || {};
+            break;
+        default:
+            break;
+    }
+    const result = {};
+    Object.keys(data).forEach(key => {
+        result[key] = deserializeValue(data[key]);
+    });
+    return result;
+}
+
+/**
+ * Returns true for values that deserializeValue() produces from plain objects
+ * (not arrays, Dates, Maps or Sets).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainRecord(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value)
+        && !(value instanceof Date) && !(value instanceof Map) && !(value instanceof Set);
+}
+
+module.exports = {
+    serializeValue,
+    deserializeValue,
+    isComputedProperty,
+    isPlainRecord
+};
@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * Property-name and value normalization for the data-style binding.
+ */
+
+/** Properties whose numeric values have no unit (numbers are not given "px") */
+const UNITLESS_PROPERTIES = new Set([
+    "animation-iteration-count", "aspect-ratio", "border-image-outset", "border-image-slice",
+    "border-image-width", "column-count", "columns", "fill-opacity", "flex", "flex-grow",
+    "flex-shrink", "flood-opacity", "font-weight", "grid-area", "grid-column", "grid-column-end",
+    "grid-column-start", "grid-row", "grid-row-end", "grid-row-start", "line-clamp", "line-height",
+    "opacity", "order", "orphans", "scale", "stop-opacity", "stroke-dasharray", "stroke-dashoffset",
+    "stroke-miterlimit", "stroke-opacity", "stroke-width", "tab-size", "widows", "z-index", "zoom"
+]);
+
+/**
+ * Converts a style key to its CSS property name. Custom properties are kept as written.
+ *
+ * @param {string} key - camelCase, kebab-case or `--custom-property`
+ * @returns {string}
+ * @example
+ * toCssPropertyName("backgroundColor"); // "background-color"
+ * toCssPropertyName("WebkitLineClamp"); // "-webkit-line-clamp"
+ * toCssPropertyName("--accent");        // "--accent"
+ */
+function toCssPropertyName(key) {
+    if (key.startsWith("--")) {
+        return key;
+    }
+    return key
+        .replace(/^ms(?=[A-Z])/, "-ms")
+        .replace(/[A-Z]/g, letter => "-" + letter.toLowerCase());
+}
+
+/**
+ * Formats a value for style.setProperty(). Numbers get "px" unless the property
+ * is unitless or a custom property; `null`, `undefined`, `false` and `""` mean
+ * "remove the property" and return null. A trailing `!important` is split off.
+ *
+ * @param {string} name - CSS property name (see toCssPropertyName())
+ * @param {*} value
+ * @returns {{value: string, priority: string}|null}
+ * @example
+ * formatStyleValue("width", 120);             // { value: "120px", priority: "" }
+ * formatStyleValue("opacity", 0.5);           // { value: "0.5", priority: "" }
+ * formatStyleValue("color", "red !important"); // { value: "red", priority: "important" }
+ */
+function formatStyleValue(name, value) {
+    if (value === null || value === undefined || value === false || value === "") {
+        return null;
+    }
+    if (typeof value === "number") {
+        const unitless = value === 0 || name.startsWith("--") || UNITLESS_PROPERTIES.has(name.replace(/^-(webkit|moz|ms)-/, ""));
+        return { value: unitless ? String(value) : `${value}px`, priority: "" };
+    }
+    const text = String(value).trim();
+    const important = /\s*!important$/i.exec(text);
+    return important
+        ? { value: text.slice(0, important.index), priority: "important" }
+        : { value: text, priority: "" };
+}
+
+module.exports = {
+    UNITLESS_PROPERTIES,
+    toCssPropertyName,
+    formatStyleValue
+};
@@ -216,9 +216,152 @@ function getValueHandler(element, handlers) {
     return handlers.default;
 }
 
+/** View events that write to the model for each data-value-update mode */
+const VALUE_UPDATE_EVENTS = {
+    input: ["input", "change"],
+    change: ["change"],
+    blur: ["blur"]
+};
+
+/**
+ * Reads data-value-update / data-debounce from a value-bound element.
+ *
+ * @param {HTMLElement} element
+ * @returns {{mode: string, events: string[], debounce: number, invalid: string|null}}
+ *   `invalid` holds an unknown data-value-update value (the mode falls back to "input")
+ * @example
+ * // <input data-value="query" data-value-update="input" data-debounce="300">
+ * getValueUpdateOptions(input); // { mode: "input", events: ["input", "change"], debounce: 300, invalid: null }
+ */
+function getValueUpdateOptions(element) {
+    const requested = (element.getAttribute("data-value-update") || "input").trim().toLowerCase();
+    const mode = VALUE_UPDATE_EVENTS[requested] ? requested : "input";
+    const debounce = parseInt(element.getAttribute("data-debounce"), 10);
+    return {
+        mode,
+        events: VALUE_UPDATE_EVENTS[mode],
+        debounce: debounce > 0 ? debounce : 0,
+        invalid: mode === requested ? null : requested
+    };
+}
+
+/**
+ * Runs a view update and restores the caret/selection of the focused element when its
+ * text changed, e.g. when the model trims or uppercases what was typed. Positions are
+ * clamped to the new length.
+ *
+ * @param {HTMLElement} element
+ * @param {Function} update - Writes the new value to the element
+ */
+function preserveSelection(element, update) {
+    let start = null;
+    let end = null;
+    let direction;
+    const doc = element.ownerDocument;
+    if (doc && doc.activeElement === element) {
+        try {
+            // Throws (or is null) for inputs without selection support, e.g. type="number"
+            start = element.selectionStart;
+            end = element.selectionEnd;
+            direction = element.selectionDirection || undefined;
+        } catch (error) {
+            start = null;
+        }
+    }
+    const previous = element.value;
+    update();
+    if (start === null || start === undefined || element.value === previous) {
+        return;
+    }
+    const length = element.value.length;
+    element.setSelectionRange(Math.min(start, length), Math.min(end, length), direction);
+}
+
+/**
+ * Checks whether a checked-binding value is a checkbox-group collection (array or Set).
+ * Reactive Set proxies pass the instanceof check through their target prototype.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCheckboxCollection(value) {
+    return Array.isArray(value) || value instanceof Set;
+}
+
+/**
+ * Returns a snapshot of collection values (tracked read for reactive arrays/Sets).
+ *
+ * @param {Array|Set} collection
+ * @returns {Array}
+ */
+function getCollectionValues(collection) {
+    return Array.from(collection);
+}
+
+/**
+ * Finds the index of a value in a collection snapshot using converter equality.
+ *
+ * @param {Array} values
+ * @param {*} value
+ * @param {Object} converter
+ * @returns {number}
+ */
+function findCollectionIndex(values, value, converter) {
+    return values.findIndex(item => item === value || converter.equals(item, value));
+}
+
+/**
+ * Adds or removes a value in place so the bound array/Set keeps its identity.
+ *
+ * @param {Array|Set} collection
+ * @param {*} value - Converted model value
+ * @param {boolean} include - true to add, false to remove
+ * @param {Object} converter
+ */
+function toggleCollectionValue(collection, value, include, converter) {
+    const values = getCollectionValues(collection);
+    const index = findCollectionIndex(values, value, converter);
+    if (include && index === -1) {
+        if (Array.isArray(collection)) {
+            collection.push(value);
+        } else {
+            collection.add(value);
+        }
+    } else if (!include && index !== -1) {
+        if (Array.isArray(collection)) {
+            collection.splice(index, 1);
+        } else {
+            collection.delete(values[index]);
+        }
+    }
+}
+
+/**
+ * Replaces all collection values in place.
+ *
+ * @param {Array|Set} collection
+ * @param {Array} values
+ */
+function replaceCollectionValues(collection, values) {
+    if (Array.isArray(collection)) {
+        collection.splice(0, collection.length, ...values);
+    } else {
+        collection.clear();
+        values.forEach(value => collection.add(value));
+    }
+}
+
 module.exports = {
     createValueValidators,
     getValueValidator,
     createValueHandlers,
-    getValueHandler
+    getValueHandler,
+    VALUE_UPDATE_EVENTS,
+    getValueUpdateOptions,
+    preserveSelection,
+    isCheckboxCollection,
+    getCollectionValues,
+    findCollectionIndex,
+    toggleCollectionValue,
+    replaceCollectionValues
 };
@@ -16,8 +16,20 @@
 
     const Observable = api.Observable;
     const computed = api.computed || (Observable && Observable.computed);
+    const asyncComputed = api.asyncComputed;
+    const batch = api.batch;
     const DataBinder = browser.DataBinder;
+    const component = browser.component;
+    const validate = api.validate;
+    const history = api.history;
+    const persist = api.persist;
+    const patches = api.patches;
+    const devtools = api.devtools;
     const MessageBus = core.MessageBus;
+    const effectScope = core.effectScope;
+    const getCurrentScope = core.getCurrentScope;
+    const onScopeDispose = core.onScopeDispose;
+    const config = core.config;
     const version = api.version || core.version || browser.version || utils.version || "2.1.0";
     const debug = utils.debug || {
         enable() {},
@@ -32,6 +44,18 @@
         DataBinder,
         MessageBus,
         computed,
+        asyncComputed,
+        batch,
+        component,
+        validate,
+        history,
+        persist,
+        patches,
+        devtools,
+        effectScope,
+        getCurrentScope,
+        onScopeDispose,
+        config,
         version,
         debug
     };
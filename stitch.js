@@ -1,6 +1,6 @@
 /*! Stitch.js v2.1.0 | MIT License | https://github.com/user/Stitch.js */
 
-/*! STITCH_ASSEMBLY_METADATA {"generatedAt":"2026-02-26T15:31:16.895Z","source":"stitch.entry.js","mode":"reachable","availableModuleCount":23,"moduleCount":23,"modules":["packages/api/index.js","packages/api/src/observable.js","packages/api/src/reactive-factory.js","packages/browser/index.js","packages/browser/src/binding-runtime.js","packages/browser/src/binding-scan-helpers.js","packages/browser/src/data-binder.js","packages/browser/src/foreach-binding-orchestrator.js","packages/browser/src/foreach-rendering-delegates.js","packages/core/index.js","packages/core/src/batch-scheduler.js","packages/core/src/computed-ref.js","packages/core/src/message-bus.js","packages/core/src/reactive-system.js","packages/utils/index.js","packages/utils/src/attr-value-handlers.js","packages/utils/src/debug-config.js","packages/utils/src/foreach-reconcile-helpers.js","packages/utils/src/foreach-template-helpers.js","packages/utils/src/reactive-object-helpers.js","packages/utils/src/runtime-helpers.js","packages/utils/src/type-converters.js","packages/utils/src/value-binding-helpers.js"],"moduleMap":{"0":"packages/api/index.js","1":"packages/api/src/observable.js","2":"packages/api/src/reactive-factory.js","3":"packages/browser/index.js","4":"packages/browser/src/binding-runtime.js","5":"packages/browser/src/binding-scan-helpers.js","6":"packages/browser/src/data-binder.js","7":"packages/browser/src/foreach-binding-orchestrator.js","8":"packages/browser/src/foreach-rendering-delegates.js","9":"packages/core/index.js","10":"packages/core/src/batch-scheduler.js","11":"packages/core/src/computed-ref.js","12":"packages/core/src/message-bus.js","13":"packages/core/src/reactive-system.js","14":"packages/utils/index.js","15":"packages/utils/src/attr-value-handlers.js","16":"packages/utils/src/debug-config.js","17":"packages/utils/src/foreach-reconcile-helpers.js","18":"packages/utils/src/foreach-template-helpers.js","19":"packages/utils/src/reactive-object-helpers.js","20":"packages/utils/src/runtime-helpers.js","21":"packages/utils/src/type-converters.js","22":"packages/utils/src/value-binding-helpers.js"}} */
+/*! STITCH_ASSEMBLY_METADATA {"generatedAt":"2026-10-19T19:57:18.093Z","source":"stitch.entry.js","mode":"reachable","availableModuleCount":41,"moduleCount":41,"modules":["packages/api/index.js","packages/api/src/devtools.js","packages/api/src/history.js","packages/api/src/json-patch.js","packages/api/src/observable.js","packages/api/src/persist.js","packages/api/src/reactive-factory.js","packages/api/src/validation.js","packages/browser/index.js","packages/browser/src/binding-runtime.js","packages/browser/src/binding-scan-helpers.js","packages/browser/src/component-registry.js","packages/browser/src/data-binder.js","packages/browser/src/foreach-binding-orchestrator.js","packages/browser/src/foreach-rendering-delegates.js","packages/browser/src/foreach-virtual-rendering.js","packages/core/index.js","packages/core/src/async-computed-ref.js","packages/core/src/batch-scheduler.js","packages/core/src/computed-ref.js","packages/core/src/config.js","packages/core/src/effect-scope.js","packages/core/src/error-handler.js","packages/core/src/message-bus.js","packages/core/src/reactive-system.js","packages/utils/index.js","packages/utils/src/array-patch-helpers.js","packages/utils/src/attr-value-handlers.js","packages/utils/src/debug-config.js","packages/utils/src/event-modifiers.js","packages/utils/src/expression-parser.js","packages/utils/src/foreach-reconcile-helpers.js","packages/utils/src/foreach-template-helpers.js","packages/utils/src/html-sanitizer.js","packages/utils/src/mutation-helpers.js","packages/utils/src/reactive-object-helpers.js","packages/utils/src/runtime-helpers.js","packages/utils/src/serialization-helpers.js","packages/utils/src/style-helpers.js","packages/utils/src/type-converters.js","packages/utils/src/value-binding-helpers.js"],"moduleMap":{"0":"packages/api/index.js","1":"packages/api/src/devtools.js","2":"packages/api/src/history.js","3":"packages/api/src/json-patch.js","4":"packages/api/src/observable.js","5":"packages/api/src/persist.js","6":"packages/api/src/reactive-factory.js","7":"packages/api/src/validation.js","8":"packages/browser/index.js","9":"packages/browser/src/binding-runtime.js","10":"packages/browser/src/binding-scan-helpers.js","11":"packages/browser/src/component-registry.js","12":"packages/browser/src/data-binder.js","13":"packages/browser/src/foreach-binding-orchestrator.js","14":"packages/browser/src/foreach-rendering-delegates.js","15":"packages/browser/src/foreach-virtual-rendering.js","16":"packages/core/index.js","17":"packages/core/src/async-computed-ref.js","18":"packages/core/src/batch-scheduler.js","19":"packages/core/src/computed-ref.js","20":"packages/core/src/config.js","21":"packages/core/src/effect-scope.js","22":"packages/core/src/error-handler.js","23":"packages/core/src/message-bus.js","24":"packages/core/src/reactive-system.js","25":"packages/utils/index.js","26":"packages/utils/src/array-patch-helpers.js","27":"packages/utils/src/attr-value-handlers.js","28":"packages/utils/src/debug-config.js","29":"packages/utils/src/event-modifiers.js","30":"packages/utils/src/expression-parser.js","31":"packages/utils/src/foreach-reconcile-helpers.js","32":"packages/utils/src/foreach-template-helpers.js","33":"packages/utils/src/html-sanitizer.js","34":"packages/utils/src/mutation-helpers.js","35":"packages/utils/src/reactive-object-helpers.js","36":"packages/utils/src/runtime-helpers.js","37":"packages/utils/src/serialization-helpers.js","38":"packages/utils/src/style-helpers.js","39":"packages/utils/src/type-converters.js","40":"packages/utils/src/value-binding-helpers.js"}} */
 
 (function(root){
   var __stitchModuleFactories = Object.create(null);
@@ -8,12 +8,42 @@
 "use strict";
 
 const VERSION = "2.1.0";
-const { createReactiveFactory } = __stitchRequire(2);
-const { Observable, computed } = __stitchRequire(1);
+const { createReactiveFactory } = __stitchRequire(6);
+const { Observable, computed, asyncComputed, batch } = __stitchRequire(4);
+const { validate } = __stitchRequire(7);
+const { history } = __stitchRequire(2);
+const persistence = __stitchRequire(5);
+const jsonPatch = __stitchRequire(3);
+const devtoolsModule = __stitchRequire(1);
+
+/** Storage persistence; the adapter factories are available as persist.createXxxAdapter() */
+const persist = Object.assign(persistence.persist, {
+    createMemoryAdapter: persistence.createMemoryAdapter,
+    createWebStorageAdapter: persistence.createWebStorageAdapter,
+    createIndexedDBAdapter: persistence.createIndexedDBAdapter
+});
+
+/** RFC 6902 JSON Patch export/apply for Observables */
+const patches = {
+    record: jsonPatch.record,
+    apply: jsonPatch.apply
+};
+
+/** Dependency graph introspection */
+const devtools = {
+    graph: devtoolsModule.graph
+};
 
 module.exports = {
     Observable,
     computed,
+    asyncComputed,
+    batch,
+    validate,
+    history,
+    persist,
+    patches,
+    devtools,
     version: VERSION,
     createReactiveFactory,
     ExtractedObservable: Observable,
@@ -24,3184 +54,8956 @@ module.exports = {
   __stitchModuleFactories[1] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { createReactiveFactory, createComputedMarker, getDefaultFactory, resetDefaultFactory } = __stitchRequire(2);
-const { MessageBus } = __stitchRequire(12);
-const runtimeHelpers = __stitchRequire(20);
-const { defineHidden } = __stitchRequire(19);
-
 const Version = "v2.1.0";
-const getProperty = runtimeHelpers.getProperty;
-class Observable {
-    /**
-     * Creates reactive object with eager conversion.
-     * Handles computed properties and adds Message Bus API.
-     *
-     * ⭐ OPTION 7 REFACTOR: Simplified to just call reactive() which handles everything.
-     *
-     * @param {Object} data - Data object to make reactive
-     * @param {Object} [options={}] - Options
-     * @param {boolean} [options.isolated] - If true, creates an isolated ReactiveSystem instead of using the shared singleton
-     * @param {boolean} [options.debug] - Enable debug logging for this instance
-     * @returns {Object} Reactive proxy
-     * @example
-     * // Basic reactive object
-     * const model = Stitch.Observable.create({
-     *     count: 0,
-     *     message: 'Hello'
-     * });
-     * model.count++; // Triggers reactivity
-     *
-     * @example
-     * // With computed properties at any nesting level
-     * const model = Stitch.Observable.create({
-     *     firstName: 'John',
-     *     lastName: 'Doe',
-     *     fullName: Stitch.computed(function() {
-     *         return `${this.firstName} ${this.lastName}`;
-     *     }),
-     *     user: {
-     *         firstName: 'Jane',
-     *         lastName: 'Smith',
-     *         fullName: Stitch.computed(function() {
-     *             return `${this.firstName} ${this.lastName}`;
-     *         })
-     *     }
-     * });
-     * console.log(model.fullName); // "John Doe"
-     * console.log(model.user.fullName); // "Jane Smith" (nested computed works!)
-     *
-     * @example
-     * // Message Bus API
-     * const model = Stitch.Observable.create({ count: 0 });
-     * model.$watch('count', (newVal, oldVal) => {
-     *     console.log(`Count: ${oldVal} → ${newVal}`);
-     * });
-     * model.count = 5; // Triggers handler
-     */
-    static create(data, options = {}) {
-        if (!data || typeof data !== "object") {
-            throw new Error("Observable.create() requires an object as input");
-        }
-        if (data.__isReactive && data._factory) {
-            throw new Error("Observable.create() received an already-reactive object. Use the existing proxy or pass a plain object.");
-        }
 
-        const factory = options.isolated ? createReactiveFactory() : getDefaultFactory();
-
-        // ⭐ OPTION 7 KEY CHANGE: Just call reactive() - it handles EVERYTHING
-        // No more manual computed extraction, no more manual descriptor wrapping
-        // Single source of truth: reactive()
-        const reactiveData = factory.reactive(data, new WeakSet);
+/**
+ * Describes an element for graph output: `tag#id.class1.class2`.
+ *
+ * @param {Element} element
+ * @returns {string|null}
+ */
+function describeElement(element) {
+    if (!element || !element.tagName) {
+        return null;
+    }
+    let description = element.tagName.toLowerCase();
+    if (element.id) {
+        description += `#${element.id}`;
+    }
+    const classes = typeof element.className === "string" ? element.className.trim() : "";
+    if (classes) {
+        description += "." + classes.split(/\s+/).join(".");
+    }
+    return description;
+}
 
-        // Add factory reference
-        defineHidden(reactiveData, "_factory", factory);
+function quoteDOT(text) {
+    return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
 
-        // Per-model MessageBus for user-facing event API ($on/$emit/$off/$once/$use).
-        // Each model gets its own bus so events don't leak across unrelated observables.
-        // The shared factory's reactiveSystem.messageBus handles internal framework events
-        // (nested-change, array-mutation) which are already payload-scoped.
-        const modelBus = new MessageBus({ version: Version });
+const DOT_SHAPES = {
+    property: "ellipse",
+    computed: "box",
+    asyncComputed: "box",
+    effect: "diamond",
+    binding: "note"
+};
 
-        // Add Message Bus API
-        const messageBusMethods = {
-            $on: function (event, callback) {
-                return modelBus.subscribe(event, callback);
-            },
-            $use: function (middleware) {
-                return modelBus.use(middleware);
-            },
-            $off: function (event, callback) {
-                modelBus.unsubscribe(event, callback);
-            },
-            $emit: function (event, payload) {
-                modelBus.publish(event, payload);
-            },
-            $once: function (event, callback) {
-                const unsubscribe = modelBus.subscribe(event, payload => {
-                    callback(payload);
-                    unsubscribe();
-                });
-                return unsubscribe;
-            }
-        };
-        for (const [name, fn] of Object.entries(messageBusMethods)) {
-            defineHidden(reactiveData, name, fn);
+/**
+ * Renders a graph produced by graph() as Graphviz DOT.
+ *
+ * @param {{nodes: Object[], edges: Object[]}} graphData
+ * @returns {string}
+ */
+function toDOT(graphData) {
+    const lines = ["digraph Stitch {", "    rankdir=LR;"];
+    graphData.nodes.forEach(node => {
+        let label = node.label;
+        if (node.kind === "binding" && node.element) {
+            label += `\n${node.element}`;
         }
+        const style = node.kind === "asyncComputed" ? ", style=dashed" : "";
+        lines.push(`    ${quoteDOT(node.id)} [label=${quoteDOT(label)}, shape=${DOT_SHAPES[node.kind]}${style}];`);
+    });
+    graphData.edges.forEach(edge => {
+        lines.push(`    ${quoteDOT(edge.from)} -> ${quoteDOT(edge.to)};`);
+    });
+    lines.push("}");
+    return lines.join("\n");
+}
 
-        // $watch remains separate due to closure over previousValue
-        defineHidden(reactiveData, "$watch", function (property, callback, options = {}) {
-            let previousValue = getProperty(reactiveData, property);
+/**
+ * Returns the live dependency graph of a reactive model.
+ *
+ * Nodes (`{ id, kind, label, ... }`):
+ * - `property` - a property (or tracked array/Map/Set key) that something depends on, or any
+ *   plain object property; `path` is its dot path from the model
+ * - `computed` / `asyncComputed` - computed properties; `path`, and `dirty` for computeds
+ * - `binding` - a DOM binding effect; `type` (e.g. "text"), `bindingPath` and `element`
+ *   (`tag#id.class` description of the bound element)
+ * - `effect` - any other effect ($watch watchers, custom effects)
+ *
+ * Edges (`{ from, to }`) point from a value to what depends on it; an async computed
+ * also points to the state properties it writes (`value`, `loading`, `error`).
+ * Only active dependencies appear: a computed that was never read has no edges yet.
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @returns {{nodes: Object[], edges: Object[], dot: string}} JSON-safe graph plus its Graphviz DOT source
+ * @example
+ * const { nodes, edges, dot } = Stitch.devtools.graph(model);
+ * console.log(JSON.stringify({ nodes, edges }, null, 2));
+ * console.log(dot); // paste into `dot -Tsvg` or an online Graphviz viewer
+ */
+function graph(model) {
+    if (!model || !model._factory || !model._factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: devtools.graph() requires a model created with Observable.create()`);
+    }
+    const factory = model._factory;
+    const reactiveSystem = factory.reactiveSystem;
+    const nodes = [];
+    const edges = [];
+    const edgeKeys = new Set();
+    /** @type {Map<Object, string>} Computed refs and effects -> node id */
+    const dependentIds = new Map();
+    const pendingDependents = [];
+    let anonymousCount = 0;
+
+    function addNode(node) {
+        nodes.push(node);
+        return node.id;
+    }
 
-            // Create effect that tracks the property
-            return factory.reactiveSystem.effect(() => {
-                const currentValue = getProperty(reactiveData, property);
+    function addEdge(from, to) {
+        const edgeKey = `${from}\u0000${to}`;
+        if (!edgeKeys.has(edgeKey)) {
+            edgeKeys.add(edgeKey);
+            edges.push({ from, to });
+        }
+    }
 
-                // Call callback if value changed
-                if (currentValue !== previousValue) {
-                    callback(currentValue, previousValue, {
-                        key: property,
-                        newValue: currentValue,
-                        oldValue: previousValue,
-                        target: reactiveData
-                    });
-                    previousValue = currentValue;
-                }
-            }, {
-                batch: options.batch !== undefined ? options.batch : false  // Immediate by default
+    /** Node id of a dependent (computed ref or effect), creating effect nodes on first sight. */
+    function dependentId(dependent) {
+        if (dependentIds.has(dependent)) {
+            return dependentIds.get(dependent);
+        }
+        let id;
+        if (dependent.isComputedRef) {
+            // A computed of another model (or one not reachable from this model)
+            id = addNode({
+                id: `computed:?${dependent.key || dependent.id}#${++anonymousCount}`,
+                kind: "dependents" in dependent ? "computed" : "asyncComputed",
+                label: dependent.key || `(computed ${dependent.id})`,
+                path: null
             });
-        });
-
-        if (options.debug) {
-            reactiveData.on(change => {
-                console.log(`[Stitch.js ${Version} Debug] ${change.field}:`, change.oldValue, "->", change.newValue);
+            dependentIds.set(dependent, id);
+            pendingDependents.push(dependent);
+        } else if (dependent.binding) {
+            const binding = dependent.binding;
+            id = addNode({
+                id: `binding:${dependent.id}`,
+                kind: "binding",
+                label: `data-${binding.type}="${binding.path}"`,
+                type: binding.type,
+                bindingPath: binding.path,
+                element: describeElement(binding.element)
             });
+            dependentIds.set(dependent, id);
+        } else {
+            id = addNode({ id: `effect:${dependent.id}`, kind: "effect", label: `effect ${dependent.id}` });
+            dependentIds.set(dependent, id);
         }
+        return id;
+    }
 
-        return reactiveData;
+    function linkDependents(fromId, dependents) {
+        if (!dependents) return;
+        dependents.forEach(dependent => {
+            if (dependent.active === false) return;
+            addEdge(fromId, dependentId(dependent));
+        });
     }
 
-    /**
-     * Creates reactive array with all mutations tracked.
-     *
-     * @param {Array} [items=[]] - Initial array items
-     * @param {Object} [options={}] - Options
-     * @param {boolean} [options.isolated] - If true, creates an isolated ReactiveSystem instead of using the shared singleton
-     * @returns {Proxy} Reactive Proxy
-     * @example
-     * const list = Stitch.Observable.createArray([1, 2, 3]);
-     * list.push(4); // Triggers reactivity
-     * list[0] = 10; // Triggers reactivity
-     */
-    static createArray(items = [], options = {}) {
-        if (!Array.isArray(items)) {
-            throw new Error("Observable.createArray() requires an array as input");
+    const visited = new WeakSet();
+    /** Property nodes by raw container and key, for async computed state edges */
+    const propertyIds = new Map();
+    /** Property node ids with their dependents, linked once every computed has a node */
+    const propertyLinks = [];
+
+    function visit(value, path) {
+        if (!value || typeof value !== "object") return;
+        const raw = factory.toRaw(value);
+        if (visited.has(raw)) return;
+        visited.add(raw);
+
+        const computedRefs = raw._computedRefs || new Map();
+        const tracked = reactiveSystem.depsMap.get(raw) || new Map();
+        const keys = new Set();
+        if (!Array.isArray(raw) && !(raw instanceof Map) && !(raw instanceof Set)) {
+            Object.keys(raw).forEach(key => keys.add(key));
+        }
+        tracked.forEach((dependents, key) => {
+            if (typeof key === "symbol" || dependents.size === 0) return;
+            // Array proxies also track method lookups (push, map, ...); those are not data
+            if (Array.isArray(raw) && typeof Array.prototype[key] === "function") return;
+            keys.add(key);
+        });
+        const ids = new Map();
+        propertyIds.set(raw, ids);
+
+        keys.forEach(key => {
+            const keyPath = path.concat([String(key)]).join(".");
+            const ref = computedRefs.get(key);
+            if (ref) {
+                const isAsync = !("dependents" in ref);
+                const node = { id: `${isAsync ? "asyncComputed" : "computed"}:${keyPath}`, kind: isAsync ? "asyncComputed" : "computed", label: keyPath, path: keyPath };
+                if (!isAsync) {
+                    node.dirty = ref.dirty;
+                }
+                dependentIds.set(ref, addNode(node));
+                ids.set(key, node.id);
+                pendingDependents.push(ref);
+            } else {
+                const id = addNode({ id: `property:${keyPath}`, kind: "property", label: keyPath, path: keyPath });
+                ids.set(key, id);
+                propertyLinks.push({ id, dependents: tracked.get(key) });
+            }
+        });
+
+        // Recurse after this level's nodes exist so nested paths follow their parents
+        keys.forEach(key => {
+            if (typeof key === "string" && key.startsWith("_")) return;
+            const ref = computedRefs.get(key);
+            if (!ref) {
+                visit(raw instanceof Map ? raw.get(key) : raw[key], path.concat([String(key)]));
+            } else if (ref.state) {
+                visit(ref.state, path.concat([String(key)]));
+            }
+        });
+        if (Array.isArray(raw)) {
+            raw.forEach((item, index) => visit(item, path.concat([String(index)])));
+        } else if (raw instanceof Map) {
+            raw.forEach((item, key) => visit(item, path.concat([String(key)])));
         }
-        const factory = options.isolated ? createReactiveFactory() : getDefaultFactory();
-        const reactiveArray = factory.reactive([...items], new WeakSet);
-        defineHidden(reactiveArray, "_factory", factory);
-        return reactiveArray;
     }
 
-    /**
-     * Makes existing object reactive. Eager conversion of entire tree.
-     *
-     * @param {Object} obj - Object to make reactive
-     * @param {Object} [options={}] - Options
-     * @param {boolean} [options.isolated] - If true, creates an isolated ReactiveSystem instead of using the shared singleton
-     * @returns {Object} Reactive object
-     */
-    static reactive(obj, options = {}) {
-        if (obj && obj.__isReactive) {
-            return obj;
+    visit(model, []);
+    propertyLinks.forEach(link => linkDependents(link.id, link.dependents));
+
+    // Edges out of computeds: their dependents, or the state an async computed writes
+    for (let i = 0; i < pendingDependents.length; i++) {
+        const ref = pendingDependents[i];
+        const fromId = dependentIds.get(ref);
+        if ("dependents" in ref) {
+            linkDependents(fromId, ref.dependents);
+        } else if (ref.state) {
+            const stateIds = propertyIds.get(factory.toRaw(ref.state));
+            if (stateIds) {
+                stateIds.forEach(id => addEdge(fromId, id));
+            }
         }
-        const factory = options.isolated ? createReactiveFactory() : getDefaultFactory();
-        const reactiveObj = factory.reactive(obj, new WeakSet);
-        defineHidden(reactiveObj, "_factory", factory);
-        return reactiveObj;
     }
 
-    /**
-     * Creates computed property marker for Observable.create().
-     * Supports function or {get, deps} syntax.
-     *
-     * ⭐ OPTION 7 REFACTOR: Returns standardized marker that reactive() will detect.
-     *
-     * ⚠️ ACCESSING COMPUTED PROPERTIES: Computed properties are GETTERS, not functions.
-     * Always access as properties, never call as functions.
-     *
-     * @param {Function|Object} config - Compute function or config object
-     * @returns {Object} Computed marker
-     * @example
-     * // Function syntax (automatic dependency tracking)
-     * const model = Stitch.Observable.create({
-     *     firstName: 'John',
-     *     lastName: 'Doe',
-     *     fullName: Stitch.computed(function() {
-     *         return `${this.firstName} ${this.lastName}`;
-     *     })
-     * });
-     *
-     * // ✅ CORRECT: Access as property (getter)
-     * console.log(model.fullName);  // "John Doe"
-     *
-     * // ❌ WRONG: Don't call as function
-     * console.log(model.fullName());  // Error: fullName is not a function
-     *
-     * @example
-     * // Object syntax (explicit dependencies)
-     * const model = Stitch.Observable.create({
-     *     count: 0,
-     *     multiplier: 2,
-     *     result: Stitch.computed({
-     *         get() { return this.count * this.multiplier; },
-     *         deps: ['count', 'multiplier']
-     *     })
-     * });
-     *
-     * // Access as property, not function
-     * console.log(model.result);  // 0
-     * model.count = 5;
-     * console.log(model.result);  // 10
-     */
-    static computed(config) {
-        return createComputedMarker(config, Version);
+    const graphData = { nodes, edges };
+    graphData.dot = toDOT(graphData);
+    return graphData;
+}
+
+module.exports = {
+    graph,
+    toDOT,
+    describeElement
+};
+
+  };
+  __stitchModuleFactories[2] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { defineHidden, attachModelState } = __stitchRequire(35);
+const { applyMutation } = __stitchRequire(34);
+
+const Version = "v2.1.0";
+
+/**
+ * Normalizes `exclude` entries ("ui.hover", ["ui", "hover"]) into key arrays.
+ *
+ * @param {Array<string|Array>} exclude
+ * @returns {string[][]}
+ */
+function normalizeExcludedPaths(exclude) {
+    if (!Array.isArray(exclude)) {
+        throw new Error(`Stitch.js ${Version}: history() "exclude" must be an array of paths`);
     }
+    return exclude.map(path => (Array.isArray(path) ? path : String(path).split(".")).map(String));
+}
 
-    /**
-     * Checks if object is reactive.
-     *
-     * @param {*} obj - Object to check
-     * @returns {boolean} true if reactive, false otherwise
-     */
-    static isReactive(obj) {
-        return obj && typeof obj === "object" && obj.__isReactive === true;
+function isExcluded(path, excludedPaths) {
+    return excludedPaths.some(excluded => excluded.length <= path.length
+        && excluded.every((key, index) => key === String(path[index])));
+}
+
+/**
+ * Resolves the container holding the last key of a mutation path on the live model.
+ */
+function resolveContainer(model, path, action) {
+    let container = model;
+    for (let i = 0; i < path.length - 1; i++) {
+        container = container instanceof Map ? container.get(path[i]) : (container ? container[path[i]] : undefined);
     }
+    if (!container || typeof container !== "object") {
+        throw new Error(`Stitch.js ${Version}: history.${action}() cannot restore "${path.join(".")}": the path no longer exists`);
+    }
+    return container;
+}
 
-    /**
-     * Unwraps reactive object to plain object.
-     * Calls toJSON() internally.
-     *
-     * @param {Object} reactiveObj - Reactive object
-     * @returns {Object} Plain object
-     */
-    static toRaw(reactiveObj) {
-        if (!Observable.isReactive(reactiveObj)) {
-            return reactiveObj;
-        }
-        return reactiveObj.toJSON ? reactiveObj.toJSON() : reactiveObj;
+/**
+ * Re-applies (redo) or reverts (undo) one recorded mutation on the live model.
+ *
+ * @param {Object} model
+ * @param {{op: string, path: Array, value: *, oldValue: *}} mutation
+ * @param {boolean} revert
+ */
+function applyRecordedMutation(model, mutation, revert) {
+    const container = resolveContainer(model, mutation.path, revert ? "undo" : "redo");
+    applyMutation(container, mutation.path[mutation.path.length - 1], mutation, revert);
+}
+
+/**
+ * Attaches an undo/redo history to a reactive model.
+ *
+ * Every change to the model (property sets, `$set`/`$delete`, array mutations and
+ * index assignments, Map/Set changes, including nested objects) is recorded as a
+ * step. `undo()` reverts the last step and `redo()` re-applies it; each runs as one
+ * batch so bindings update once. A new change clears the redo stack.
+ *
+ * Produces a reactive state object (also available as the hidden `model.$history`):
+ * - `canUndo` / `canRedo` - whether undo()/redo() would do anything
+ * - `undo()` / `redo()` - returns false when there was nothing to do
+ * - `transaction(fn)` - records every change made by fn as a single step
+ * - `clear()` - forgets all steps
+ * - `stop()` - stops recording and forgets all steps
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum number of undo steps kept
+ * @param {number} [options.groupWithin=0] - Changes made within this many ms of the previous change join its step
+ * @param {Array<string|Array>} [options.exclude=[]] - Paths (and everything below them) that are not recorded
+ * @returns {Object} Reactive history state
+ * @example
+ * const history = Stitch.history(model, { groupWithin: 500, exclude: ['ui'] });
+ * // <button data-enabled="$history.canUndo" data-click="$history.undo">Undo</button>
+ * history.transaction(() => {
+ *     model.rows.splice(index, 1);
+ *     model.selectedId = null;
+ * });
+ * history.undo(); // restores the row and the selection
+ */
+function history(model, options = {}) {
+    const limit = options.limit === undefined ? 100 : options.limit;
+    const groupWithin = options.groupWithin || 0;
+    const excludedPaths = normalizeExcludedPaths(options.exclude || []);
+    if (!(limit > 0)) {
+        throw new Error(`Stitch.js ${Version}: history() "limit" must be a positive number`);
     }
 
-    /**
-     * Resets the shared ReactiveSystem, clearing all shared state.
-     * Primarily for testing. Creates a fresh system on next Observable.create().
-     * Existing observables retain their old factory; only new observables use the new one.
-     */
-    static reset() {
-        resetDefaultFactory();
+    const undoStack = [];
+    const redoStack = [];
+    let openStep = null;
+    let lastChangeTime = -Infinity;
+    let transactionDepth = 0;
+    let applying = false;
+
+    const state = attachModelState(model, "$history", { canUndo: false, canRedo: false }, "history");
+    const factory = state._factory;
+    const reactiveSystem = factory.reactiveSystem;
+
+    function updateState() {
+        state.canUndo = undoStack.length > 0;
+        state.canRedo = redoStack.length > 0;
     }
-}
-function computed(config) {
-    return Observable.computed(config);
+
+    function closeStep() {
+        openStep = null;
+        lastChangeTime = -Infinity;
+    }
+
+    /** @type {WeakMap<Object, Object>} Open batch frame -> history before its first recorded change */
+    const checkpoints = new WeakMap();
+
+    function checkpoint() {
+        return {
+            undo: undoStack.slice(),
+            lastStep: undoStack[undoStack.length - 1] || null,
+            lastStepLength: undoStack.length > 0 ? undoStack[undoStack.length - 1].length : 0,
+            redo: redoStack.slice(),
+            openStep,
+            lastChangeTime
+        };
+    }
+
+    const stopRecording = reactiveSystem.onMutation(factory.toRaw(model), mutations => {
+        // A failed batch's reverting writes are not steps; onRollback restores the history instead
+        if (applying || reactiveSystem.isRollingBack()) {
+            return;
+        }
+        const recorded = mutations.filter(mutation => !isExcluded(mutation.path, excludedPaths));
+        if (recorded.length === 0) {
+            return;
+        }
+        reactiveSystem.openBatchFrames().forEach(frame => {
+            if (!checkpoints.has(frame)) {
+                checkpoints.set(frame, checkpoint());
+            }
+        });
+        const now = Date.now();
+        const grouped = transactionDepth > 0 || (groupWithin > 0 && now - lastChangeTime <= groupWithin);
+        if (!openStep || !grouped) {
+            openStep = [];
+            undoStack.push(openStep);
+            if (undoStack.length > limit) {
+                undoStack.shift();
+            }
+        }
+        openStep.push(...recorded);
+        lastChangeTime = now;
+        redoStack.length = 0;
+        updateState();
+    });
+
+    // Forget what a failed batch recorded, as if it never ran
+    const stopRollbacks = reactiveSystem.onRollback(frame => {
+        const saved = checkpoints.get(frame);
+        if (!saved) {
+            return;
+        }
+        undoStack.splice(0, undoStack.length, ...saved.undo);
+        if (saved.lastStep) {
+            saved.lastStep.length = saved.lastStepLength;
+        }
+        redoStack.splice(0, redoStack.length, ...saved.redo);
+        openStep = saved.openStep;
+        lastChangeTime = saved.lastChangeTime;
+        updateState();
+    });
+
+    function travel(fromStack, toStack, revert) {
+        closeStep();
+        const step = fromStack.pop();
+        if (!step) {
+            return false;
+        }
+        applying = true;
+        try {
+            reactiveSystem.batch(() => {
+                if (revert) {
+                    for (let i = step.length - 1; i >= 0; i--) {
+                        applyRecordedMutation(model, step[i], true);
+                    }
+                } else {
+                    step.forEach(mutation => applyRecordedMutation(model, mutation, false));
+                }
+            });
+            toStack.push(step);
+        } catch (error) {
+            // batch() reverted the part that was applied; a step that cannot be applied invalidates the history
+            undoStack.length = 0;
+            redoStack.length = 0;
+            throw error;
+        } finally {
+            applying = false;
+            updateState();
+        }
+        return true;
+    }
+
+    defineHidden(state, "undo", function () {
+        return travel(undoStack, redoStack, true);
+    });
+    defineHidden(state, "redo", function () {
+        return travel(redoStack, undoStack, false);
+    });
+    defineHidden(state, "transaction", function (fn) {
+        if (transactionDepth === 0) {
+            closeStep();
+        }
+        transactionDepth++;
+        try {
+            return reactiveSystem.batch(fn);
+        } finally {
+            transactionDepth--;
+            if (transactionDepth === 0) {
+                closeStep();
+            }
+        }
+    });
+    defineHidden(state, "clear", function () {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        closeStep();
+        updateState();
+    });
+    defineHidden(state, "stop", function () {
+        stopRecording();
+        stopRollbacks();
+        state.clear();
+    });
+    return state;
 }
 
 module.exports = {
-    Observable,
-    computed
+    history
 };
 
   };
-  __stitchModuleFactories[2] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[3] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { ReactiveSystem } = __stitchRequire(13);
-const { ComputedRef } = __stitchRequire(11);
-const runtimeHelpers = __stitchRequire(20);
-const objectHelpers = __stitchRequire(19);
-const { NOOP_DEBUG } = __stitchRequire(16);
-const defineHidden = objectHelpers.defineHidden;
+const Version = "v2.1.0";
 
 /**
- * Creates a standardized computed property marker.
- * Shared validation/marker-creation logic used by both Observable.computed()
- * and the factory's computed() function.
+ * Encodes path segments as an RFC 6901 JSON Pointer.
  *
- * @param {Function|Object} config - Compute function or config object
- * @param {string} version - Version string for error messages
- * @returns {Object} Computed marker { __isStitchComputed, fn, __explicitDeps }
+ * @param {Array<string|number>} segments
+ * @returns {string} e.g. "/items/0/name"
  */
-function createComputedMarker(config, version) {
-    let fn, explicitDeps;
-    if (typeof config === "function") {
-        fn = config;
-        explicitDeps = null;
-    } else if (typeof config === "object" && config.get) {
-        fn = config.get;
-        explicitDeps = config.deps || null;
-        if (explicitDeps && !Array.isArray(explicitDeps)) {
-            throw new Error(`[Stitch.js ${version}] Stitch.computed() deps must be an array of property names.\n` + `Example: Stitch.computed({ get() { ... }, deps: ['prop1', 'prop2'] })`);
+function toPointer(segments) {
+    return segments.map(segment => "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1")).join("");
+}
+
+/**
+ * Decodes an RFC 6901 JSON Pointer into path segments.
+ *
+ * @param {string} pointer
+ * @returns {string[]}
+ * @throws {Error} If the pointer is not a string starting with "/"
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== "string" || (pointer !== "" && pointer[0] !== "/")) {
+        throw new Error(`Stitch.js ${Version}: Invalid JSON Pointer "${pointer}"`);
+    }
+    if (pointer === "") {
+        return [];
+    }
+    return pointer.slice(1).split("/").map(segment => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Converts a (possibly reactive) value into plain JSON data for patch operations.
+ * Maps become objects and Sets become arrays.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlainValue(value) {
+    if (!value || typeof value !== "object") {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, item => toPlainValue(item));
+    }
+    if (value instanceof Map) {
+        const result = {};
+        value.forEach((item, key) => {
+            result[String(key)] = toPlainValue(item);
+        });
+        return result;
+    }
+    if (value instanceof Set) {
+        return Array.from(value, item => toPlainValue(item));
+    }
+    const result = {};
+    Object.keys(value).forEach(key => {
+        if (!key.startsWith("_") && typeof value[key] !== "function") {
+            result[key] = toPlainValue(value[key]);
         }
-    } else {
-        throw new Error(`[Stitch.js ${version}] Stitch.computed() expects either:\n` + `  - A function: Stitch.computed(function() { ... })\n` + `  - An object: Stitch.computed({ get() { ... }, deps: [...] })`);
+    });
+    return result;
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function findMapKey(map, segment) {
+    for (const key of map.keys()) {
+        if (String(key) === segment) return { found: true, key };
     }
+    return { found: false, key: segment };
+}
 
-    return {
-        __isStitchComputed: true,
-        fn: fn,
-        __explicitDeps: explicitDeps
-    };
+function nthSetItem(set, index) {
+    return Array.from(set)[index];
 }
-function createReactiveFactory(options = {}) {
-    const Version = options.version || "v2.1.0";
-    const StitchDebug = options.debug || NOOP_DEBUG;
-    const ReactiveSystemClass = options.ReactiveSystem || ReactiveSystem;
-    const ComputedRefClass = options.ComputedRef || ComputedRef;
-    const isArrowFunction = options.isArrowFunction || runtimeHelpers.isArrowFunction;
-    const setProperty = options.setProperty || runtimeHelpers.setProperty;
-    const getProperty = options.getProperty || runtimeHelpers.getProperty;
-    const addChangeHandler = options.addChangeHandler || objectHelpers.addChangeHandler;
-    const removeChangeHandler = options.removeChangeHandler || objectHelpers.removeChangeHandler;
-    const toJSON = options.toJSON || objectHelpers.toJSON;
-    // ReactiveSystem will be created after bubbleChangeUp is defined
-    let reactiveSystem;
-    /** @type {WeakMap<object, object>} Raw object/collection -> reactive proxy cache */
-    const proxyMap = new WeakMap();
 
-    /**
-     * Adds parent metadata once for nested change bubbling.
-     * Collection/object targets are non-configurable after first define.
-     *
-     * @param {Object} target - Reactive target object
-     * @param {Object|null} parent - Parent object
-     * @param {string|number|null} key - Property key in parent
-     */
-    function attachParent(target, parent, key) {
-        if (parent && key !== null && key !== undefined && !target._parent) {
-            defineHidden(target, "_parent", { obj: parent, key: key });
+function parseArrayIndex(segment, length, allowEnd, pointer) {
+    if (allowEnd && segment === "-") {
+        return length;
+    }
+    if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() invalid array index "${segment}" in "${pointer}"`);
+    }
+    const index = Number(segment);
+    if (index > length || (!allowEnd && index === length)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() array index ${index} out of bounds in "${pointer}"`);
+    }
+    return index;
+}
+
+function hasChild(container, segment) {
+    if (container instanceof Map) return findMapKey(container, segment).found;
+    if (container instanceof Set) return /^\d+$/.test(segment) && Number(segment) < container.size;
+    if (Array.isArray(container)) return /^(0|[1-9][0-9]*)$/.test(segment) && Number(segment) < container.length;
+    return Object.prototype.hasOwnProperty.call(container, segment) && !segment.startsWith("_");
+}
+
+function getChild(container, segment) {
+    if (container instanceof Map) return container.get(findMapKey(container, segment).key);
+    if (container instanceof Set) return nthSetItem(container, Number(segment));
+    return container[segment];
+}
+
+/**
+ * Creates a copy-on-write draft of a model for dry-running a patch. A container is
+ * copied (shallowly) only when an operation walks through it, so validation costs
+ * the paths the patch touches instead of the whole model. Computed properties stay
+ * read-only so writes to them fail the same way they would on the model.
+ *
+ * @param {Object} model
+ * @returns {{root: Object, descend: Function}} Draft root and the child lookup that copies on the way down
+ */
+function createDraft(model) {
+    const drafts = new WeakSet();
+    /** @type {WeakMap<Object, Map<string, Function>>} Draft object -> setters of its computed values */
+    const computedCells = new WeakMap();
+
+    function copy(value) {
+        let result;
+        if (Array.isArray(value)) {
+            result = Array.from(value);
+        } else if (value instanceof Map) {
+            result = new Map(value);
+        } else if (value instanceof Set) {
+            result = new Set(value);
+        } else {
+            result = {};
+            const cells = new Map();
+            Object.keys(value).forEach(key => {
+                const descriptor = Object.getOwnPropertyDescriptor(value, key);
+                if (descriptor && descriptor.get && descriptor.configurable === false) {
+                    // Computed: deleting throws, and so does assigning unless it has a set(), as on the model
+                    let cell = value[key];
+                    const store = next => { cell = next; };
+                    const ref = value._computedRefs && value._computedRefs.get(key);
+                    cells.set(key, store);
+                    Object.defineProperty(result, key, {
+                        get: () => cell,
+                        set: ref && ref.writable ? store : undefined,
+                        enumerable: true,
+                        configurable: false
+                    });
+                } else {
+                    result[key] = value[key];
+                }
+            });
+            computedCells.set(result, cells);
         }
+        drafts.add(result);
+        return result;
     }
 
-    /**
-     * Resolves Set membership key so raw object lookups match proxied storage.
-     * If object has already been proxied, use cached proxy for has/delete tracking.
-     *
-     * @param {*} value - Raw or reactive value
-     * @returns {*} Normalized value for Set operations
-     */
-    function normalizeSetLookup(value) {
-        if (value && typeof value === "object" && !value.__isReactive) {
-            return proxyMap.get(value) || value;
+    function descend(parent, segment) {
+        const child = getChild(parent, segment);
+        if (!child || typeof child !== "object" || drafts.has(child)) {
+            return child;
         }
-        return value;
+        const draft = copy(child);
+        if (Array.isArray(parent)) {
+            parent[Number(segment)] = draft;
+        } else if (parent instanceof Map) {
+            parent.set(findMapKey(parent, segment).key, draft);
+        } else if (parent instanceof Set) {
+            const items = Array.from(parent);
+            items[Number(segment)] = draft;
+            parent.clear();
+            items.forEach(item => parent.add(item));
+        } else if (computedCells.get(parent).has(segment)) {
+            computedCells.get(parent).get(segment)(draft);
+        } else {
+            parent[segment] = draft;
+        }
+        return draft;
     }
 
-    /**
-     * Recursively bubbles changes to parent objects.
-     * Publishes 'nested-change' events for parent notification.
-     * 
-     * OPTIMIZED (v2.1.0): Iterative traversal + Conditional publishing.
-     * Prevents event spam in deep trees when no one is listening.
-     *
-     * @param {Object} target - Child object that changed
-     * @param {string} key - Property key that changed
-     * @param {*} oldValue - Previous value
-     * @param {*} newValue - New value
-     */
-    function bubbleChangeUp(target, key, oldValue, newValue) {
-        let current = target;
-        let currentKey = key;
-        
-        // Iterative traversal to prevent stack overflow on deep objects
-        while (current._parent && current._parent.obj) {
-            const parent = current._parent.obj;
-            const parentKey = current._parent.key;
-            const fullPath = `${parentKey}.${currentKey}`;
-            
-            // Optimization: Only publish if parent has handlers OR global wildcard listeners exist
-            // This avoids creating 100s of events for deep updates that no one cares about
-            if ((parent._changeHandlers && parent._changeHandlers.size > 0) || 
-                (reactiveSystem.messageBus.subscribers.has("*"))) {
-                
-                reactiveSystem.messageBus.publish("nested-change", {
-                    parent: parent,
-                    parentKey: parentKey,
-                    childKey: currentKey,
-                    oldValue: oldValue,
-                    newValue: newValue,
-                    fullPath: fullPath
-                });
-            }
-            
-            // Move up the tree
-            current = parent;
-            currentKey = fullPath;
+    return { root: copy(model), descend };
+}
+
+/**
+ * Resolves the parent container and last segment of a pointer.
+ *
+ * @param {Object} root
+ * @param {string} pointer
+ * @param {Function} [descend=getChild] - Child lookup (a draft's copies containers on the way)
+ * @returns {{parent: Object, segment: string}}
+ */
+function resolveParent(root, pointer, descend = getChild) {
+    const segments = parsePointer(pointer);
+    if (segments.length === 0) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() cannot replace the whole model ("${pointer}")`);
+    }
+    let parent = root;
+    for (let i = 0; i < segments.length - 1; i++) {
+        if (!parent || typeof parent !== "object" || !hasChild(parent, segments[i])) {
+            throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
         }
+        parent = descend(parent, segments[i]);
     }
+    if (!parent || typeof parent !== "object") {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+    }
+    return { parent, segment: segments[segments.length - 1] };
+}
 
-    // Now create ReactiveSystem with bubbleChangeUp dependency
-    reactiveSystem = new ReactiveSystemClass(bubbleChangeUp, { version: Version, debug: StitchDebug });
+function readValue(root, pointer, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (!hasChild(parent, segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+    }
+    return getChild(parent, segment);
+}
 
-    /**
-     * Returns property descriptor with reactive get/set.
-     * Tracks access and triggers changes.
-     * Rejects arrow functions (cannot access 'this').
-     * 
-     * @param {Object} target - Target object
-     * @param {string} key - Property key
-     * @param {Object} internal - Internal storage object
-     * @returns {Object} Property descriptor
-     */
-    function createReactiveDescriptor(target, key, internal) {
-        return {
-            enumerable: true,
-            configurable: true,
-            get() {
-                reactiveSystem.track(target, key);
-                StitchDebug.enabled && StitchDebug.log("reactivity", `⬆️ GET: ${reactiveSystem._getObjectId(target)}.${String(key)}`, {
-                    value: internal[key],
-                    hasEffect: !!reactiveSystem.currentEffect,
-                    effectId: reactiveSystem.currentEffect?.id
-                });
-                return internal[key];
-            },
-            set(newValue) {
-                const oldValue = internal[key];
-                if (oldValue === newValue) {
-                    StitchDebug.enabled && StitchDebug.log("reactivity", `SET SKIPPED (no change): ${reactiveSystem._getObjectId(target)}.${String(key)} = ${newValue}`);
-                    return;
-                }
-                StitchDebug.enabled && StitchDebug.log("reactivity", `⬇️ SET: ${reactiveSystem._getObjectId(target)}.${String(key)}`, {
-                    oldValue: oldValue,
-                    newValue: newValue
-                });
-                if (typeof newValue === "function" && isArrowFunction(newValue)) {
-                    throw new Error(`Stitch.js ${Version}: Cannot set arrow function on property '${String(key)}'\n\n` + `Arrow functions cannot access reactive properties via 'this'.\n` + `Use regular function or ES6 method shorthand instead.`);
-                }
-                newValue = makeDeepReactive(newValue, target, key);
-                internal[key] = newValue;
-                reactiveSystem.trigger(target, key, oldValue, newValue);
-                bubbleChangeUp(target, key, oldValue, newValue);
-            }
-        };
+function addValue(root, pointer, value, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (Array.isArray(parent)) {
+        parent.splice(parseArrayIndex(segment, parent.length, true, pointer), 0, value);
+    } else if (parent instanceof Map) {
+        parent.set(findMapKey(parent, segment).key, value);
+    } else if (parent instanceof Set) {
+        parent.add(value);
+    } else if (Object.prototype.hasOwnProperty.call(parent, segment)) {
+        parent[segment] = value;
+    } else if (typeof parent.$set === "function") {
+        parent.$set(segment, value);
+    } else {
+        parent[segment] = value;
     }
+}
 
-    /**
-     * Creates computed property descriptor with synchronous invalidation.
-     *
-     * ⭐ KEY CHANGE FROM V1: Uses ComputedRef class instead of effect with scheduler.
-     * Computed invalidation is now SYNCHRONOUS, evaluation is still LAZY.
-     *
-     * @param {Object} target - Target object
-     * @param {string} key - Property key
-     * @param {Function} computeFn - Compute function
-     * @param {Array<string>} [explicitDeps=null] - Explicit dependencies
-     * @returns {Object} Property descriptor with getter/setter
-     */
-    function createComputedDescriptor(target, key, computeFn, explicitDeps = null) {
-        // Create ComputedRef instance
-        const computedRef = new ComputedRefClass(
-            computeFn,
-            reactiveSystem,
-            target,
-            explicitDeps
-        );
-
-        if (explicitDeps) {
-            StitchDebug.enabled && StitchDebug.log("computed", `COMPUTED DESCRIPTOR CREATED for ${String(key)} with explicit deps`, {
-                deps: explicitDeps
-            });
-        } else {
-            StitchDebug.enabled && StitchDebug.log("computed", `COMPUTED DESCRIPTOR CREATED for ${String(key)}`);
+function removeValue(root, pointer, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (!hasChild(parent, segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
+    }
+    if (Array.isArray(parent)) {
+        parent.splice(Number(segment), 1);
+    } else if (parent instanceof Map) {
+        parent.delete(findMapKey(parent, segment).key);
+    } else if (parent instanceof Set) {
+        parent.delete(nthSetItem(parent, Number(segment)));
+    } else if (typeof parent.$delete === "function") {
+        if (!parent.$delete(segment)) {
+            throw new Error(`Stitch.js ${Version}: patches.apply() cannot remove "${pointer}"`);
         }
-
-        return {
-            enumerable: true,
-            configurable: false,
-            get() {
-                // Delegate to ComputedRef
-                return computedRef.get();
-            },
-            set() {
-                throw new Error(`[Stitch.js ${Version}] Cannot set computed property '${String(key)}'`);
-            }
-        };
+    } else {
+        delete parent[segment];
     }
+}
 
-    /**
-     * Recursively makes nested objects/arrays reactive.
-     * Preserves existing reactive objects.
-     * 
-     * @param {*} value - Value to make reactive
-     * @param {Object} parent - Parent object
-     * @param {string} key - Property key
-     * @returns {*} Reactive value or original if primitive
-     */
-    function makeDeepReactive(value, parent, key) {
-        if (value === null || typeof value !== "object") {
-            return value;
-        }
-        if (value.__isReactive) {
-            return value;
-        }
-        if (Array.isArray(value)) {
-            return createReactiveArray(value, parent, key);
-        }
-        return reactive(value, new WeakSet, parent, key);
+function replaceValue(root, pointer, value, descend) {
+    const { parent, segment } = resolveParent(root, pointer, descend);
+    if (!hasChild(parent, segment)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() path "${pointer}" does not exist`);
     }
+    if (parent instanceof Map) {
+        parent.set(findMapKey(parent, segment).key, value);
+    } else if (parent instanceof Set) {
+        parent.delete(nthSetItem(parent, Number(segment)));
+        parent.add(value);
+    } else {
+        parent[segment] = value;
+    }
+}
 
-    /**
-     * Makes object reactive via Object.defineProperty.
-     * Detects and rejects arrow functions (cannot bind 'this').
-     * 
-     * ⭐ OPTION 7 REFACTOR: This function NOW handles computed properties at ALL nesting levels.
-     * Single source of truth for ALL reactivity concerns.
-     * 
-     * @param {Object} obj - Object to make reactive
-     * @param {WeakSet} [seen=new WeakSet] - Circular reference detection
-     * @param {Object|null} [parent=null] - Parent object for change bubbling
-     * @param {string|null} [key=null] - Property key in parent
-     * @returns {Object} Reactive object
-     */
-    function reactive(obj, seen = new WeakSet, parent = null, key = null) {
-        if (obj === null || typeof obj !== "object") {
-            return obj;
-        }
-        if (obj.__isReactive) {
-            return obj;
+/**
+ * Applies one RFC 6902 operation to a model or a validation draft.
+ *
+ * @param {Object} root
+ * @param {Object} operation
+ * @param {Function} [descend] - The draft's child lookup when dry-running
+ */
+function applyOperation(root, operation, descend) {
+    if (!operation || typeof operation !== "object" || typeof operation.op !== "string") {
+        throw new Error(`Stitch.js ${Version}: patches.apply() operations must be objects with "op" and "path"`);
+    }
+    const { op, path } = operation;
+    if ((op === "add" || op === "replace" || op === "test") && !("value" in operation)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() "${op}" at "${path}" requires a value`);
+    }
+    switch (op) {
+        case "add":
+            addValue(root, path, cloneValue(operation.value), descend);
+            break;
+        case "remove":
+            removeValue(root, path, descend);
+            break;
+        case "replace":
+            replaceValue(root, path, cloneValue(operation.value), descend);
+            break;
+        case "move": {
+            if (path === operation.from || path.startsWith(operation.from + "/")) {
+                if (path === operation.from) break;
+                throw new Error(`Stitch.js ${Version}: patches.apply() cannot move "${operation.from}" into itself`);
+            }
+            const value = readValue(root, operation.from, descend);
+            removeValue(root, operation.from, descend);
+            addValue(root, path, value, descend);
+            break;
         }
+        case "copy":
+            addValue(root, path, cloneValue(toPlainValue(readValue(root, operation.from, descend))), descend);
+            break;
+        case "test":
+            if (!deepEqual(toPlainValue(readValue(root, path, descend)), toPlainValue(operation.value))) {
+                throw new Error(`Stitch.js ${Version}: patches.apply() test failed at "${path}"`);
+            }
+            break;
+        default:
+            throw new Error(`Stitch.js ${Version}: patches.apply() unknown operation "${op}"`);
+    }
+}
 
-        // Return cached proxy for collections to preserve identity:
-        // reactive(raw) === reactive(raw)
-        const cachedProxy = proxyMap.get(obj);
-        if (cachedProxy) {
-            attachParent(obj, parent, key);
-            return cachedProxy;
-        }
+// Incoming values are copied so one patch object can be applied to several models
+function cloneValue(value) {
+    return value && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+}
 
-        if (seen.has(obj)) {
-            return obj;
-        }
-        seen.add(obj);
-        
-        if (obj instanceof Map) {
-            return createReactiveMap(obj, parent, key);
-        }
-        if (obj instanceof Set) {
-            return createReactiveSet(obj, parent, key);
-        }
-        
-        // Arrow function validation
-        for (const [childKey, value] of Object.entries(obj)) {
-            if (typeof value === "function" && isArrowFunction(value)) {
-                throw new Error(`Stitch.js ${Version}: Arrow function detected in property '${childKey}'\n\n` + `Arrow functions cannot access reactive properties via 'this'.\n` + `They use lexical 'this' binding which cannot be changed.\n\n` + `Convert to regular function or ES6 method shorthand:\n` + `  ❌ ${childKey}: () => { return this.someValue; }\n` + `  ✅ ${childKey}() { return this.someValue; }\n` + `  ✅ ${childKey}: function() { return this.someValue; }\n\n` + `Learn more: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Functions/Arrow_functions`);
+/**
+ * Records RFC 6902 operations for every change to a model: property sets, `$set`,
+ * `$delete`, array mutations (as index add/remove/replace) and Map/Set changes
+ * (Map entries by key, Set members by position), including nested objects.
+ *
+ * @param {Object} model - Model from Observable.create() / Observable.createArray()
+ * @param {Function} callback - Called with the operations of each change (one array mutation may produce several)
+ * @returns {Function} Stops recording
+ * @example
+ * const stop = Stitch.patches.record(model, ops => socket.send(JSON.stringify(ops)));
+ * model.user.name = 'Ada';   // [{ op: 'replace', path: '/user/name', value: 'Ada' }]
+ * model.items.push({ id: 3 }); // [{ op: 'add', path: '/items/2', value: { id: 3 } }]
+ */
+function record(model, callback) {
+    if (!model || !model._factory || !model._factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: patches.record() requires a model created with Observable.create()`);
+    }
+    if (typeof callback !== "function") {
+        throw new Error(`Stitch.js ${Version}: patches.record() requires a callback function`);
+    }
+    const factory = model._factory;
+    return factory.reactiveSystem.onMutation(factory.toRaw(model), mutations => {
+        callback(mutations.map(mutation => {
+            const operation = { op: mutation.op, path: toPointer(mutation.path) };
+            if (mutation.op !== "remove") {
+                operation.value = toPlainValue(mutation.value);
             }
-        }
-        
-        // ⭐ OPTION 7 KEY CHANGE: Separate computed properties from regular properties
-        const computedProps = new Map();
-        const regularProps = {};
-        
-        for (const [childKey, value] of Object.entries(obj)) {
-            // Detect computed properties (standardized marker)
-            if (value && typeof value === "object" && value.__isStitchComputed) {
-                StitchDebug.enabled && StitchDebug.log("computed", `Found computed property at: ${childKey}`, {
-                    hasExplicitDeps: !!value.__explicitDeps
-                });
-                computedProps.set(childKey, value);
-            } else {
-                regularProps[childKey] = value;
+            return operation;
+        }));
+    });
+}
+
+/**
+ * Applies RFC 6902 operations (add, remove, replace, move, copy, test) through the
+ * model's reactive setters so bindings update. The whole patch is validated first
+ * against a copy-on-write draft of the containers it touches; if any operation fails
+ * (missing path, bad index, failed test, write to a computed property) nothing is
+ * changed. Synchronous effects and watchers run once after all operations.
+ *
+ * @param {Object} model - Model from Observable.create() / Observable.createArray()
+ * @param {Array<Object>} operations - RFC 6902 operations
+ * @returns {Object} The model
+ * @throws {Error} If the patch is invalid
+ */
+function apply(model, operations) {
+    if (!model || !model._factory || !model._factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() requires a model created with Observable.create()`);
+    }
+    if (!Array.isArray(operations)) {
+        throw new Error(`Stitch.js ${Version}: patches.apply() requires an array of operations`);
+    }
+
+    const reactiveSystem = model._factory.reactiveSystem;
+    // Reading the model for validation must not subscribe a running effect to it
+    reactiveSystem.effectStack.push(null);
+    try {
+        const draft = createDraft(model);
+        operations.forEach((operation, index) => {
+            try {
+                applyOperation(draft.root, operation, draft.descend);
+            } catch (error) {
+                const reason = error.message.startsWith("Stitch.js") ? error.message : `Stitch.js ${Version}: patches.apply() ${error.message}`;
+                throw new Error(`${reason} (operation ${index})`);
             }
+        });
+    } finally {
+        reactiveSystem.effectStack.pop();
+    }
+
+    reactiveSystem.batch(() => {
+        operations.forEach(operation => applyOperation(model, operation));
+    });
+    return model;
+}
+
+module.exports = {
+    record,
+    apply,
+    toPointer,
+    parsePointer,
+    toPlainValue
+};
+
+  };
+  __stitchModuleFactories[4] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { createReactiveFactory, createComputedMarker, createAsyncComputedMarker, getDefaultFactory, resetDefaultFactory } = __stitchRequire(6);
+const { MessageBus } = __stitchRequire(23);
+const runtimeHelpers = __stitchRequire(36);
+const { defineHidden, traverseReactive } = __stitchRequire(35);
+
+const Version = "v2.1.0";
+const getProperty = runtimeHelpers.getProperty;
+const WATCH_FLUSH_MODES = ["sync", "pre", "post"];
+
+/**
+ * Normalizes a $watch source into a getter.
+ *
+ * @param {Object} model - Reactive model the paths are resolved against
+ * @param {string|Function|Array<string|Function>} source - Path, getter or array of paths/getters
+ * @returns {Function} Getter returning the watched value (an array for array sources)
+ */
+function createWatchGetter(model, source) {
+    if (typeof source === "string") {
+        return () => getProperty(model, source);
+    }
+    if (typeof source === "function") {
+        return () => source.call(model, model);
+    }
+    if (Array.isArray(source)) {
+        const getters = source.map(item => createWatchGetter(model, item));
+        return () => getters.map(getter => getter());
+    }
+    throw new Error(`Stitch.js ${Version}: $watch() source must be a path string, a getter function or an array of them`);
+}
+
+function hasWatchValueChanged(newValue, oldValue, multiSource) {
+    if (multiSource) {
+        return newValue.some((value, index) => value !== oldValue[index]);
+    }
+    return newValue !== oldValue;
+}
+
+/**
+ * Creates a watcher effect for model.$watch().
+ *
+ * @param {Object} model - Reactive model
+ * @param {ReactiveSystem} reactiveSystem - The model's reactive system
+ * @param {string|Function|Array<string|Function>} source - What to watch
+ * @param {Function} callback - Called with (newValue, oldValue, meta)
+ * @param {Object} options - $watch options
+ * @returns {Function} Unsubscribe function
+ */
+function createWatcher(model, reactiveSystem, source, callback, options) {
+    if (typeof callback !== "function") {
+        throw new Error(`Stitch.js ${Version}: $watch() requires a callback function`);
+    }
+    // Legacy { batch: true } maps to 'pre'; the default stays synchronous
+    const flush = options.flush || (options.batch ? "pre" : "sync");
+    if (!WATCH_FLUSH_MODES.includes(flush)) {
+        throw new Error(`Stitch.js ${Version}: $watch() flush must be one of: ${WATCH_FLUSH_MODES.join(", ")}`);
+    }
+    const multiSource = Array.isArray(source);
+    const readSource = createWatchGetter(model, source);
+    const getter = options.deep ? () => traverseReactive(readSource()) : readSource;
+
+    let oldValue;
+    let initialized = false;
+    let eff = null;
+
+    function invoke(newValue, previousValue) {
+        // Callbacks run untracked so their reads do not become watcher dependencies
+        reactiveSystem.effectStack.push(null);
+        try {
+            callback(newValue, previousValue, {
+                key: typeof source === "function" ? null : source,
+                newValue,
+                oldValue: previousValue,
+                target: model
+            });
+        } finally {
+            reactiveSystem.effectStack.pop();
         }
-        
-        // Make nested objects reactive (only regular properties)
-        for (const [childKey, value] of Object.entries(regularProps)) {
-            if (value && typeof value === "object" && !value.__isReactive) {
-                regularProps[childKey] = makeDeepReactive(value, obj, childKey);
-            }
+        if (options.once) {
+            reactiveSystem.stop(eff);
         }
-        
-        // Replace original object properties with processed ones
-        for (const childKey in obj) {
-            if (obj.hasOwnProperty(childKey)) {
-                delete obj[childKey];
+    }
+
+    eff = reactiveSystem.effect(() => {
+        const newValue = getter();
+        if (!initialized) {
+            initialized = true;
+            oldValue = newValue;
+            if (options.immediate) {
+                invoke(newValue, undefined);
             }
+            return;
         }
-        Object.assign(obj, regularProps);
-        
-        // Handle arrays
-        if (Array.isArray(obj)) {
-            return createReactiveArray(obj, parent, key);
+        // Deep watchers fire on nested mutations even when the top-level value is the same object
+        if (options.deep || hasWatchValueChanged(newValue, oldValue, multiSource)) {
+            const previousValue = oldValue;
+            oldValue = newValue;
+            invoke(newValue, previousValue);
         }
-        
-        // ⭐ OPTION 7 KEY CHANGE: Pass computed properties to createReactiveObject
-        return createReactiveObject(obj, parent, key, computedProps);
-    }
+    }, {
+        batch: flush !== "sync",
+        flush
+    });
 
+    return function unwatch() {
+        reactiveSystem.stop(eff);
+    };
+}
+class Observable {
     /**
-     * Core object reactivity using Object.defineProperty.
-     * Adds metadata: _changeHandlers, __isReactive, _parent.
-     * Defines reactive descriptors for all properties.
-     * 
-     * ⭐ OPTION 7 REFACTOR: Now accepts computedProps Map parameter.
-     * Handles computed properties uniformly regardless of nesting level.
-     * 
-     * @param {Object} target - Object to make reactive
-     * @param {Object|null} [parent=null] - Parent object
-     * @param {string|null} [key=null] - Property key in parent
-     * @param {Map} [computedProps=new Map()] - Map of computed properties
-     * @returns {Object} Reactive object with descriptors
+     * Creates reactive object with eager conversion.
+     * Handles computed properties and adds Message Bus API.
+     *
+     * ⭐ OPTION 7 REFACTOR: Simplified to just call reactive() which handles everything.
+     *
+     * @param {Object} data - Data object to make reactive
+     * @param {Object} [options={}] - Options
+     * @param {boolean} [options.isolated] - If true, creates an isolated ReactiveSystem instead of using the shared singleton
+     * @param {Object} [options.factory] - Reactive factory of another model to share (used for component models)
+     * @param {boolean} [options.debug] - Enable debug logging for this instance
+     * @returns {Object} Reactive proxy
+     * @example
+     * // Basic reactive object
+     * const model = Stitch.Observable.create({
+     *     count: 0,
+     *     message: 'Hello'
+     * });
+     * model.count++; // Triggers reactivity
+     *
+     * @example
+     * // With computed properties at any nesting level
+     * const model = Stitch.Observable.create({
+     *     firstName: 'John',
+     *     lastName: 'Doe',
+     *     fullName: Stitch.computed(function() {
+     *         return `${this.firstName} ${this.lastName}`;
+     *     }),
+     *     user: {
+     *         firstName: 'Jane',
+     *         lastName: 'Smith',
+     *         fullName: Stitch.computed(function() {
+     *             return `${this.firstName} ${this.lastName}`;
+     *         })
+     *     }
+     * });
+     * console.log(model.fullName); // "John Doe"
+     * console.log(model.user.fullName); // "Jane Smith" (nested computed works!)
+     *
+     * @example
+     * // Message Bus API
+     * const model = Stitch.Observable.create({ count: 0 });
+     * const unwatch = model.$watch('count', (newVal, oldVal) => {
+     *     console.log(`Count: ${oldVal} → ${newVal}`);
+     * });
+     * model.count = 5; // Triggers handler
+     * unwatch();
+     *
+     * @example
+     * // $watch(source, callback, { deep, immediate, once, flush: 'sync' | 'pre' | 'post' })
+     * model.$watch(['firstName', 'lastName'], ([first, last]) => save(first, last), { flush: 'pre' });
+     * model.$watch(m => m.items.length, count => render(count), { immediate: true });
+     * model.$watch('settings', settings => persist(settings), { deep: true, flush: 'post' });
      */
-    function createReactiveObject(target, parent = null, key = null, computedProps = new Map()) {
-        // Add metadata
-        if (!target._changeHandlers) {
-            defineHidden(target, "_changeHandlers", new Set);
+    static create(data, options = {}) {
+        if (!data || typeof data !== "object") {
+            throw new Error("Observable.create() requires an object as input");
         }
-        if (StitchDebug.enabled && !target.__stitchId) {
-            defineHidden(target, "__stitchId", `obj_${Math.random().toString(36).substr(2, 9)}`);
+        if (data.__isReactive && data._factory) {
+            throw new Error("Observable.create() received an already-reactive object. Use the existing proxy or pass a plain object.");
         }
-        attachParent(target, parent, key);
-        defineHidden(target, "__isReactive", true);
-        
-        const internal = {};
-        const propertyDescriptors = {};
-        
-        // Process regular properties
-        const keys = Object.keys(target).filter(k => !computedProps.has(k));
-        keys.forEach(propKey => {
-            const value = target[propKey];
-            if (propKey.startsWith("_") || propKey === "on" || propKey === "off") {
-                return;
-            }
-            
-            internal[propKey] = value;
-            propertyDescriptors[propKey] = createReactiveDescriptor(target, propKey, internal);
-        });
-        
-        // ⭐ OPTION 7 KEY CHANGE: Process computed properties
-        computedProps.forEach((computedMarker, propKey) => {
-            StitchDebug.enabled && StitchDebug.log("computed", `Creating computed descriptor for: ${propKey}`, {
-                hasExplicitDeps: !!computedMarker.__explicitDeps
-            });
-            
-            // Extract function and explicit dependencies
-            const computeFn = computedMarker.fn;
-            const explicitDeps = computedMarker.__explicitDeps;
-            
-            // Resolve explicit dependencies if provided
-            let resolvedDeps = null;
-            if (explicitDeps) {
-                resolvedDeps = resolveDependencies(explicitDeps, target);
-                StitchDebug.enabled && StitchDebug.log("computed", `Resolved dependencies for "${propKey}":`, {
-                    declared: explicitDeps,
-                    resolved: resolvedDeps
+
+        const factory = options.factory || (options.isolated ? createReactiveFactory() : getDefaultFactory());
+
+        // ⭐ OPTION 7 KEY CHANGE: Just call reactive() - it handles EVERYTHING
+        // No more manual computed extraction, no more manual descriptor wrapping
+        // Single source of truth: reactive()
+        const reactiveData = factory.reactive(data, new WeakSet);
+
+        // Add factory reference
+        defineHidden(reactiveData, "_factory", factory);
+
+        // Per-model MessageBus for user-facing event API ($on/$emit/$off/$once/$use).
+        // Each model gets its own bus so events don't leak across unrelated observables.
+        // The shared factory's reactiveSystem.messageBus handles internal framework events
+        // (nested-change, array-mutation) which are already payload-scoped.
+        const modelBus = new MessageBus({ version: Version });
+
+        // Add Message Bus API
+        const messageBusMethods = {
+            $on: function (event, callback) {
+                return modelBus.subscribe(event, callback);
+            },
+            $use: function (middleware) {
+                return modelBus.use(middleware);
+            },
+            $off: function (event, callback) {
+                modelBus.unsubscribe(event, callback);
+            },
+            $emit: function (event, payload) {
+                modelBus.publish(event, payload);
+            },
+            $once: function (event, callback) {
+                const unsubscribe = modelBus.subscribe(event, payload => {
+                    callback(payload);
+                    unsubscribe();
                 });
+                return unsubscribe;
             }
-            
-            // Create computed descriptor
-            propertyDescriptors[propKey] = createComputedDescriptor(target, propKey, computeFn, resolvedDeps);
+        };
+        for (const [name, fn] of Object.entries(messageBusMethods)) {
+            defineHidden(reactiveData, name, fn);
+        }
+
+        defineHidden(reactiveData, "$watch", function (source, callback, watchOptions = {}) {
+            return createWatcher(reactiveData, factory.reactiveSystem, source, callback, watchOptions);
         });
-        
-        Object.defineProperties(target, propertyDescriptors);
 
-        // Add helper methods
-        defineHidden(target, "on", addChangeHandler.bind(target));
-        defineHidden(target, "off", removeChangeHandler.bind(target));
-        defineHidden(target, "set", setProperty.bind(null, target));
-        defineHidden(target, "get", getProperty.bind(null, target));
-        defineHidden(target, "toJSON", toJSON.bind(target));
-        defineHidden(target, "$set", function (key, value) {
-            if (this.hasOwnProperty(key) && Object.getOwnPropertyDescriptor(this, key).get) {
-                this[key] = value;
-            } else {
-                const descriptor = createReactiveDescriptor(this, key, internal);
-                Object.defineProperty(this, key, descriptor);
-                this[key] = value;
+        defineHidden(reactiveData, "$transaction", function (fn) {
+            if (typeof fn !== "function") {
+                throw new Error(`Stitch.js ${Version}: $transaction() requires a function`);
             }
+            return factory.reactiveSystem.batch(() => fn.call(reactiveData, reactiveData));
         });
 
-        return target;
+        if (options.debug) {
+            reactiveData.on(change => {
+                console.log(`[Stitch.js ${Version} Debug] ${change.field}:`, change.oldValue, "->", change.newValue);
+            });
+        }
+
+        return reactiveData;
     }
 
     /**
-     * Shared factory for reactive Map and Set proxies.
-     * Handles common proxy infrastructure: cache lookup, metadata setup,
-     * and shared traps (__isReactive, _changeHandlers, _parent, on, off,
-     * size, clear, iteration methods).
-     *
-     * Type-specific methods (Map: get/has/set/delete, Set: has/add/delete)
-     * are injected via methodOverrides, which is a function receiving
-     * (target, reactiveSystem, reactive, bubbleChangeUp) and returning
-     * a map of prop -> handler function factories.
+     * Creates reactive array with all mutations tracked.
      *
-     * @param {Map|Set} target - Collection to make reactive
-     * @param {Object|null} parent - Parent object
-     * @param {string|null} key - Property key in parent
-     * @param {Function} methodOverrides - Returns object of prop -> function(target) overrides
-     * @returns {Proxy} Reactive collection proxy
+     * @param {Array} [items=[]] - Initial array items
+     * @param {Object} [options={}] - Options
+     * @param {boolean} [options.isolated] - If true, creates an isolated ReactiveSystem instead of using the shared singleton
+     * @returns {Proxy} Reactive Proxy
+     * @example
+     * const list = Stitch.Observable.createArray([1, 2, 3]);
+     * list.push(4); // Triggers reactivity
+     * list[0] = 10; // Triggers reactivity
      */
-    function createReactiveCollection(target, parent, key, methodOverrides) {
-        const cachedProxy = proxyMap.get(target);
-        if (cachedProxy) {
-            attachParent(target, parent, key);
-            return cachedProxy;
-        }
-
-        if (!target._changeHandlers) {
-            defineHidden(target, "_changeHandlers", new Set);
+    static createArray(items = [], options = {}) {
+        if (!Array.isArray(items)) {
+            throw new Error("Observable.createArray() requires an array as input");
         }
-        attachParent(target, parent, key);
-
-        const overrides = methodOverrides(target);
-
-        const proxy = new Proxy(target, {
-            get(target, prop, receiver) {
-                if (prop === "__isReactive") return true;
-                if (prop === "_changeHandlers") return target._changeHandlers;
-                if (prop === "_parent") return target._parent;
-                if (prop === "on") return addChangeHandler.bind(target);
-                if (prop === "off") return removeChangeHandler.bind(target);
-
-                // Track size dependency
-                if (prop === "size") {
-                    reactiveSystem.track(target, "size");
-                    return Reflect.get(target, prop, target);
-                }
-
-                const value = Reflect.get(target, prop, receiver);
-
-                if (typeof value === 'function') {
-                    // Check type-specific method overrides first
-                    if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
-                        return overrides[prop];
-                    }
-                    // Common: clear
-                    if (prop === 'clear') {
-                        return function() {
-                            const oldSize = target.size;
-                            if (oldSize > 0) {
-                                target.clear();
-                                reactiveSystem.trigger(target, "size", oldSize, 0);
-                                reactiveSystem.trigger(target, "iteration", null, null);
-                                bubbleChangeUp(target, "clear", oldSize, 0);
-                            }
-                        }
-                    }
-                    // Common: iteration methods
-                    if (['forEach', 'keys', 'values', 'entries', Symbol.iterator].includes(prop)) {
-                         reactiveSystem.track(target, "iteration");
-                         return value.bind(target);
-                    }
-                    return value.bind(target);
-                }
-                return value;
-            }
-        });
-        proxyMap.set(target, proxy);
-        return proxy;
+        const factory = options.isolated ? createReactiveFactory() : getDefaultFactory();
+        const reactiveArray = factory.reactive([...items], new WeakSet);
+        defineHidden(reactiveArray, "_factory", factory);
+        return reactiveArray;
     }
 
     /**
-     * Makes Map reactive using Proxy.
-     * Thin wrapper over createReactiveCollection with Map-specific methods:
-     * get (tracked read), has (tracked membership), set (reactive mutation),
-     * delete (reactive removal).
+     * Makes existing object reactive. Eager conversion of entire tree.
      *
-     * @param {Map} target - Map to make reactive
-     * @param {Object|null} [parent=null] - Parent object
-     * @param {string|null} [key=null] - Property key in parent
-     * @returns {Proxy} Reactive Map proxy
+     * @param {Object} obj - Object to make reactive
+     * @param {Object} [options={}] - Options
+     * @param {boolean} [options.isolated] - If true, creates an isolated ReactiveSystem instead of using the shared singleton
+     * @returns {Object} Reactive object
+     */
+    static reactive(obj, options = {}) {
+        if (obj && obj.__isReactive) {
+            return obj;
+        }
+        const factory = options.isolated ? createReactiveFactory() : getDefaultFactory();
+        const reactiveObj = factory.reactive(obj, new WeakSet);
+        defineHidden(reactiveObj, "_factory", factory);
+        return reactiveObj;
+    }
+
+    /**
+     * Creates computed property marker for Observable.create().
+     * Supports function or {get, set, deps} syntax.
+     *
+     * ⭐ OPTION 7 REFACTOR: Returns standardized marker that reactive() will detect.
+     *
+     * ⚠️ ACCESSING COMPUTED PROPERTIES: Computed properties are GETTERS, not functions.
+     * Always access as properties, never call as functions.
+     *
+     * @param {Function|Object} config - Compute function or config object
+     * @returns {Object} Computed marker
+     * @example
+     * // Function syntax (automatic dependency tracking)
+     * const model = Stitch.Observable.create({
+     *     firstName: 'John',
+     *     lastName: 'Doe',
+     *     fullName: Stitch.computed(function() {
+     *         return `${this.firstName} ${this.lastName}`;
+     *     })
+     * });
+     *
+     * // ✅ CORRECT: Access as property (getter)
+     * console.log(model.fullName);  // "John Doe"
+     *
+     * // ❌ WRONG: Don't call as function
+     * console.log(model.fullName());  // Error: fullName is not a function
+     *
+     * @example
+     * // Object syntax (explicit dependencies)
+     * const model = Stitch.Observable.create({
+     *     count: 0,
+     *     multiplier: 2,
+     *     result: Stitch.computed({
+     *         get() { return this.count * this.multiplier; },
+     *         deps: ['count', 'multiplier']
+     *     })
+     * });
+     *
+     * // Access as property, not function
+     * console.log(model.result);  // 0
+     * model.count = 5;
+     * console.log(model.result);  // 10
+     *
+     * @example
+     * // Writable computed: assignments (and data-value bindings) call set(value)
+     * const price = Stitch.Observable.create({
+     *     cents: 1999,
+     *     dollars: Stitch.computed({
+     *         get() { return (this.cents / 100).toFixed(2); },
+     *         set(value) { this.cents = Math.round(parseFloat(value) * 100); }
+     *     })
+     * });
+     *
+     * price.dollars = '24.50';
+     * console.log(price.cents);  // 2450
+     */
+    static computed(config) {
+        return createComputedMarker(config, Version);
+    }
+
+    /**
+     * Creates an async computed property marker for Observable.create().
+     *
+     * The property holds a reactive `{ value, loading, error }` state. The getter
+     * re-runs when the values it reads before its first `await` change; each run
+     * receives an AbortSignal that is aborted when a newer run starts, and results
+     * of stale runs are ignored. The state also has hidden `refresh()` and `stop()`
+     * methods. Like other computeds the property cannot be assigned.
+     *
+     * @param {Object|Function} config - `{ get, default, debounce }` or the getter alone
+     * @param {Function} config.get - Called with `{ signal }`; returns a value or a Promise
+     * @param {*} [config.default] - `value` until the first run resolves
+     * @param {number} [config.debounce=0] - Delay in ms before re-running after a change
+     * @returns {Object} Async computed marker
+     * @example
+     * const model = Stitch.Observable.create({
+     *     query: '',
+     *     results: Stitch.asyncComputed({
+     *         default: [],
+     *         debounce: 250,
+     *         async get({ signal }) {
+     *             const query = this.query; // read before the first await to track it
+     *             const response = await fetch(`/search?q=${encodeURIComponent(query)}`, { signal });
+     *             return response.json();
+     *         }
+     *     })
+     * });
+     * // <ul data-loading="results.loading" data-foreach="results.value">...</ul>
+     */
+    static asyncComputed(config) {
+        return createAsyncComputedMarker(config, Version);
+    }
+
+    /**
+     * Runs fn as a transaction on the shared ReactiveSystem: synchronous effects,
+     * sync $watch callbacks and on() change handlers run once when the outermost
+     * batch ends (change handlers once per changed property). If fn throws, its
+     * changes are reverted and the error is rethrown. Models created with
+     * `{ isolated: true }` have their own system; use their `$transaction()`.
+     *
+     * @param {Function} fn - Makes the changes
+     * @returns {*} fn's return value
+     * @example
+     * Stitch.batch(() => {
+     *     Object.assign(record, serverRecord); // one watcher/handler call per field
+     * });
+     */
+    static batch(fn) {
+        if (typeof fn !== "function") {
+            throw new Error(`Stitch.js ${Version}: batch() requires a function`);
+        }
+        return getDefaultFactory().reactiveSystem.batch(fn);
+    }
+
+    /**
+     * Checks if object is reactive.
+     *
+     * @param {*} obj - Object to check
+     * @returns {boolean} true if reactive, false otherwise
+     */
+    static isReactive(obj) {
+        return obj && typeof obj === "object" && obj.__isReactive === true;
+    }
+
+    /**
+     * Unwraps reactive object to plain object.
+     * Calls toJSON() internally.
+     *
+     * @param {Object} reactiveObj - Reactive object
+     * @returns {Object} Plain object
+     */
+    static toRaw(reactiveObj) {
+        if (!Observable.isReactive(reactiveObj)) {
+            return reactiveObj;
+        }
+        return reactiveObj.toJSON ? reactiveObj.toJSON() : reactiveObj;
+    }
+
+    /**
+     * Resets the shared ReactiveSystem, clearing all shared state.
+     * Primarily for testing. Creates a fresh system on next Observable.create().
+     * Existing observables retain their old factory; only new observables use the new one.
+     */
+    static reset() {
+        resetDefaultFactory();
+    }
+}
+function computed(config) {
+    return Observable.computed(config);
+}
+
+function asyncComputed(config) {
+    return Observable.asyncComputed(config);
+}
+
+function batch(fn) {
+    return Observable.batch(fn);
+}
+
+module.exports = {
+    Observable,
+    computed,
+    asyncComputed,
+    batch
+};
+
+  };
+  __stitchModuleFactories[5] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { defineHidden, attachModelState } = __stitchRequire(35);
+const { serializeValue, deserializeValue, isComputedProperty, isPlainRecord } = __stitchRequire(37);
+const { handleError } = __stitchRequire(22);
+
+const Version = "v2.1.0";
+
+/**
+ * Storage adapters store strings by key:
+ * - `getItem(key)` → string | null (or a Promise of it)
+ * - `setItem(key, value)` → void (or a Promise)
+ * - `removeItem(key)` → void (or a Promise)
+ * - `subscribe(key, callback)` (optional) → unsubscribe function; calls
+ *   `callback(value)` when another tab (or model) writes the key
+ */
+
+/**
+ * Creates an in-memory adapter. Every persist() call sharing the adapter behaves
+ * like a separate tab sharing one storage, which makes it useful in tests.
+ *
+ * @param {Object.<string, string>} [initial] - Initial stored strings by key
+ * @returns {Object} Storage adapter
+ */
+function createMemoryAdapter(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    const subscribers = new Map();
+    return {
+        getItem(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem(key, value) {
+            items.set(key, String(value));
+            (subscribers.get(key) || []).forEach(callback => callback(items.get(key)));
+        },
+        removeItem(key) {
+            items.delete(key);
+        },
+        subscribe(key, callback) {
+            if (!subscribers.has(key)) {
+                subscribers.set(key, new Set());
+            }
+            subscribers.get(key).add(callback);
+            return () => subscribers.get(key).delete(callback);
+        }
+    };
+}
+
+/**
+ * Creates an adapter for a Web Storage object (localStorage / sessionStorage).
+ * Changes from other tabs arrive through the window "storage" event.
+ *
+ * @param {Storage} storage
+ * @returns {Object} Storage adapter
+ */
+function createWebStorageAdapter(storage) {
+    return {
+        getItem: key => storage.getItem(key),
+        setItem: (key, value) => storage.setItem(key, value),
+        removeItem: key => storage.removeItem(key),
+        subscribe(key, callback) {
+            if (typeof window === "undefined") {
+                return () => {};
+            }
+            const onStorage = event => {
+                if (event.storageArea === storage && event.key === key && event.newValue !== null) {
+                    callback(event.newValue);
+                }
+            };
+            window.addEventListener("storage", onStorage);
+            return () => window.removeEventListener("storage", onStorage);
+        }
+    };
+}
+
+/**
+ * Creates an IndexedDB adapter (asynchronous; the model is hydrated once the read completes).
+ * Changes from other tabs arrive through a BroadcastChannel when available.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.database="stitch"] - Database name
+ * @param {string} [options.store="persist"] - Object store name
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter(options = {}) {
+    const databaseName = options.database || "stitch";
+    const storeName = options.store || "persist";
+    const channelName = `stitch-persist:${databaseName}/${storeName}`;
+    let databasePromise = null;
+    let channel = null;
+
+    function openDatabase() {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return databasePromise;
+    }
+
+    function run(mode, operation) {
+        return openDatabase().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    function getChannel() {
+        if (!channel && typeof BroadcastChannel !== "undefined") {
+            channel = new BroadcastChannel(channelName);
+        }
+        return channel;
+    }
+
+    return {
+        getItem: key => run("readonly", store => store.get(key)).then(value => (value === undefined ? null : value)),
+        setItem: (key, value) => run("readwrite", store => store.put(value, key)).then(() => {
+            const broadcast = getChannel();
+            if (broadcast) {
+                broadcast.postMessage({ key, value });
+            }
+        }),
+        removeItem: key => run("readwrite", store => store.delete(key)),
+        subscribe(key, callback) {
+            if (typeof BroadcastChannel === "undefined") {
+                return () => {};
+            }
+            // A separate channel object: messages are not delivered to the posting object
+            const listener = new BroadcastChannel(channelName);
+            listener.onmessage = event => {
+                if (event.data && event.data.key === key) {
+                    callback(event.data.value);
+                }
+            };
+            return () => listener.close();
+        }
+    };
+}
+
+/**
+ * Resolves the `storage` option into an adapter.
+ *
+ * @param {string|Storage|Object} storage - "local", "session", "indexedDB", a Storage object or an adapter
+ * @returns {Object} Storage adapter
+ */
+function resolveAdapter(storage) {
+    if (storage === "local" || storage === "session") {
+        const webStorage = typeof window !== "undefined" ? window[storage + "Storage"] : undefined;
+        if (!webStorage) {
+            throw new Error(`Stitch.js ${Version}: persist() storage "${storage}" is not available in this environment`);
+        }
+        return createWebStorageAdapter(webStorage);
+    }
+    if (storage === "indexedDB") {
+        if (typeof indexedDB === "undefined") {
+            throw new Error(`Stitch.js ${Version}: persist() storage "indexedDB" is not available in this environment`);
+        }
+        return createIndexedDBAdapter();
+    }
+    if (typeof Storage !== "undefined" && storage instanceof Storage) {
+        return createWebStorageAdapter(storage);
+    }
+    if (storage && typeof storage.getItem === "function" && typeof storage.setItem === "function") {
+        return storage;
+    }
+    throw new Error(`Stitch.js ${Version}: persist() "storage" must be "local", "session", "indexedDB", a Storage object or an adapter with getItem/setItem`);
+}
+
+function normalizePaths(paths, name) {
+    if (!Array.isArray(paths)) {
+        throw new Error(`Stitch.js ${Version}: persist() "${name}" must be an array of paths`);
+    }
+    return paths.map(path => String(path).split("."));
+}
+
+function startsWith(path, prefix) {
+    return prefix.length <= path.length && prefix.every((key, index) => key === path[index]);
+}
+
+function isThenable(value) {
+    return !!value && typeof value.then === "function";
+}
+
+/**
+ * Writes stored data into the model: nested objects are merged so their computeds
+ * and identity survive, other values are assigned (new keys via $set).
+ * Paths in `touched` (changed in the model while the snapshot was being read) keep
+ * the model's value: nothing at or below them is assigned, and values that contain
+ * them are merged where possible and skipped otherwise.
+ */
+function assignStored(target, data, filter, path, touched = []) {
+    Object.keys(data).forEach(key => {
+        const childPath = path.concat([key]);
+        if (!filter(childPath) || touched.some(changed => startsWith(childPath, changed))) return;
+        const value = data[key];
+        const exists = Object.prototype.hasOwnProperty.call(target, key);
+        if (exists && isComputedProperty(target, key)) return;
+        const current = exists ? target[key] : undefined;
+        if (isPlainRecord(value) && isPlainRecord(current) && current.__isReactive) {
+            assignStored(current, value, filter, childPath, touched);
+        } else if (touched.some(changed => startsWith(changed, childPath))) {
+            return;
+        } else if (exists || typeof target.$set !== "function") {
+            target[key] = value;
+        } else {
+            target.$set(key, value);
+        }
+    });
+}
+
+/**
+ * Saves a model to storage and restores it on page load.
+ *
+ * The stored snapshot is read right away (synchronously for Web Storage and memory
+ * adapters) and merged into the model. Later changes are written back after
+ * `debounce` ms of inactivity and when the page is hidden. Dates, Maps and Sets keep
+ * their types; computed properties and keys starting with "_" are not stored.
+ * Writes from other tabs (the storage's `subscribe`) are merged into the model.
+ * With an asynchronous adapter, changes made before the read completes win over
+ * the stored values and are saved once the snapshot was merged.
+ *
+ * Produces a reactive state object (also available as the hidden `model.$persist`):
+ * - `hydrated` - true once the stored snapshot (if any) was read
+ * - `ready` - Promise resolved when hydrated
+ * - `flush()` - writes pending changes now
+ * - `clear()` - removes the stored snapshot
+ * - `stop()` - stops saving and syncing
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {Object} options
+ * @param {string} options.key - Storage key
+ * @param {string|Storage|Object} [options.storage="local"] - "local", "session", "indexedDB", a Storage object or an adapter
+ * @param {string[]} [options.include] - Only persist these paths (and everything below them)
+ * @param {string[]} [options.exclude] - Never persist these paths
+ * @param {number} [options.version=1] - Snapshot version
+ * @param {Function} [options.migrate] - `(data, storedVersion) => data` for snapshots of another version; without it they are discarded
+ * @param {number} [options.debounce=100] - Write delay in ms
+ * @param {Function} [options.onError] - `(error, { key, operation })` for failed reads, writes
+ *   and migrations (`operation` is "read", "save" or "migrate"); defaults to Stitch.config.errorHandler
+ * @returns {Object} Reactive persistence state
+ * @example
+ * Stitch.persist(form, {
+ *     key: 'signup-form',
+ *     exclude: ['password'],
+ *     version: 2,
+ *     migrate: (data, from) => (from === 1 ? { ...data, phone: data.tel } : data)
+ * });
+ */
+function persist(model, options = {}) {
+    if (!options.key || typeof options.key !== "string") {
+        throw new Error(`Stitch.js ${Version}: persist() requires a "key" string`);
+    }
+    const key = options.key;
+    const adapter = resolveAdapter(options.storage || "local");
+    const version = options.version === undefined ? 1 : options.version;
+    const debounce = options.debounce === undefined ? 100 : options.debounce;
+    const includedPaths = options.include ? normalizePaths(options.include, "include") : null;
+    const excludedPaths = normalizePaths(options.exclude || [], "exclude");
+
+    // Ancestors of included paths are kept so the included values can be reached
+    const filter = path => !excludedPaths.some(excluded => startsWith(path, excluded))
+        && (!includedPaths || includedPaths.some(included => startsWith(path, included) || startsWith(included, path)));
+
+    let timer = null;
+    let lastWritten = null;
+    let restoring = false;
+    let stopped = false;
+    /** @type {string[][]|null} Paths changed before hydration finished; null once hydrated */
+    let touchedBeforeHydration = [];
+
+    const state = attachModelState(model, "$persist", { hydrated: false }, "persist");
+    const factory = state._factory;
+    const reactiveSystem = factory.reactiveSystem;
+
+    function reportError(error, operation) {
+        if (typeof options.onError === "function") {
+            try {
+                options.onError(error, { key, operation });
+                return;
+            } catch (handlerError) {
+                console.error(`[Stitch.js ${Version}] persist: onError threw`, handlerError);
+            }
+        }
+        handleError(error);
+    }
+
+    function readSnapshot(raw) {
+        let envelope;
+        try {
+            envelope = JSON.parse(raw);
+        } catch (error) {
+            console.warn(`[Stitch.js ${Version}] persist: ignoring unreadable data stored under "${key}"`, error);
+            return null;
+        }
+        if (!envelope || typeof envelope !== "object" || !("data" in envelope)) {
+            return null;
+        }
+        let data = deserializeValue(envelope.data);
+        if (envelope.version !== version) {
+            if (typeof options.migrate !== "function") {
+                console.warn(`[Stitch.js ${Version}] persist: discarding data stored under "${key}" with version ${envelope.version} (current version ${version}). Pass a migrate() option to keep it.`);
+                return null;
+            }
+            try {
+                data = options.migrate(data, envelope.version);
+            } catch (error) {
+                reportError(error, "migrate");
+                return null;
+            }
+        }
+        return isPlainRecord(data) ? data : null;
+    }
+
+    function restore(raw) {
+        if (stopped || raw === null || raw === undefined || raw === lastWritten) {
+            return;
+        }
+        const data = readSnapshot(raw);
+        if (!data) {
+            return;
+        }
+        lastWritten = raw;
+        restoring = true;
+        try {
+            reactiveSystem.batch(() => assignStored(model, data, filter, [], touchedBeforeHydration || []));
+        } finally {
+            restoring = false;
+        }
+    }
+
+    function write() {
+        clearTimeout(timer);
+        timer = null;
+        const raw = JSON.stringify({ version, data: serializeValue(model, filter) });
+        if (raw === lastWritten) {
+            return Promise.resolve();
+        }
+        lastWritten = raw;
+        try {
+            return Promise.resolve(adapter.setItem(key, raw)).catch(error => reportError(error, "save"));
+        } catch (error) {
+            reportError(error, "save");
+            return Promise.resolve();
+        }
+    }
+
+    const stopListening = reactiveSystem.onMutation(factory.toRaw(model), mutations => {
+        if (restoring || stopped) {
+            return;
+        }
+        const paths = mutations.map(mutation => mutation.path.map(String)).filter(filter);
+        if (paths.length === 0) {
+            return;
+        }
+        if (touchedBeforeHydration) {
+            // Saving now would overwrite the snapshot that is still being read
+            touchedBeforeHydration.push(...paths);
+            return;
+        }
+        clearTimeout(timer);
+        timer = setTimeout(write, debounce);
+    });
+    const unsubscribe = typeof adapter.subscribe === "function" ? adapter.subscribe(key, restore) : null;
+    const onPageHide = () => {
+        if (timer) {
+            write();
+        }
+    };
+    if (typeof window !== "undefined") {
+        window.addEventListener("pagehide", onPageHide);
+    }
+
+    function finishHydration(raw) {
+        restore(raw);
+        const touched = touchedBeforeHydration;
+        touchedBeforeHydration = null;
+        state.hydrated = true;
+        if (touched.length > 0 && !stopped) {
+            clearTimeout(timer);
+            timer = setTimeout(write, debounce);
+        }
+    }
+
+    function failHydration(error) {
+        reportError(error, "read");
+        finishHydration(null);
+    }
+
+    let ready;
+    try {
+        const stored = adapter.getItem(key);
+        if (isThenable(stored)) {
+            ready = stored.then(finishHydration, failHydration);
+        } else {
+            finishHydration(stored);
+            ready = Promise.resolve();
+        }
+    } catch (error) {
+        failHydration(error);
+        ready = Promise.resolve();
+    }
+
+    defineHidden(state, "ready", ready);
+    defineHidden(state, "flush", function () {
+        if (stopped) {
+            return Promise.resolve();
+        }
+        return touchedBeforeHydration ? ready.then(() => state.flush()) : write();
+    });
+    defineHidden(state, "clear", function () {
+        clearTimeout(timer);
+        timer = null;
+        lastWritten = null;
+        return Promise.resolve(adapter.removeItem ? adapter.removeItem(key) : undefined);
+    });
+    defineHidden(state, "stop", function () {
+        if (stopped) return;
+        stopped = true;
+        clearTimeout(timer);
+        timer = null;
+        stopListening();
+        if (unsubscribe) unsubscribe();
+        if (typeof window !== "undefined") {
+            window.removeEventListener("pagehide", onPageHide);
+        }
+    });
+    return state;
+}
+
+module.exports = {
+    persist,
+    createMemoryAdapter,
+    createWebStorageAdapter,
+    createIndexedDBAdapter
+};
+
+  };
+  __stitchModuleFactories[6] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { ReactiveSystem } = __stitchRequire(24);
+const { ComputedRef } = __stitchRequire(19);
+const { AsyncComputedRef } = __stitchRequire(17);
+const runtimeHelpers = __stitchRequire(36);
+const objectHelpers = __stitchRequire(35);
+const { NOOP_DEBUG } = __stitchRequire(28);
+const { createArrayPatches, createAssignmentPatches } = __stitchRequire(26);
+const { applyMutation } = __stitchRequire(34);
+const defineHidden = objectHelpers.defineHidden;
+
+/**
+ * Creates a standardized computed property marker.
+ * Shared validation/marker-creation logic used by both Observable.computed()
+ * and the factory's computed() function.
+ *
+ * @param {Function|Object} config - Compute function or config object
+ * @param {string} version - Version string for error messages
+ * @returns {Object} Computed marker { __isStitchComputed, fn, setter, __explicitDeps }
+ */
+function createComputedMarker(config, version) {
+    let fn, explicitDeps, setter = null;
+    if (typeof config === "function") {
+        fn = config;
+        explicitDeps = null;
+    } else if (typeof config === "object" && config.get) {
+        fn = config.get;
+        explicitDeps = config.deps || null;
+        if (explicitDeps && !Array.isArray(explicitDeps)) {
+            throw new Error(`[Stitch.js ${version}] Stitch.computed() deps must be an array of property names.\n` + `Example: Stitch.computed({ get() { ... }, deps: ['prop1', 'prop2'] })`);
+        }
+        if (config.set !== undefined && typeof config.set !== "function") {
+            throw new Error(`[Stitch.js ${version}] Stitch.computed() set must be a function.\n` + `Example: Stitch.computed({ get() { ... }, set(value) { ... } })`);
+        }
+        setter = config.set || null;
+    } else {
+        throw new Error(`[Stitch.js ${version}] Stitch.computed() expects either:\n` + `  - A function: Stitch.computed(function() { ... })\n` + `  - An object: Stitch.computed({ get() { ... }, set(value) { ... }, deps: [...] })`);
+    }
+
+    return {
+        __isStitchComputed: true,
+        fn: fn,
+        setter: setter,
+        __explicitDeps: explicitDeps
+    };
+}
+/**
+ * Creates an async computed property marker (see Observable.asyncComputed()).
+ *
+ * @param {Object|Function} config - `{ get, default, debounce }` or the getter alone
+ * @param {string} version - Version string for error messages
+ * @returns {Object} Marker { __isStitchAsyncComputed, get, initialValue, debounce }
+ */
+function createAsyncComputedMarker(config, version) {
+    const normalized = typeof config === "function" ? { get: config } : config;
+    if (!normalized || typeof normalized.get !== "function") {
+        throw new Error(`Stitch.js ${version}: asyncComputed() requires a getter: Stitch.asyncComputed({ get({ signal }) { ... } })`);
+    }
+    const debounce = normalized.debounce === undefined ? 0 : normalized.debounce;
+    if (typeof debounce !== "number" || !(debounce >= 0)) {
+        throw new Error(`Stitch.js ${version}: asyncComputed() debounce must be a number of milliseconds`);
+    }
+    return {
+        __isStitchAsyncComputed: true,
+        get: normalized.get,
+        initialValue: normalized.default,
+        debounce
+    };
+}
+
+function createReactiveFactory(options = {}) {
+    const Version = options.version || "v2.1.0";
+    const StitchDebug = options.debug || NOOP_DEBUG;
+    const ReactiveSystemClass = options.ReactiveSystem || ReactiveSystem;
+    const ComputedRefClass = options.ComputedRef || ComputedRef;
+    const AsyncComputedRefClass = options.AsyncComputedRef || AsyncComputedRef;
+    const isArrowFunction = options.isArrowFunction || runtimeHelpers.isArrowFunction;
+    const setProperty = options.setProperty || runtimeHelpers.setProperty;
+    const getProperty = options.getProperty || runtimeHelpers.getProperty;
+    const addChangeHandler = options.addChangeHandler || objectHelpers.addChangeHandler;
+    const removeChangeHandler = options.removeChangeHandler || objectHelpers.removeChangeHandler;
+    const toJSON = options.toJSON || objectHelpers.toJSON;
+    // ReactiveSystem will be created after bubbleChangeUp is defined
+    let reactiveSystem;
+    /** @type {WeakMap<object, object>} Raw object/collection -> reactive proxy cache */
+    const proxyMap = new WeakMap();
+    /** @type {WeakMap<object, object>} Reactive proxy -> raw array/collection */
+    const rawMap = new WeakMap();
+
+    /**
+     * Adds parent metadata once for nested change bubbling.
+     * Collection/object targets are non-configurable after first define.
+     *
+     * @param {Object} target - Reactive target object
+     * @param {Object|null} parent - Parent object
+     * @param {string|number|null} key - Property key in parent
+     */
+    function attachParent(target, parent, key) {
+        if (parent && key !== null && key !== undefined && !target._parent) {
+            defineHidden(target, "_parent", { obj: parent, key: key });
+        }
+    }
+
+    /**
+     * Resolves Set membership key so raw object lookups match proxied storage.
+     * If object has already been proxied, use cached proxy for has/delete tracking.
+     *
+     * @param {*} value - Raw or reactive value
+     * @returns {*} Normalized value for Set operations
+     */
+    function normalizeSetLookup(value) {
+        if (value && typeof value === "object" && !value.__isReactive) {
+            return proxyMap.get(value) || value;
+        }
+        return value;
+    }
+
+    /**
+     * Recursively bubbles changes to parent objects.
+     * Publishes 'nested-change' events for parent notification.
+     * 
+     * OPTIMIZED (v2.1.0): Iterative traversal + Conditional publishing.
+     * Prevents event spam in deep trees when no one is listening.
+     *
+     * @param {Object} target - Child object that changed
+     * @param {string} key - Property key that changed
+     * @param {*} oldValue - Previous value
+     * @param {*} newValue - New value
+     */
+    function bubbleChangeUp(target, key, oldValue, newValue) {
+        let current = target;
+        let currentKey = key;
+        
+        // Iterative traversal to prevent stack overflow on deep objects
+        while (current._parent && current._parent.obj) {
+            const parent = current._parent.obj;
+            const parentKey = current._parent.key;
+            const fullPath = `${parentKey}.${currentKey}`;
+            
+            // Optimization: Only publish if parent has handlers OR global wildcard listeners exist
+            // This avoids creating 100s of events for deep updates that no one cares about
+            if ((parent._changeHandlers && parent._changeHandlers.size > 0) || 
+                (reactiveSystem.messageBus.subscribers.has("*"))) {
+                
+                reactiveSystem.publishChange("nested-change", {
+                    parent: parent,
+                    parentKey: parentKey,
+                    childKey: currentKey,
+                    oldValue: oldValue,
+                    newValue: newValue,
+                    fullPath: fullPath
+                });
+            }
+            
+            // Move up the tree
+            current = parent;
+            currentKey = fullPath;
+        }
+    }
+
+    /**
+     * Returns the raw target of a reactive array/collection proxy
+     * (reactive objects are made reactive in place and returned as is).
+     *
+     * @param {*} value
+     * @returns {*}
+     */
+    function toRaw(value) {
+        return (value && rawMap.get(value)) || value;
+    }
+
+    /**
+     * Reports a mutation to onMutation() listeners of the target and of every
+     * ancestor it is still attached to, with the path relative to each listener.
+     * Inside batch() it also records how to revert the mutation.
+     * Costs nothing while no mutation listener is registered and no batch is open.
+     *
+     * @param {Object} target - Raw reactive target that changed
+     * @param {Array<{op: string, key: *, value: *, oldValue: *}>} changes - Changes in order
+     */
+    function emitMutations(target, changes) {
+        if (changes.length === 0) {
+            return;
+        }
+        if (reactiveSystem.isRecordingUndo()) {
+            const container = proxyMap.get(target) || target;
+            reactiveSystem.recordUndo(() => {
+                for (let i = changes.length - 1; i >= 0; i--) {
+                    applyMutation(container, changes[i].key, changes[i], true);
+                }
+            });
+        }
+        if (reactiveSystem.mutationListenerCount === 0) {
+            return;
+        }
+        const prefix = [];
+        let current = target;
+        // Parent lookups below must not be tracked by a running effect
+        reactiveSystem.effectStack.push(null);
+        try {
+            while (current) {
+                if (reactiveSystem.mutationListeners.has(current)) {
+                    reactiveSystem.notifyMutation(current, changes.map(change => ({
+                        op: change.op,
+                        path: prefix.concat([change.key]),
+                        value: change.value,
+                        oldValue: change.oldValue
+                    })));
+                }
+                const parentInfo = current._parent;
+                if (!parentInfo || !parentInfo.obj) break;
+                const parent = toRaw(parentInfo.obj);
+                const self = proxyMap.get(current) || current;
+                // Array positions shift, so the index is looked up; detached children stop here
+                const parentKey = Array.isArray(parent) ? parent.indexOf(self) : parentInfo.key;
+                if (Array.isArray(parent) ? parentKey < 0 : parent[parentKey] !== self) break;
+                prefix.unshift(parentKey);
+                current = parent;
+            }
+        } finally {
+            reactiveSystem.effectStack.pop();
+        }
+    }
+
+    /**
+     * Converts array splice patches into add/remove/replace mutations.
+     *
+     * @param {Object} target - Raw array
+     * @param {Array<{index: number, removed: Array, added: Array}>} patches
+     */
+    function emitArrayPatchMutations(target, patches) {
+        if (reactiveSystem.mutationListenerCount === 0 && !reactiveSystem.isRecordingUndo()) {
+            return;
+        }
+        const changes = [];
+        patches.forEach(patch => {
+            const common = Math.min(patch.removed.length, patch.added.length);
+            for (let i = 0; i < common; i++) {
+                changes.push({ op: "replace", key: patch.index + i, value: patch.added[i], oldValue: patch.removed[i] });
+            }
+            for (let i = common; i < patch.removed.length; i++) {
+                changes.push({ op: "remove", key: patch.index + common, value: undefined, oldValue: patch.removed[i] });
+            }
+            for (let i = common; i < patch.added.length; i++) {
+                changes.push({ op: "add", key: patch.index + i, value: patch.added[i], oldValue: undefined });
+            }
+        });
+        emitMutations(target, changes);
+    }
+
+    // Now create ReactiveSystem with bubbleChangeUp dependency
+    reactiveSystem = new ReactiveSystemClass(bubbleChangeUp, { version: Version, debug: StitchDebug });
+
+    /**
+     * Returns property descriptor with reactive get/set.
+     * Tracks access and triggers changes.
+     * Rejects arrow functions (cannot access 'this').
+     * 
+     * @param {Object} target - Target object
+     * @param {string} key - Property key
+     * @param {Object} internal - Internal storage object
+     * @returns {Object} Property descriptor
+     */
+    function createReactiveDescriptor(target, key, internal) {
+        return {
+            enumerable: true,
+            configurable: true,
+            get() {
+                reactiveSystem.track(target, key);
+                StitchDebug.enabled && StitchDebug.log("reactivity", `⬆️ GET: ${reactiveSystem._getObjectId(target)}.${String(key)}`, {
+                    value: internal[key],
+                    hasEffect: !!reactiveSystem.currentEffect,
+                    effectId: reactiveSystem.currentEffect?.id
+                });
+                return internal[key];
+            },
+            set(newValue) {
+                const oldValue = internal[key];
+                const existed = Object.prototype.hasOwnProperty.call(internal, key);
+                if (oldValue === newValue && existed) {
+                    StitchDebug.enabled && StitchDebug.log("reactivity", `SET SKIPPED (no change): ${reactiveSystem._getObjectId(target)}.${String(key)} = ${newValue}`);
+                    return;
+                }
+                StitchDebug.enabled && StitchDebug.log("reactivity", `⬇️ SET: ${reactiveSystem._getObjectId(target)}.${String(key)}`, {
+                    oldValue: oldValue,
+                    newValue: newValue
+                });
+                if (typeof newValue === "function" && isArrowFunction(newValue)) {
+                    throw new Error(`Stitch.js ${Version}: Cannot set arrow function on property '${String(key)}'\n\n` + `Arrow functions cannot access reactive properties via 'this'.\n` + `Use regular function or ES6 method shorthand instead.`);
+                }
+                newValue = makeDeepReactive(newValue, target, key);
+                internal[key] = newValue;
+                reactiveSystem.trigger(target, key, oldValue, newValue);
+                bubbleChangeUp(target, key, oldValue, newValue);
+                emitMutations(target, [{ op: existed ? "replace" : "add", key, value: newValue, oldValue }]);
+            }
+        };
+    }
+
+    /**
+     * Keeps the ref behind a computed property reachable for introspection
+     * (`target._computedRefs`, used by devtools.graph()).
+     */
+    function registerComputedRef(target, key, ref) {
+        if (!target._computedRefs) {
+            defineHidden(target, "_computedRefs", new Map);
+        }
+        target._computedRefs.set(key, ref);
+    }
+
+    /**
+     * Creates computed property descriptor with synchronous invalidation.
+     *
+     * ⭐ KEY CHANGE FROM V1: Uses ComputedRef class instead of effect with scheduler.
+     * Computed invalidation is now SYNCHRONOUS, evaluation is still LAZY.
+     *
+     * @param {Object} target - Target object
+     * @param {string} key - Property key
+     * @param {Function} computeFn - Compute function
+     * @param {Array<string>} [explicitDeps=null] - Explicit dependencies
+     * @param {Function} [setter=null] - Writable computed: called with the assigned value (`this` = target)
+     * @returns {Object} Property descriptor with getter/setter
+     */
+    function createComputedDescriptor(target, key, computeFn, explicitDeps = null, setter = null) {
+        // Create ComputedRef instance
+        const computedRef = new ComputedRefClass(
+            computeFn,
+            reactiveSystem,
+            target,
+            explicitDeps,
+            key
+        );
+        computedRef.writable = !!setter;
+        registerComputedRef(target, key, computedRef);
+
+        if (explicitDeps) {
+            StitchDebug.enabled && StitchDebug.log("computed", `COMPUTED DESCRIPTOR CREATED for ${String(key)} with explicit deps`, {
+                deps: explicitDeps
+            });
+        } else {
+            StitchDebug.enabled && StitchDebug.log("computed", `COMPUTED DESCRIPTOR CREATED for ${String(key)}`);
+        }
+
+        return {
+            enumerable: true,
+            configurable: false,
+            get() {
+                // Delegate to ComputedRef
+                return computedRef.get();
+            },
+            set(value) {
+                if (!setter) {
+                    throw new Error(`[Stitch.js ${Version}] Cannot set computed property '${String(key)}' (add a set() to make it writable)`);
+                }
+                // One batch: effects see every property the setter writes at once
+                reactiveSystem.batch(() => setter.call(target, value));
+            }
+        };
+    }
+
+    /**
+     * Creates the read-only descriptor of an async computed property. The property
+     * value is a reactive `{ value, loading, error }` state with a hidden `refresh()`.
+     *
+     * @param {Object} target - Object owning the property (the getter's `this`)
+     * @param {string} key
+     * @param {Object} marker - From createAsyncComputedMarker()
+     * @returns {{descriptor: Object, ref: AsyncComputedRef}}
+     */
+    function createAsyncComputedDescriptor(target, key, marker) {
+        const state = reactive({ value: marker.initialValue, loading: false, error: null }, new WeakSet);
+        const ref = new AsyncComputedRefClass(marker.get, reactiveSystem, target, state, { debounce: marker.debounce, key });
+        registerComputedRef(target, key, ref);
+        defineHidden(state, "refresh", () => ref.run());
+        defineHidden(state, "stop", () => ref.stop());
+
+        StitchDebug.enabled && StitchDebug.log("computed", `ASYNC COMPUTED DESCRIPTOR CREATED for ${String(key)}`, {
+            debounce: marker.debounce
+        });
+
+        return {
+            ref,
+            descriptor: {
+                enumerable: true,
+                configurable: false,
+                get() {
+                    return state;
+                },
+                set() {
+                    throw new Error(`[Stitch.js ${Version}] Cannot set async computed property '${String(key)}'`);
+                }
+            }
+        };
+    }
+
+    /**
+     * Recursively makes nested objects/arrays reactive.
+     * Preserves existing reactive objects.
+     * 
+     * @param {*} value - Value to make reactive
+     * @param {Object} parent - Parent object
+     * @param {string} key - Property key
+     * @returns {*} Reactive value or original if primitive
+     */
+    function makeDeepReactive(value, parent, key) {
+        if (value === null || typeof value !== "object") {
+            return value;
+        }
+        if (value.__isReactive) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return createReactiveArray(value, parent, key);
+        }
+        return reactive(value, new WeakSet, parent, key);
+    }
+
+    /**
+     * Makes object reactive via Object.defineProperty.
+     * Detects and rejects arrow functions (cannot bind 'this').
+     * 
+     * ⭐ OPTION 7 REFACTOR: This function NOW handles computed properties at ALL nesting levels.
+     * Single source of truth for ALL reactivity concerns.
+     * 
+     * @param {Object} obj - Object to make reactive
+     * @param {WeakSet} [seen=new WeakSet] - Circular reference detection
+     * @param {Object|null} [parent=null] - Parent object for change bubbling
+     * @param {string|null} [key=null] - Property key in parent
+     * @returns {Object} Reactive object
+     */
+    function reactive(obj, seen = new WeakSet, parent = null, key = null) {
+        if (obj === null || typeof obj !== "object") {
+            return obj;
+        }
+        if (obj.__isReactive) {
+            return obj;
+        }
+
+        // Return cached proxy for collections to preserve identity:
+        // reactive(raw) === reactive(raw)
+        const cachedProxy = proxyMap.get(obj);
+        if (cachedProxy) {
+            attachParent(obj, parent, key);
+            return cachedProxy;
+        }
+
+        if (seen.has(obj)) {
+            return obj;
+        }
+        seen.add(obj);
+        
+        if (obj instanceof Map) {
+            return createReactiveMap(obj, parent, key);
+        }
+        if (obj instanceof Set) {
+            return createReactiveSet(obj, parent, key);
+        }
+        
+        // Arrow function validation
+        for (const [childKey, value] of Object.entries(obj)) {
+            if (typeof value === "function" && isArrowFunction(value)) {
+                throw new Error(`Stitch.js ${Version}: Arrow function detected in property '${childKey}'\n\n` + `Arrow functions cannot access reactive properties via 'this'.\n` + `They use lexical 'this' binding which cannot be changed.\n\n` + `Convert to regular function or ES6 method shorthand:\n` + `  ❌ ${childKey}: () => { return this.someValue; }\n` + `  ✅ ${childKey}() { return this.someValue; }\n` + `  ✅ ${childKey}: function() { return this.someValue; }\n\n` + `Learn more: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Functions/Arrow_functions`);
+            }
+        }
+        
+        // ⭐ OPTION 7 KEY CHANGE: Separate computed properties from regular properties
+        const computedProps = new Map();
+        const regularProps = {};
+        
+        for (const [childKey, value] of Object.entries(obj)) {
+            // Detect computed properties (standardized marker)
+            if (value && typeof value === "object" && (value.__isStitchComputed || value.__isStitchAsyncComputed)) {
+                StitchDebug.enabled && StitchDebug.log("computed", `Found computed property at: ${childKey}`, {
+                    hasExplicitDeps: !!value.__explicitDeps
+                });
+                computedProps.set(childKey, value);
+            } else {
+                regularProps[childKey] = value;
+            }
+        }
+        
+        // Make nested objects reactive (only regular properties)
+        for (const [childKey, value] of Object.entries(regularProps)) {
+            if (value && typeof value === "object" && !value.__isReactive) {
+                regularProps[childKey] = makeDeepReactive(value, obj, childKey);
+            }
+        }
+        
+        // Replace original object properties with processed ones
+        for (const childKey in obj) {
+            if (obj.hasOwnProperty(childKey)) {
+                delete obj[childKey];
+            }
+        }
+        Object.assign(obj, regularProps);
+        
+        // Handle arrays
+        if (Array.isArray(obj)) {
+            return createReactiveArray(obj, parent, key);
+        }
+        
+        // ⭐ OPTION 7 KEY CHANGE: Pass computed properties to createReactiveObject
+        return createReactiveObject(obj, parent, key, computedProps);
+    }
+
+    /**
+     * Core object reactivity using Object.defineProperty.
+     * Adds metadata: _changeHandlers, __isReactive, _parent.
+     * Defines reactive descriptors for all properties.
+     * 
+     * ⭐ OPTION 7 REFACTOR: Now accepts computedProps Map parameter.
+     * Handles computed properties uniformly regardless of nesting level.
+     * 
+     * @param {Object} target - Object to make reactive
+     * @param {Object|null} [parent=null] - Parent object
+     * @param {string|null} [key=null] - Property key in parent
+     * @param {Map} [computedProps=new Map()] - Map of computed properties
+     * @returns {Object} Reactive object with descriptors
+     */
+    function createReactiveObject(target, parent = null, key = null, computedProps = new Map()) {
+        // Add metadata
+        if (!target._changeHandlers) {
+            defineHidden(target, "_changeHandlers", new Set);
+        }
+        if (StitchDebug.enabled && !target.__stitchId) {
+            defineHidden(target, "__stitchId", `obj_${Math.random().toString(36).substr(2, 9)}`);
+        }
+        attachParent(target, parent, key);
+        defineHidden(target, "__isReactive", true);
+        
+        const internal = {};
+        const propertyDescriptors = {};
+        
+        // Process regular properties
+        const keys = Object.keys(target).filter(k => !computedProps.has(k));
+        keys.forEach(propKey => {
+            const value = target[propKey];
+            if (propKey.startsWith("_") || propKey === "on" || propKey === "off") {
+                return;
+            }
+            
+            internal[propKey] = value;
+            propertyDescriptors[propKey] = createReactiveDescriptor(target, propKey, internal);
+        });
+        
+        // ⭐ OPTION 7 KEY CHANGE: Process computed properties
+        const asyncComputedRefs = [];
+        computedProps.forEach((computedMarker, propKey) => {
+            if (computedMarker.__isStitchAsyncComputed) {
+                const asyncComputed = createAsyncComputedDescriptor(target, propKey, computedMarker);
+                propertyDescriptors[propKey] = asyncComputed.descriptor;
+                asyncComputedRefs.push(asyncComputed.ref);
+                return;
+            }
+            StitchDebug.enabled && StitchDebug.log("computed", `Creating computed descriptor for: ${propKey}`, {
+                hasExplicitDeps: !!computedMarker.__explicitDeps
+            });
+            
+            // Extract function and explicit dependencies
+            const computeFn = computedMarker.fn;
+            const explicitDeps = computedMarker.__explicitDeps;
+            
+            // Resolve explicit dependencies if provided
+            let resolvedDeps = null;
+            if (explicitDeps) {
+                resolvedDeps = resolveDependencies(explicitDeps, target, new Set([propKey]), computedProps);
+                StitchDebug.enabled && StitchDebug.log("computed", `Resolved dependencies for "${propKey}":`, {
+                    declared: explicitDeps,
+                    resolved: resolvedDeps
+                });
+            }
+            
+            // Create computed descriptor
+            propertyDescriptors[propKey] = createComputedDescriptor(target, propKey, computeFn, resolvedDeps, computedMarker.setter);
+        });
+        
+        Object.defineProperties(target, propertyDescriptors);
+        // First runs need every property of the object in place
+        asyncComputedRefs.forEach(ref => ref.run());
+
+        // Add helper methods
+        defineHidden(target, "on", addChangeHandler.bind(target));
+        defineHidden(target, "off", removeChangeHandler.bind(target));
+        defineHidden(target, "set", setProperty.bind(null, target));
+        defineHidden(target, "get", getProperty.bind(null, target));
+        defineHidden(target, "toJSON", toJSON.bind(target));
+        defineHidden(target, "$set", function (key, value) {
+            if (this.hasOwnProperty(key) && Object.getOwnPropertyDescriptor(this, key).get) {
+                this[key] = value;
+            } else {
+                const descriptor = createReactiveDescriptor(this, key, internal);
+                Object.defineProperty(this, key, descriptor);
+                this[key] = value;
+            }
+        });
+        defineHidden(target, "$delete", function (key) {
+            if (!Object.prototype.hasOwnProperty.call(internal, key)) {
+                return false;
+            }
+            const oldValue = internal[key];
+            delete internal[key];
+            delete this[key];
+            reactiveSystem.trigger(this, key, oldValue, undefined);
+            bubbleChangeUp(this, key, oldValue, undefined);
+            emitMutations(this, [{ op: "remove", key, value: undefined, oldValue }]);
+            return true;
+        });
+
+        return target;
+    }
+
+    /**
+     * Shared factory for reactive Map and Set proxies.
+     * Handles common proxy infrastructure: cache lookup, metadata setup,
+     * and shared traps (__isReactive, _changeHandlers, _parent, on, off,
+     * size, clear, iteration methods).
+     *
+     * Type-specific methods (Map: get/has/set/delete, Set: has/add/delete)
+     * are injected via methodOverrides, which is a function receiving
+     * (target, reactiveSystem, reactive, bubbleChangeUp) and returning
+     * a map of prop -> handler function factories.
+     *
+     * @param {Map|Set} target - Collection to make reactive
+     * @param {Object|null} parent - Parent object
+     * @param {string|null} key - Property key in parent
+     * @param {Function} methodOverrides - Returns object of prop -> function(target) overrides
+     * @returns {Proxy} Reactive collection proxy
+     */
+    function createReactiveCollection(target, parent, key, methodOverrides) {
+        const cachedProxy = proxyMap.get(target);
+        if (cachedProxy) {
+            attachParent(target, parent, key);
+            return cachedProxy;
+        }
+
+        if (!target._changeHandlers) {
+            defineHidden(target, "_changeHandlers", new Set);
+        }
+        attachParent(target, parent, key);
+
+        const overrides = methodOverrides(target);
+
+        const proxy = new Proxy(target, {
+            get(target, prop, receiver) {
+                if (prop === "__isReactive") return true;
+                if (prop === "_changeHandlers") return target._changeHandlers;
+                if (prop === "_parent") return target._parent;
+                if (prop === "on") return addChangeHandler.bind(target);
+                if (prop === "off") return removeChangeHandler.bind(target);
+
+                // Track size dependency
+                if (prop === "size") {
+                    reactiveSystem.track(target, "size");
+                    return Reflect.get(target, prop, target);
+                }
+
+                const value = Reflect.get(target, prop, receiver);
+
+                if (typeof value === 'function') {
+                    // Check type-specific method overrides first
+                    if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
+                        return overrides[prop];
+                    }
+                    // Common: clear
+                    if (prop === 'clear') {
+                        return function() {
+                            const oldSize = target.size;
+                            if (oldSize > 0) {
+                                const removedEntries = reactiveSystem.mutationListenerCount > 0 || reactiveSystem.isRecordingUndo()
+                                    ? (target instanceof Map ? Array.from(target.entries()) : Array.from(target).map(item => [0, item]))
+                                    : [];
+                                target.clear();
+                                reactiveSystem.trigger(target, "size", oldSize, 0);
+                                reactiveSystem.trigger(target, "iteration", null, null);
+                                bubbleChangeUp(target, "clear", oldSize, 0);
+                                // Set members are addressed by position, so each removal is at index 0
+                                emitMutations(target, removedEntries.map(([entryKey, entryValue]) => ({ op: "remove", key: entryKey, value: undefined, oldValue: entryValue })));
+                            }
+                        }
+                    }
+                    // Common: iteration methods
+                    if (['forEach', 'keys', 'values', 'entries', Symbol.iterator].includes(prop)) {
+                         reactiveSystem.track(target, "iteration");
+                         return value.bind(target);
+                    }
+                    return value.bind(target);
+                }
+                return value;
+            }
+        });
+        proxyMap.set(target, proxy);
+        rawMap.set(proxy, target);
+        return proxy;
+    }
+
+    /**
+     * Makes Map reactive using Proxy.
+     * Thin wrapper over createReactiveCollection with Map-specific methods:
+     * get (tracked read), has (tracked membership), set (reactive mutation),
+     * delete (reactive removal).
+     *
+     * @param {Map} target - Map to make reactive
+     * @param {Object|null} [parent=null] - Parent object
+     * @param {string|null} [key=null] - Property key in parent
+     * @returns {Proxy} Reactive Map proxy
      */
     function createReactiveMap(target, parent = null, key = null) {
         return createReactiveCollection(target, parent, key, function(target) {
             return {
-                get: function(key) {
-                    reactiveSystem.track(target, key);
-                    return target.get(key);
-                },
-                has: function(key) {
-                    reactiveSystem.track(target, key);
-                    return target.has(key);
-                },
-                set: function(key, val) {
-                    const oldHas = target.has(key);
-                    const oldValue = target.get(key);
-                    // Make value reactive if object
-                    if (val && typeof val === "object" && !val.__isReactive) {
-                        val = reactive(val, new WeakSet);
-                    }
-                    const result = target.set(key, val);
-                    if (!oldHas || oldValue !== val) {
-                        reactiveSystem.trigger(target, key, oldValue, val);
-                        reactiveSystem.trigger(target, "size", target.size, target.size);
-                        reactiveSystem.trigger(target, "iteration", null, null);
-                        bubbleChangeUp(target, key, oldValue, val);
-                    }
-                    return result;
-                },
-                delete: function(key) {
-                    const oldHas = target.has(key);
-                    const oldValue = target.get(key);
-                    const result = target.delete(key);
-                    if (oldHas) {
-                        reactiveSystem.trigger(target, key, oldValue, undefined);
-                        reactiveSystem.trigger(target, "size", target.size + 1, target.size);
-                        reactiveSystem.trigger(target, "iteration", null, null);
-                        bubbleChangeUp(target, key, oldValue, undefined);
+                get: function(key) {
+                    reactiveSystem.track(target, key);
+                    return target.get(key);
+                },
+                has: function(key) {
+                    reactiveSystem.track(target, key);
+                    return target.has(key);
+                },
+                set: function(key, val) {
+                    const oldHas = target.has(key);
+                    const oldValue = target.get(key);
+                    // Make value reactive if object
+                    if (val && typeof val === "object" && !val.__isReactive) {
+                        val = reactive(val, new WeakSet);
+                    }
+                    const result = target.set(key, val);
+                    if (!oldHas || oldValue !== val) {
+                        reactiveSystem.trigger(target, key, oldValue, val);
+                        reactiveSystem.trigger(target, "size", target.size, target.size);
+                        reactiveSystem.trigger(target, "iteration", null, null);
+                        bubbleChangeUp(target, key, oldValue, val);
+                        emitMutations(target, [{ op: oldHas ? "replace" : "add", key, value: val, oldValue }]);
+                    }
+                    return result;
+                },
+                delete: function(key) {
+                    const oldHas = target.has(key);
+                    const oldValue = target.get(key);
+                    const result = target.delete(key);
+                    if (oldHas) {
+                        reactiveSystem.trigger(target, key, oldValue, undefined);
+                        reactiveSystem.trigger(target, "size", target.size + 1, target.size);
+                        reactiveSystem.trigger(target, "iteration", null, null);
+                        bubbleChangeUp(target, key, oldValue, undefined);
+                        emitMutations(target, [{ op: "remove", key, value: undefined, oldValue }]);
+                    }
+                    return result;
+                }
+            };
+        });
+    }
+
+    /**
+     * Makes Set reactive using Proxy.
+     * Thin wrapper over createReactiveCollection with Set-specific methods:
+     * has (tracked membership with normalizeSetLookup), add (reactive insertion),
+     * delete (reactive removal with normalizeSetLookup).
+     *
+     * @param {Set} target - Set to make reactive
+     * @param {Object|null} [parent=null] - Parent object
+     * @param {string|null} [key=null] - Property key in parent
+     * @returns {Proxy} Reactive Set proxy
+     */
+    function createReactiveSet(target, parent = null, key = null) {
+        return createReactiveCollection(target, parent, key, function(target) {
+            return {
+                has: function(key) {
+                    const normalizedKey = normalizeSetLookup(key);
+                    reactiveSystem.track(target, normalizedKey);
+                    return target.has(normalizedKey);
+                },
+                add: function(val) {
+                    const oldValue = val;
+                    if (val && typeof val === "object" && !val.__isReactive) {
+                        val = reactive(val, new WeakSet);
+                    }
+                    const normalizedVal = normalizeSetLookup(val);
+                    const oldHas = target.has(normalizedVal);
+                    const result = target.add(normalizedVal);
+                    if (!oldHas) {
+                        reactiveSystem.trigger(target, normalizedVal, undefined, normalizedVal); // Key is value for Set
+                        reactiveSystem.trigger(target, "size", target.size - 1, target.size);
+                        reactiveSystem.trigger(target, "iteration", null, null);
+                        bubbleChangeUp(target, "add", undefined, oldValue);
+                        emitMutations(target, [{ op: "add", key: target.size - 1, value: normalizedVal, oldValue: undefined }]);
+                    }
+                    return result;
+                },
+                delete: function(val) {
+                    const normalizedVal = normalizeSetLookup(val);
+                    const oldHas = target.has(normalizedVal);
+                    const position = oldHas && (reactiveSystem.mutationListenerCount > 0 || reactiveSystem.isRecordingUndo()) ? Array.from(target).indexOf(normalizedVal) : -1;
+                    const result = target.delete(normalizedVal);
+                    if (oldHas) {
+                        reactiveSystem.trigger(target, normalizedVal, normalizedVal, undefined);
+                        reactiveSystem.trigger(target, "size", target.size + 1, target.size);
+                        reactiveSystem.trigger(target, "iteration", null, null);
+                        bubbleChangeUp(target, "delete", val, undefined);
+                        emitMutations(target, [{ op: "remove", key: position, value: undefined, oldValue: normalizedVal }]);
+                    }
+                    return result;
+                }
+            };
+        });
+    }
+
+    /**
+     * Makes array reactive using Proxy.
+     * Intercepts mutations: push, pop, shift, unshift, splice, sort, reverse, fill.
+     * Publishes 'array-mutation' events for tracking.
+     * 
+     * @param {Array} target - Array to make reactive
+     * @param {Object|null} [parent=null] - Parent object
+     * @param {string|null} [key=null] - Property key in parent
+     * @returns {Proxy} Reactive array proxy
+     */
+    function createReactiveArray(target, parent = null, key = null) {
+        const cachedProxy = proxyMap.get(target);
+        if (cachedProxy) {
+            attachParent(target, parent, key);
+            return cachedProxy;
+        }
+
+        const arrayMethods = ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill"];
+        if (!target._changeHandlers) {
+            defineHidden(target, "_changeHandlers", new Set);
+        }
+        attachParent(target, parent, key);
+
+        const proxy = new Proxy(target, {
+            get(target, key, receiver) {
+                if (key === "__isReactive") return true;
+                if (key === "_changeHandlers") return target._changeHandlers;
+                if (key === "_parent") return target._parent;
+                if (key === "on") return addChangeHandler.bind(target);
+                if (key === "off") return removeChangeHandler.bind(target);
+                reactiveSystem.track(target, key);
+                if (arrayMethods.includes(key)) {
+                    return function (...args) {
+                        // Only snapshot tracked indices when indexed deps are actually being tracked.
+                        const deps = reactiveSystem.depsMap.get(target);
+                        const trackedIndexKeys = [];
+                        if (deps) {
+                            deps.forEach((depSet, depKey) => {
+                                if (depSet && depSet.size > 0 && typeof depKey !== "symbol" && !isNaN(depKey)) {
+                                    trackedIndexKeys.push(depKey);
+                                }
+                            });
+                        }
+                        // sort/reverse/fill patches are computed by comparing contents
+                        const needsSnapshot = trackedIndexKeys.length > 0 || key === "sort" || key === "reverse" || key === "fill";
+                        const oldSnapshot = needsSnapshot ? target.slice() : null;
+                        const oldLength = target.length;
+                        const result = Array.prototype[key].apply(target, args);
+                        const patches = createArrayPatches(key, args, result, oldLength, oldSnapshot, target);
+                        normalizePatches(patches);
+
+                        // V2.1.0 FIX: Trigger synchronously for immediate computed invalidation
+                        reactiveSystem.trigger(target, "length", oldLength, target.length);
+
+                        // Trigger only tracked index keys whose values actually changed.
+                        // Keeps cost proportional to active dependencies, not array size.
+                        trackedIndexKeys.forEach(indexKey => {
+                            const oldValue = oldSnapshot[indexKey];
+                            const newValue = target[indexKey];
+                            if (oldValue !== newValue) {
+                                reactiveSystem.trigger(target, indexKey, oldValue, newValue);
+                            }
+                        });
+
+                        if (patches.length > 0) {
+                            reactiveSystem.notifyArrayPatch(proxy, patches);
+                            emitArrayPatchMutations(target, patches);
+                        }
+
+                        // Keep MessageBus event for backward compatibility with user listeners
+                        reactiveSystem.publishChange("array-mutation", {
+                            target: target,
+                            method: key,
+                            args: args,
+                            patches: patches,
+                            oldLength: oldLength,
+                            newLength: target.length
+                        });
+                        return result;
+                    };
+                }
+                const value = Reflect.get(target, key, receiver);
+                if (typeof key !== "symbol" && !isNaN(key) && value && typeof value === "object" && !value.__isReactive) {
+                    const reactiveValue = reactive(value, new WeakSet, receiver, key);
+                    target[key] = reactiveValue;
+                    return reactiveValue;
+                }
+                return value;
+            },
+            set(target, key, value, receiver) {
+                const oldValue = target[key];
+                if (value && typeof value === "object" && !value.__isReactive) {
+                    value = reactive(value, new WeakSet, receiver, key);
+                }
+                const isIndexOrLength = key === "length" || (typeof key !== "symbol" && !isNaN(key));
+                const oldLength = target.length;
+                // For a shorter length, the items cut off are the removed part of the patch
+                const previous = key === "length" ? target.slice(Math.min(Number(value) || 0, oldLength)) : oldValue;
+                const result = Reflect.set(target, key, value, receiver);
+                if (oldValue !== value) {
+                    reactiveSystem.trigger(target, key, oldValue, value);
+                    bubbleChangeUp(target, key, oldValue, value);
+                    if (isIndexOrLength) {
+                        const patches = createAssignmentPatches(key, oldLength, previous, target);
+                        normalizePatches(patches);
+                        if (patches.length > 0) {
+                            reactiveSystem.notifyArrayPatch(proxy, patches);
+                            emitArrayPatchMutations(target, patches);
+                        }
+                    }
+                }
+                return result;
+            }
+        });
+        proxyMap.set(target, proxy);
+        rawMap.set(proxy, target);
+
+        /**
+         * Makes patch items the same reactive values that index reads return,
+         * so patches can be matched against rendered rows.
+         *
+         * @param {Array<{index: number, removed: Array, added: Array}>} patches
+         */
+        function normalizePatches(patches) {
+            patches.forEach(patch => {
+                patch.removed = patch.removed.map(item =>
+                    item && typeof item === "object" && !item.__isReactive ? reactive(item, new WeakSet) : item
+                );
+                patch.added = patch.added.map((item, offset) => {
+                    const index = patch.index + offset;
+                    if (item && typeof item === "object" && !item.__isReactive && target[index] === item) {
+                        target[index] = reactive(item, new WeakSet, proxy, index);
+                        return target[index];
+                    }
+                    return item;
+                });
+            });
+        }
+
+        return proxy;
+    }
+
+    /**
+     * Creates computed property proxy with lazy evaluation.
+     * Supports function or {get, deps} syntax.
+     *
+     * ⚠️ IMPORTANT - USER ACCESS PATTERN:
+     * Users access computed properties as DIRECT GETTERS on the model:
+     * ✅ CORRECT:   const name = model.fullName;         // Direct access
+     * ✅ CORRECT:   <span s-text="fullName"></span>      // Direct binding
+     * ❌ WRONG:     const name = model.fullName.value;   // .value is internal only!
+     * ❌ WRONG:     const name = model.fullName();       // Not a function call!
+     *
+     * @param {Function|Object} config - Compute function or config object
+     * @param {Function} [config.get] - Getter function
+     * @param {Array<string>} [config.deps] - Explicit dependencies array
+     * @returns {Object} Computed marker object
+     * 
+     * @example
+     * // Function syntax
+     * const fullName = computed(function() {
+     *     return this.firstName + ' ' + this.lastName;
+     * });
+     * 
+     * @example
+     * // Explicit dependencies
+     * const doubled = computed({
+     *     get() { return this.count * 2; },
+     *     deps: ['count']
+     * });
+     */
+    function computed(config) {
+        return createComputedMarker(config, Version);
+    }
+
+    /**
+     * Recursively resolves nested computed dependencies: a dependency on a sibling
+     * computed with explicit deps is replaced by those deps (transitively).
+     *
+     * @param {Array<string>} deps - Dependency keys to resolve
+     * @param {Object} target - Target object containing dependencies
+     * @param {Set} [visited=new Set] - Keys on the current chain (the computed being resolved first)
+     * @param {Map<string, Object>} [computedMarkers=new Map] - Computed markers of target not defined yet
+     * @returns {Array<string>} Resolved dependency keys
+     * @throws {Error} If the explicit deps form a cycle
+     */
+    function resolveDependencies(deps, target, visited = new Set, computedMarkers = new Map) {
+        const resolved = new Set;
+        for (const depKey of deps) {
+            if (visited.has(depKey)) {
+                throw new Error(`Stitch.js ${Version}: Circular computed dependency: ${Array.from(visited).join(" → ")} → ${depKey}`);
+            }
+
+            // Check if this dependency is itself a computed property with explicit deps
+            const marker = computedMarkers.get(depKey);
+            const definedRef = target._computedRefs ? target._computedRefs.get(depKey) : null;
+            const nestedDeps = marker ? marker.__explicitDeps : (definedRef ? definedRef.explicitDeps : null);
+            if (nestedDeps) {
+                visited.add(depKey);
+                const nestedResolved = resolveDependencies(nestedDeps, target, visited, computedMarkers);
+                visited.delete(depKey);
+                for (const dep of nestedResolved) {
+                    resolved.add(dep);
+                }
+            } else {
+                resolved.add(depKey);
+            }
+        }
+        return Array.from(resolved);
+    }
+
+    return {
+        reactiveSystem: reactiveSystem,
+        reactive: reactive,
+        toRaw: toRaw,
+        createReactiveArray: createReactiveArray,
+        computed: computed,
+        resolveDependencies: resolveDependencies,
+        bubbleChangeUp: bubbleChangeUp
+    };
+}
+let _defaultFactory = null;
+
+function getDefaultFactory() {
+    if (!_defaultFactory) {
+        _defaultFactory = createReactiveFactory();
+    }
+    return _defaultFactory;
+}
+
+function resetDefaultFactory() {
+    _defaultFactory = null;
+}
+
+module.exports = {
+    createReactiveFactory,
+    createComputedMarker,
+    createAsyncComputedMarker,
+    getDefaultFactory,
+    resetDefaultFactory
+};
+
+  };
+  __stitchModuleFactories[7] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { computed } = __stitchRequire(4);
+const runtimeHelpers = __stitchRequire(36);
+const { defineHidden, attachModelState } = __stitchRequire(35);
+
+const Version = "v2.1.0";
+const getProperty = runtimeHelpers.getProperty;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Built-in rules. Each returns an error message or "" when valid.
+ * All rules except `required` pass on empty values so optional fields stay valid.
+ */
+const BUILT_IN_RULES = {
+    required(value, param, message) {
+        return isEmptyValue(value) ? (message || "This field is required") : "";
+    },
+    minLength(value, param, message) {
+        return value.length < param ? (message || `Must be at least ${param} characters`) : "";
+    },
+    maxLength(value, param, message) {
+        return value.length > param ? (message || `Must be at most ${param} characters`) : "";
+    },
+    min(value, param, message) {
+        return Number(value) < param ? (message || `Must be at least ${param}`) : "";
+    },
+    max(value, param, message) {
+        return Number(value) > param ? (message || `Must be at most ${param}`) : "";
+    },
+    pattern(value, param, message) {
+        return !param.test(String(value)) ? (message || "Invalid format") : "";
+    },
+    email(value, param, message) {
+        return !EMAIL_PATTERN.test(String(value)) ? (message || "Enter a valid email address") : "";
+    }
+};
+
+function isEmptyValue(value) {
+    if (value === null || value === undefined || value === "") return true;
+    if (typeof value === "string") return value.trim() === "";
+    if (Array.isArray(value)) return value.length === 0;
+    if (value instanceof Set || value instanceof Map) return value.size === 0;
+    return false;
+}
+
+/**
+ * Serializes a field value for dirty comparison. Reading the value here also
+ * tracks nested array/object members inside the validation effect.
+ */
+function snapshotValue(value) {
+    if (value instanceof Set || value instanceof Map) {
+        return JSON.stringify(Array.from(value));
+    }
+    if (value && typeof value === "object") {
+        return JSON.stringify(value);
+    }
+    return typeof value + ":" + String(value);
+}
+
+/**
+ * Normalizes a custom rule result: true/undefined/null/"" → valid, false → generic message, string → message.
+ */
+function toMessage(result) {
+    if (result === true || result === undefined || result === null || result === "") return "";
+    if (result === false) return "Invalid value";
+    return String(result);
+}
+
+function isThenable(value) {
+    return !!value && typeof value.then === "function";
+}
+
+/**
+ * Normalizes a field rule declaration into built-in checks and custom validator functions.
+ *
+ * @param {string} path
+ * @param {Function|Function[]|Object} declaration
+ * @returns {{builtIns: Array<{name: string, param: *, message: string|null}>, validators: Function[]}}
+ */
+function normalizeFieldRules(path, declaration) {
+    if (typeof declaration === "function" || Array.isArray(declaration)) {
+        declaration = { validate: declaration };
+    }
+    if (!declaration || typeof declaration !== "object") {
+        throw new Error(`Stitch.js ${Version}: validate() rules for "${path}" must be an object, function or array of functions`);
+    }
+    const builtIns = [];
+    let validators = [];
+    Object.keys(declaration).forEach(name => {
+        let param = declaration[name];
+        if (name === "validate") {
+            validators = (Array.isArray(param) ? param : [param]).filter(fn => typeof fn === "function");
+            return;
+        }
+        if (!BUILT_IN_RULES[name]) {
+            throw new Error(`Stitch.js ${Version}: Unknown validation rule "${name}" for "${path}". Use one of: ${Object.keys(BUILT_IN_RULES).join(", ")}, validate`);
+        }
+        let message = null;
+        if (param && typeof param === "object" && !(param instanceof RegExp)) {
+            message = param.message || null;
+            param = param.value !== undefined ? param.value : true;
+        } else if (typeof param === "string" && (name === "required" || name === "email")) {
+            message = param;
+            param = true;
+        }
+        if (param === false || param === null || param === undefined) {
+            return;
+        }
+        builtIns.push({ name, param, message });
+    });
+    // required is checked first so its message wins over format errors
+    builtIns.sort((a, b) => (a.name === "required" ? -1 : 0) - (b.name === "required" ? -1 : 0));
+    return { builtIns, validators };
+}
+
+/**
+ * Attaches declarative validation to a reactive model.
+ *
+ * Produces a reactive state object (also available as the hidden `model.$validation`):
+ * - `$errors[path]` - current error message ("" when valid)
+ * - `$dirty[path]` - value differs from the value at validate()/reset() time
+ * - `$touched[path]` - field was blurred (data-invalid-class) or touch()/validateAll() was called
+ * - `$pending[path]` - async rules are running
+ * - `$valid` - every field valid and nothing pending
+ *
+ * Rules re-run whenever a value they read changes (including other fields read by
+ * custom rules). Async rules receive an AbortSignal that is aborted when a newer
+ * check starts; stale results are ignored.
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {Object.<string, Object|Function|Function[]>} rules - Rules per property path
+ * @returns {Object} Reactive validation state
+ * @example
+ * const form = Stitch.validate(model, {
+ *     email: { required: "Email is required", email: true, validate: checkEmailAvailable },
+ *     password: { required: true, minLength: 8 },
+ *     confirm: { validate: (value, { model }) => value === model.password || "Passwords must match" }
+ * });
+ * // <input data-value="email" data-invalid-class="is-invalid"><small data-error="email"></small>
+ * // <button data-enabled="$validation.$valid">Save</button>
+ */
+function validate(model, rules) {
+    if (!rules || typeof rules !== "object") {
+        throw new Error(`Stitch.js ${Version}: validate() requires a rules object`);
+    }
+    const paths = Object.keys(rules);
+    const fieldRules = {};
+    paths.forEach(path => {
+        fieldRules[path] = normalizeFieldRules(path, rules[path]);
+    });
+
+    const initialState = { $errors: {}, $dirty: {}, $touched: {}, $pending: {} };
+    paths.forEach(path => {
+        initialState.$errors[path] = "";
+        initialState.$dirty[path] = false;
+        initialState.$touched[path] = false;
+        initialState.$pending[path] = false;
+    });
+    initialState.$valid = computed(function () {
+        return paths.every(path => !this.$errors[path] && !this.$pending[path]);
+    });
+    const state = attachModelState(model, "$validation", initialState, "validate");
+    const reactiveSystem = state._factory.reactiveSystem;
+
+    const initialSnapshots = {};
+    const fields = {};
+
+    function createField(path) {
+        const { builtIns, validators } = fieldRules[path];
+        let runId = 0;
+        let controller = null;
+        let settled = Promise.resolve();
+
+        function abortPending() {
+            if (controller) {
+                controller.abort();
+                controller = null;
+            }
+        }
+
+        function check() {
+            const value = getProperty(model, path);
+            const snapshot = snapshotValue(value);
+            if (!(path in initialSnapshots)) {
+                initialSnapshots[path] = snapshot;
+            }
+            state.$dirty[path] = snapshot !== initialSnapshots[path];
+
+            const currentRun = ++runId;
+            abortPending();
+
+            let message = "";
+            const empty = isEmptyValue(value);
+            for (const rule of builtIns) {
+                if (empty && rule.name !== "required") continue;
+                message = BUILT_IN_RULES[rule.name](value, rule.param, rule.message);
+                if (message) break;
+            }
+
+            const pendingResults = [];
+            if (!message && validators.length > 0) {
+                controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+                const ruleContext = { model, path, signal: controller ? controller.signal : undefined };
+                for (const validator of validators) {
+                    let result;
+                    try {
+                        result = validator.call(model, value, ruleContext);
+                    } catch (error) {
+                        console.error(`[Stitch.js ${Version}] validate: rule for "${path}" threw an error`, error);
+                        result = error && error.message ? error.message : "Validation failed";
+                    }
+                    if (isThenable(result)) {
+                        pendingResults.push(result);
+                    } else {
+                        message = toMessage(result);
+                        if (message) break;
+                    }
+                }
+            }
+
+            if (message || pendingResults.length === 0) {
+                abortPending();
+                state.$errors[path] = message;
+                state.$pending[path] = false;
+                settled = Promise.resolve();
+                return;
+            }
+
+            state.$pending[path] = true;
+            settled = Promise.all(pendingResults).then(results => {
+                if (currentRun !== runId) return;
+                controller = null;
+                state.$errors[path] = results.map(toMessage).find(Boolean) || "";
+                state.$pending[path] = false;
+            }, error => {
+                if (currentRun !== runId) return;
+                controller = null;
+                if (!(error && error.name === "AbortError")) {
+                    state.$errors[path] = error && error.message ? error.message : "Validation failed";
+                }
+                state.$pending[path] = false;
+            });
+        }
+
+        const eff = reactiveSystem.effect(check);
+        return {
+            eff,
+            check,
+            abortPending,
+            settled: () => settled
+        };
+    }
+
+    paths.forEach(path => {
+        fields[path] = createField(path);
+    });
+
+    defineHidden(state, "touch", function (path) {
+        if (path in fields) {
+            state.$touched[path] = true;
+        }
+    });
+    defineHidden(state, "validateAll", function () {
+        paths.forEach(path => {
+            state.$touched[path] = true;
+            fields[path].check();
+        });
+        return Promise.all(paths.map(path => fields[path].settled())).then(() => state.$valid);
+    });
+    defineHidden(state, "reset", function () {
+        paths.forEach(path => {
+            delete initialSnapshots[path];
+            state.$touched[path] = false;
+            fields[path].check();
+        });
+    });
+    defineHidden(state, "stop", function () {
+        paths.forEach(path => {
+            reactiveSystem.stop(fields[path].eff);
+            fields[path].abortPending();
+        });
+    });
+    return state;
+}
+
+module.exports = {
+    validate,
+    BUILT_IN_RULES
+};
+
+  };
+  __stitchModuleFactories[8] = function(module, exports, __stitchRequire){
+"use strict";
+
+const VERSION = "2.1.0";
+const foreachRenderingDelegates = __stitchRequire(14);
+const foreachBindingOrchestrator = __stitchRequire(13);
+const bindingScanHelpers = __stitchRequire(10);
+const bindingRuntime = __stitchRequire(9);
+const dataBinderFactory = __stitchRequire(12);
+const componentRegistryModule = __stitchRequire(11);
+const { Observable } = __stitchRequire(4);
+const runtimeHelpers = __stitchRequire(36);
+const debugConfig = __stitchRequire(28);
+const attrValueHandlers = __stitchRequire(27);
+const valueBindingHelpers = __stitchRequire(40);
+const typeConverters = __stitchRequire(39);
+const foreachTemplateHelpers = __stitchRequire(32);
+const foreachReconcileHelpers = __stitchRequire(31);
+const expressionParser = __stitchRequire(30);
+const { defineHidden } = __stitchRequire(35);
+const { effectScope, onScopeDispose } = __stitchRequire(21);
+const { handleError } = __stitchRequire(22);
+const { config } = __stitchRequire(20);
+const { sanitizeHTML } = __stitchRequire(33);
+const styleHelpers = __stitchRequire(38);
+const eventModifiers = __stitchRequire(29);
+
+const stitchDebugState = debugConfig.createDebugState(`v${VERSION}`);
+const stitchDebug = {
+    ...stitchDebugState,
+    log() {},
+    group() {},
+    groupEnd() {}
+};
+
+const typeConverterRegistry = typeConverters.createTypeConverters({ version: VERSION });
+function getTypeConverter(element, value) {
+    return typeConverters.getTypeConverter(element, value, typeConverterRegistry);
+}
+
+const evaluateBinding = expressionParser.createBindingEvaluator({
+    version: VERSION,
+    getProperty: runtimeHelpers.getProperty
+});
+
+const valueValidatorRegistry = valueBindingHelpers.createValueValidators({
+    getTypeConverter,
+    setProperty: runtimeHelpers.setProperty,
+    doc: typeof document !== "undefined" ? document : null
+});
+function getValueValidator(element) {
+    return valueBindingHelpers.getValueValidator(element, valueValidatorRegistry);
+}
+
+const valueHandlerRegistry = valueBindingHelpers.createValueHandlers({
+    getTypeConverter,
+    resolveValueValidator: getValueValidator
+});
+function getValueHandler(element) {
+    return valueBindingHelpers.getValueHandler(element, valueHandlerRegistry);
+}
+
+const renderingDelegateBundle = foreachRenderingDelegates.createRenderingDelegates({
+    stitchDebug,
+    getProperty: runtimeHelpers.getProperty,
+    getValueValidator,
+    createItemContext: foreachReconcileHelpers.createItemContext,
+    createTemplateElement: foreachTemplateHelpers.createTemplateElement,
+    reconcileRows: foreachReconcileHelpers.reconcileRows,
+    applyRowPatches: foreachReconcileHelpers.applyRowPatches,
+    evaluateBinding,
+    doc: typeof document !== "undefined" ? document : null,
+    version: VERSION
+});
+const foreachDelegates = renderingDelegateBundle.FOREACH_RENDERING_DELEGATES;
+
+function resolveExternalForeachIntegration() {
+    return {
+        bindForeach: foreachBindingOrchestrator.bindForeach,
+        getRenderingDelegate: foreachRenderingDelegates.getRenderingDelegate,
+        delegates: foreachDelegates
+    };
+}
+
+const componentRegistry = componentRegistryModule.createComponentRegistry({ version: VERSION });
+
+/**
+ * Registers a reusable component for data-component bindings.
+ *
+ * @param {string} name - Component name
+ * @param {Object} definition - { template, setup(props) }
+ * @returns {Object} Normalized definition
+ */
+function component(name, definition) {
+    return componentRegistry.define(name, definition);
+}
+
+/**
+ * Creates a component instance (or $props) model with the factory of the parent scope,
+ * so components inside an isolated model are tracked by the same reactive system as
+ * their bindings. Foreach item contexts of primitives reach the model through $parent.
+ *
+ * @param {Object} state
+ * @param {Object|null} props - Reactive $props of the instance
+ * @param {Object} parentScope - Binding scope of the component host
+ * @returns {Object}
+ */
+function createComponentModel(state, props, parentScope) {
+    let factory = null;
+    for (let scope = parentScope; scope && !factory; scope = scope.$parent) {
+        factory = scope._factory || null;
+    }
+    const model = Observable.create(state, { factory });
+    if (props) {
+        defineHidden(model, "$props", props);
+    }
+    return model;
+}
+
+const runtimeBinding = bindingRuntime.createBindingRuntime({
+    version: VERSION,
+    debug: stitchDebug,
+    getProperty: runtimeHelpers.getProperty,
+    evaluateBinding,
+    isPropertyPath: expressionParser.isPropertyPath,
+    setProperty: runtimeHelpers.setProperty,
+    getValueHandler,
+    getValueValidator,
+    getTypeConverter,
+    getAttrHandler: attrValueHandlers.getAttrHandler,
+    normalizeClassValue: attrValueHandlers.normalizeClassValue,
+    getRenderingDelegate(element) {
+        return foreachRenderingDelegates.getRenderingDelegate(element, foreachDelegates);
+    },
+    propertyExists: runtimeHelpers.propertyExists,
+    findSimilarProperty: runtimeHelpers.findSimilarProperty,
+    resolveExternalForeachIntegration,
+    getComponent: componentRegistry.get,
+    isCheckboxCollection: valueBindingHelpers.isCheckboxCollection,
+    getCollectionValues: valueBindingHelpers.getCollectionValues,
+    findCollectionIndex: valueBindingHelpers.findCollectionIndex,
+    toggleCollectionValue: valueBindingHelpers.toggleCollectionValue,
+    replaceCollectionValues: valueBindingHelpers.replaceCollectionValues,
+    getValueUpdateOptions: valueBindingHelpers.getValueUpdateOptions,
+    preserveSelection: valueBindingHelpers.preserveSelection,
+    createComponentModel,
+    effectScope,
+    sanitizeHTML,
+    toCssPropertyName: styleHelpers.toCssPropertyName,
+    formatStyleValue: styleHelpers.formatStyleValue,
+    parseEventKey: eventModifiers.parseEventKey,
+    parseModifiers: eventModifiers.parseModifiers,
+    addModifiedListener: eventModifiers.addModifiedListener,
+    config
+});
+
+const DataBinder = dataBinderFactory.createDataBinderClass({
+    version: VERSION,
+    debug: stitchDebug,
+    getProperty: runtimeHelpers.getProperty,
+    evaluateBinding,
+    getBindingHandler: runtimeBinding.getBindingHandler,
+    scanCustomAttributes: runtimeBinding.scanCustomAttributes,
+    bindingHandlers: runtimeBinding.BINDING_HANDLERS,
+    registerRenderingDelegate: renderingDelegateBundle.registerRenderingDelegate,
+    effectScope,
+    onScopeDispose,
+    handleError
+});
+
+module.exports = {
+    DataBinder,
+    component,
+    version: VERSION,
+    ...foreachRenderingDelegates,
+    ...foreachBindingOrchestrator,
+    ...bindingScanHelpers,
+    ...bindingRuntime,
+    ...dataBinderFactory,
+    ...componentRegistryModule
+};
+
+  };
+  __stitchModuleFactories[9] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { NOOP_DEBUG } = __stitchRequire(28);
+const { createTemplateFragment, extractSlotContent, placeSlotAnchors } = __stitchRequire(11);
+
+function createBindingRuntime(deps = {}) {
+    const Version = deps.version || "v2.1.0";
+    const StitchDebug = deps.debug || NOOP_DEBUG;
+    const getProperty = deps.getProperty;
+    const evaluateBinding = deps.evaluateBinding || getProperty;
+    const isPropertyPath = deps.isPropertyPath || function () { return true; };
+    const setProperty = deps.setProperty;
+    const getValueHandler = deps.getValueHandler;
+    const getValueValidator = deps.getValueValidator;
+    const getTypeConverter = deps.getTypeConverter;
+    const getAttrHandler = deps.getAttrHandler;
+    const normalizeClassValue = deps.normalizeClassValue;
+    const getRenderingDelegate = deps.getRenderingDelegate;
+    const propertyExists = deps.propertyExists;
+    const findSimilarProperty = deps.findSimilarProperty;
+    const resolveExternalForeachIntegration = deps.resolveExternalForeachIntegration || function () { return null; };
+    const getComponent = deps.getComponent || function () { return null; };
+    const isCheckboxCollection = deps.isCheckboxCollection;
+    const getCollectionValues = deps.getCollectionValues;
+    const findCollectionIndex = deps.findCollectionIndex;
+    const toggleCollectionValue = deps.toggleCollectionValue;
+    const replaceCollectionValues = deps.replaceCollectionValues;
+    const getValueUpdateOptions = deps.getValueUpdateOptions;
+    const preserveSelection = deps.preserveSelection;
+    const createComponentModel = deps.createComponentModel;
+    const effectScope = deps.effectScope || null;
+    const sanitizeHTML = deps.sanitizeHTML;
+    const toCssPropertyName = deps.toCssPropertyName;
+    const formatStyleValue = deps.formatStyleValue;
+    const parseEventKey = deps.parseEventKey;
+    const parseModifiers = deps.parseModifiers;
+    const addModifiedListener = deps.addModifiedListener;
+    const config = deps.config || {};
+
+function validateBinding(viewModel, path, bindingType, element) {
+    if (!StitchDebug.enabled) return true;
+    // Expressions are checked by the parser; only plain paths can be looked up here
+    if (!isPropertyPath(path)) return true;
+    if (!propertyExists(viewModel, path)) {
+        const suggestion = findSimilarProperty(viewModel, path);
+        const availableProps = Object.keys(viewModel).filter(k => !k.startsWith("_")).slice(0, 10);
+        console.warn(`[Stitch.js] ${bindingType} binding failed: Property "${path}" not found\n`, {
+            element: element.tagName,
+            elementId: element.id || "(no id)",
+            elementClasses: element.className || "(no classes)",
+            expectedProperty: path,
+            availableProperties: availableProps,
+            totalProperties: Object.keys(viewModel).filter(k => !k.startsWith("_")).length,
+            suggestion: suggestion
+        });
+        return false;
+    }
+    return true;
+}
+
+const CONDITIONAL_ATTRIBUTES = ["data-if", "data-else-if", "data-else"];
+
+/**
+ * Warns about modifier combinations that cannot work.
+ *
+ * @param {string} binding - Binding type ("click", "event")
+ * @param {string} key - Event key as written (e.g. "scroll.passive.prevent")
+ * @param {Object} modifiers - Parsed modifiers
+ */
+function warnInvalidModifiers(binding, key, modifiers) {
+    if (modifiers.passive && modifiers.prevent) {
+        console.warn(`[Stitch.js ${Version}] ${binding}: "${key}" combines passive and prevent; preventDefault() is ignored in passive listeners.`);
+    }
+    if (modifiers.debounce !== null && modifiers.throttle !== null) {
+        console.warn(`[Stitch.js ${Version}] ${binding}: "${key}" combines debounce and throttle; only debounce is applied.`);
+    }
+}
+
+/**
+ * Resolves the converter for a checkbox bound to a collection.
+ * Explicit data-type wins; otherwise the first collection value infers the type.
+ * The element is not used for inference: its type="checkbox" would select the boolean converter.
+ *
+ * @param {HTMLElement} element
+ * @param {Array} values - Collection snapshot
+ * @returns {Object} Type converter
+ */
+function getCollectionConverter(element, values) {
+    const sample = values.length > 0 ? values[0] : undefined;
+    return getTypeConverter(element.hasAttribute("data-type") ? element : null, sample);
+}
+
+/**
+ * Resolves the option values of a data-checked-all checkbox: data-checked-options
+ * (path or expression) when present, else the values of same-name checkboxes.
+ *
+ * @param {HTMLElement} element
+ * @param {Object} viewModel
+ * @param {Object} converter
+ * @returns {Array}
+ */
+function resolveCheckedAllOptions(element, viewModel, converter) {
+    const optionsSource = element.getAttribute("data-checked-options");
+    if (optionsSource) {
+        const options = evaluateBinding(viewModel, optionsSource);
+        return options && typeof options[Symbol.iterator] === "function" && typeof options !== "string" ? Array.from(options) : [];
+    }
+    if (!element.name) {
+        return [];
+    }
+    const root = element.form || element.ownerDocument;
+    // Compared by property so names with quotes or backslashes need no selector escaping
+    return Array.from(root.querySelectorAll('input[type="checkbox"]'))
+        .filter(checkbox => checkbox.name === element.name && checkbox !== element && !checkbox.hasAttribute("data-checked-all"))
+        .map(checkbox => converter.toModel(checkbox.value));
+}
+
+/**
+ * Collects the branch chain of a data-if element: the element itself followed by
+ * adjacent data-else-if siblings and an optional terminating data-else sibling.
+ *
+ * @param {HTMLElement} element - Element carrying data-if
+ * @param {string} path - Condition of the data-if branch
+ * @returns {Array<{template: HTMLElement, path: string|null}>} Branches in evaluation order (path null = else)
+ */
+function collectConditionalBranches(element, path) {
+    const branches = [{ template: element, path: path }];
+    let sibling = element.nextElementSibling;
+    while (sibling) {
+        if (sibling.hasAttribute("data-else-if")) {
+            branches.push({ template: sibling, path: sibling.getAttribute("data-else-if") });
+        } else if (sibling.hasAttribute("data-else")) {
+            branches.push({ template: sibling, path: null });
+            break;
+        } else {
+            break;
+        }
+        sibling = sibling.nextElementSibling;
+    }
+    return branches;
+}
+
+/**
+ * Removes bindings that would take a foreach row out of its container, with a warning.
+ * The reconciler keeps exactly one element per item in the container, so the row itself
+ * cannot be replaced by an anchor: data-if on the row is applied as data-visible and
+ * data-portal on the row is ignored. Inside the row both work as usual.
+ *
+ * @param {string} templateSource - Row template markup
+ * @param {HTMLElement} element - foreach container
+ * @param {string} path - foreach path (for the warnings)
+ * @returns {string} Template markup to render rows from
+ */
+function prepareRowTemplate(templateSource, element, path) {
+    const probe = element.ownerDocument.createElement("template");
+    probe.innerHTML = templateSource;
+    const row = probe.content.firstElementChild;
+    const hasCondition = !!row && CONDITIONAL_ATTRIBUTES.some(attrName => row.hasAttribute(attrName));
+    if (!row || (!hasCondition && !row.hasAttribute("data-portal"))) {
+        return templateSource;
+    }
+    if (hasCondition) {
+        console.warn(`[Stitch.js ${Version}] foreach "${path}": data-if on the row element is not supported, it is applied as data-visible. Filter the items or put data-if inside the row.`);
+        const condition = row.getAttribute("data-if") || row.getAttribute("data-else-if");
+        const visible = row.getAttribute("data-visible");
+        CONDITIONAL_ATTRIBUTES.forEach(attrName => row.removeAttribute(attrName));
+        if (condition) {
+            row.setAttribute("data-visible", visible ? `(${visible}) && (${condition})` : condition);
+        }
+    }
+    if (row.hasAttribute("data-portal")) {
+        console.warn(`[Stitch.js ${Version}] foreach "${path}": data-portal on the row element is not supported, rows render in place. Put data-portal on an element inside the row.`);
+        row.removeAttribute("data-portal");
+    }
+    return row.outerHTML;
+}
+
+/**
+ * Finds the validation state created by Stitch.validate() for a binding scope,
+ * walking up $parent so foreach rows can reach the form model.
+ *
+ * @param {Object} viewModel - Binding scope
+ * @returns {Object|null} Validation state ($errors, $dirty, $touched, ...)
+ */
+function resolveValidation(viewModel) {
+    for (let scope = viewModel; scope; scope = scope.$parent) {
+        if (scope.$validation) {
+            return scope.$validation;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolves the validated field path of a form control: data-field, else the
+ * data-value / data-checked binding path, else the name attribute.
+ *
+ * @param {HTMLElement} element
+ * @returns {string|null}
+ */
+function getValidationField(element) {
+    const field = element.getAttribute("data-field") ||
+        element.getAttribute("data-value") ||
+        element.getAttribute("data-checked") ||
+        element.getAttribute("name");
+    return field ? field.trim() : null;
+}
+
+/**
+ * Resolves validation state for a field binding, warning when it is missing.
+ *
+ * @returns {Object|null}
+ */
+function resolveFieldValidation(viewModel, field, bindingType) {
+    const validation = resolveValidation(viewModel);
+    if (!validation) {
+        console.warn(`[Stitch.js ${Version}] ${bindingType}: no validation found for "${field}". Call Stitch.validate(model, rules) before binding.`);
+        return null;
+    }
+    if (!(field in validation.$errors)) {
+        console.warn(`[Stitch.js ${Version}] ${bindingType}: field "${field}" has no validation rules.`);
+        return null;
+    }
+    return validation;
+}
+
+/**
+ * @typedef {Object} BindingHandler
+ * @property {Function} bind - Establishes reactive binding
+ * @property {boolean} [structural] - Handler owns its element as a template (other bindings on it are deferred to rendered copies)
+ * @property {boolean} [acceptsModifiers] - Also matches data-<type>.<modifier>... attributes; the modifier names arrive as context.modifiers
+ */
+
+/**
+ * BINDING_HANDLERS - Registry of built-in binding handlers implementing Strategy Pattern.
+ * 
+ * Each handler encapsulates complete binding logic for its type (text, value, visible, etc.),
+ * enabling clean two-way data binding, event handling, and list rendering.
+ * Supports custom binding registration via DataBinder.registerBinding().
+ * 
+ * @const {Object.<string, BindingHandler>}
+ * @example
+ * // Custom binding registration (PUBLIC API)
+ * Stitch.DataBinder.registerBinding('tooltip', {
+ *     bind(element, viewModel, path, context) {
+ *         context.reactiveSystem.effect(() => {
+ *             const value = getProperty(viewModel, path);
+ *             element.setAttribute('title', value || '');
+ *         });
+ *     }
+ * });
+ * // Usage: <button data-tooltip="helpText">Help</button>
+ */
+const BINDING_HANDLERS = {
+    /**
+     * text binding - Updates element.textContent reactively.
+     * One-way binding from model to view.
+     */
+    text: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "text", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                if (typeof value === "function") {
+                    console.warn(`[Stitch.js ${Version}] Binding 'text' to a function: "${path}". Did you mean to call it or use a computed property?`);
+                }
+                element.textContent = value != null ? value : "";
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * html binding - Sets element.innerHTML reactively from sanitized markup.
+     * Markup goes through Stitch.config.htmlSanitizer when set, otherwise through the
+     * built-in allowlist sanitizer; with Stitch.config.trustedTypesPolicy it is assigned
+     * as TrustedHTML. Bindings inside the markup are only bound when the element also has
+     * data-html-bind; they are unbound before each update and when the element is unbound.
+     * In that mode the built-in sanitizer keeps only the text, class, visible, if and
+     * foreach bindings.
+     *
+     * @example
+     * // <div data-html="product.description"></div>
+     * // <div data-html="promoHtml" data-html-bind></div>
+     */
+    html: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "html", element);
+            const bindContent = element.hasAttribute("data-html-bind");
+            const unbindContent = () => {
+                if (bindContent) {
+                    Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                }
+            };
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                const markup = value != null ? String(value) : "";
+                const policy = config.trustedTypesPolicy;
+                const html = typeof config.htmlSanitizer === "function"
+                    ? config.htmlSanitizer(markup, element)
+                    : sanitizeHTML(markup, {
+                        document: element.ownerDocument,
+                        policy,
+                        isBindingAttribute: bindContent ? isBindingAttribute : null
+                    });
+                StitchDebug.enabled && StitchDebug.log("bindings", `HTML BINDING UPDATE: "${path}"`, {
+                    element: element.tagName
+                });
+                unbindContent();
+                element.innerHTML = policy && typeof html === "string" ? policy.createHTML(html) : html;
+                if (bindContent) {
+                    Array.from(element.children).forEach(child => context.binder._bindElement(child, viewModel, []));
+                }
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => {
+                context.reactiveSystem.stop(eff);
+                unbindContent();
+            });
+        }
+    },
+    /**
+     * value binding - Two-way data binding for form inputs with automatic type conversion.
+     * Model changes update view, view changes update model.
+     * Expression values (e.g. data-value="first + ' ' + last") are one-way only.
+     *
+     * View→model timing:
+     * - data-value-update="input" (default) writes on input and change, "change" only on
+     *   change, "blur" only when the element loses focus
+     * - data-debounce="300" delays input writes; change and blur write a pending value at once
+     * - nothing is written between compositionstart and compositionend (IME input);
+     *   the composed text is written on compositionend
+     * Model→view updates of the focused element keep its caret and selection.
+     *
+     * @example
+     * // <input type="search" data-value="query" data-debounce="300">
+     * // <input data-value="code" data-value-update="blur">
+     */
+    value: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "value", element);
+            StitchDebug.enabled && StitchDebug.log("bindings", `BINDING: value binding (two-way) for "${path}"`, {
+                element: element.tagName,
+                type: element.type
+            });
+            const handler = getValueHandler(element);
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                StitchDebug.enabled && StitchDebug.log("bindings", `VALUE BINDING UPDATE (Model→View): "${path}" = ${value}`);
+                preserveSelection(element, () => handler.modelToView(element, value, viewModel, path));
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+            if (!isPropertyPath(path)) {
+                console.warn(`[Stitch.js ${Version}] value: binding "${path}" is an expression and can only update the view. Bind a property path for two-way binding.`);
+                return;
+            }
+            const updateModel = () => {
+                const value = handler.viewToModel(element);
+                StitchDebug.enabled && StitchDebug.log("bindings", `VALUE BINDING UPDATE (View→Model): "${path}" = ${value}`);
+                const validator = getValueValidator(element);
+                const validValue = validator.validate(element, value, viewModel, path, "user-input");
+                setProperty(viewModel, path, validValue);
+            };
+            const options = getValueUpdateOptions(element);
+            if (options.invalid !== null) {
+                console.warn(`[Stitch.js ${Version}] value: unknown data-value-update="${options.invalid}" on "${path}". Use "input", "change" or "blur".`);
+            }
+            let composing = false;
+            let timer = null;
+            const commit = () => {
+                clearTimeout(timer);
+                timer = null;
+                if (!composing) {
+                    updateModel();
+                }
+            };
+            const onInput = e => {
+                if (composing || (e && e.isComposing)) {
+                    return;
+                }
+                if (options.debounce > 0) {
+                    clearTimeout(timer);
+                    timer = setTimeout(commit, options.debounce);
+                } else {
+                    updateModel();
+                }
+            };
+            const listeners = options.events.map(eventName => [eventName, eventName === "input" ? onInput : commit]);
+            listeners.push(["compositionstart", () => {
+                composing = true;
+            }]);
+            listeners.push(["compositionend", e => {
+                composing = false;
+                if (options.mode === "input") {
+                    onInput(e);
+                }
+            }]);
+            listeners.forEach(([eventName, listener]) => element.addEventListener(eventName, listener));
+            context.binder._trackCleanup(element, () => {
+                clearTimeout(timer);
+                listeners.forEach(([eventName, listener]) => element.removeEventListener(eventName, listener));
+            });
+        }
+    },
+    /**
+     * checked binding - Two-way checkbox binding.
+     * Boolean mode: element.checked mirrors a truthy value.
+     * Group mode (bound value is an array or Set): the checkbox is checked while the collection
+     * contains its value, and toggling adds/removes the converted value in place.
+     * Values are converted through getTypeConverter (data-type, else inferred from the collection).
+     *
+     * @example
+     * // <input type="checkbox" value="news" data-checked="selectedTags">
+     * // <input type="checkbox" value="2" data-type="int" data-checked="selectedIds">
+     */
+    checked: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "checked", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                if (isCheckboxCollection(value)) {
+                    const values = getCollectionValues(value);
+                    const converter = getCollectionConverter(element, values);
+                    element.checked = findCollectionIndex(values, converter.toModel(element.value), converter) !== -1;
+                } else {
+                    element.checked = !!value;
+                }
+            }, { batch: true });
+            const updateModel = () => {
+                const value = evaluateBinding(viewModel, path);
+                if (isCheckboxCollection(value)) {
+                    const converter = getCollectionConverter(element, getCollectionValues(value));
+                    toggleCollectionValue(value, converter.toModel(element.value), element.checked, converter);
+                } else if (isPropertyPath(path)) {
+                    setProperty(viewModel, path, element.checked);
+                }
+            };
+            element.addEventListener("change", updateModel);
+            context.binder._trackCleanup(element, () => {
+                element.removeEventListener("change", updateModel);
+                context.reactiveSystem.stop(eff);
+            });
+        }
+    },
+    /**
+     * checked-all binding - Tri-state "select all" checkbox for a checkbox group collection.
+     * Checked when every option is selected, indeterminate when some are.
+     * Checking selects all options, unchecking clears the collection (both in place).
+     * Options come from data-checked-options (path or expression), else from
+     * same-name checkboxes in the form/document.
+     *
+     * @example
+     * // <input type="checkbox" data-checked-all="selectedTags" data-checked-options="allTags">
+     */
+    "checked-all": {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "checked-all", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const selection = evaluateBinding(viewModel, path);
+                if (!isCheckboxCollection(selection)) {
+                    console.error(`[Stitch.js ${Version}] checked-all: binding requires an array or Set. Got: ${typeof selection}`);
+                    return;
+                }
+                const values = getCollectionValues(selection);
+                const converter = getCollectionConverter(element, values);
+                const options = resolveCheckedAllOptions(element, viewModel, converter);
+                const selectedCount = options.filter(option => findCollectionIndex(values, option, converter) !== -1).length;
+                element.checked = options.length > 0 && selectedCount === options.length;
+                element.indeterminate = selectedCount > 0 && selectedCount < options.length;
+            }, { batch: true });
+            const updateModel = () => {
+                const selection = evaluateBinding(viewModel, path);
+                if (!isCheckboxCollection(selection)) {
+                    return;
+                }
+                const converter = getCollectionConverter(element, getCollectionValues(selection));
+                const options = resolveCheckedAllOptions(element, viewModel, converter);
+                replaceCollectionValues(selection, element.checked ? options : []);
+            };
+            element.addEventListener("change", updateModel);
+            context.binder._trackCleanup(element, () => {
+                element.removeEventListener("change", updateModel);
+                context.reactiveSystem.stop(eff);
+            });
+        }
+    },
+    /**
+     * error binding - Renders the validation message of a field (see Stitch.validate).
+     * Messages are shown once the field is touched or dirty; the text is empty otherwise.
+     *
+     * @example
+     * // <input data-value="email" data-invalid-class="is-invalid">
+     * // <small data-error="email"></small>
+     */
+    error: {
+        bind(element, viewModel, path, context) {
+            const field = path.trim();
+            const validation = resolveFieldValidation(viewModel, field, "error");
+            if (!validation) {
+                return;
+            }
+            const eff = context.reactiveSystem.effect(() => {
+                const visible = validation.$touched[field] || validation.$dirty[field];
+                element.textContent = visible ? validation.$errors[field] : "";
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * invalid-class binding - Toggles the given class(es) and aria-invalid on a form control
+     * while its field is invalid and touched or dirty. Blurring the control marks it touched.
+     * The field is taken from data-field, data-value, data-checked or name (in that order).
+     *
+     * @example
+     * // <input name="email" data-value="email" data-invalid-class="is-invalid">
+     */
+    "invalid-class": {
+        bind(element, viewModel, path, context) {
+            const field = getValidationField(element);
+            if (!field) {
+                console.warn(`[Stitch.js ${Version}] invalid-class: cannot determine the validated field. Add data-field="path".`);
+                return;
+            }
+            const validation = resolveFieldValidation(viewModel, field, "invalid-class");
+            if (!validation) {
+                return;
+            }
+            const classNames = path.split(/\s+/).filter(Boolean);
+            const eff = context.reactiveSystem.effect(() => {
+                const visible = validation.$touched[field] || validation.$dirty[field];
+                const invalid = !!(visible && validation.$errors[field]);
+                classNames.forEach(className => element.classList.toggle(className, invalid));
+                if (invalid) {
+                    element.setAttribute("aria-invalid", "true");
+                } else {
+                    element.removeAttribute("aria-invalid");
+                }
+            }, { batch: true });
+            const markTouched = () => validation.touch(field);
+            element.addEventListener("blur", markTouched);
+            context.binder._trackCleanup(element, () => {
+                element.removeEventListener("blur", markTouched);
+                context.reactiveSystem.stop(eff);
+            });
+        }
+    },
+    /**
+     * visible binding - Shows/hides element by toggling display: none.
+     * One-way binding from model to view.
+     */
+    visible: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "visible", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                element.style.display = value ? "" : "none";
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * enabled binding - Enables/disables element by setting disabled attribute.
+     * One-way binding from model to view.
+     */
+    enabled: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "enabled", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                element.disabled = !value;
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * click binding - Attaches click event handler.
+     * Supports $parent context for calling parent methods from foreach loops.
+     *
+     * Expression values are evaluated on every click with $event in scope,
+     * e.g. data-click="$parent.remove($data)". An expression that evaluates to a
+     * function (e.g. data-click="editing ? save : edit") is called like a path handler.
+     *
+     * Accepts the data-event modifiers in the attribute name:
+     * data-click.prevent.stop="save", data-click.outside="close", data-click.ctrl.once="select".
+     */
+    click: {
+        acceptsModifiers: true,
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "click", element);
+            const isPath = isPropertyPath(path);
+            const clickHandler = e => {
+                const handler = isPath ? getProperty(viewModel, path) : evaluateBinding(viewModel, path, { $event: e });
+                if (typeof handler === "function") {
+                    // UNWRAP: If viewModel is a context wrapper (has $data), pass $data (the original item)
+                    // This ensures handlers receive the actual model, not the context wrapper
+                    const target = (viewModel && viewModel.$data) ? viewModel.$data : viewModel;
+                    
+                    if (path.startsWith("$parent.") && viewModel.$data !== undefined) {
+                        // Case 1: Calling parent method from child context (e.g. data-click="$parent.remove")
+                        // Call on parent, pass target (the item) as first arg, event as second
+                        handler.call(viewModel.$parent, target, e);
+                    } else {
+                        // Case 2: Calling method on self (e.g. data-click="toggle")
+                        // Call on target (the item), pass event as first arg
+                        handler.call(target, e);
+                    }
+                }
+            };
+            const modifierNames = context.modifiers || [];
+            const modifiers = parseModifiers(modifierNames);
+            warnInvalidModifiers("click", ["click"].concat(modifierNames).join("."), modifiers);
+            const removeListener = addModifiedListener(element, "click", modifiers, clickHandler);
+            context.binder._trackCleanup(element, removeListener);
+        }
+    },
+    /**
+     * event binding - Generic event handler for any DOM event.
+     * Binds multiple event types to handler methods in single declaration.
+     *
+     * Binding value is a property path (e.g., "eventBindings") or an inline object
+     * expression (e.g., data-event="{ click: 'save', keyup: 'search' }").
+     * String values are resolved as handler paths on the view model.
+     *
+     * Keys take dot-separated modifiers (see event-modifiers.js):
+     * - prevent, stop - preventDefault() / stopPropagation() once the filters pass
+     * - once, capture, passive - listener options (once counts handled events only)
+     * - self - only events dispatched on the element itself
+     * - outside - events whose target is outside the element (listens on the document)
+     * - key filters (enter, esc, space, tab, up, down, left, right, delete, or any
+     *   KeyboardEvent.key in kebab-case such as page-down), mouse buttons for mouse
+     *   events (left, middle, right), and system modifiers (ctrl, alt, shift, meta, exact)
+     * - debounce-<ms>, throttle-<ms> (250ms when no duration is given)
+     *
+     * @example
+     * // data-event="formEvents"
+     * formEvents: {
+     *     'keydown.enter.prevent': 'save',
+     *     'click.outside': 'close',
+     *     'scroll.passive.throttle-100': 'onScroll'
+     * }
+     */
+    event: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "event", element);
+            StitchDebug.enabled && StitchDebug.log("bindings", `EVENT BINDING: "${path}"`, {
+                element: element.tagName
+            });
+            // Track active listeners so each effect run can replace prior registrations.
+            const eventListeners = [];
+            const removeEventListeners = () => {
+                eventListeners.forEach(removeListener => removeListener());
+                eventListeners.length = 0;
+            };
+            const eff = context.reactiveSystem.effect(() => {
+                // Avoid duplicate listeners when effect re-runs.
+                removeEventListeners();
+
+                const eventConfig = evaluateBinding(viewModel, path);
+                if (!eventConfig || typeof eventConfig !== "object") {
+                    console.error(`[Stitch.js ${Version}] event: binding requires an object. Got: ${typeof eventConfig}`);
+                    return;
+                }
+                for (const [eventKey, handlerPath] of Object.entries(eventConfig)) {
+                    const handler = typeof handlerPath === "string" ? getProperty(viewModel, handlerPath) : handlerPath;
+                    if (typeof handler === "function") {
+                        const { eventName, modifiers } = parseEventKey(eventKey);
+                        StitchDebug.enabled && StitchDebug.log("bindings", `  Registering: ${eventKey} → ${handlerPath}`, {
+                            event: eventName
+                        });
+                        warnInvalidModifiers("event", eventKey, modifiers);
+                        eventListeners.push(addModifiedListener(element, eventName, modifiers, e => handler.call(viewModel, e)));
+                    } else {
+                        console.warn(`[Stitch.js ${Version}] event: binding handler not found: "${handlerPath}"`);
+                    }
+                }
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => {
+                removeEventListeners();
+                context.reactiveSystem.stop(eff);
+            });
+        }
+    },
+    /**
+     * class binding - Dynamic CSS class management.
+     *
+     * Binding value is a property path (e.g., "classBindings") or an expression
+     * (e.g., data-class="{ active: isActive, 'is-done': done }").
+     *
+     * Accepted values (see normalizeClassValue()):
+     * - String: classes to add ("active is-open")
+     * - Object: keys are added when truthy, removed when falsy
+     * - Array: any mix of strings, objects and nested arrays (falsy items skipped)
+     *
+     * RECONCILIATION: The binding remembers the classes of its previous value. A class
+     * that disappears from the value is removed, unless it was a static class in the HTML
+     * (then it is restored). Classes the binding never listed are left untouched, so
+     * static framework classes (Bootstrap, Tailwind) survive every mode.
+     *
+     * @example
+     * // HTML: <div class="foo bar baz" data-class="classes">
+     * // Model: { classes: { bar: false, qux: true } }
+     * // Result: class="foo baz qux"
+     * // - 'foo' preserved (not in value, never touched)
+     * // - 'bar' removed (in value, falsy)
+     * // - 'qux' added (in value, truthy)
+     * // Later: { classes: { 'is-ok': true } }
+     * // Result: class="foo bar baz is-ok" (qux removed, static 'bar' restored)
+     *
+     * @example
+     * // Mixed: <button class="btn" data-class="[size, { active: isActive }, isError && 'is-error']">
+     */
+    class: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "class", element);
+            StitchDebug.enabled && StitchDebug.log("bindings", `BINDING: class binding for "${path}"`, {
+                element: element.tagName,
+                initialClasses: Array.from(element.classList)
+            });
+            const staticClasses = new Set(element.classList);
+            let applied = new Map();
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                StitchDebug.enabled && StitchDebug.log("bindings", `CLASS BINDING UPDATE: "${path}"`, {
+                    element: element.tagName,
+                    valueType: typeof value,
+                    value: value
+                });
+                const next = normalizeClassValue(value);
+                applied.forEach((enabled, className) => {
+                    if (!next.has(className)) {
+                        element.classList.toggle(className, staticClasses.has(className));
+                        StitchDebug.enabled && StitchDebug.log("bindings", `  → Reset stale "${className}"`);
+                    }
+                });
+                next.forEach((enabled, className) => {
+                    element.classList.toggle(className, enabled);
+                    StitchDebug.enabled && StitchDebug.log("bindings", `  → Toggle "${className}": ${enabled}`);
+                });
+                applied = next;
+                StitchDebug.enabled && StitchDebug.log("bindings", `  → Final classList: ${Array.from(element.classList).join(", ")}`);
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * attr binding - Dynamic HTML attribute management with type-aware handling.
+     *
+     * Binding value is a property path (e.g., "attrBindings") or an expression
+     * (e.g., data-attr="{ title: tooltip, 'aria-expanded': open }").
+     *
+     * PRESERVATION: Only manages attributes IN binding object.
+     * Static HTML attributes NOT in binding remain unchanged.
+     *
+     * ⚠️ WARNING: If attribute exists in BOTH HTML and binding, binding wins (overwrites static value).
+     *
+     * RECONCILIATION: An attribute that disappears from the object is removed, or set back
+     * to its static HTML value if it had one. A null/undefined object resets every
+     * attribute the binding set.
+     * 
+     * Supports: strings, numbers, booleans, objects (style), arrays (class), null/undefined (removes).
+     * 
+     * @example
+     * // Static attributes preserved
+     * // HTML: <input type="text" id="username" placeholder="Enter name" data-attr="dynamicAttrs">
+     * // Model: { dynamicAttrs: { 'aria-invalid': true } }
+     * // Result: type, id, placeholder preserved; aria-invalid added
+     * 
+     * @example
+     * // Boolean attributes - use actual booleans
+     * dynamicAttrs: {
+     *     'disabled': true,      // ✅ Sets disabled=""
+     *     'required': false,     // ✅ Removes required attribute
+     *     'readonly': "false"    // ❌ WRONG: Sets readonly="false" (still readonly!)
+     * }
+     * 
+     * @example
+     * // Null/undefined removes attributes
+     * dynamicAttrs: {
+     *     'title': showTooltip ? tooltipText : null,  // Conditionally remove
+     *     'data-id': hasId ? userId : undefined       // Conditionally remove
+     * }
+     */
+    attr: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "attr", element);
+            // Static value (null when absent) of each attribute, captured before the binding first sets it
+            const originals = new Map();
+            let applied = new Set();
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                const next = new Set();
+                if (typeof value === "object" && value !== null) {
+                    Object.keys(value).forEach(attrName => {
+                        if (!originals.has(attrName)) {
+                            originals.set(attrName, element.getAttribute(attrName));
+                        }
+                        const attrValue = value[attrName];
+                        const handler = getAttrHandler(attrValue);
+                        handler.apply(element, attrName, attrValue);
+                        next.add(attrName);
+                    });
+                } else if (value !== null && value !== undefined) {
+                    console.warn(`[Stitch.js ${Version}] attr: binding requires an object value. Example: attr: { href: url, target: "_blank" }`);
+                }
+                applied.forEach(attrName => {
+                    if (!next.has(attrName)) {
+                        const original = originals.get(attrName);
+                        if (original === null) {
+                            element.removeAttribute(attrName);
+                        } else {
+                            element.setAttribute(attrName, original);
+                        }
+                    }
+                });
+                applied = next;
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * style binding - Sets individual inline style properties from an object.
+     *
+     * Keys are camelCase or kebab-case properties, or `--custom-properties`. Numbers get
+     * "px" unless the property is unitless; a trailing "!important" sets the priority.
+     * null/undefined/false/"" reset the property.
+     *
+     * PRESERVATION: The inline value a property had before this binding first set it is
+     * remembered. When the property becomes null/undefined/false/"" or disappears from the
+     * object, that value is restored (or the property removed if it had none). Properties
+     * the binding never set (static or set by other libraries) remain.
+     *
+     * @example
+     * // HTML: <div style="display: flex; width: 50px" data-style="{ width: progress * 3, '--accent': color }">
+     * // Model: { progress: 40, color: "#3b82f6" }
+     * // Result: style="display: flex; width: 120px; --accent: #3b82f6;"
+     * // Model: { progress: null, color: "#3b82f6" } → width is back to 50px
+     */
+    style: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "style", element);
+            let applied = new Set();
+            /** @type {Map<string, {value: string, priority: string}>} Inline values before the binding set each property */
+            const originals = new Map();
+            const restore = name => {
+                const original = originals.get(name);
+                if (!original) {
+                    return;
+                }
+                if (original.value) {
+                    element.style.setProperty(name, original.value, original.priority);
+                } else {
+                    element.style.removeProperty(name);
+                }
+            };
+            const eff = context.reactiveSystem.effect(() => {
+                const value = evaluateBinding(viewModel, path);
+                const next = new Set();
+                if (value && typeof value === "object" && !Array.isArray(value)) {
+                    Object.keys(value).forEach(key => {
+                        const name = toCssPropertyName(key);
+                        const formatted = formatStyleValue(name, value[key]);
+                        if (formatted) {
+                            if (!originals.has(name)) {
+                                originals.set(name, {
+                                    value: element.style.getPropertyValue(name),
+                                    priority: element.style.getPropertyPriority(name)
+                                });
+                            }
+                            element.style.setProperty(name, formatted.value, formatted.priority);
+                            next.add(name);
+                        } else {
+                            restore(name);
+                        }
+                    });
+                } else if (value != null) {
+                    console.warn(`[Stitch.js ${Version}] style: binding requires an object value. Example: data-style="{ width: progress + '%', '--accent': color }"`);
+                }
+                StitchDebug.enabled && StitchDebug.log("bindings", `STYLE BINDING UPDATE: "${path}"`, {
+                    element: element.tagName,
+                    properties: Array.from(next)
+                });
+                applied.forEach(name => {
+                    if (!next.has(name)) {
+                        restore(name);
+                    }
+                });
+                applied = next;
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * foreach binding - Reactive list rendering with smart reconciliation.
+     * Delegates to element-specific handlers for specialized rendering.
+     * Provides $data, $index, $parent context variables.
+     * data-if and data-portal on the row element itself are not supported (see prepareRowTemplate).
+     */
+    foreach: {
+        bind(element, viewModel, path, context) {
+            const external = resolveExternalForeachIntegration();
+            if (external && typeof external.bindForeach === "function") {
+                return external.bindForeach(element, viewModel, path, context, {
+                    validateBinding: validateBinding,
+                    getProperty: evaluateBinding,
+                    getRenderingDelegate: external.getRenderingDelegate,
+                    foreachRenderingDelegates: external.delegates,
+                    prepareTemplate: prepareRowTemplate
+                });
+            }
+
+            validateBinding(viewModel, path, "foreach", element);
+            const templateSource = prepareRowTemplate(context.binder._getTemplateSource(element), element, path);
+            const delegate = getRenderingDelegate(element);
+            const config = delegate.prepareConfig(element, templateSource);
+            element.innerHTML = "";
+            const eff = context.reactiveSystem.effect(() => {
+                const items = evaluateBinding(viewModel, path);
+                delegate.render(element, items, config, context.binder, viewModel, path);
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * if binding - Structural conditional rendering with data-else-if / data-else siblings.
+     * Unlike visible, inactive branches are removed from the DOM and their bindings disposed.
+     * The active branch is re-created from the saved template and bound on every switch.
+     *
+     * @example
+     * // <p data-if="loading">Loading...</p>
+     * // <p data-else-if="error" data-text="error"></p>
+     * // <ul data-else data-foreach="items"><li data-text="name"></li></ul>
+     */
+    if: {
+        structural: true,
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "if", element);
+            const parent = element.parentNode;
+            if (!parent) {
+                console.error(`[Stitch.js ${Version}] if: binding requires the element to have a parent node.`);
+                return;
+            }
+
+            const branches = collectConditionalBranches(element, path);
+            const anchor = element.ownerDocument.createComment(` data-if: ${path} `);
+            parent.insertBefore(anchor, element);
+            branches.forEach(branch => branch.template.remove());
+
+            let activeIndex = -1;
+            let activeElement = null;
+            const removeActiveBranch = () => {
+                if (activeElement) {
+                    context.binder._unbindTree(activeElement);
+                    activeElement.remove();
+                    activeElement = null;
+                }
+                activeIndex = -1;
+            };
+
+            const eff = context.reactiveSystem.effect(() => {
+                let nextIndex = -1;
+                for (let i = 0; i < branches.length; i++) {
+                    const branchPath = branches[i].path;
+                    if (branchPath === null || evaluateBinding(viewModel, branchPath)) {
+                        nextIndex = i;
+                        break;
+                    }
+                }
+                if (nextIndex === activeIndex) {
+                    return;
+                }
+
+                StitchDebug.enabled && StitchDebug.log("bindings", `IF BINDING UPDATE: "${path}" → branch ${nextIndex}`, {
+                    element: element.tagName
+                });
+                removeActiveBranch();
+                if (nextIndex === -1 || !anchor.parentNode) {
+                    return;
+                }
+
+                const rendered = branches[nextIndex].template.cloneNode(true);
+                CONDITIONAL_ATTRIBUTES.forEach(attrName => rendered.removeAttribute(attrName));
+                anchor.parentNode.insertBefore(rendered, anchor.nextSibling);
+                context.binder._bindElement(rendered, viewModel, []);
+                activeElement = rendered;
+                activeIndex = nextIndex;
+            }, { batch: true });
+
+            // Tracked on the parent: the template itself is detached, so subtree unbinds
+            // (e.g. an enclosing data-if branch) can only reach this binding through its anchor's parent.
+            context.binder._trackCleanup(parent, () => {
+                context.reactiveSystem.stop(eff);
+                removeActiveBranch();
+            });
+        }
+    },
+    /**
+     * component binding - Renders a registered component into the host element.
+     * The instance state comes from setup(props) and lives in its own child Observable;
+     * data-props (path or expression, evaluated in the parent scope) flows into the
+     * reactive $props object. Host children fill the template's <slot> outlets and stay
+     * bound to the parent scope. setup() and the instance's bindings run in a per-instance
+     * effect scope that is stopped on unbind.
+     *
+     * @example
+     * // Stitch.component("userCard", {
+     * //     template: '<h3 data-text="$props.name"></h3><slot name="actions"></slot>',
+     * //     setup(props) { return { expanded: false }; }
+     * // });
+     * // <div data-component="userCard" data-props="selectedUser">
+     * //     <button slot="actions" data-click="edit">Edit</button>
+     * // </div>
+     */
+    component: {
+        bind(element, viewModel, path, context) {
+            const name = path.trim();
+            const definition = getComponent(name);
+            if (!definition) {
+                console.error(`[Stitch.js ${Version}] component: "${name}" is not registered. Use Stitch.component("${name}", { template, setup }).`);
+                return;
+            }
+            const doc = element.ownerDocument;
+            const fragment = createTemplateFragment(definition.template, doc);
+            if (!fragment) {
+                console.error(`[Stitch.js ${Version}] component: template "${definition.template}" for "${name}" was not found.`);
+                return;
+            }
+
+            // Watchers, effects and computeds created by setup() or the template belong to
+            // this instance and are stopped when it is unbound.
+            const scope = effectScope ? effectScope() : null;
+            const inScope = fn => (scope ? scope.run(fn) : fn());
+
+            // Props: parent scope → child, one-way. Values are compared against the last
+            // synced snapshot so the effect never subscribes to the props object itself.
+            const propsSource = element.getAttribute("data-props");
+            const props = createComponentModel({}, null, viewModel);
+            const synced = new Map();
+            const propsEff = inScope(() => context.reactiveSystem.effect(() => {
+                const source = propsSource ? evaluateBinding(viewModel, propsSource) : null;
+                const next = source && typeof source === "object" ? source : {};
+                Object.keys(next).forEach(key => {
+                    const value = next[key];
+                    if (synced.has(key) && synced.get(key) === value) {
+                        return;
+                    }
+                    synced.set(key, value);
+                    props.$set(key, value);
+                });
+                synced.forEach((value, key) => {
+                    if (!(key in next) && value !== undefined) {
+                        synced.set(key, undefined);
+                        props[key] = undefined;
+                    }
+                });
+            }, { batch: true }));
+
+            const state = definition.setup ? inScope(() => definition.setup(props)) : null;
+            const model = createComponentModel(state && typeof state === "object" ? state : {}, props, viewModel);
+
+            StitchDebug.enabled && StitchDebug.log("bindings", `COMPONENT BINDING: "${name}"`, {
+                element: element.tagName,
+                props: propsSource
+            });
+
+            const slots = extractSlotContent(element);
+            const outlets = placeSlotAnchors(fragment, doc);
+            element.appendChild(fragment);
+            inScope(() => {
+                Array.from(element.children).forEach(child => {
+                    context.binder._bindElement(child, model, []);
+                });
+
+                // Slot content is inserted after the template is bound so it is only bound once, in the parent scope.
+                outlets.forEach(outlet => {
+                    const provided = slots[outlet.name];
+                    const nodes = provided ? provided : outlet.fallback;
+                    const slotScope = provided ? viewModel : model;
+                    nodes.forEach(node => {
+                        outlet.anchor.parentNode.insertBefore(node, outlet.anchor);
+                        if (node.nodeType === 1) {
+                            context.binder._bindElement(node, slotScope, []);
+                        }
+                    });
+                });
+            });
+
+            context.binder._trackCleanup(element, () => {
+                context.reactiveSystem.stop(propsEff);
+                Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                if (scope) {
+                    scope.stop();
+                }
+            });
+        }
+    },
+    /**
+     * portal binding - Moves the element into another DOM location (CSS selector of the target)
+     * while its subtree stays bound to the original scope, including foreach item contexts.
+     * A comment anchor marks the original position. Unbinding the element, its original
+     * ancestors (or removing its foreach row) or disposing the binder removes the portaled
+     * element from the target.
+     *
+     * @example
+     * // <ul data-foreach="files">
+     * //     <li>
+     * //         <div class="menu" data-portal="#overlay-root" data-visible="menuOpen">
+     * //             <button data-click="$parent.remove">Delete</button>
+     * //         </div>
+     * //     </li>
+     * // </ul>
+     */
+    portal: {
+        bind(element, viewModel, path, context) {
+            const selector = path.trim();
+            const doc = element.ownerDocument;
+            let target = null;
+            try {
+                target = doc.querySelector(selector);
+            } catch (error) {
+                target = null;
+            }
+            // Another boundary on the same element (foreach, component) renders the children itself
+            const ownsChildren = !element.hasAttribute("data-foreach") && !element.hasAttribute("data-component");
+            const bindChildren = () => {
+                if (ownsChildren) {
+                    Array.from(element.children).forEach(child => {
+                        context.binder._bindElement(child, viewModel, []);
+                    });
+                }
+            };
+
+            const parent = element.parentNode;
+            if (!target || !parent) {
+                console.error(`[Stitch.js ${Version}] portal: target "${selector}" not found. Rendering in place.`);
+                bindChildren();
+                return;
+            }
+
+            StitchDebug.enabled && StitchDebug.log("bindings", `PORTAL BINDING: "${selector}"`, {
+                element: element.tagName
+            });
+            const anchor = doc.createComment(` data-portal: ${selector} `);
+            parent.insertBefore(anchor, element);
+            target.appendChild(element);
+            bindChildren();
+
+            let disposed = false;
+            const disposePortal = () => {
+                if (disposed) {
+                    return;
+                }
+                disposed = true;
+                if (ownsChildren) {
+                    Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                }
+                element.remove();
+                anchor.remove();
+            };
+            // Tracked on the element and on its original parent: once moved, subtree unbinds of
+            // the original location (a removed foreach row, a data-if branch) can only reach the
+            // portal through the parent.
+            context.binder._trackCleanup(element, disposePortal);
+            context.binder._trackCleanup(parent, disposePortal);
+        }
+    },
+    /**
+     * loading binding - Composite binding for loading states.
+     * Sets/removes disabled, toggles 'loading' class, sets aria-busy.
+     */
+    loading: {
+        bind(element, viewModel, path, context) {
+            validateBinding(viewModel, path, "loading", element);
+            const eff = context.reactiveSystem.effect(() => {
+                const isLoading = evaluateBinding(viewModel, path);
+                element.disabled = isLoading;
+                element.classList.toggle("loading", isLoading);
+                element.setAttribute("aria-busy", isLoading ? "true" : "false");
+            }, { batch: true });
+            context.binder._trackCleanup(element, () => context.reactiveSystem.stop(eff));
+        }
+    },
+    /**
+     * error-boundary binding - When a binding inside the element throws (while binding
+     * or on a later update), its content is unbound and replaced by fallback content,
+     * bound to the same scope. The error is still reported to Stitch.config.errorHandler.
+     * The value is a "#template-id" or inline HTML; when empty, a direct <template>
+     * child is the fallback.
+     *
+     * @example
+     * // <section data-error-boundary="#chart-error">
+     * //     <canvas data-attr="chartAttrs"></canvas>
+     * // </section>
+     * // <template id="chart-error"><p>Chart unavailable. <button data-click="reload">Retry</button></p></template>
+     */
+    "error-boundary": {
+        bind(element, viewModel, path, context) {
+            const fallback = path.trim() || Array.from(element.children).find(child => child.tagName === "TEMPLATE");
+            if (!fallback) {
+                console.warn(`[Stitch.js ${Version}] error-boundary: no fallback. Use data-error-boundary="#template-id" or add a <template> child.`);
+                return;
+            }
+            context.binder._registerErrorBoundary(element, () => {
+                StitchDebug.enabled && StitchDebug.log("bindings", "ERROR BOUNDARY: rendering fallback", {
+                    element: element.tagName
+                });
+                Array.from(element.children).forEach(child => context.binder._unbindTree(child));
+                element.textContent = "";
+                const fragment = createTemplateFragment(fallback, element.ownerDocument);
+                if (!fragment) {
+                    console.warn(`[Stitch.js ${Version}] error-boundary: fallback template "${fallback}" was not found.`);
+                    return;
+                }
+                const rendered = Array.from(fragment.children);
+                element.appendChild(fragment);
+                rendered.forEach(child => context.binder._bindElement(child, viewModel, []));
+            });
+        }
+    }
+};
+
+/**
+ * Lazily resolves extracted binding-scan helpers in CommonJS environments.
+ * Browser script usage keeps local implementations for single-file compatibility.
+ *
+ * @returns {{getBindingHandler: Function, scanCustomAttributes: Function}|null}
+ */
+let _externalBindingScanIntegrationAttempted = false;
+let _externalBindingScanIntegration = null;
+function resolveExternalBindingScanIntegration() {
+    if (_externalBindingScanIntegrationAttempted) {
+        return _externalBindingScanIntegration;
+    }
+
+    _externalBindingScanIntegrationAttempted = true;
+    if (typeof module === "undefined" || !module.exports || typeof require !== "function") {
+        return null;
+    }
+
+    try {
+        const bindingScanModule = require("./packages/browser/src/binding-scan-helpers");
+        if (bindingScanModule &&
+            typeof bindingScanModule.getBindingHandler === "function" &&
+            typeof bindingScanModule.scanCustomAttributes === "function") {
+            _externalBindingScanIntegration = bindingScanModule;
+        } else {
+            _externalBindingScanIntegration = null;
+        }
+    } catch (error) {
+        _externalBindingScanIntegration = null;
+    }
+
+    return _externalBindingScanIntegration;
+}
+
+/**
+ * Retrieves binding handler from BINDING_HANDLERS registry by type name.
+ * 
+ * @param {string} type - Binding type (e.g., 'text', 'value', 'click')
+ * @returns {BindingHandler|null} Handler with bind() method, or null if not found
+ * @example
+ * const handler = getBindingHandler('text');
+ * // Returns: BINDING_HANDLERS.text
+ */
+function getBindingHandler(type) {
+    const external = resolveExternalBindingScanIntegration();
+    if (external) {
+        return external.getBindingHandler(type, BINDING_HANDLERS);
+    }
+    return BINDING_HANDLERS[type] || null;
+}
+
+/**
+ * Whether an attribute name is a binding for a registered handler, with or without modifiers.
+ *
+ * @param {string} name - Lowercase attribute name
+ * @returns {boolean}
+ * @example
+ * isBindingAttribute('data-click.prevent'); // true
+ * isBindingAttribute('data-template');      // false
+ */
+function isBindingAttribute(name) {
+    if (!name.startsWith("data-")) {
+        return false;
+    }
+    const type = name.substring(5);
+    const dot = type.indexOf(".");
+    return !!getBindingHandler(dot > 0 ? type.substring(0, dot) : type);
+}
+
+/**
+ * Scans element attributes to find data-* bindings that correspond to registered handlers.
+ * Filters out non-binding data-* attributes (like data-template, data-default-text).
+ * 
+ * @param {HTMLElement} element - Element to scan for binding attributes
+ * @returns {Array<Object>} Array of binding objects [{type, path, attributeName, modifiers?}]
+ * @example
+ * // Single binding
+ * // HTML: <div data-text="message"></div>
+ * const bindings = scanCustomAttributes(divEl);
+ * // Returns: [{ type: 'text', path: 'message', attributeName: 'data-text' }]
+ * 
+ * @example
+ * // Multiple bindings
+ * // HTML: <input data-value="count" data-enabled="isActive">
+ * const bindings = scanCustomAttributes(inputEl);
+ * // Returns: [
+ * //   { type: 'value', path: 'count', attributeName: 'data-value' },
+ * //   { type: 'enabled', path: 'isActive', attributeName: 'data-enabled' }
+ * // ]
+ *
+ * @example
+ * // Modifiers (handlers with acceptsModifiers)
+ * // HTML: <a data-click.prevent.stop="open">
+ * // Returns: [{ type: 'click', path: 'open', attributeName: 'data-click.prevent.stop', modifiers: ['prevent', 'stop'] }]
+ */
+function scanCustomAttributes(element) {
+    const external = resolveExternalBindingScanIntegration();
+    if (external) {
+        return external.scanCustomAttributes(element, BINDING_HANDLERS);
+    }
+    const bindings = [];
+    for (const attr of element.attributes) {
+        if (attr.name.startsWith("data-")) {
+            const type = attr.name.substring(5);
+            const handler = getBindingHandler(type);
+            if (handler) {
+                bindings.push({
+                    type: type,
+                    path: attr.value,
+                    attributeName: attr.name
+                });
+                continue;
+            }
+            // Modified bindings: data-click.prevent.stop="save"
+            const dot = type.indexOf(".");
+            const baseHandler = dot > 0 ? getBindingHandler(type.substring(0, dot)) : null;
+            if (baseHandler && baseHandler.acceptsModifiers) {
+                bindings.push({
+                    type: type.substring(0, dot),
+                    path: attr.value,
+                    attributeName: attr.name,
+                    modifiers: type.substring(dot + 1).split(".")
+                });
+            }
+        }
+    }
+    return bindings;
+}
+
+    return {
+        validateBinding,
+        BINDING_HANDLERS,
+        getBindingHandler,
+        scanCustomAttributes,
+        resolveExternalBindingScanIntegration
+    };
+}
+
+module.exports = {
+    createBindingRuntime
+};
+
+  };
+  __stitchModuleFactories[10] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Retrieves a binding handler by type from a handlers registry.
+ *
+ * @param {string} type
+ * @param {Object} handlers
+ * @returns {Object|null}
+ */
+function getBindingHandler(type, handlers) {
+    return handlers[type] || null;
+}
+
+/**
+ * Splits `data-<type>.<modifier>...` attribute types (e.g. "click.prevent.stop") for
+ * handlers that accept modifiers (`acceptsModifiers: true`).
+ *
+ * @param {string} type - Attribute name without the "data-" prefix
+ * @param {Object} handlers
+ * @returns {{type: string, modifiers: string[]}|null}
+ */
+function parseModifiedBindingType(type, handlers) {
+    const dot = type.indexOf(".");
+    if (dot <= 0) {
+        return null;
+    }
+    const baseType = type.substring(0, dot);
+    const handler = getBindingHandler(baseType, handlers);
+    if (!handler || !handler.acceptsModifiers) {
+        return null;
+    }
+    return { type: baseType, modifiers: type.substring(dot + 1).split(".") };
+}
+
+/**
+ * Scans element attributes and returns recognized data-* bindings.
+ * Modified bindings (data-click.prevent) carry their modifiers.
+ *
+ * @param {HTMLElement} element
+ * @param {Object} handlers
+ * @returns {Array<{type: string, path: string, attributeName: string, modifiers?: string[]}>}
+ */
+function scanCustomAttributes(element, handlers) {
+    const bindings = [];
+    for (const attr of element.attributes) {
+        if (attr.name.startsWith("data-")) {
+            const type = attr.name.substring(5);
+            const handler = getBindingHandler(type, handlers);
+            if (handler) {
+                bindings.push({
+                    type: type,
+                    path: attr.value,
+                    attributeName: attr.name
+                });
+                continue;
+            }
+            const modified = parseModifiedBindingType(type, handlers);
+            if (modified) {
+                bindings.push({
+                    type: modified.type,
+                    path: attr.value,
+                    attributeName: attr.name,
+                    modifiers: modified.modifiers
+                });
+            }
+        }
+    }
+    return bindings;
+}
+
+/**
+ * Creates bound helper functions for a specific handlers registry.
+ *
+ * @param {Object} handlers
+ * @returns {{getBindingHandler: Function, scanCustomAttributes: Function}}
+ */
+function createBindingScanner(handlers) {
+    return {
+        getBindingHandler(type) {
+            return getBindingHandler(type, handlers);
+        },
+        scanCustomAttributes(element) {
+            return scanCustomAttributes(element, handlers);
+        }
+    };
+}
+
+module.exports = {
+    getBindingHandler,
+    parseModifiedBindingType,
+    scanCustomAttributes,
+    createBindingScanner
+};
+
+  };
+  __stitchModuleFactories[11] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Component registry and template/slot helpers for data-component bindings.
+ *
+ * A component packages a template with a setup(props) function that returns the
+ * state of a per-instance child Observable. The binding handler (binding-runtime)
+ * renders the template into the host element, binds it against the child model
+ * and fills <slot> outlets with the host's original children bound against the
+ * parent scope.
+ */
+
+/**
+ * @typedef {Object} ComponentDefinition
+ * @property {string} name - Registered component name
+ * @property {string|HTMLTemplateElement} template - HTML string, "#id" selector of a <template>, or a <template> element
+ * @property {Function} [setup] - setup(props) returning the instance state object
+ */
+
+const COMPONENT_NAME_PATTERN = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Creates an isolated component registry.
+ *
+ * @param {Object} [deps={}]
+ * @param {string} [deps.version]
+ * @returns {{define: Function, get: Function, has: Function}}
+ */
+function createComponentRegistry(deps = {}) {
+    const Version = deps.version || "v2.1.0";
+    const definitions = new Map();
+
+    /**
+     * Registers a component definition.
+     *
+     * @param {string} name - Component name used in data-component
+     * @param {Object} definition - { template, setup(props) }
+     * @returns {ComponentDefinition}
+     * @throws {Error} If name or definition is invalid
+     */
+    function define(name, definition) {
+        if (typeof name !== "string" || !COMPONENT_NAME_PATTERN.test(name)) {
+            throw new Error(`Stitch.js ${Version}: component() requires a name made of letters, digits, "-" or "_". Got: "${name}"`);
+        }
+        if (!definition || typeof definition !== "object" || !definition.template) {
+            throw new Error(`Stitch.js ${Version}: component("${name}") requires a definition with a template`);
+        }
+        if (definition.setup !== undefined && typeof definition.setup !== "function") {
+            throw new Error(`Stitch.js ${Version}: component("${name}") setup must be a function`);
+        }
+        if (definitions.has(name)) {
+            console.warn(`[Stitch.js ${Version}] component: "${name}" is already registered and will be replaced.`);
+        }
+        const normalized = Object.freeze({
+            name: name,
+            template: definition.template,
+            setup: definition.setup || null
+        });
+        definitions.set(name, normalized);
+        return normalized;
+    }
+
+    return {
+        define,
+        get(name) {
+            return definitions.get(name) || null;
+        },
+        has(name) {
+            return definitions.has(name);
+        }
+    };
+}
+
+/**
+ * Builds a fresh DocumentFragment from a component template.
+ *
+ * @param {string|HTMLTemplateElement} template
+ * @param {Document} doc
+ * @returns {DocumentFragment|null} null if a "#id" template cannot be found
+ */
+function createTemplateFragment(template, doc) {
+    let templateElement = template;
+    if (typeof template === "string") {
+        const trimmed = template.trim();
+        if (trimmed.startsWith("#")) {
+            templateElement = doc.querySelector(trimmed);
+            if (!templateElement) {
+                return null;
+            }
+        } else {
+            templateElement = doc.createElement("template");
+            templateElement.innerHTML = trimmed;
+        }
+    }
+    if (templateElement.content) {
+        return doc.importNode(templateElement.content, true);
+    }
+    // Non-<template> element: use its children as the template
+    const fragment = doc.createDocumentFragment();
+    Array.from(templateElement.childNodes).forEach(node => fragment.appendChild(node.cloneNode(true)));
+    return fragment;
+}
+
+/**
+ * Removes the host's children and groups them by slot name.
+ * Elements with slot="name" or data-slot="name" go to that slot, everything else to "default".
+ * Whitespace-only text nodes are dropped.
+ *
+ * @param {HTMLElement} host
+ * @returns {Object.<string, Node[]>}
+ */
+function extractSlotContent(host) {
+    const slots = Object.create(null);
+    Array.from(host.childNodes).forEach(node => {
+        host.removeChild(node);
+        if (node.nodeType === 3 && !node.textContent.trim()) {
+            return;
+        }
+        let name = "default";
+        if (node.nodeType === 1) {
+            name = node.getAttribute("slot") || node.getAttribute("data-slot") || "default";
+        }
+        (slots[name] || (slots[name] = [])).push(node);
+    });
+    return slots;
+}
+
+/**
+ * Replaces <slot> elements in a template fragment with comment anchors.
+ *
+ * @param {DocumentFragment} fragment
+ * @param {Document} doc
+ * @returns {Array<{name: string, anchor: Comment, fallback: Node[]}>}
+ */
+function placeSlotAnchors(fragment, doc) {
+    return Array.from(fragment.querySelectorAll("slot")).map(slot => {
+        const name = slot.getAttribute("name") || "default";
+        const anchor = doc.createComment(` slot: ${name} `);
+        const fallback = Array.from(slot.childNodes);
+        slot.parentNode.replaceChild(anchor, slot);
+        return { name, anchor, fallback };
+    });
+}
+
+module.exports = {
+    createComponentRegistry,
+    createTemplateFragment,
+    extractSlotContent,
+    placeSlotAnchors
+};
+
+  };
+  __stitchModuleFactories[12] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { NOOP_DEBUG } = __stitchRequire(28);
+
+function createDataBinderClass(deps = {}) {
+    const Version = deps.version || "v2.1.0";
+    const StitchDebug = deps.debug || NOOP_DEBUG;
+    const getProperty = deps.getProperty;
+    const evaluateBinding = deps.evaluateBinding || getProperty;
+    const getBindingHandler = deps.getBindingHandler;
+    const scanCustomAttributes = deps.scanCustomAttributes;
+    const BINDING_HANDLERS = deps.bindingHandlers || Object.create(null);
+    const registerRenderingDelegate = deps.registerRenderingDelegate || null;
+    const effectScope = deps.effectScope || null;
+    const onScopeDispose = deps.onScopeDispose || null;
+    const handleError = deps.handleError || function (error) {
+        console.error(`[Stitch.js ${Version}] Binding error:`, error);
+    };
+class DataBinder {
+    /**
+     * Creates a new DataBinder instance.
+     * 
+     * @param {Object} [hooks={}] - Optional lifecycle hooks
+     * @param {Function} [hooks.onBind] - Called when element bound
+     * @param {Function} [hooks.onChange] - Called when property changes
+     * @param {Object} [hooks.properties] - Property-specific hooks
+     */
+    constructor(hooks = {}) {
+        /** @type {Set<HTMLElement>} Bound elements tracking */
+        this.boundElements = new Set;
+        /** @type {Object} Lifecycle hooks */
+        this.hooks = this.createHooks(hooks);
+        /** @type {Map<HTMLElement, Set<Function>>} Cleanup functions per element for unbind */
+        this._elementCleanups = new Map();
+        /** @type {Map<HTMLElement, Object>} Effect scope per bind() root */
+        this._scopes = new Map();
+        /** @type {Map<HTMLElement, Object>} data-error-boundary state: { renderFallback, tripped } */
+        this._errorBoundaries = new Map();
+        /** @type {boolean} Whether binder has been disposed */
+        this._disposed = false;
+    }
+
+    /**
+     * Binds DOM element (and children) to reactive view model.
+     * 
+     * @param {string|HTMLElement} element - CSS selector or HTMLElement
+     * @param {Object} viewModel - Reactive view model (must be from Observable.create())
+     * @throws {Error} If viewModel not reactive or element invalid
+     * @example
+     * const model = Stitch.Observable.create({ count: 0 });
+     * binder.bind('#app', model);
+     */
+    bind(element, viewModel) {
+        if (typeof element === "string") {
+            element = document.querySelector(element);
+        }
+        if (!element || !viewModel) {
+            throw new Error("Invalid element or viewModel");
+        }
+        if (!viewModel._factory || !viewModel._factory.reactiveSystem) {
+            throw new Error(`Stitch.js ${Version}: viewModel must be created with Observable.create() to have a _factory property`);
+        }
+        this.reactiveSystem = viewModel._factory.reactiveSystem;
+
+        const bindRoot = () => {
+            // Global onChange hook: subscribe once per root bind and route model change events.
+            if (typeof this.hooks.onChange === "function") {
+                const onChangeHandler = change => {
+                    try {
+                        this.hooks.onChange.call(this, change, viewModel, element);
+                    } catch (error) {
+                        console.warn(`[Stitch.js ${Version}] DataBinder onChange hook error:`, error);
+                    }
+                };
+                viewModel.on(onChangeHandler);
+                this._trackCleanup(element, () => viewModel.off(onChangeHandler));
+            }
+
+            this._bindElement(element, viewModel, []);
+        };
+
+        if (!effectScope) {
+            bindRoot();
+            return;
+        }
+
+        // One scope per root: every effect created for this subtree, now or when rows/branches
+        // render later, is stopped by dispose()/unbind(root) even if a cleanup was missed.
+        let scope = this._scopes.get(element);
+        if (!scope) {
+            scope = effectScope();
+            this._scopes.set(element, scope);
+            // Stopping an enclosing effect scope also unbinds the DOM (listeners, portals)
+            scope.run(() => onScopeDispose(() => this._unbindTree(element)));
+        }
+        scope.run(bindRoot);
+    }
+
+    /**
+     * Creates hooks object with defaults.
+     * @private
+     */
+    createHooks(userHooks = {}) {
+        return {
+            onBind: userHooks.onBind || null,
+            onChange: userHooks.onChange || null,
+            properties: userHooks.properties || {}
+        };
+    }
+
+    /**
+     * Recursively binds element and its children with boundary awareness.
+     * Stops traversal at binding boundaries (foreach, component, portal).
+     *
+     * @private
+     * @param {HTMLElement} element - Element to bind
+     * @param {Object} context - Binding context
+     * @param {string} contextPath - Current path in view model
+     */
+    _bindElement(element, context, contextPath) {
+        // data-else-if / data-else siblings are templates owned by the preceding data-if
+        if (this._isConditionalBranch(element)) {
+            return;
+        }
+
+        // Process this element's bindings
+        this._processBindings(element, context, contextPath);
+
+        // Check if this element creates a binding boundary
+        // Boundary handlers (foreach, component) are responsible for binding their own children
+        if (this._isBindingBoundary(element)) {
+            return; // Stop here - boundary handler manages descendants
+        }
+
+        // Recursively process direct children only (tree-walking)
+        // Using element.children instead of querySelectorAll ensures we traverse
+        // AFTER parent bindings execute, allowing boundaries to be respected
+        Array.from(element.children).forEach(child => {
+            this._bindElement(child, context, contextPath);
+        });
+    }
+
+    /**
+     * Checks if element creates a binding boundary.
+     * Boundary bindings manage their own children and prevent parent binding traversal.
+     *
+     * @private
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} true if element creates a binding boundary
+     */
+    _isBindingBoundary(element) {
+        // foreach boundaries: manage their own child rendering
+        if (element.hasAttribute("data-foreach")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        // data-if boundaries: the element is a template rendered (and bound) only while truthy
+        if (element.hasAttribute("data-if")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        // component boundaries: the host's children are replaced by the component template
+        if (element.hasAttribute("data-component")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        // portal boundaries: the portal binding moves the element and binds its children in place
+        if (element.hasAttribute("data-portal")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        // html boundaries: the content is replaced by the injected markup, bound only with data-html-bind
+        if (element.hasAttribute("data-html")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Checks if element is a data-else-if / data-else branch of a data-if chain.
+     * Branch templates are detached and rendered by the data-if binding, never bound in place.
+     *
+     * @private
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} true if element is a conditional branch template
+     */
+    _isConditionalBranch(element) {
+        if (element.hasAttribute("data-else-if") || element.hasAttribute("data-else")) {
+            StitchDebug.enabled && StitchDebug.log("bindings", "Skipped conditional branch template: " + element.tagName);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Scans and applies bindings to single element.
+     * Prevents duplicate binding.
+     * @private
+     */
+    _processBindings(element, context, contextPath) {
+        if (this.boundElements.has(element)) {
+            return;
+        }
+        let customBindings = scanCustomAttributes(element);
+
+        // Structural bindings (data-if) own the element as a template: other bindings on it
+        // are applied to the rendered copy instead of the template itself.
+        const structuralBinding = customBindings.find(binding => {
+            const handler = getBindingHandler(binding.type);
+            return handler && handler.structural;
+        });
+        if (structuralBinding) {
+            customBindings = [structuralBinding];
+        }
+
+        if (customBindings.length > 0) {
+            customBindings.forEach(binding => {
+                this._applyTypedBinding(element, context, binding.type, binding.path, contextPath, binding.modifiers);
+            });
+            this.boundElements.add(element);
+
+            if (typeof this.hooks.onBind === "function") {
+                try {
+                    this.hooks.onBind.call(this, element, context, customBindings);
+                } catch (error) {
+                    console.warn(`[Stitch.js ${Version}] DataBinder onBind hook error:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Delegates to binding handler from registry using Strategy Pattern.
+     * Checks for property-specific hooks before applying default binding.
+     * @private
+     */
+    _applyTypedBinding(element, viewModel, type, path, contextPath = [], modifiers = []) {
+        // Construct full path from context
+        const fullPath = contextPath.length > 0 ? `${contextPath.join('.')}.${path}` : path;
+
+        StitchDebug.enabled && StitchDebug.log("bindings", `_applyTypedBinding called: type="${type}", path="${path}", fullPath="${fullPath}"`, {
+            element: element.tagName
+        });
+
+        // Check for property-specific hooks
+        // Try property name first, then full path (matches historical behavior)
+        const propertyName = path.split('.').pop();
+        const propertyHooks = this.hooks.properties[propertyName] || this.hooks.properties[fullPath] || this.hooks.properties[path];
+
+        // Get initial value for hook (only when hooked: expressions such as data-click="save()" must not run at bind time)
+        const value = propertyHooks ? evaluateBinding(viewModel, path) : undefined;
+
+        // If onBind hook exists, call it instead of default binding
+        if (propertyHooks && propertyHooks.onBind) {
+            StitchDebug.enabled && StitchDebug.log("bindings", `  → Using property hook onBind for "${fullPath}"`, {
+                propertyName: propertyName,
+                hasOnChange: !!propertyHooks.onChange
+            });
+
+            // Create binding object for hook (matches historical signature)
+            const binding = { type, path, attributeName: `data-${type}` };
+
+            // Call onBind hook with DataBinder as 'this'
+            propertyHooks.onBind.call(this, element, value, binding, fullPath);
+        } else {
+            // No onBind hook, use default binding handler
+            const handler = getBindingHandler(type);
+            if (handler) {
+                const context = {
+                    reactiveSystem: this.reactiveSystem,
+                    binder: this,
+                    modifiers
+                };
+                const bindingInfo = this._createBindingInfo(type, fullPath, element);
+                try {
+                    this.reactiveSystem.withBinding(bindingInfo, () => {
+                        handler.bind(element, viewModel, path, context);
+                    });
+                } catch (error) {
+                    // A binding that throws while binding must not stop the rest of the tree
+                    handleError(error, { binding: bindingInfo, element });
+                }
+            } else {
+                console.warn(`[Stitch.js ${Version}] Unknown binding type: ${type}`);
+            }
+        }
+
+        // Set up onChange hook if it exists (always, even if onBind exists)
+        if (propertyHooks && propertyHooks.onChange) {
+            StitchDebug.enabled && StitchDebug.log("bindings", `  → Setting up onChange reactive effect for "${fullPath}"`);
+
+            // Create binding object for hook
+            const binding = { type, path, attributeName: `data-${type}` };
+
+            // Track old value for onChange callback
+            let oldValue = value;
+
+            const eff = this.reactiveSystem.withBinding(this._createBindingInfo(type, fullPath, element), () => this.reactiveSystem.effect(() => {
+                const newValue = evaluateBinding(viewModel, path);
+
+                // Call onChange hook with DataBinder as 'this'
+                propertyHooks.onChange.call(this, element, newValue, oldValue, binding, fullPath);
+
+                // Update oldValue for next change
+                oldValue = newValue;
+            }));
+            this._trackCleanup(element, () => this.reactiveSystem.stop(eff));
+        }
+    }
+
+    /**
+     * Describes a binding for the effects it creates. Errors reported for those
+     * effects trip the nearest data-error-boundary around the element.
+     * @private
+     */
+    _createBindingInfo(type, path, element) {
+        return {
+            type,
+            path,
+            element,
+            onError: () => this._tripErrorBoundary(element)
+        };
+    }
+
+    /**
+     * Registers a data-error-boundary element (called by the error-boundary binding).
+     * @private
+     * @param {HTMLElement} element - Boundary element
+     * @param {Function} renderFallback - Swaps the boundary content for its fallback
+     */
+    _registerErrorBoundary(element, renderFallback) {
+        this._errorBoundaries.set(element, { renderFallback, tripped: false });
+        this._trackCleanup(element, () => this._errorBoundaries.delete(element));
+    }
+
+    /**
+     * Renders the fallback of the nearest registered data-error-boundary around
+     * element (once). The swap waits for the current bind/flush to finish so the
+     * failing subtree is fully bound before it is unbound.
+     * @private
+     */
+    _tripErrorBoundary(element) {
+        let boundary = element;
+        while (boundary && !this._errorBoundaries.has(boundary)) {
+            boundary = boundary.parentElement;
+        }
+        const state = boundary && this._errorBoundaries.get(boundary);
+        if (!state || state.tripped) {
+            return;
+        }
+        state.tripped = true;
+        Promise.resolve().then(() => {
+            if (!this._disposed && this._errorBoundaries.get(boundary) === state) {
+                state.renderFallback();
+            }
+        });
+    }
+
+    /**
+     * Extracts template for foreach binding.
+     * Supports inline or external (data-template).
+     * @private
+     */
+    _getTemplateSource(element) {
+        const templateId = element.getAttribute("data-template");
+        const useExternalTemplate = !!templateId;
+        if (useExternalTemplate) {
+            const templateElement = document.getElementById(templateId);
+            if (!templateElement) {
+                throw new Error(`Template '${templateId}' not found. Ensure <template id="${templateId}"> exists.`);
+            }
+            if (templateElement.tagName !== "TEMPLATE") {
+                throw new Error(`Element '${templateId}' must be a <template> element, got <${templateElement.tagName.toLowerCase()}>.`);
+            }
+            const templateContent = templateElement.content.firstElementChild;
+            if (!templateContent) {
+                throw new Error(`Template '${templateId}' is empty. Add at least one child element inside <template>.`);
+            }
+            return templateContent.outerHTML;
+        } else {
+            return element.innerHTML;
+        }
+    }
+
+    /**
+     * Removes element from tracking and runs its cleanups.
+     * For a bind() root, also stops the root's effect scope.
+     *
+     * @param {string|HTMLElement} element - CSS selector or HTMLElement
+     */
+    unbind(element) {
+        if (typeof element === "string") {
+            element = document.querySelector(element);
+        }
+        if (element) {
+            // 1. Remove from bound set
+            if (this.boundElements.has(element)) {
+                this.boundElements.delete(element);
+            }
+            
+            // 2. Run cleanups
+            const cleanups = this._elementCleanups.get(element);
+            if (cleanups) {
+                cleanups.forEach(fn => {
+                    try { fn(); } catch(e) { console.error(e); }
+                });
+                this._elementCleanups.delete(element);
+            }
+
+            // 3. Stop the effect scope of a bind() root
+            const scope = this._scopes.get(element);
+            if (scope) {
+                this._scopes.delete(element);
+                scope.stop();
+            }
+        }
+    }
+
+    /**
+     * Unbinds an element and all of its descendants, running their cleanups.
+     * Used by structural bindings when they remove a rendered subtree.
+     *
+     * @private
+     * @param {HTMLElement} root - Root of the subtree to unbind
+     */
+    _unbindTree(root) {
+        this.unbind(root);
+        Array.from(root.querySelectorAll("*")).forEach(child => {
+            this.unbind(child);
+        });
+    }
+
+    /**
+     * Registers a cleanup function for disposal.
+     * @private
+     * @param {HTMLElement} element - Element associated with cleanup
+     * @param {Function} cleanupFn - Function to call during dispose
+     */
+    _trackCleanup(element, cleanupFn) {
+        if (!this._disposed) {
+            if (!this._elementCleanups.has(element)) {
+                this._elementCleanups.set(element, new Set());
+            }
+            this._elementCleanups.get(element).add(cleanupFn);
+        }
+    }
+
+    /**
+     * Disposes the binder, cleaning up all effects and event listeners.
+     * Call this when unmounting a Stitch-bound section in SPA context.
+     *
+     * @example
+     * // In SPA unmount lifecycle
+     * binder.dispose();
+     */
+    dispose() {
+        if (this._disposed) return;
+        this._disposed = true;
+
+        // Run all cleanup functions (effects + event listeners)
+        this._elementCleanups.forEach(cleanups => {
+            cleanups.forEach(fn => {
+                try { fn(); } catch(e) { console.warn(`[Stitch.js ${Version}] dispose cleanup error:`, e); }
+            });
+        });
+        this._elementCleanups.clear();
+
+        // Stop root scopes: catches effects created after bind() without a tracked cleanup
+        this._scopes.forEach(scope => scope.stop());
+        this._scopes.clear();
+
+        this.boundElements.clear();
+        this.reactiveSystem = null;
+
+        StitchDebug.enabled && StitchDebug.log("bindings", "DataBinder disposed");
+    }
+}
+
+/**
+ * Registers a custom binding handler (PUBLIC API).
+ * Extends framework without modifying core code.
+ * 
+ * @static
+ * @param {string} name - Binding name (e.g., 'tooltip' for data-tooltip)
+ * @param {BindingHandler} handler - Handler object with bind() method
+ * @throws {Error} If name not string or handler missing bind() method
+ * @example
+ * Stitch.DataBinder.registerBinding('tooltip', {
+ *     bind(element, viewModel, path, context) {
+ *         context.reactiveSystem.effect(() => {
+ *             const value = getProperty(viewModel, path);
+ *             element.setAttribute('title', value || '');
+ *         });
+ *     }
+ * });
+ * // Usage: <button data-tooltip="helpText">Help</button>
+ */
+DataBinder.registerBinding = function (name, handler) {
+    if (typeof name !== "string") {
+        throw new Error(`[Stitch.js ${Version}] registerBinding: name must be a string`);
+    }
+    if (!handler || typeof handler.bind !== "function") {
+        throw new Error(`[Stitch.js ${Version}] registerBinding: handler must have a bind() method`);
+    }
+    if (BINDING_HANDLERS[name]) {
+        console.warn(`[Stitch.js ${Version}] registerBinding: Overriding existing handler "${name}"`);
+    }
+    BINDING_HANDLERS[name] = handler;
+};
+
+/**
+ * Registers a foreach rendering delegate (PUBLIC API).
+ * Use a tag name to replace the built-in delegate for that container tag, or any other
+ * name and select it with data-foreach-delegate="name".
+ *
+ * @static
+ * @param {string} name - Delegate name or container tag name
+ * @param {Object} delegate - { getKey(item, index), prepareConfig?, render? }
+ * @returns {Object} Registered delegate
+ * @throws {Error} If name or delegate is invalid
+ * @example
+ * Stitch.DataBinder.registerForeachDelegate('orderLines', {
+ *     getKey: (line) => line.orderId + ':' + line.sku
+ * });
+ * // Usage: <tbody data-foreach="lines" data-foreach-delegate="orderLines">...</tbody>
+ */
+DataBinder.registerForeachDelegate = function (name, delegate) {
+    if (!registerRenderingDelegate) {
+        throw new Error(`Stitch.js ${Version}: registerForeachDelegate is not available in this build`);
+    }
+    return registerRenderingDelegate(name, delegate);
+};
+    return DataBinder;
+}
+
+module.exports = {
+    createDataBinderClass
+};
+
+  };
+  __stitchModuleFactories[13] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Orchestrates foreach binding lifecycle:
+ * - validate binding path
+ * - resolve template + rendering delegate
+ * - install reactive effect
+ * - collect array splice patches between renders
+ * - track cleanup
+ *
+ * @param {HTMLElement} element
+ * @param {Object} viewModel
+ * @param {string} path
+ * @param {Object} context
+ * @param {Object} deps
+ * @param {Function} deps.validateBinding
+ * @param {Function} deps.getProperty
+ * @param {Function} deps.getRenderingDelegate
+ * @param {Object} deps.foreachRenderingDelegates
+ * @param {Function} [deps.prepareTemplate] - (templateSource, element, path) => row template markup
+ * @returns {*}
+ */
+function bindForeach(element, viewModel, path, context, deps) {
+    deps.validateBinding(viewModel, path, "foreach", element);
+
+    const source = context.binder._getTemplateSource(element);
+    const templateSource = deps.prepareTemplate ? deps.prepareTemplate(source, element, path) : source;
+    const delegate = deps.getRenderingDelegate(element, deps.foreachRenderingDelegates);
+    const config = delegate.prepareConfig(element, templateSource);
+
+    element.innerHTML = "";
+
+    // Patches of the rendered array since the last render; null means unknown (first render
+    // of this array), so the delegate reconciles all rows.
+    let patchSource = null;
+    let pendingPatches = null;
+    let stopPatches = null;
+
+    const eff = context.reactiveSystem.effect(() => {
+        const items = deps.getProperty(viewModel, path);
+        if (items !== patchSource) {
+            if (stopPatches) stopPatches();
+            stopPatches = null;
+            patchSource = items;
+            pendingPatches = null;
+            if (Array.isArray(items) && items.__isReactive) {
+                stopPatches = context.reactiveSystem.onArrayPatch(items, patches => {
+                    if (pendingPatches) pendingPatches.push(...patches);
+                });
+            }
+        }
+        const patches = pendingPatches && pendingPatches.length > 0 ? pendingPatches : null;
+        pendingPatches = [];
+        delegate.render(element, items, config, context.binder, viewModel, path, patches);
+    }, { batch: true });
+
+    context.binder._trackCleanup(element, () => {
+        context.reactiveSystem.stop(eff);
+        if (stopPatches) stopPatches();
+    });
+    return eff;
+}
+
+/**
+ * Builds a foreach binding handler compatible with BINDING_HANDLERS contract.
+ *
+ * @param {Object} deps
+ * @returns {{bind: Function}}
+ */
+function createForeachBindingHandler(deps) {
+    return {
+        bind(element, viewModel, path, context) {
+            return bindForeach(element, viewModel, path, context, deps);
+        }
+    };
+}
+
+module.exports = {
+    bindForeach,
+    createForeachBindingHandler
+};
+
+  };
+  __stitchModuleFactories[14] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { createVirtualRenderingDelegate } = __stitchRequire(15);
+
+/**
+ * Standard item rendering with full re-render on every change.
+ *
+ * @param {HTMLElement} element
+ * @param {Array} items
+ * @param {string} templateSource
+ * @param {Object} binder
+ * @param {Object} viewModel
+ * @param {Object} deps
+ * @param {Function} deps.createItemContext
+ * @param {Function} deps.createTemplateElement
+ */
+function renderItemsStandard(element, items, templateSource, binder, viewModel, deps) {
+    const containerTag = element.tagName.toLowerCase();
+    items.forEach((item, index) => {
+        const itemContext = deps.createItemContext(item, index, viewModel);
+        const templateEl = deps.createTemplateElement(templateSource, containerTag);
+        binder._bindElement(templateEl, itemContext, []);
+        element.appendChild(templateEl);
+    });
+}
+
+/**
+ * Smart item rendering with DOM reconciliation.
+ *
+ * @param {HTMLElement} element
+ * @param {Array} items
+ * @param {string} templateSource
+ * @param {Object} binder
+ * @param {Object} viewModel
+ * @param {Object} deps
+ * @param {Function} deps.reconcileRows
+ * @param {Function} [deps.applyRowPatches] - Applies array splice patches to the rows in place
+ * @param {Function} deps.createItemContext
+ * @param {Object} deps.stitchDebug
+ * @param {Function} [deps.getKey] - Custom row key function (item, index) => key
+ * @param {Array} [deps.patches] - Splice patches since the last render (null when unknown)
+ * @param {string} [deps.version]
+ */
+function renderItemsSmart(element, items, templateSource, binder, viewModel, deps) {
+    const containerTag = element.tagName.toLowerCase();
+    const stitchDebug = deps.stitchDebug;
+
+    if (stitchDebug && stitchDebug.enabled && !deps.getKey && items.length > 0 && typeof items[0] === "object" && items[0] !== null) {
+        const firstItem = items[0];
+        if (!firstItem.hasOwnProperty("id") && !firstItem.hasOwnProperty("key")) {
+            stitchDebug.log("warnings", `Performance Warning: foreach items in <${containerTag}> are objects but missing 'id' or 'key' property.`, {
+                element: element,
+                hint: "Add an 'id' or 'key' property to your items, or data-key=\"prop\" on the container, to enable smart DOM reconciliation."
+            });
+        }
+    }
+
+    const onRemoveRow = row => binder._unbindTree(row);
+
+    // Known splice patches only touch the patched rows; everything else goes through keyed reconciliation
+    let firstChanged = deps.patches && deps.applyRowPatches
+        ? deps.applyRowPatches(element, deps.patches, items.length, templateSource, containerTag, { getKey: deps.getKey, onRemoveRow })
+        : -1;
+    let rows;
+    if (firstChanged >= 0) {
+        rows = element.children;
+    } else {
+        firstChanged = 0;
+        rows = deps.reconcileRows(element, items, templateSource, containerTag, {
+            getKey: deps.getKey,
+            version: deps.version,
+            // Rows stay bound to the item they were rendered for; a different item under the same key gets a fresh row
+            canReuseRow: (row, item) => !row._stitchItemContext || row._stitchItemContext.$data === item,
+            onRemoveRow
+        });
+    }
+    // Every item is read so the effect keeps tracking each index, but rows before the first change are left alone
+    items.forEach((item, index) => {
+        if (index < firstChanged) {
+            return;
+        }
+        const row = rows[index];
+        const itemContext = deps.createItemContext(item, index, viewModel);
+        if (!row._stitchItemContext) {
+            binder._bindElement(row, itemContext, []);
+            row._stitchItemContext = itemContext;
+        } else {
+            row._stitchItemContext = itemContext;
+            row._stitchItemContext.$index = index;
+        }
+    });
+}
+
+/**
+ * Builds foreach rendering delegates with injected dependencies.
+ *
+ * @param {Object} deps
+ * @param {Object} [deps.stitchDebug]
+ * @param {Function} deps.getProperty
+ * @param {Function} deps.getValueValidator
+ * @param {Function} deps.createItemContext
+ * @param {Function} deps.createTemplateElement
+ * @param {Function} deps.reconcileRows
+ * @param {Function} [deps.applyRowPatches]
+ * @param {Function} [deps.evaluateBinding] - Evaluates data-key paths/expressions (defaults to getProperty)
+ * @param {Document} [deps.doc]
+ * @param {string} [deps.version]
+ * @returns {Object}
+ */
+function createRenderingDelegates(deps) {
+    const stitchDebug = deps.stitchDebug || { enabled: false, log: function () {} };
+    const getProperty = deps.getProperty;
+    const evaluateKey = deps.evaluateBinding || getProperty;
+    const Version = deps.version || "2.1.0";
+    const getValueValidator = deps.getValueValidator;
+    const doc = deps.doc || (typeof document !== "undefined" ? document : null);
+
+    const renderStandard = function (element, items, templateSource, binder, viewModel) {
+        return renderItemsStandard(element, items, templateSource, binder, viewModel, deps);
+    };
+    const renderSmart = function (element, items, templateSource, binder, viewModel, getKey, patches) {
+        return renderItemsSmart(element, items, templateSource, binder, viewModel, {
+            reconcileRows: deps.reconcileRows,
+            applyRowPatches: deps.applyRowPatches,
+            createItemContext: deps.createItemContext,
+            stitchDebug,
+            getKey,
+            patches,
+            version: deps.version
+        });
+    };
+
+    /**
+     * Resolves the row key function for a foreach container.
+     * data-key on the container wins over the delegate's getKey option.
+     *
+     * @param {HTMLElement} element
+     * @param {Object} delegate
+     * @returns {Function|null} (item, index) => key
+     */
+    const resolveKeyFunction = function (element, delegate) {
+        const keySource = element.getAttribute("data-key");
+        if (keySource && keySource.trim()) {
+            // Evaluated against the item context so "$data", "$index" and composite expressions work
+            return (item, index) => evaluateKey(deps.createItemContext(item, index, null), keySource.trim());
+        }
+        if (delegate && typeof delegate.getKey === "function") {
+            return (item, index) => delegate.getKey(item, index);
+        }
+        return null;
+    };
+
+    const SELECT_RENDERING_DELEGATE = {
+        prepareConfig(element, templateSource) {
+            return {
+                templateSource: templateSource,
+                placeholderText: element.getAttribute("data-default-text"),
+                placeholderValue: element.getAttribute("data-default-value") || "",
+                hasPlaceholder: !!element.getAttribute("data-default-text")
+            };
+        },
+        render(element, items, config, binder, viewModel, path) {
+            if (stitchDebug.enabled && Array.isArray(items) && items.length > 100) {
+                stitchDebug.log("warnings", `Performance Warning: <select> with ${items.length} items triggers full re-render on every update.`, {
+                    element: element,
+                    hint: "Consider a filtered list with data-virtual (options cannot be virtualized) or a custom component for large dropdowns."
+                });
+            }
+
+            const valuePath = element.getAttribute("data-value");
+            const currentValue = valuePath ? getProperty(viewModel, valuePath) : element.value;
+            element.innerHTML = "";
+
+            if (config.hasPlaceholder) {
+                if (!doc) {
+                    throw new Error("createRenderingDelegates requires a document instance for select placeholder rendering.");
+                }
+                const placeholderOpt = doc.createElement("option");
+                placeholderOpt.value = config.placeholderValue;
+                placeholderOpt.textContent = config.placeholderText;
+                element.appendChild(placeholderOpt);
+            }
+
+            if (Array.isArray(items)) {
+                renderStandard(element, items, config.templateSource, binder, viewModel);
+            }
+
+            if (currentValue !== undefined && currentValue !== null) {
+                if (valuePath) {
+                    const validator = getValueValidator(element);
+                    const validValue = validator.validate(element, currentValue, viewModel, valuePath, "render");
+                    if (validValue !== undefined) {
+                        element.value = validValue;
                     }
-                    return result;
+                } else if (config.hasPlaceholder) {
+                    element.value = config.placeholderValue;
                 }
+            } else if (config.hasPlaceholder) {
+                element.value = config.placeholderValue;
+            }
+        }
+    };
+
+    const LIST_RENDERING_DELEGATE = {
+        prepareConfig(element, templateSource) {
+            return {
+                templateSource: templateSource,
+                getKey: resolveKeyFunction(element, this)
+            };
+        },
+        render(element, items, config, binder, viewModel, path, patches) {
+            if (Array.isArray(items)) {
+                renderSmart(element, items, config.templateSource, binder, viewModel, config.getKey, patches);
+            } else {
+                element.innerHTML = "";
+            }
+        }
+    };
+
+    const TABLE_RENDERING_DELEGATE = {
+        prepareConfig(element, templateSource) {
+            return {
+                templateSource: templateSource,
+                getKey: resolveKeyFunction(element, this)
+            };
+        },
+        render(element, items, config, binder, viewModel, path, patches) {
+            if (Array.isArray(items)) {
+                renderSmart(element, items, config.templateSource, binder, viewModel, config.getKey, patches);
+            } else {
+                element.innerHTML = "";
+            }
+        }
+    };
+
+    const DEFAULT_RENDERING_DELEGATE = {
+        prepareConfig(element, templateSource) {
+            return {
+                templateSource: templateSource,
+                getKey: resolveKeyFunction(element, this)
             };
-        });
-    }
+        },
+        render(element, items, config, binder, viewModel, path, patches) {
+            if (Array.isArray(items)) {
+                renderSmart(element, items, config.templateSource, binder, viewModel, config.getKey, patches);
+            } else {
+                element.innerHTML = "";
+            }
+        }
+    };
+
+    const VIRTUAL_RENDERING_DELEGATE = createVirtualRenderingDelegate({
+        reconcileRows: deps.reconcileRows,
+        createItemContext: deps.createItemContext,
+        createTemplateElement: deps.createTemplateElement,
+        resolveKeyFunction,
+        doc,
+        version: deps.version
+    });
+
+    const FOREACH_RENDERING_DELEGATES = {
+        select: SELECT_RENDERING_DELEGATE,
+        ul: LIST_RENDERING_DELEGATE,
+        ol: LIST_RENDERING_DELEGATE,
+        tbody: TABLE_RENDERING_DELEGATE,
+        thead: TABLE_RENDERING_DELEGATE,
+        tfoot: TABLE_RENDERING_DELEGATE,
+        default: DEFAULT_RENDERING_DELEGATE,
+        virtual: VIRTUAL_RENDERING_DELEGATE
+    };
 
     /**
-     * Makes Set reactive using Proxy.
-     * Thin wrapper over createReactiveCollection with Set-specific methods:
-     * has (tracked membership with normalizeSetLookup), add (reactive insertion),
-     * delete (reactive removal with normalizeSetLookup).
+     * Registers a foreach rendering delegate.
      *
-     * @param {Set} target - Set to make reactive
-     * @param {Object|null} [parent=null] - Parent object
-     * @param {string|null} [key=null] - Property key in parent
-     * @returns {Proxy} Reactive Set proxy
+     * The name is either a container tag name (replacing the built-in delegate for that tag)
+     * or a custom name selected with data-foreach-delegate="name". A delegate may provide
+     * only `getKey(item, index)`; missing prepareConfig/render fall back to the default
+     * keyed rendering.
+     *
+     * @param {string} name
+     * @param {Object} delegate - { getKey?, prepareConfig?, render? }
+     * @returns {Object} The registered delegate
+     * @throws {Error} If name or delegate is invalid
      */
-    function createReactiveSet(target, parent = null, key = null) {
-        return createReactiveCollection(target, parent, key, function(target) {
+    const registerRenderingDelegate = function (name, delegate) {
+        if (typeof name !== "string" || !name.trim()) {
+            throw new Error(`Stitch.js ${Version}: registerForeachDelegate() requires a name`);
+        }
+        if (!delegate || typeof delegate !== "object") {
+            throw new Error(`Stitch.js ${Version}: registerForeachDelegate("${name}") requires a delegate object`);
+        }
+        if (delegate.getKey !== undefined && typeof delegate.getKey !== "function") {
+            throw new Error(`Stitch.js ${Version}: registerForeachDelegate("${name}") getKey must be a function`);
+        }
+        const key = name.trim().toLowerCase();
+        if (FOREACH_RENDERING_DELEGATES[key]) {
+            console.warn(`[Stitch.js ${Version}] registerForeachDelegate: Overriding existing delegate "${key}"`);
+        }
+        const registered = Object.assign({}, DEFAULT_RENDERING_DELEGATE, delegate);
+        FOREACH_RENDERING_DELEGATES[key] = registered;
+        return registered;
+    };
+
+    return {
+        SELECT_RENDERING_DELEGATE,
+        LIST_RENDERING_DELEGATE,
+        TABLE_RENDERING_DELEGATE,
+        DEFAULT_RENDERING_DELEGATE,
+        VIRTUAL_RENDERING_DELEGATE,
+        FOREACH_RENDERING_DELEGATES,
+        registerRenderingDelegate
+    };
+}
+
+/**
+ * Selects rendering delegate by data-foreach-delegate name, then data-virtual, then by tag name.
+ * <select> containers ignore data-virtual (options cannot be virtualized).
+ *
+ * @param {HTMLElement} element
+ * @param {Object} delegates
+ * @returns {Object}
+ */
+function getRenderingDelegate(element, delegates) {
+    const delegateName = (element.getAttribute("data-foreach-delegate") || "").trim().toLowerCase();
+    if (delegateName && Object.prototype.hasOwnProperty.call(delegates, delegateName)) {
+        return delegates[delegateName];
+    }
+    const tagName = element.tagName.toLowerCase();
+    if (element.hasAttribute("data-virtual") && tagName !== "select" && delegates.virtual) {
+        return delegates.virtual;
+    }
+    return delegates[tagName] || delegates.default;
+}
+
+module.exports = {
+    renderItemsStandard,
+    renderItemsSmart,
+    createRenderingDelegates,
+    getRenderingDelegate
+};
+
+  };
+  __stitchModuleFactories[15] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Virtualized foreach rendering (data-virtual).
+ *
+ * Only the rows inside the scroll viewport (plus overscan) are created and bound.
+ * Two spacer elements before and after the window keep the full scroll height.
+ * Rows that stay inside the window keep their element and item context while
+ * scrolling; rows that leave it are unbound and removed.
+ *
+ * @example
+ * // <div style="height: 400px; overflow: auto">
+ * //   <table><tbody data-foreach="auditLog" data-virtual="32" data-key="eventId">...</tbody></table>
+ * // </div>
+ */
+
+const DEFAULT_OVERSCAN = 5;
+const DEFAULT_ESTIMATED_ROW_HEIGHT = 40;
+// Rows assumed visible while the scroller has no layout yet (hidden or not attached)
+const FALLBACK_VISIBLE_ROWS = 10;
+
+/**
+ * Reads data-virtual options from a foreach container.
+ * data-virtual="32" fixes the row height; data-virtual or data-virtual="auto" measures rows.
+ *
+ * @param {HTMLElement} element
+ * @returns {{rowHeight: number|null, overscan: number, estimatedRowHeight: number|null}}
+ */
+function parseVirtualOptions(element) {
+    const rowHeight = parseFloat(element.getAttribute("data-virtual"));
+    const overscan = parseInt(element.getAttribute("data-virtual-overscan"), 10);
+    const estimate = parseFloat(element.getAttribute("data-virtual-estimate"));
+    return {
+        rowHeight: rowHeight > 0 ? rowHeight : null,
+        overscan: overscan >= 0 ? overscan : DEFAULT_OVERSCAN,
+        estimatedRowHeight: estimate > 0 ? estimate : null
+    };
+}
+
+/**
+ * Builds row offsets for a list of `count` rows.
+ * Fixed heights are computed directly; measured heights use a prefix-sum table
+ * where unmeasured rows count with the estimated height.
+ *
+ * @param {number} count
+ * @param {number|null} rowHeight - Fixed row height, or null for measured rows
+ * @param {Map<number, number>} measuredHeights - Measured heights by index
+ * @param {number} estimatedRowHeight
+ * @returns {{offsetOf: Function, indexAt: Function, totalHeight: number}}
+ */
+function createRowLayout(count, rowHeight, measuredHeights, estimatedRowHeight) {
+    if (rowHeight) {
+        return {
+            offsetOf: index => index * rowHeight,
+            indexAt: y => Math.min(Math.max(count - 1, 0), Math.max(0, Math.floor(y / rowHeight))),
+            totalHeight: count * rowHeight
+        };
+    }
+
+    const offsets = new Float64Array(count + 1);
+    for (let i = 0; i < count; i++) {
+        const measured = measuredHeights.get(i);
+        offsets[i + 1] = offsets[i] + (measured !== undefined ? measured : estimatedRowHeight);
+    }
+    return {
+        offsetOf: index => offsets[index],
+        indexAt(y) {
+            // Last row whose top edge is at or above y
+            let low = 0;
+            let high = Math.max(count - 1, 0);
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (offsets[mid] <= y) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return low;
+        },
+        totalHeight: offsets[count]
+    };
+}
+
+/**
+ * Computes the [start, end) range of rows to render.
+ *
+ * @param {Object} layout - From createRowLayout()
+ * @param {number} count
+ * @param {number} scrollTop - Scroll position relative to the first row
+ * @param {number} viewportHeight
+ * @param {number} overscan
+ * @returns {{start: number, end: number}}
+ */
+function computeVirtualWindow(layout, count, scrollTop, viewportHeight, overscan) {
+    if (count === 0) {
+        return { start: 0, end: 0 };
+    }
+    const first = layout.indexAt(scrollTop);
+    const last = layout.indexAt(scrollTop + viewportHeight);
+    return {
+        start: Math.max(0, first - overscan),
+        end: Math.min(count, last + 1 + overscan)
+    };
+}
+
+/**
+ * Finds the element whose scrolling moves the rows: data-virtual-scroller (selector),
+ * else the nearest ancestor (or the container itself) with overflow auto/scroll,
+ * else the window.
+ *
+ * @param {HTMLElement} element
+ * @param {Window} win
+ * @returns {HTMLElement|Window}
+ */
+function findScrollContainer(element, win) {
+    const selector = element.getAttribute("data-virtual-scroller");
+    if (selector) {
+        const target = element.closest(selector) || element.ownerDocument.querySelector(selector);
+        if (target) {
+            return target;
+        }
+    }
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        const style = win.getComputedStyle(node);
+        if (/(auto|scroll)/.test(`${style.overflowY} ${style.overflow}`)) {
+            return node;
+        }
+    }
+    return win;
+}
+
+/**
+ * Creates a spacer element matching the container's row type.
+ *
+ * @param {Document} doc
+ * @param {string} containerTag
+ * @param {number} columnCount - Cell span for table spacers
+ * @returns {HTMLElement}
+ */
+function createSpacer(doc, containerTag, columnCount) {
+    let spacer;
+    if (containerTag === "tbody" || containerTag === "thead" || containerTag === "tfoot") {
+        spacer = doc.createElement("tr");
+        const cell = doc.createElement("td");
+        cell.colSpan = columnCount || 1;
+        cell.style.padding = "0";
+        cell.style.border = "0";
+        spacer.appendChild(cell);
+    } else if (containerTag === "ul" || containerTag === "ol") {
+        spacer = doc.createElement("li");
+        spacer.style.listStyle = "none";
+    } else {
+        spacer = doc.createElement("div");
+    }
+    spacer.setAttribute("aria-hidden", "true");
+    spacer.setAttribute("data-stitch-spacer", "");
+    spacer.style.height = "0px";
+    spacer.style.margin = "0";
+    spacer.style.padding = "0";
+    return spacer;
+}
+
+/**
+ * Builds the data-virtual rendering delegate.
+ *
+ * @param {Object} deps
+ * @param {Function} deps.reconcileRows
+ * @param {Function} deps.createItemContext
+ * @param {Function} deps.createTemplateElement
+ * @param {Function} deps.resolveKeyFunction - (element, delegate) => key function or null
+ * @param {Document} [deps.doc]
+ * @param {string} [deps.version]
+ * @returns {{prepareConfig: Function, render: Function}}
+ */
+function createVirtualRenderingDelegate(deps) {
+    const doc = deps.doc || (typeof document !== "undefined" ? document : null);
+    const win = doc && doc.defaultView;
+    const requestFrame = win && typeof win.requestAnimationFrame === "function"
+        ? callback => win.requestAnimationFrame(callback)
+        : callback => setTimeout(callback, 16);
+    const cancelFrame = win && typeof win.cancelAnimationFrame === "function"
+        ? id => win.cancelAnimationFrame(id)
+        : id => clearTimeout(id);
+
+    function getLayout(state, count) {
+        if (!state.layout || state.layoutCount !== count) {
+            const estimate = state.options.estimatedRowHeight || state.measuredEstimate || DEFAULT_ESTIMATED_ROW_HEIGHT;
+            state.layout = createRowLayout(count, state.options.rowHeight, state.measuredHeights, estimate);
+            state.layoutCount = count;
+        }
+        return state.layout;
+    }
+
+    function readViewport(element, state) {
+        const scroller = state.scroller;
+        let scrollTop;
+        let height;
+        if (scroller === win) {
+            scrollTop = Math.max(0, -element.getBoundingClientRect().top);
+            height = win.innerHeight;
+        } else {
+            // Offset of the first row inside the scroller (e.g. below a <thead>)
+            const listTop = scroller === element
+                ? 0
+                : element.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+            scrollTop = Math.max(0, scroller.scrollTop - listTop);
+            height = scroller.clientHeight;
+        }
+        if (!height) {
+            height = (state.options.rowHeight || state.options.estimatedRowHeight || state.measuredEstimate || DEFAULT_ESTIMATED_ROW_HEIGHT) * FALLBACK_VISIBLE_ROWS;
+        }
+        return { scrollTop, height };
+    }
+
+    function computeWindow(element, state, count) {
+        const layout = getLayout(state, count);
+        const viewport = readViewport(element, state);
+        return computeVirtualWindow(layout, count, viewport.scrollTop, viewport.height, state.options.overscan);
+    }
+
+    function updateSpacers(state, count, start, end) {
+        const layout = getLayout(state, count);
+        state.topSpacer.style.height = `${layout.offsetOf(start)}px`;
+        state.bottomSpacer.style.height = `${layout.totalHeight - layout.offsetOf(end)}px`;
+    }
+
+    function measureRows(rows, state, start) {
+        let changed = false;
+        rows.forEach((row, offset) => {
+            const height = row.getBoundingClientRect().height;
+            if (height > 0 && state.measuredHeights.get(start + offset) !== height) {
+                state.measuredHeights.set(start + offset, height);
+                changed = true;
+            }
+        });
+        if (changed) {
+            if (!state.measuredEstimate) {
+                state.measuredEstimate = state.measuredHeights.get(start);
+            }
+            state.layout = null;
+        }
+        return changed;
+    }
+
+    function installScrollListener(element, state, binder) {
+        state.scroller = findScrollContainer(element, win);
+        const onScroll = () => {
+            if (state.frame !== null) return;
+            state.frame = requestFrame(() => {
+                state.frame = null;
+                const count = state.items ? state.items.length : 0;
+                const next = computeWindow(element, state, count);
+                if (next.start !== state.start || next.end !== state.end) {
+                    // Re-runs the foreach effect, so rows entering the window are read (and tracked) there
+                    state.reactiveSystem.trigger(state, "window");
+                }
+            });
+        };
+        state.scroller.addEventListener("scroll", onScroll, { passive: true });
+        win.addEventListener("resize", onScroll);
+        binder._trackCleanup(element, () => {
+            state.scroller.removeEventListener("scroll", onScroll);
+            win.removeEventListener("resize", onScroll);
+            if (state.frame !== null) {
+                cancelFrame(state.frame);
+                state.frame = null;
+            }
+        });
+    }
+
+    function render(element, items, config, binder, viewModel) {
+        const state = config.state;
+        const containerTag = element.tagName.toLowerCase();
+
+        if (!Array.isArray(items)) {
+            element.innerHTML = "";
+            state.items = null;
+            return;
+        }
+        if (!state.scroller) {
+            state.reactiveSystem = binder.reactiveSystem;
+            installScrollListener(element, state, binder);
+        }
+        if (items !== state.items) {
+            state.measuredHeights.clear();
+            state.layout = null;
+        }
+        state.items = items;
+        state.reactiveSystem.track(state, "window");
+
+        const count = items.length;
+        const { start, end } = computeWindow(element, state, count);
+        state.start = start;
+        state.end = end;
+
+        const windowItems = [];
+        for (let index = start; index < end; index++) {
+            windowItems.push(items[index]);
+        }
+
+        // Spacers are detached while reconciling so only item rows are matched by key
+        state.topSpacer.remove();
+        state.bottomSpacer.remove();
+        const rows = deps.reconcileRows(element, windowItems, config.templateSource, containerTag, {
+            getKey: config.getKey,
+            indexOffset: start,
+            version: deps.version,
+            canReuseRow: (row, item) => !row._stitchItemContext || row._stitchItemContext.$data === item,
+            onRemoveRow: row => binder._unbindTree(row)
+        });
+
+        rows.forEach((row, offset) => {
+            const index = start + offset;
+            if (!row._stitchItemContext) {
+                const itemContext = deps.createItemContext(windowItems[offset], index, viewModel);
+                binder._bindElement(row, itemContext, []);
+                row._stitchItemContext = itemContext;
+            } else {
+                row._stitchItemContext.$index = index;
+            }
+        });
+
+        element.insertBefore(state.topSpacer, element.firstChild);
+        element.appendChild(state.bottomSpacer);
+
+        if (!state.options.rowHeight) {
+            measureRows(rows, state, start);
+        }
+        updateSpacers(state, count, start, end);
+    }
+
+    return {
+        prepareConfig(element, templateSource) {
+            const containerTag = element.tagName.toLowerCase();
+            let columnCount = 1;
+            if (containerTag === "tbody" || containerTag === "thead" || containerTag === "tfoot") {
+                const templateRow = deps.createTemplateElement(templateSource, containerTag);
+                columnCount = Array.from(templateRow.children).reduce((sum, cell) => sum + (cell.colSpan || 1), 0) || 1;
+            }
             return {
-                has: function(key) {
-                    const normalizedKey = normalizeSetLookup(key);
-                    reactiveSystem.track(target, normalizedKey);
-                    return target.has(normalizedKey);
-                },
-                add: function(val) {
-                    const oldValue = val;
-                    if (val && typeof val === "object" && !val.__isReactive) {
-                        val = reactive(val, new WeakSet);
-                    }
-                    const normalizedVal = normalizeSetLookup(val);
-                    const oldHas = target.has(normalizedVal);
-                    const result = target.add(normalizedVal);
-                    if (!oldHas) {
-                        reactiveSystem.trigger(target, normalizedVal, undefined, normalizedVal); // Key is value for Set
-                        reactiveSystem.trigger(target, "size", target.size - 1, target.size);
-                        reactiveSystem.trigger(target, "iteration", null, null);
-                        bubbleChangeUp(target, "add", undefined, oldValue);
-                    }
-                    return result;
-                },
-                delete: function(val) {
-                    const normalizedVal = normalizeSetLookup(val);
-                    const oldHas = target.has(normalizedVal);
-                    const result = target.delete(normalizedVal);
-                    if (oldHas) {
-                        reactiveSystem.trigger(target, normalizedVal, normalizedVal, undefined);
-                        reactiveSystem.trigger(target, "size", target.size + 1, target.size);
-                        reactiveSystem.trigger(target, "iteration", null, null);
-                        bubbleChangeUp(target, "delete", val, undefined);
-                    }
-                    return result;
+                templateSource: templateSource,
+                getKey: deps.resolveKeyFunction(element, this),
+                state: {
+                    options: parseVirtualOptions(element),
+                    topSpacer: createSpacer(doc, containerTag, columnCount),
+                    bottomSpacer: createSpacer(doc, containerTag, columnCount),
+                    measuredHeights: new Map(),
+                    measuredEstimate: null,
+                    layout: null,
+                    layoutCount: -1,
+                    items: null,
+                    scroller: null,
+                    reactiveSystem: null,
+                    frame: null,
+                    start: 0,
+                    end: 0
                 }
             };
-        });
+        },
+        render
+    };
+}
+
+module.exports = {
+    parseVirtualOptions,
+    createRowLayout,
+    computeVirtualWindow,
+    findScrollContainer,
+    createVirtualRenderingDelegate
+};
+
+  };
+  __stitchModuleFactories[16] = function(module, exports, __stitchRequire){
+"use strict";
+
+const VERSION = "2.1.0";
+const { MessageBus } = __stitchRequire(23);
+const { BatchScheduler } = __stitchRequire(18);
+const { ComputedRef } = __stitchRequire(19);
+const { AsyncComputedRef } = __stitchRequire(17);
+const { ReactiveSystem } = __stitchRequire(24);
+const { EffectScope, effectScope, getCurrentScope, onScopeDispose } = __stitchRequire(21);
+const { config } = __stitchRequire(20);
+const { handleError } = __stitchRequire(22);
+
+module.exports = {
+    MessageBus,
+    version: VERSION,
+    CoreMessageBus: MessageBus,
+    BatchScheduler,
+    ComputedRef,
+    AsyncComputedRef,
+    ReactiveSystem,
+    EffectScope,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    config,
+    handleError
+};
+
+  };
+  __stitchModuleFactories[17] = function(module, exports, __stitchRequire){
+"use strict";
+
+const { recordEffectScope } = __stitchRequire(21);
+
+/**
+ * Drives an async computed: runs the getter, tracks the reactive values it reads
+ * before its first `await`, and writes the outcome into a reactive state object
+ * `{ value, loading, error }`.
+ *
+ * Like ComputedRef it is notified through markDirty() without losing its
+ * dependencies, so a debounced re-run keeps reacting to changes made while it waits.
+ * Each run gets an AbortSignal that is aborted when a newer run starts or the ref
+ * stops; results of stale runs are ignored.
+ */
+class AsyncComputedRef {
+    /**
+     * @param {Function} getter - Called as getter.call(context, { signal }); may return a Promise
+     * @param {ReactiveSystem} reactiveSystem
+     * @param {Object} context - `this` for the getter (the reactive object owning the property)
+     * @param {Object} state - Reactive `{ value, loading, error }` state
+     * @param {Object} [options]
+     * @param {number} [options.debounce=0] - Delay in ms before re-running after a change
+     * @param {string} [options.key] - Property name (used by devtools)
+     */
+    constructor(getter, reactiveSystem, context, state, options = {}) {
+        this.getter = getter;
+        this.reactiveSystem = reactiveSystem;
+        this.context = context;
+        this.state = state;
+        this.debounce = options.debounce || 0;
+        this.key = options.key || null;
+        this.deps = new Set();
+        this.id = Math.random().toString(36).substr(2, 9);
+        // Notified like a computed: trigger() calls markDirty() instead of running it
+        this.isComputedRef = true;
+        this.active = true;
+        this.runId = 0;
+        this.controller = null;
+        this.timer = null;
+        // Runs outside of a batch; inside one it is deferred like a synchronous effect
+        this.runner = () => this.run();
+        this.runner.options = {};
+        this.scope = reactiveSystem.currentEffect ? null : recordEffectScope(this);
+    }
+
+    markDirty() {
+        if (!this.active) {
+            return;
+        }
+        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `ASYNC COMPUTED MARKED DIRTY (id: ${this.id})`);
+        if (this.debounce > 0) {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(this.runner, this.debounce);
+        } else {
+            this.reactiveSystem.scheduleEffect(this.runner);
+        }
     }
 
     /**
-     * Makes array reactive using Proxy.
-     * Intercepts mutations: push, pop, shift, unshift, splice, sort, reverse, fill.
-     * Publishes 'array-mutation' events for tracking.
-     * 
-     * @param {Array} target - Array to make reactive
-     * @param {Object|null} [parent=null] - Parent object
-     * @param {string|null} [key=null] - Property key in parent
-     * @returns {Proxy} Reactive array proxy
+     * Runs the getter now (cancelling a pending debounce and any run in flight).
      */
-    function createReactiveArray(target, parent = null, key = null) {
-        const cachedProxy = proxyMap.get(target);
-        if (cachedProxy) {
-            attachParent(target, parent, key);
-            return cachedProxy;
+    run() {
+        if (!this.active) {
+            return;
         }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this._abort();
 
-        const arrayMethods = ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill"];
-        if (!target._changeHandlers) {
-            defineHidden(target, "_changeHandlers", new Set);
-        }
-        attachParent(target, parent, key);
+        const runId = ++this.runId;
+        const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+        this.controller = controller;
 
-        const proxy = new Proxy(target, {
-            get(target, key, receiver) {
-                if (key === "__isReactive") return true;
-                if (key === "_changeHandlers") return target._changeHandlers;
-                if (key === "_parent") return target._parent;
-                if (key === "on") return addChangeHandler.bind(target);
-                if (key === "off") return removeChangeHandler.bind(target);
-                reactiveSystem.track(target, key);
-                if (arrayMethods.includes(key)) {
-                    return function (...args) {
-                        // Only snapshot when indexed deps are actually being tracked.
-                        const deps = reactiveSystem.depsMap.get(target);
-                        const trackedIndexKeys = [];
-                        if (deps) {
-                            deps.forEach((depSet, depKey) => {
-                                if (depSet && depSet.size > 0 && typeof depKey !== "symbol" && !isNaN(depKey)) {
-                                    trackedIndexKeys.push(depKey);
-                                }
-                            });
-                        }
-                        const oldSnapshot = trackedIndexKeys.length > 0 ? target.slice() : null;
-                        const oldLength = target.length;
-                        const result = Array.prototype[key].apply(target, args);
+        let result;
+        this.cleanup();
+        this.reactiveSystem.effectStack.push(this);
+        try {
+            result = this.getter.call(this.context, { signal: controller ? controller.signal : undefined });
+        } catch (error) {
+            this._settle(runId, undefined, error, true);
+            return;
+        } finally {
+            this.reactiveSystem.effectStack.pop();
+        }
 
-                        // V2.1.0 FIX: Trigger synchronously for immediate computed invalidation
-                        reactiveSystem.trigger(target, "length", oldLength, target.length);
+        if (!result || typeof result.then !== "function") {
+            this._settle(runId, result, null, false);
+            return;
+        }
+        this.state.error = null;
+        this.state.loading = true;
+        result.then(
+            value => this._settle(runId, value, null, false),
+            error => this._settle(runId, undefined, error, true)
+        );
+    }
 
-                        // Trigger only tracked index keys whose values actually changed.
-                        // Keeps cost proportional to active dependencies, not array size.
-                        if (oldSnapshot) {
-                            trackedIndexKeys.forEach(indexKey => {
-                                const oldValue = oldSnapshot[indexKey];
-                                const newValue = target[indexKey];
-                                if (oldValue !== newValue) {
-                                    reactiveSystem.trigger(target, indexKey, oldValue, newValue);
-                                }
-                            });
-                        }
+    _settle(runId, value, error, failed) {
+        // A newer run (or stop()) superseded this one
+        if (runId !== this.runId || !this.active) {
+            return;
+        }
+        this.controller = null;
+        if (failed) {
+            this.state.error = error === undefined || error === null ? new Error("asyncComputed getter failed") : error;
+        } else {
+            this.state.value = value;
+            this.state.error = null;
+        }
+        this.state.loading = false;
+    }
 
-                        // Keep MessageBus event for backward compatibility with user listeners
-                        reactiveSystem.messageBus.publish("array-mutation", {
-                            target: target,
-                            method: key,
-                            args: args,
-                            oldLength: oldLength,
-                            newLength: target.length
-                        });
-                        return result;
-                    };
-                }
-                const value = Reflect.get(target, key, receiver);
-                if (typeof key !== "symbol" && !isNaN(key) && value && typeof value === "object" && !value.__isReactive) {
-                    const reactiveValue = reactive(value, new WeakSet, receiver, key);
-                    target[key] = reactiveValue;
-                    return reactiveValue;
-                }
-                return value;
-            },
-            set(target, key, value, receiver) {
-                const oldValue = target[key];
-                if (value && typeof value === "object" && !value.__isReactive) {
-                    value = reactive(value, new WeakSet, receiver, key);
-                }
-                const result = Reflect.set(target, key, value, receiver);
-                if (oldValue !== value) {
-                    reactiveSystem.trigger(target, key, oldValue, value);
-                    bubbleChangeUp(target, key, oldValue, value);
-                }
-                return result;
-            }
-        });
-        proxyMap.set(target, proxy);
-        return proxy;
+    _abort() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
     }
 
-    /**
-     * Creates computed property proxy with lazy evaluation.
-     * Supports function or {get, deps} syntax.
-     *
-     * ⚠️ IMPORTANT - USER ACCESS PATTERN:
-     * Users access computed properties as DIRECT GETTERS on the model:
-     * ✅ CORRECT:   const name = model.fullName;         // Direct access
-     * ✅ CORRECT:   <span s-text="fullName"></span>      // Direct binding
-     * ❌ WRONG:     const name = model.fullName.value;   // .value is internal only!
-     * ❌ WRONG:     const name = model.fullName();       // Not a function call!
-     *
-     * @param {Function|Object} config - Compute function or config object
-     * @param {Function} [config.get] - Getter function
-     * @param {Array<string>} [config.deps] - Explicit dependencies array
-     * @returns {Object} Computed marker object
-     * 
-     * @example
-     * // Function syntax
-     * const fullName = computed(function() {
-     *     return this.firstName + ' ' + this.lastName;
-     * });
-     * 
-     * @example
-     * // Explicit dependencies
-     * const doubled = computed({
-     *     get() { return this.count * 2; },
-     *     deps: ['count']
-     * });
-     */
-    function computed(config) {
-        return createComputedMarker(config, Version);
+    cleanup() {
+        this.deps.forEach((dep) => {
+            dep.delete(this);
+        });
+        this.deps.clear();
     }
 
     /**
-     * Recursively resolves nested computed dependencies.
-     * Prevents circular dependencies with visited Set tracking.
-     * 
-     * @param {Array<string>} deps - Dependency keys to resolve
-     * @param {Object} target - Target object containing dependencies
-     * @param {Set} [visited=new Set] - Visited keys for circular detection
-     * @returns {Array<string>} Resolved dependency keys
+     * Stops re-running: drops dependencies, cancels a pending debounce and aborts
+     * the run in flight. The state keeps its last values.
      */
-    function resolveDependencies(deps, target, visited = new Set) {
-        const resolved = new Set;
-        for (const depKey of deps) {
-            if (visited.has(depKey)) {
-                console.warn(`[Stitch.js ${Version}] Circular dependency detected: "${depKey}"\n` + `Dependency chain: ${Array.from(visited).join(" → ")} → ${depKey}`);
-                continue;
-            }
-            visited.add(depKey);
-            
-            // Check if this dependency is itself a computed property with explicit deps
-            const descriptor = Object.getOwnPropertyDescriptor(target, depKey);
-            if (descriptor && descriptor.get && target[depKey + '__explicitDeps']) {
-                const nestedDeps = target[depKey + '__explicitDeps'];
-                const nestedResolved = resolveDependencies(nestedDeps, target, new Set(visited));
-                for (const dep of nestedResolved) {
-                    resolved.add(dep);
-                }
-            } else {
-                resolved.add(depKey);
-            }
-            
-            visited.delete(depKey);
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this._abort();
+        this.cleanup();
+        if (this.state.loading) {
+            this.state.loading = false;
+        }
+        if (this.scope) {
+            this.scope.effects.delete(this);
+            this.scope = null;
         }
-        return Array.from(resolved);
-    }
-    
-    return {
-        reactiveSystem: reactiveSystem,
-        reactive: reactive,
-        createReactiveArray: createReactiveArray,
-        computed: computed,
-        resolveDependencies: resolveDependencies,
-        bubbleChangeUp: bubbleChangeUp
-    };
-}
-let _defaultFactory = null;
-
-function getDefaultFactory() {
-    if (!_defaultFactory) {
-        _defaultFactory = createReactiveFactory();
     }
-    return _defaultFactory;
-}
-
-function resetDefaultFactory() {
-    _defaultFactory = null;
 }
 
 module.exports = {
-    createReactiveFactory,
-    createComputedMarker,
-    getDefaultFactory,
-    resetDefaultFactory
+    AsyncComputedRef
 };
 
   };
-  __stitchModuleFactories[3] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[18] = function(module, exports, __stitchRequire){
 "use strict";
 
-const VERSION = "2.1.0";
-const foreachRenderingDelegates = __stitchRequire(8);
-const foreachBindingOrchestrator = __stitchRequire(7);
-const bindingScanHelpers = __stitchRequire(5);
-const bindingRuntime = __stitchRequire(4);
-const dataBinderFactory = __stitchRequire(6);
-const runtimeHelpers = __stitchRequire(20);
-const debugConfig = __stitchRequire(16);
-const attrValueHandlers = __stitchRequire(15);
-const valueBindingHelpers = __stitchRequire(22);
-const typeConverters = __stitchRequire(21);
-const foreachTemplateHelpers = __stitchRequire(18);
-const foreachReconcileHelpers = __stitchRequire(17);
+const { NOOP_DEBUG } = __stitchRequire(28);
+const { handleError } = __stitchRequire(22);
 
-const stitchDebugState = debugConfig.createDebugState(`v${VERSION}`);
-const stitchDebug = {
-    ...stitchDebugState,
-    log() {},
-    group() {},
-    groupEnd() {}
-};
+class BatchScheduler {
+    constructor(options = {}) {
+        this.version = options.version || "v2.1.0";
+        this.debug = options.debug || NOOP_DEBUG;
+        this._preEffects = new Set();
+        this._pendingEffects = new Set();
+        this._postEffects = new Set();
+        this.flushing = false;
+        this.flushScheduled = false;
+        this.flushDepth = 0;
+        this.MAX_FLUSH_DEPTH = 100;
+    }
 
-const typeConverterRegistry = typeConverters.createTypeConverters({ version: VERSION });
-function getTypeConverter(element, value) {
-    return typeConverters.getTypeConverter(element, value, typeConverterRegistry);
-}
+    queue(effect) {
+        if (typeof effect !== "function") {
+            throw new TypeError(
+                `[Stitch.js ${this.version} BatchScheduler] queue() expects a function, got ${typeof effect}`
+            );
+        }
+        // Effects created with { flush: 'pre' | 'post' } run before / after the regular queue
+        const flush = effect.options && effect.options.flush;
+        if (flush === "pre") {
+            this._preEffects.add(effect);
+        } else if (flush === "post") {
+            this._postEffects.add(effect);
+        } else {
+            this._pendingEffects.add(effect);
+        }
+        this.scheduleFlush();
+    }
 
-const valueValidatorRegistry = valueBindingHelpers.createValueValidators({
-    getTypeConverter,
-    setProperty: runtimeHelpers.setProperty,
-    doc: typeof document !== "undefined" ? document : null
-});
-function getValueValidator(element) {
-    return valueBindingHelpers.getValueValidator(element, valueValidatorRegistry);
-}
+    scheduleFlush() {
+        if (!this.flushScheduled && !this.flushing) {
+            this.flushScheduled = true;
+            Promise.resolve().then(() => this.flush());
+        }
+    }
+
+    flush() {
+        if (this.flushing) return;
+
+        if (this.flushDepth >= this.MAX_FLUSH_DEPTH) {
+            console.error(
+                `[Stitch.js ${this.version} BatchScheduler] Maximum flush depth exceeded.\n` +
+                "Possible infinite loop detected. Queue cleared."
+            );
+            this.clear();
+            this.flushDepth = 0;
+            this.flushScheduled = false;
+            return;
+        }
+
+        this.flushing = true;
+        this.flushScheduled = false;
+        this.flushDepth++;
+
+        this.debug.enabled && this.debug.group("effects", `Flushing BatchScheduler (${this._preEffects.size + this._pendingEffects.size + this._postEffects.size} effects, depth: ${this.flushDepth})`);
+
+        this._runQueue(this._preEffects);
+        this._runQueue(this._pendingEffects);
+        // Post effects wait until the regular effects they may depend on have settled
+        if (this._preEffects.size === 0 && this._pendingEffects.size === 0) {
+            this._runQueue(this._postEffects);
+        }
+
+        this.debug.enabled && this.debug.groupEnd("effects");
 
-const valueHandlerRegistry = valueBindingHelpers.createValueHandlers({
-    getTypeConverter,
-    resolveValueValidator: getValueValidator
-});
-function getValueHandler(element) {
-    return valueBindingHelpers.getValueHandler(element, valueHandlerRegistry);
-}
+        this.flushing = false;
+        if (this.hasQueued()) {
+            this.debug.enabled && this.debug.log("effects", "New effects queued during flush, scheduling next flush");
+            this.scheduleFlush();
+        } else {
+            this.flushDepth = 0;
+        }
+    }
 
-const renderingDelegateBundle = foreachRenderingDelegates.createRenderingDelegates({
-    stitchDebug,
-    getProperty: runtimeHelpers.getProperty,
-    getValueValidator,
-    createItemContext: foreachReconcileHelpers.createItemContext,
-    createTemplateElement: foreachTemplateHelpers.createTemplateElement,
-    reconcileRows: foreachReconcileHelpers.reconcileRows,
-    doc: typeof document !== "undefined" ? document : null
-});
-const foreachDelegates = renderingDelegateBundle.FOREACH_RENDERING_DELEGATES;
+    _runQueue(queue) {
+        const effectsToRun = Array.from(queue);
+        queue.clear();
 
-function resolveExternalForeachIntegration() {
-    return {
-        bindForeach: foreachBindingOrchestrator.bindForeach,
-        getRenderingDelegate: foreachRenderingDelegates.getRenderingDelegate,
-        delegates: foreachDelegates
-    };
-}
+        effectsToRun.forEach((effect) => {
+            try {
+                effect();
+            } catch (error) {
+                handleError(error, { effect });
+            }
+        });
+    }
 
-const runtimeBinding = bindingRuntime.createBindingRuntime({
-    version: VERSION,
-    debug: stitchDebug,
-    getProperty: runtimeHelpers.getProperty,
-    setProperty: runtimeHelpers.setProperty,
-    getValueHandler,
-    getValueValidator,
-    getTypeConverter,
-    getAttrHandler: attrValueHandlers.getAttrHandler,
-    getRenderingDelegate(element) {
-        return foreachRenderingDelegates.getRenderingDelegate(element, foreachDelegates);
-    },
-    propertyExists: runtimeHelpers.propertyExists,
-    findSimilarProperty: runtimeHelpers.findSimilarProperty,
-    resolveExternalForeachIntegration
-});
+    hasQueued() {
+        return this._preEffects.size > 0 || this._pendingEffects.size > 0 || this._postEffects.size > 0;
+    }
 
-const DataBinder = dataBinderFactory.createDataBinderClass({
-    version: VERSION,
-    debug: stitchDebug,
-    getProperty: runtimeHelpers.getProperty,
-    getBindingHandler: runtimeBinding.getBindingHandler,
-    scanCustomAttributes: runtimeBinding.scanCustomAttributes,
-    bindingHandlers: runtimeBinding.BINDING_HANDLERS
-});
+    clear() {
+        this._preEffects.clear();
+        this._pendingEffects.clear();
+        this._postEffects.clear();
+        this.flushScheduled = false;
+    }
+}
 
 module.exports = {
-    DataBinder,
-    version: VERSION,
-    ...foreachRenderingDelegates,
-    ...foreachBindingOrchestrator,
-    ...bindingScanHelpers,
-    ...bindingRuntime,
-    ...dataBinderFactory
+    BatchScheduler
 };
 
   };
-  __stitchModuleFactories[4] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[19] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { NOOP_DEBUG } = __stitchRequire(16);
-
-function createBindingRuntime(deps = {}) {
-    const Version = deps.version || "v2.1.0";
-    const StitchDebug = deps.debug || NOOP_DEBUG;
-    const getProperty = deps.getProperty;
-    const setProperty = deps.setProperty;
-    const getValueHandler = deps.getValueHandler;
-    const getValueValidator = deps.getValueValidator;
-    const getTypeConverter = deps.getTypeConverter;
-    const getAttrHandler = deps.getAttrHandler;
-    const getRenderingDelegate = deps.getRenderingDelegate;
-    const propertyExists = deps.propertyExists;
-    const findSimilarProperty = deps.findSimilarProperty;
-    const resolveExternalForeachIntegration = deps.resolveExternalForeachIntegration || function () { return null; };
-
-function validateBinding(viewModel, path, bindingType, element) {
-    if (!StitchDebug.enabled) return true;
-    if (!propertyExists(viewModel, path)) {
-        const suggestion = findSimilarProperty(viewModel, path);
-        const availableProps = Object.keys(viewModel).filter(k => !k.startsWith("_")).slice(0, 10);
-        console.warn(`[Stitch.js] ${bindingType} binding failed: Property "${path}" not found\n`, {
-            element: element.tagName,
-            elementId: element.id || "(no id)",
-            elementClasses: element.className || "(no classes)",
-            expectedProperty: path,
-            availableProperties: availableProps,
-            totalProperties: Object.keys(viewModel).filter(k => !k.startsWith("_")).length,
-            suggestion: suggestion
-        });
-        return false;
-    }
-    return true;
-}
+const { recordEffectScope } = __stitchRequire(21);
+const { handleError } = __stitchRequire(22);
 
 /**
- * @typedef {Object} BindingHandler
- * @property {Function} bind - Establishes reactive binding
+ * Reads a dot-notation path ("price.cents") so every object along it is tracked.
  */
+function readPath(context, path) {
+    return String(path).split(".").reduce((current, key) => (current == null ? undefined : current[key]), context);
+}
 
-/**
- * BINDING_HANDLERS - Registry of built-in binding handlers implementing Strategy Pattern.
- * 
- * Each handler encapsulates complete binding logic for its type (text, value, visible, etc.),
- * enabling clean two-way data binding, event handling, and list rendering.
- * Supports custom binding registration via DataBinder.registerBinding().
- * 
- * @const {Object.<string, BindingHandler>}
- * @example
- * // Custom binding registration (PUBLIC API)
- * Stitch.DataBinder.registerBinding('tooltip', {
- *     bind(element, viewModel, path, context) {
- *         context.reactiveSystem.effect(() => {
- *             const value = getProperty(viewModel, path);
- *             element.setAttribute('title', value || '');
- *         });
- *     }
- * });
- * // Usage: <button data-tooltip="helpText">Help</button>
- */
-const BINDING_HANDLERS = {
-    /**
-     * text binding - Updates element.textContent reactively.
-     * One-way binding from model to view.
-     */
-    text: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "text", element);
-            const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
-                if (typeof value === "function") {
-                    console.warn(`[Stitch.js ${Version}] Binding 'text' to a function: "${path}". Did you mean to call it or use a computed property?`);
-                }
-                element.textContent = value != null ? value : "";
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
-        }
-    },
-    /**
-     * value binding - Two-way data binding for form inputs with automatic type conversion.
-     * Model changes update view, view changes update model.
-     */
-    value: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "value", element);
-            StitchDebug.enabled && StitchDebug.log("bindings", `BINDING: value binding (two-way) for "${path}"`, {
-                element: element.tagName,
-                type: element.type
-            });
-            const handler = getValueHandler(element);
-            const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
-                StitchDebug.enabled && StitchDebug.log("bindings", `VALUE BINDING UPDATE (Model→View): "${path}" = ${value}`);
-                handler.modelToView(element, value, viewModel, path);
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
-            const updateModel = () => {
-                const value = handler.viewToModel(element);
-                StitchDebug.enabled && StitchDebug.log("bindings", `VALUE BINDING UPDATE (View→Model): "${path}" = ${value}`);
-                const validator = getValueValidator(element);
-                const validValue = validator.validate(element, value, viewModel, path, "user-input");
-                setProperty(viewModel, path, validValue);
-            };
-            element.addEventListener("input", updateModel);
-            element.addEventListener("change", updateModel);
-            context.binder._trackCleanup(element, () => {
-                element.removeEventListener("input", updateModel);
-                element.removeEventListener("change", updateModel);
-            });
-        }
-    },
-    /**
-     * visible binding - Shows/hides element by toggling display: none.
-     * One-way binding from model to view.
-     */
-    visible: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "visible", element);
-            const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
-                element.style.display = value ? "" : "none";
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
-        }
-    },
-    /**
-     * enabled binding - Enables/disables element by setting disabled attribute.
-     * One-way binding from model to view.
-     */
-    enabled: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "enabled", element);
-            const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
-                element.disabled = !value;
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
-        }
-    },
-    /**
-     * click binding - Attaches click event handler.
-     * Supports $parent context for calling parent methods from foreach loops.
-     */
-    click: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "click", element);
-            const clickHandler = e => {
-                const handler = getProperty(viewModel, path);
-                if (typeof handler === "function") {
-                    // UNWRAP: If viewModel is a context wrapper (has $data), pass $data (the original item)
-                    // This ensures handlers receive the actual model, not the context wrapper
-                    const target = (viewModel && viewModel.$data) ? viewModel.$data : viewModel;
-                    
-                    if (path.startsWith("$parent.") && viewModel.$data !== undefined) {
-                        // Case 1: Calling parent method from child context (e.g. data-click="$parent.remove")
-                        // Call on parent, pass target (the item) as first arg, event as second
-                        handler.call(viewModel.$parent, target, e);
-                    } else {
-                        // Case 2: Calling method on self (e.g. data-click="toggle")
-                        // Call on target (the item), pass event as first arg
-                        handler.call(target, e);
-                    }
-                }
-            };
-            element.addEventListener("click", clickHandler);
-            context.binder._trackCleanup(element, () => element.removeEventListener("click", clickHandler));
-        }
-    },
+class ComputedRef {
     /**
-     * event binding - Generic event handler for any DOM event.
-     * Binds multiple event types to handler methods in single declaration.
-     *
-     * ⚠️ SYNTAX REQUIREMENT: Binding value must be a property path (e.g., "eventBindings"),
-     * NOT an inline object literal. Inline objects like data-event="{ click: fn }"
-     * will fail because Stitch.js treats all binding values as property paths.
-     * Define the object in your model and reference it by property name.
+     * @param {Function} getter
+     * @param {ReactiveSystem} reactiveSystem
+     * @param {Object} context - `this` for the getter
+     * @param {Array<string>} [explicitDeps=null] - Paths read before each evaluation
+     * @param {string} [key=null] - Property name (used in circular dependency errors and devtools)
      */
-    event: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "event", element);
-            StitchDebug.enabled && StitchDebug.log("bindings", `EVENT BINDING: "${path}"`, {
-                element: element.tagName
-            });
-            // Track active listeners so each effect run can replace prior registrations.
-            const eventListeners = [];
-            const removeEventListeners = () => {
-                eventListeners.forEach(({ eventName, wrappedHandler }) => {
-                    element.removeEventListener(eventName, wrappedHandler);
-                });
-                eventListeners.length = 0;
-            };
-            const eff = context.reactiveSystem.effect(() => {
-                // Avoid duplicate listeners when effect re-runs.
-                removeEventListeners();
+    constructor(getter, reactiveSystem, context, explicitDeps = null, key = null) {
+        this.getter = getter;
+        this.reactiveSystem = reactiveSystem;
+        this.context = context;
+        this.explicitDeps = explicitDeps;
+        this.key = key;
+        this.value = undefined;
+        this.dirty = true;
+        /** True while the getter runs; a nested get() of the same computed is a cycle */
+        this.evaluating = false;
+        /** True when the last evaluation threw: it stays dirty but must still notify dependents */
+        this.failed = false;
+        this.dependents = new Set();
+        this.deps = new Set();
+        this.id = Math.random().toString(36).substr(2, 9);
+        this.isComputedRef = true;
+        /** Set by the model's property descriptor when the computed has a set() */
+        this.writable = false;
+        this.active = true;
+        // Computeds converted lazily while an effect runs belong to their model, not the running scope
+        this.scope = reactiveSystem.currentEffect ? null : recordEffectScope(this);
+
+        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED REF CREATED (id: ${this.id})`, {
+            hasExplicitDeps: !!explicitDeps,
+            explicitDeps
+        });
+    }
 
-                const eventConfig = getProperty(viewModel, path);
-                if (!eventConfig || typeof eventConfig !== "object") {
-                    console.error(`[Stitch.js ${Version}] event: binding requires an object. Got: ${typeof eventConfig}`);
-                    return;
+    markDirty() {
+        if (this.dirty && !this.failed) {
+            return;
+        }
+        this.failed = false;
+
+        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED MARKED DIRTY (id: ${this.id})`);
+        this.dirty = true;
+
+        // Copy: dependents re-subscribe while they run
+        new Set(this.dependents).forEach((dependent) => {
+            try {
+                if (dependent.isComputedRef) {
+                    dependent.markDirty();
+                } else {
+                    this.reactiveSystem.scheduleEffect(dependent);
                 }
-                for (const [eventName, handlerPath] of Object.entries(eventConfig)) {
-                    const handler = typeof handlerPath === "string" ? getProperty(viewModel, handlerPath) : handlerPath;
-                    if (typeof handler === "function") {
-                        StitchDebug.enabled && StitchDebug.log("bindings", `  Registering: ${eventName} → ${handlerPath}`, {
-                            event: eventName
-                        });
-                        const wrappedHandler = e => handler.call(viewModel, e);
-                        element.addEventListener(eventName, wrappedHandler);
-                        eventListeners.push({ eventName, wrappedHandler });
-                    } else {
-                        console.warn(`[Stitch.js ${Version}] event: binding handler not found: "${handlerPath}"`);
-                    }
+            } catch (error) {
+                handleError(error, { effect: dependent, target: this.context, key: this.key });
+            }
+        });
+    }
+
+    evaluate() {
+        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTING VALUE (id: ${this.id})`);
+        this.cleanup();
+        this.reactiveSystem.effectStack.push(this);
+        this.evaluating = true;
+
+        try {
+            if (this.explicitDeps && this.context) {
+                for (const depKey of this.explicitDeps) {
+                    void readPath(this.context, depKey);
                 }
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => {
-                removeEventListeners();
-                context.reactiveSystem.cleanup(eff);
+            }
+
+            this.failed = true;
+            this.value = this.getter.call(this.context);
+            this.dirty = false;
+            this.failed = false;
+
+            this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED VALUE (id: ${this.id})`, {
+                value: this.value,
+                deps: this.deps.size
             });
+
+            return this.value;
+        } finally {
+            this.evaluating = false;
+            this.reactiveSystem.effectStack.pop();
         }
-    },
+    }
+
     /**
-     * class binding - Dynamic CSS class management.
-     *
-     * ⚠️ SYNTAX REQUIREMENT: Binding value must be a property path (e.g., "classBindings"),
-     * NOT an inline object literal. Inline objects like data-class="{ active: true }"
-     * will fail because Stitch.js treats all binding values as property paths.
-     * Define the object in your model and reference it by property name.
-     *
-     * ⚠️ CRITICAL: String mode replaces ALL classes (destroys framework CSS).
-     * ALWAYS use object mode (computed) with elements that have static classes.
-     * String mode should only be used when element has NO static classes.
-     *
-     * Two modes:
-     * - String mode: `element.className = value` (replaces all classes - DESTRUCTIVE)
-     * - Object mode: `element.classList.toggle()` (selective toggle - PRESERVES unlisted classes)
-     *
-     * HOW OBJECT MODE PRESERVATION WORKS:
-     * Object mode "preserves" classes by simple omission - it ONLY toggles classes
-     * that are LISTED in the object. Any class NOT in the object is left untouched.
-     * This is NOT "smart preservation" - it's just classList.toggle() not caring about
-     * classes it wasn't asked to toggle.
-     *
-     * @example
-     * // ❌ BAD: String mode destroys Bootstrap classes
-     * // HTML: <button class="btn btn-primary" data-class="buttonState">
-     * // Model: { buttonState: 'active' }
-     * // Result: class="active" (btn btn-primary DESTROYED by className assignment)
-     *
-     * @example
-     * // ✅ GOOD: Object mode preserves unlisted classes
-     * // HTML: <button class="btn btn-primary" data-class="buttonClasses">
-     * // Model: { buttonClasses: computed(function() { return { active: this.isActive }; }) }
-     * // Result: class="btn btn-primary active"
-     * // Why preserved? Object only lists 'active', so toggle() ignores 'btn' and 'btn-primary'
-     *
-     * @example
-     * // Object mode only affects classes it knows about:
-     * // HTML: <div class="foo bar baz" data-class="classes">
-     * // Model: { classes: { bar: false, qux: true } }
-     * // Result: class="foo baz qux"
-     * // - 'foo' preserved (not in object, never touched)
-     * // - 'bar' removed (in object, value is false)
-     * // - 'baz' preserved (not in object, never touched)
-     * // - 'qux' added (in object, value is true)
+     * Throws when this computed is read while its own getter is running.
+     * The chain lists the computeds on the effect stack from the first read on.
      */
-    class: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "class", element);
-            StitchDebug.enabled && StitchDebug.log("bindings", `BINDING: class binding for "${path}"`, {
-                element: element.tagName,
-                initialClasses: Array.from(element.classList)
-            });
-            const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
-                StitchDebug.enabled && StitchDebug.log("bindings", `CLASS BINDING UPDATE: "${path}"`, {
-                    element: element.tagName,
-                    valueType: typeof value,
-                    value: value
-                });
-                if (typeof value === "string") {
-                    element.className = value;
-                    StitchDebug.enabled && StitchDebug.log("bindings", `  → Set className to: "${value}"`);
-                } else if (value && typeof value === "object") {
-                    Object.keys(value).forEach(className => {
-                        const shouldHaveClass = !!value[className];
-                        element.classList.toggle(className, shouldHaveClass);
-                        StitchDebug.enabled && StitchDebug.log("bindings", `  → Toggle "${className}": ${shouldHaveClass}`);
-                    });
-                    StitchDebug.enabled && StitchDebug.log("bindings", `  → Final classList: ${Array.from(element.classList).join(", ")}`);
-                }
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+    _assertNotEvaluating() {
+        if (!this.evaluating) {
+            return;
         }
-    },
-    /**
-     * attr binding - Dynamic HTML attribute management with type-aware handling.
-     *
-     * ⚠️ SYNTAX REQUIREMENT: Binding value must be a property path (e.g., "attrBindings"),
-     * NOT an inline object literal. Inline objects like data-attr="{ title: 'Text' }"
-     * will fail because Stitch.js treats all binding values as property paths.
-     * Define the object in your model and reference it by property name.
-     *
-     * PRESERVATION: Only manages attributes IN binding object.
-     * Static HTML attributes NOT in binding remain unchanged.
-     *
-     * ⚠️ WARNING: If attribute exists in BOTH HTML and binding, binding wins (overwrites static value).
-     * 
-     * Supports: strings, numbers, booleans, objects (style), arrays (class), null/undefined (removes).
-     * 
-     * @example
-     * // Static attributes preserved
-     * // HTML: <input type="text" id="username" placeholder="Enter name" data-attr="dynamicAttrs">
-     * // Model: { dynamicAttrs: { 'aria-invalid': true } }
-     * // Result: type, id, placeholder preserved; aria-invalid added
-     * 
-     * @example
-     * // Boolean attributes - use actual booleans
-     * dynamicAttrs: {
-     *     'disabled': true,      // ✅ Sets disabled=""
-     *     'required': false,     // ✅ Removes required attribute
-     *     'readonly': "false"    // ❌ WRONG: Sets readonly="false" (still readonly!)
-     * }
-     * 
-     * @example
-     * // Null/undefined removes attributes
-     * dynamicAttrs: {
-     *     'title': showTooltip ? tooltipText : null,  // Conditionally remove
-     *     'data-id': hasId ? userId : undefined       // Conditionally remove
-     * }
-     */
-    attr: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "attr", element);
-            const eff = context.reactiveSystem.effect(() => {
-                const value = getProperty(viewModel, path);
-                if (typeof value === "object" && value !== null) {
-                    Object.keys(value).forEach(attrName => {
-                        const attrValue = value[attrName];
-                        const handler = getAttrHandler(attrValue);
-                        handler.apply(element, attrName, attrValue);
-                    });
-                } else {
-                    console.warn(`[Stitch.js ${Version}] attr: binding requires an object value. Example: attr: { href: url, target: "_blank" }`);
-                }
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+        const label = entry => entry.key || `(computed ${entry.id})`;
+        const stack = this.reactiveSystem.effectStack;
+        const start = stack.lastIndexOf(this);
+        // A stopped computed is not on the stack while it evaluates
+        const chain = start < 0 ? [label(this)] : stack.slice(start).filter(entry => entry.isComputedRef).map(label);
+        chain.push(label(this));
+        throw new Error(`Stitch.js ${this.reactiveSystem.version}: Circular computed dependency: ${chain.join(" → ")}`);
+    }
+
+    get() {
+        this._assertNotEvaluating();
+        if (!this.active) {
+            this.evaluating = true;
+            try {
+                return this.getter.call(this.context);
+            } finally {
+                this.evaluating = false;
+            }
         }
-    },
-    /**
-     * foreach binding - Reactive list rendering with smart reconciliation.
-     * Delegates to element-specific handlers for specialized rendering.
-     * Provides $data, $index, $parent context variables.
-     */
-    foreach: {
-        bind(element, viewModel, path, context) {
-            const external = resolveExternalForeachIntegration();
-            if (external && typeof external.bindForeach === "function") {
-                return external.bindForeach(element, viewModel, path, context, {
-                    validateBinding: validateBinding,
-                    getProperty: getProperty,
-                    getRenderingDelegate: external.getRenderingDelegate,
-                    foreachRenderingDelegates: external.delegates
-                });
+
+        const currentEffect = this.reactiveSystem.currentEffect;
+        if (currentEffect) {
+            this.dependents.add(currentEffect);
+            // Lets cleanup()/stop() of the dependent unsubscribe it from this computed
+            if (currentEffect.deps) {
+                currentEffect.deps.add(this.dependents);
             }
+            this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log(
+                "computed",
+                `COMPUTED TRACKED (id: ${this.id}) by effect ${currentEffect.id || "unknown"}`
+            );
+        }
 
-            validateBinding(viewModel, path, "foreach", element);
-            const templateSource = context.binder._getTemplateSource(element);
-            const delegate = getRenderingDelegate(element);
-            const config = delegate.prepareConfig(element, templateSource);
-            element.innerHTML = "";
-            const eff = context.reactiveSystem.effect(() => {
-                const items = getProperty(viewModel, path);
-                delegate.render(element, items, config, context.binder, viewModel, path);
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+        if (this.dirty) {
+            return this.evaluate();
         }
-    },
+
+        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED CACHED (id: ${this.id})`, {
+            value: this.value
+        });
+        return this.value;
+    }
+
+    cleanup() {
+        this.deps.forEach((dep) => {
+            dep.delete(this);
+        });
+        this.deps.clear();
+    }
+
     /**
-     * loading binding - Composite binding for loading states.
-     * Sets/removes disabled, toggles 'loading' class, sets aria-busy.
+     * Releases the computed: drops its dependencies and dependents. A stopped
+     * computed still returns fresh values, but no longer caches or notifies.
      */
-    loading: {
-        bind(element, viewModel, path, context) {
-            validateBinding(viewModel, path, "loading", element);
-            const eff = context.reactiveSystem.effect(() => {
-                const isLoading = getProperty(viewModel, path);
-                element.disabled = isLoading;
-                element.classList.toggle("loading", isLoading);
-                element.setAttribute("aria-busy", isLoading ? "true" : "false");
-            }, { batch: true });
-            context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        this.cleanup();
+        this.dependents.clear();
+        this.dirty = true;
+        if (this.scope) {
+            this.scope.effects.delete(this);
+            this.scope = null;
         }
     }
+}
+
+module.exports = {
+    ComputedRef
 };
 
+  };
+  __stitchModuleFactories[20] = function(module, exports, __stitchRequire){
+"use strict";
+
 /**
- * Lazily resolves extracted binding-scan helpers in CommonJS environments.
- * Browser script usage keeps local implementations for single-file compatibility.
+ * Global configuration (exposed as `Stitch.config`).
  *
- * @returns {{getBindingHandler: Function, scanCustomAttributes: Function}|null}
+ * Module-level state shared by every ReactiveSystem and DataBinder instance.
  */
-let _externalBindingScanIntegrationAttempted = false;
-let _externalBindingScanIntegration = null;
-function resolveExternalBindingScanIntegration() {
-    if (_externalBindingScanIntegrationAttempted) {
-        return _externalBindingScanIntegration;
+const config = {
+    /** Called as errorHandler(error, { effect, target, key, element }) instead of console.error */
+    errorHandler: null,
+    /** Replaces the built-in data-html sanitizer: htmlSanitizer(html, element) returns a string or TrustedHTML */
+    htmlSanitizer: null,
+    /** Trusted Types policy (from trustedTypes.createPolicy()) used for data-html; its createHTML() receives sanitized markup */
+    trustedTypesPolicy: null
+};
+
+module.exports = {
+    config
+};
+
+  };
+  __stitchModuleFactories[21] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Effect scopes group effects, watchers and computeds for disposal.
+ *
+ * Everything created inside `scope.run(fn)` is recorded on the scope and stopped
+ * by `scope.stop()`. Scopes created inside another scope's run() are nested and
+ * stopped with their parent unless created detached. An effect keeps the scope it
+ * was created in: effects created while it re-runs (for example rows rendered by a
+ * foreach effect) join the same scope.
+ *
+ * The active scope is module-level state shared by every ReactiveSystem instance.
+ */
+
+const Version = "v2.1.0";
+
+/** @type {EffectScope|null} */
+let activeScope = null;
+
+class EffectScope {
+    /**
+     * @param {boolean} [detached=false] - If true, the scope is not collected by the active scope
+     */
+    constructor(detached = false) {
+        /** @type {boolean} False once stop() ran */
+        this.active = true;
+        /** @type {Set<Object>} Effects and computeds owned by this scope */
+        this.effects = new Set();
+        /** @type {Function[]} onScopeDispose callbacks */
+        this.cleanups = [];
+        /** @type {Set<EffectScope>} Nested scopes */
+        this.scopes = new Set();
+        /** @type {EffectScope|null} */
+        this.parent = null;
+
+        if (!detached && activeScope) {
+            this.parent = activeScope;
+            activeScope.scopes.add(this);
+        }
     }
 
-    _externalBindingScanIntegrationAttempted = true;
-    if (typeof module === "undefined" || !module.exports || typeof require !== "function") {
-        return null;
+    /**
+     * Runs fn with this scope active and returns its result.
+     *
+     * @param {Function} fn
+     * @returns {*} fn's return value, or undefined if the scope is stopped
+     */
+    run(fn) {
+        if (!this.active) {
+            console.warn(`[Stitch.js ${Version}] effectScope: cannot run an inactive scope.`);
+            return undefined;
+        }
+        const previousScope = activeScope;
+        activeScope = this;
+        try {
+            return fn();
+        } finally {
+            activeScope = previousScope;
+        }
     }
 
-    try {
-        const bindingScanModule = require("./packages/browser/src/binding-scan-helpers");
-        if (bindingScanModule &&
-            typeof bindingScanModule.getBindingHandler === "function" &&
-            typeof bindingScanModule.scanCustomAttributes === "function") {
-            _externalBindingScanIntegration = bindingScanModule;
-        } else {
-            _externalBindingScanIntegration = null;
+    /**
+     * Stops every recorded effect/computed, nested scope and onScopeDispose callback.
+     * Safe to call more than once.
+     */
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+
+        Array.from(this.effects).forEach(effect => effect.stop());
+        this.effects.clear();
+        Array.from(this.scopes).forEach(scope => scope.stop());
+        this.scopes.clear();
+        this.cleanups.forEach(fn => {
+            try {
+                fn();
+            } catch (error) {
+                console.error(`[Stitch.js ${Version}] onScopeDispose callback error:`, error);
+            }
+        });
+        this.cleanups.length = 0;
+
+        if (this.parent) {
+            this.parent.scopes.delete(this);
+            this.parent = null;
         }
-    } catch (error) {
-        _externalBindingScanIntegration = null;
     }
-
-    return _externalBindingScanIntegration;
 }
 
 /**
- * Retrieves binding handler from BINDING_HANDLERS registry by type name.
- * 
- * @param {string} type - Binding type (e.g., 'text', 'value', 'click')
- * @returns {BindingHandler|null} Handler with bind() method, or null if not found
+ * Creates an effect scope.
+ *
+ * @param {boolean} [detached=false] - If true, the scope is not stopped with the active scope
+ * @returns {EffectScope}
  * @example
- * const handler = getBindingHandler('text');
- * // Returns: BINDING_HANDLERS.text
+ * const scope = Stitch.effectScope();
+ * scope.run(() => {
+ *     model.$watch('query', search);
+ *     Stitch.onScopeDispose(() => socket.close());
+ * });
+ * scope.stop(); // stops the watcher and closes the socket
  */
-function getBindingHandler(type) {
-    const external = resolveExternalBindingScanIntegration();
-    if (external) {
-        return external.getBindingHandler(type, BINDING_HANDLERS);
-    }
-    return BINDING_HANDLERS[type] || null;
+function effectScope(detached = false) {
+    return new EffectScope(detached);
 }
 
 /**
- * Scans element attributes to find data-* bindings that correspond to registered handlers.
- * Filters out non-binding data-* attributes (like data-template, data-default-text).
- * 
- * @param {HTMLElement} element - Element to scan for binding attributes
- * @returns {Array<Object>} Array of binding objects [{type, path, attributeName}]
- * @example
- * // Single binding
- * // HTML: <div data-text="message"></div>
- * const bindings = scanCustomAttributes(divEl);
- * // Returns: [{ type: 'text', path: 'message', attributeName: 'data-text' }]
- * 
- * @example
- * // Multiple bindings
- * // HTML: <input data-value="count" data-enabled="isActive">
- * const bindings = scanCustomAttributes(inputEl);
- * // Returns: [
- * //   { type: 'value', path: 'count', attributeName: 'data-value' },
- * //   { type: 'enabled', path: 'isActive', attributeName: 'data-enabled' }
- * // ]
+ * @returns {EffectScope|null} The scope currently running, if any
  */
-function scanCustomAttributes(element) {
-    const external = resolveExternalBindingScanIntegration();
-    if (external) {
-        return external.scanCustomAttributes(element, BINDING_HANDLERS);
-    }
-    const bindings = [];
-    for (const attr of element.attributes) {
-        if (attr.name.startsWith("data-")) {
-            const type = attr.name.substring(5);
-            const handler = getBindingHandler(type);
-            if (handler) {
-                bindings.push({
-                    type: type,
-                    path: attr.value,
-                    attributeName: attr.name
-                });
-            }
-        }
+function getCurrentScope() {
+    return activeScope;
+}
+
+/**
+ * Makes `scope` the active scope and returns the previous one.
+ * Used by effect runners so effects created during a re-run join the owner's scope.
+ *
+ * @param {EffectScope|null} scope
+ * @returns {EffectScope|null}
+ */
+function setCurrentScope(scope) {
+    const previousScope = activeScope;
+    activeScope = scope;
+    return previousScope;
+}
+
+/**
+ * Registers a callback that runs when the active scope stops.
+ *
+ * @param {Function} fn
+ */
+function onScopeDispose(fn) {
+    if (activeScope) {
+        activeScope.cleanups.push(fn);
+    } else {
+        console.warn(`[Stitch.js ${Version}] onScopeDispose() was called outside of an effect scope and will never run.`);
     }
-    return bindings;
 }
 
-    return {
-        validateBinding,
-        BINDING_HANDLERS,
-        getBindingHandler,
-        scanCustomAttributes,
-        resolveExternalBindingScanIntegration
-    };
+/**
+ * Records a stoppable effect or computed on a scope (the active scope by default).
+ *
+ * @param {{stop: Function}} effect
+ * @param {EffectScope|null} [scope=activeScope]
+ * @returns {EffectScope|null} The scope the effect was recorded on
+ */
+function recordEffectScope(effect, scope = activeScope) {
+    if (scope && scope.active) {
+        scope.effects.add(effect);
+        return scope;
+    }
+    return null;
 }
 
 module.exports = {
-    createBindingRuntime
+    EffectScope,
+    effectScope,
+    getCurrentScope,
+    setCurrentScope,
+    onScopeDispose,
+    recordEffectScope
 };
 
   };
-  __stitchModuleFactories[5] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[22] = function(module, exports, __stitchRequire){
 "use strict";
 
 /**
- * Retrieves a binding handler by type from a handlers registry.
- *
- * @param {string} type
- * @param {Object} handlers
- * @returns {Object|null}
+ * Central reporting for errors thrown by effects, computeds, change handlers,
+ * bindings and reactive-system listeners. Callers catch the error where it happens (so the remaining dependents
+ * still run) and hand it to handleError().
  */
-function getBindingHandler(type, handlers) {
-    return handlers[type] || null;
-}
+
+const { config } = __stitchRequire(20);
+
+const Version = "v2.1.0";
 
 /**
- * Scans element attributes and returns recognized data-* bindings.
+ * Reports an isolated error. Binding effects carry their binding (see
+ * ReactiveSystem.withBinding()); its element is added to the info and its
+ * onError callback (error boundaries) is notified.
  *
- * @param {HTMLElement} element
- * @param {Object} handlers
- * @returns {Array<{type: string, path: string, attributeName: string}>}
+ * @param {*} error
+ * @param {Object} [info]
+ * @param {Function} [info.effect] - Effect (or computed) that threw
+ * @param {Object} [info.target] - Reactive object whose change was being propagated
+ * @param {string} [info.key] - Changed property
+ * @param {Element} [info.element] - Bound element
+ * @param {string} [info.source] - What failed when it is not an effect or binding (e.g. "mutation listener")
+ * @param {{type: string, path: string, element: Element, onError?: Function}} [info.binding]
  */
-function scanCustomAttributes(element, handlers) {
-    const bindings = [];
-    for (const attr of element.attributes) {
-        if (attr.name.startsWith("data-")) {
-            const type = attr.name.substring(5);
-            const handler = getBindingHandler(type, handlers);
-            if (handler) {
-                bindings.push({
-                    type: type,
-                    path: attr.value,
-                    attributeName: attr.name
-                });
-            }
+function handleError(error, info = {}) {
+    const binding = info.binding || (info.effect && info.effect.binding) || null;
+    const context = {
+        effect: info.effect || null,
+        target: info.target || null,
+        key: info.key === undefined ? null : info.key,
+        element: info.element || (binding && binding.element) || null,
+        source: info.source || null
+    };
+
+    if (binding && typeof binding.onError === "function") {
+        try {
+            binding.onError(error, context);
+        } catch (boundaryError) {
+            console.error(`[Stitch.js ${Version}] Error boundary failed:`, boundaryError);
         }
     }
-    return bindings;
-}
 
-/**
- * Creates bound helper functions for a specific handlers registry.
- *
- * @param {Object} handlers
- * @returns {{getBindingHandler: Function, scanCustomAttributes: Function}}
- */
-function createBindingScanner(handlers) {
-    return {
-        getBindingHandler(type) {
-            return getBindingHandler(type, handlers);
-        },
-        scanCustomAttributes(element) {
-            return scanCustomAttributes(element, handlers);
+    if (typeof config.errorHandler === "function") {
+        try {
+            config.errorHandler(error, context);
+            return;
+        } catch (handlerError) {
+            console.error(`[Stitch.js ${Version}] errorHandler threw:`, handlerError);
         }
-    };
+    }
+    const where = binding ? ` in data-${binding.type}="${binding.path}"`
+        : context.source ? ` in ${context.source}${context.key !== null ? ` for "${String(context.key)}"` : ""}`
+        : context.key !== null ? ` while updating "${String(context.key)}"` : "";
+    console.error(`[Stitch.js ${Version}] Error${where}:`, error);
 }
 
 module.exports = {
-    getBindingHandler,
-    scanCustomAttributes,
-    createBindingScanner
+    handleError
 };
 
   };
-  __stitchModuleFactories[6] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[23] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { NOOP_DEBUG } = __stitchRequire(16);
+const { NOOP_DEBUG } = __stitchRequire(28);
 
-function createDataBinderClass(deps = {}) {
-    const Version = deps.version || "v2.1.0";
-    const StitchDebug = deps.debug || NOOP_DEBUG;
-    const getProperty = deps.getProperty;
-    const getBindingHandler = deps.getBindingHandler;
-    const scanCustomAttributes = deps.scanCustomAttributes;
-    const BINDING_HANDLERS = deps.bindingHandlers || Object.create(null);
-class DataBinder {
-    /**
-     * Creates a new DataBinder instance.
-     * 
-     * @param {Object} [hooks={}] - Optional lifecycle hooks
-     * @param {Function} [hooks.onBind] - Called when element bound
-     * @param {Function} [hooks.onChange] - Called when property changes
-     * @param {Object} [hooks.properties] - Property-specific hooks
-     */
-    constructor(hooks = {}) {
-        /** @type {Set<HTMLElement>} Bound elements tracking */
-        this.boundElements = new Set;
-        /** @type {Object} Lifecycle hooks */
-        this.hooks = this.createHooks(hooks);
-        /** @type {Map<HTMLElement, Set<Function>>} Cleanup functions per element for unbind */
-        this._elementCleanups = new Map();
-        /** @type {boolean} Whether binder has been disposed */
-        this._disposed = false;
+class MessageBus {
+    constructor(options = {}) {
+        this.version = options.version || "v2.1.0";
+        this.debug = options.debug || NOOP_DEBUG;
+        this.subscribers = new Map();
+        this.queue = [];
+        this.isFlushing = false;
+        this.middleware = [];
+        this.flushDepth = 0;
+        this.MAX_FLUSH_DEPTH = 100;
     }
 
-    /**
-     * Binds DOM element (and children) to reactive view model.
-     * 
-     * @param {string|HTMLElement} element - CSS selector or HTMLElement
-     * @param {Object} viewModel - Reactive view model (must be from Observable.create())
-     * @throws {Error} If viewModel not reactive or element invalid
-     * @example
-     * const model = Stitch.Observable.create({ count: 0 });
-     * binder.bind('#app', model);
-     */
-    bind(element, viewModel) {
-        if (typeof element === "string") {
-            element = document.querySelector(element);
+    subscribe(event, callback) {
+        if (!this.subscribers.has(event)) {
+            this.subscribers.set(event, new Set());
+        }
+        this.subscribers.get(event).add(callback);
+        this.debug.enabled && this.debug.log("messageBus", `Subscribed to event: "${event}"`, {
+            subscriberCount: this.subscribers.get(event).size
+        });
+        return () => this.unsubscribe(event, callback);
+    }
+
+    unsubscribe(event, callback) {
+        const subscribers = this.subscribers.get(event);
+        if (subscribers) {
+            subscribers.delete(callback);
+        }
+    }
+
+    publish(event, payload) {
+        this.queue.push({
+            event,
+            payload,
+            timestamp: Date.now()
+        });
+        this.debug.enabled && this.debug.log("messageBus", `Published event: "${event}" (queued)`, {
+            payload,
+            queueLength: this.queue.length
+        });
+        if (!this.isFlushing) {
+            Promise.resolve().then(() => this.flush());
+        }
+    }
+
+    publishSync(event, payload) {
+        this._executeEvent({
+            event,
+            payload,
+            timestamp: Date.now()
+        });
+    }
+
+    flush() {
+        if (this.isFlushing || this.queue.length === 0) return;
+        if (this.flushDepth >= this.MAX_FLUSH_DEPTH) {
+            console.error(
+                `[Stitch.js ${this.version} MessageBus] Maximum flush depth (${this.MAX_FLUSH_DEPTH}) exceeded.\n` +
+                "Possible infinite loop detected. Event queue has been cleared."
+            );
+            this.flushDepth = 0;
+            this.queue = [];
+            return;
+        }
+
+        this.isFlushing = true;
+        this.flushDepth++;
+        const eventsToProcess = [...this.queue];
+        this.queue = [];
+
+        this.debug.enabled && this.debug.group("messageBus", `Flushing Message Bus (${eventsToProcess.length} events, depth: ${this.flushDepth})`);
+        eventsToProcess.forEach((eventData) => {
+            this._executeEvent(eventData);
+        });
+        this.debug.enabled && this.debug.groupEnd("messageBus");
+
+        this.isFlushing = false;
+        if (this.queue.length > 0) {
+            this.debug.enabled && this.debug.log(
+                "messageBus",
+                `New events queued during flush (${this.queue.length}), scheduling next flush (depth: ${this.flushDepth})`
+            );
+            if (this.flushDepth > 5) {
+                console.warn(`[Stitch.js ${this.version} MessageBus] Flush depth > 5. Queued events:`, this.queue.map((e) => e.event).join(", "));
+            }
+            Promise.resolve().then(() => this.flush());
+        } else {
+            this.flushDepth = 0;
         }
-        if (!element || !viewModel) {
-            throw new Error("Invalid element or viewModel");
+    }
+
+    _executeEvent(eventData) {
+        let processedData = eventData;
+        for (const middlewareFn of this.middleware) {
+            processedData = middlewareFn(processedData) || processedData;
         }
-        if (!viewModel._factory || !viewModel._factory.reactiveSystem) {
-            throw new Error(`Stitch.js ${Version}: viewModel must be created with Observable.create() to have a _factory property`);
+
+        const event = processedData.event;
+        const payload = processedData.payload;
+        const subscribers = this.subscribers.get(event);
+
+        this.debug.enabled && this.debug.log("messageBus", `Executing event: "${event}"`, {
+            payload,
+            subscriberCount: subscribers ? subscribers.size : 0
+        });
+
+        if (subscribers) {
+            subscribers.forEach((callback) => {
+                try {
+                    callback(payload);
+                } catch (error) {
+                    console.error(`[Stitch.js ${this.version} MessageBus] Error in subscriber for event "${event}":`, error);
+                }
+            });
         }
-        this.reactiveSystem = viewModel._factory.reactiveSystem;
 
-        // Global onChange hook: subscribe once per root bind and route model change events.
-        if (typeof this.hooks.onChange === "function") {
-            const onChangeHandler = change => {
+        const wildcardSubscribers = this.subscribers.get("*");
+        if (wildcardSubscribers) {
+            wildcardSubscribers.forEach((callback) => {
                 try {
-                    this.hooks.onChange.call(this, change, viewModel, element);
+                    callback({ event, payload });
                 } catch (error) {
-                    console.warn(`[Stitch.js ${Version}] DataBinder onChange hook error:`, error);
+                    console.error(`[Stitch.js ${this.version} MessageBus] Error in wildcard subscriber:`, error);
                 }
-            };
-            viewModel.on(onChangeHandler);
-            this._trackCleanup(element, () => viewModel.off(onChangeHandler));
+            });
         }
+    }
 
-        this._bindElement(element, viewModel, []);
+    use(middlewareFn) {
+        this.middleware.push(middlewareFn);
     }
 
-    /**
-     * Creates hooks object with defaults.
-     * @private
-     */
-    createHooks(userHooks = {}) {
-        return {
-            onBind: userHooks.onBind || null,
-            onChange: userHooks.onChange || null,
-            properties: userHooks.properties || {}
-        };
+    clear() {
+        this.queue = [];
     }
+}
 
-    /**
-     * Recursively binds element and its children with boundary awareness.
-     * Stops traversal at binding boundaries (foreach, component, portal).
-     *
-     * @private
-     * @param {HTMLElement} element - Element to bind
-     * @param {Object} context - Binding context
-     * @param {string} contextPath - Current path in view model
-     */
-    _bindElement(element, context, contextPath) {
-        // Process this element's bindings
-        this._processBindings(element, context, contextPath);
+module.exports = {
+    MessageBus,
+    NOOP_DEBUG
+};
 
-        // Check if this element creates a binding boundary
-        // Boundary handlers (foreach, component) are responsible for binding their own children
-        if (this._isBindingBoundary(element)) {
-            return; // Stop here - boundary handler manages descendants
-        }
+  };
+  __stitchModuleFactories[24] = function(module, exports, __stitchRequire){
+"use strict";
 
-        // Recursively process direct children only (tree-walking)
-        // Using element.children instead of querySelectorAll ensures we traverse
-        // AFTER parent bindings execute, allowing boundaries to be respected
-        Array.from(element.children).forEach(child => {
-            this._bindElement(child, context, contextPath);
-        });
-    }
+const { MessageBus, NOOP_DEBUG } = __stitchRequire(23);
+const { BatchScheduler } = __stitchRequire(18);
+const { recordEffectScope, setCurrentScope } = __stitchRequire(21);
+const { handleError } = __stitchRequire(22);
 
-    /**
-     * Checks if element creates a binding boundary.
-     * Boundary bindings manage their own children and prevent parent binding traversal.
-     *
-     * @private
-     * @param {HTMLElement} element - Element to check
-     * @returns {boolean} true if element creates a binding boundary
-     */
-    _isBindingBoundary(element) {
-        // foreach boundaries: manage their own child rendering
-        if (element.hasAttribute("data-foreach")) {
-            StitchDebug.enabled && StitchDebug.log("bindings", "Stopped at binding boundary: " + element.tagName);
-            return true;
-        }
+/**
+ * Merges a deferred notification into `groups` (owner -> key -> notification),
+ * keeping the first old value and the last new value.
+ */
+function coalesce(groups, owner, key, notification) {
+    let keys = groups.get(owner);
+    if (!keys) {
+        keys = new Map();
+        groups.set(owner, keys);
+    }
+    const pending = keys.get(key);
+    if (pending) {
+        keys.set(key, Object.assign({}, notification, { oldValue: pending.oldValue }));
+    } else {
+        keys.set(key, notification);
+    }
+}
 
-        // Future boundary types can be added here:
-        // if (element.hasAttribute("data-component")) return true;
-        // if (element.hasAttribute("data-portal")) return true;
-        // if (element.hasAttribute("data-if")) return true;
+class ReactiveSystem {
+    constructor(bubbleChangeUp = null, options = {}) {
+        this.version = options.version || "v2.1.0";
+        this.debug = options.debug || NOOP_DEBUG;
+        this.effects = new Set();
+        this.effectStack = [];
+        this.depsMap = new WeakMap();
+        /** @type {WeakMap<Array, Set<Function>>} Reactive array proxy -> synchronous patch listeners */
+        this.arrayPatchListeners = new WeakMap();
+        /** @type {WeakMap<Object, Set<Function>>} Raw reactive target -> mutation listeners */
+        this.mutationListeners = new WeakMap();
+        this.mutationListenerCount = 0;
+        /** Depth of nested batch() calls; synchronous effects and change handlers are deferred while > 0 */
+        this.batchDepth = 0;
+        this._deferredEffects = new Set();
+        /**
+         * One frame per open batch(): undo entries and notifications deferred to the end
+         * of the outermost batch. A null frame marks a rollback in progress.
+         * @type {Array<{undo: Function[], notifications: Object[]}|null>}
+         */
+        this._batchFrames = [];
+        /** @type {Set<Function>} Called with the frame of each batch() that is rolled back (see onRollback()) */
+        this._rollbackListeners = new Set();
+        /**
+         * Notifications of committed outermost batches, delivered by the next flush. Appended to,
+         * not replaced: an effect run by a flush may commit its own batch before the handlers run.
+         * @type {Object[]}
+         */
+        this._committedNotifications = [];
+        /** @type {{type: string, path: string, element: Element}|null} Binding being set up (see withBinding()) */
+        this.activeBinding = null;
 
-        return false;
-    }
+        const BatchSchedulerCtor = options.BatchScheduler || BatchScheduler;
+        const MessageBusCtor = options.MessageBus || MessageBus;
 
-    /**
-     * Scans and applies bindings to single element.
-     * Prevents duplicate binding.
-     * @private
-     */
-    _processBindings(element, context, contextPath) {
-        if (this.boundElements.has(element)) {
-            return;
-        }
-        const customBindings = scanCustomAttributes(element);
-        if (customBindings.length > 0) {
-            customBindings.forEach(binding => {
-                this._applyTypedBinding(element, context, binding.type, binding.path, contextPath);
-            });
-            this.boundElements.add(element);
+        this.batchScheduler = new BatchSchedulerCtor({
+            version: this.version,
+            debug: this.debug
+        });
+        this.messageBus = new MessageBusCtor({
+            version: this.version,
+            debug: this.debug
+        });
+        this.bubbleChangeUp = bubbleChangeUp;
 
-            if (typeof this.hooks.onBind === "function") {
-                try {
-                    this.hooks.onBind.call(this, element, context, customBindings);
-                } catch (error) {
-                    console.warn(`[Stitch.js ${Version}] DataBinder onBind hook error:`, error);
-                }
+        this.messageBus.subscribe("nested-change", (payload) => {
+            const parent = payload.parent;
+            const fullPath = payload.fullPath;
+            const oldValue = payload.oldValue;
+            const newValue = payload.newValue;
+            if (parent._changeHandlers && parent._changeHandlers.size > 0) {
+                parent._changeHandlers.forEach((handler) => {
+                    try {
+                        handler({
+                            field: fullPath,
+                            oldValue,
+                            newValue,
+                            target: parent,
+                            nestedChange: true
+                        });
+                    } catch (error) {
+                        handleError(error, { target: parent, key: fullPath });
+                    }
+                });
             }
-        }
-    }
+        });
 
-    /**
-     * Delegates to binding handler from registry using Strategy Pattern.
-     * Checks for property-specific hooks before applying default binding.
-     * @private
-     */
-    _applyTypedBinding(element, viewModel, type, path, contextPath = []) {
-        // Construct full path from context
-        const fullPath = contextPath.length > 0 ? `${contextPath.join('.')}.${path}` : path;
+        this.messageBus.subscribe("array-mutation", (payload) => {
+            const target = payload.target;
+            const method = payload.method;
+            const args = payload.args;
+            const patches = payload.patches;
+            const oldLength = payload.oldLength;
+            const newLength = payload.newLength;
 
-        StitchDebug.enabled && StitchDebug.log("bindings", `_applyTypedBinding called: type="${type}", path="${path}", fullPath="${fullPath}"`, {
-            element: element.tagName
+            if (target._changeHandlers) {
+                target._changeHandlers.forEach((handler) => {
+                    try {
+                        handler({
+                            field: "items",
+                            action: method,
+                            args,
+                            patches,
+                            target
+                        });
+                    } catch (error) {
+                        handleError(error, { target, key: "items" });
+                    }
+                });
+            }
+
+            if (this.bubbleChangeUp) {
+                this.bubbleChangeUp(target, "items", oldLength, newLength);
+            }
         });
+    }
 
-        // Check for property-specific hooks
-        // Try property name first, then full path (matches historical behavior)
-        const propertyName = path.split('.').pop();
-        const propertyHooks = this.hooks.properties[propertyName] || this.hooks.properties[fullPath] || this.hooks.properties[path];
+    get currentEffect() {
+        return this.effectStack[this.effectStack.length - 1] || null;
+    }
 
-        // Get initial value for hook
-        const value = getProperty(viewModel, path);
+    _getObjectId(obj) {
+        if (!obj) return "null";
+        return obj.__stitchId || obj.constructor?.name || "unknown";
+    }
 
-        // If onBind hook exists, call it instead of default binding
-        if (propertyHooks && propertyHooks.onBind) {
-            StitchDebug.enabled && StitchDebug.log("bindings", `  → Using property hook onBind for "${fullPath}"`, {
-                propertyName: propertyName,
-                hasOnChange: !!propertyHooks.onChange
-            });
+    track(target, key) {
+        const currentEffect = this.currentEffect;
 
-            // Create binding object for hook (matches historical signature)
-            const binding = { type, path, attributeName: `data-${type}` };
+        if (!currentEffect) {
+            this.debug.enabled && this.debug.log("reactivity", `TRACK SKIPPED (no current effect): ${this._getObjectId(target)}.${String(key)}`);
+            return;
+        }
 
-            // Call onBind hook with DataBinder as 'this'
-            propertyHooks.onBind.call(this, element, value, binding, fullPath);
-        } else {
-            // No onBind hook, use default binding handler
-            const handler = getBindingHandler(type);
-            if (handler) {
-                const context = {
-                    reactiveSystem: this.reactiveSystem,
-                    binder: this
-                };
-                handler.bind(element, viewModel, path, context);
-            } else {
-                console.warn(`[Stitch.js ${Version}] Unknown binding type: ${type}`);
-            }
+        let deps = this.depsMap.get(target);
+        if (!deps) {
+            deps = new Map();
+            this.depsMap.set(target, deps);
         }
 
-        // Set up onChange hook if it exists (always, even if onBind exists)
-        if (propertyHooks && propertyHooks.onChange) {
-            StitchDebug.enabled && StitchDebug.log("bindings", `  → Setting up onChange reactive effect for "${fullPath}"`);
+        let dep = deps.get(key);
+        if (!dep) {
+            dep = new Set();
+            deps.set(key, dep);
+        }
 
-            // Create binding object for hook
-            const binding = { type, path, attributeName: `data-${type}` };
+        dep.add(currentEffect);
+        if (currentEffect.deps) {
+            currentEffect.deps.add(dep);
+        }
 
-            // Track old value for onChange callback
-            let oldValue = value;
+        this.debug.enabled && this.debug.log("reactivity", `TRACK: ${this._getObjectId(target)}.${String(key)} -> ${currentEffect.id || "unknown"}`, {
+            effectId: currentEffect.id,
+            isComputed: !!currentEffect.isComputedRef,
+            dependencyCount: dep.size
+        });
+    }
 
-            const eff = this.reactiveSystem.effect(() => {
-                const newValue = getProperty(viewModel, path);
+    trigger(target, key, oldValue, newValue) {
+        const deps = this.depsMap.get(target);
+        const dep = deps?.get(key);
 
-                // Call onChange hook with DataBinder as 'this'
-                propertyHooks.onChange.call(this, element, newValue, oldValue, binding, fullPath);
+        if (!dep || dep.size === 0) {
+            this.debug.enabled && this.debug.log("reactivity", `TRIGGER SKIPPED (no deps): ${this._getObjectId(target)}.${String(key)}`);
+        } else {
+            this.debug.enabled && this.debug.log("reactivity", `TRIGGER: ${this._getObjectId(target)}.${String(key)} (${dep.size} dependents)`, {
+                oldValue,
+                newValue
+            });
 
-                // Update oldValue for next change
-                oldValue = newValue;
+            const effectsToRun = new Set(dep);
+            effectsToRun.forEach((dependent) => {
+                // A throwing dependent must not keep the others from updating
+                try {
+                    if (dependent.isComputedRef) {
+                        dependent.markDirty();
+                    } else {
+                        this.scheduleEffect(dependent);
+                    }
+                } catch (error) {
+                    handleError(error, { effect: dependent, target, key });
+                }
             });
-            this._trackCleanup(element, () => this.reactiveSystem.cleanup(eff));
         }
-    }
 
-    /**
-     * Extracts template for foreach binding.
-     * Supports inline or external (data-template).
-     * @private
-     */
-    _getTemplateSource(element) {
-        const templateId = element.getAttribute("data-template");
-        const useExternalTemplate = !!templateId;
-        if (useExternalTemplate) {
-            const templateElement = document.getElementById(templateId);
-            if (!templateElement) {
-                throw new Error(`Template '${templateId}' not found. Ensure <template id="${templateId}"> exists.`);
-            }
-            if (templateElement.tagName !== "TEMPLATE") {
-                throw new Error(`Element '${templateId}' must be a <template> element, got <${templateElement.tagName.toLowerCase()}>.`);
-            }
-            const templateContent = templateElement.content.firstElementChild;
-            if (!templateContent) {
-                throw new Error(`Template '${templateId}' is empty. Add at least one child element inside <template>.`);
+        if (target._changeHandlers && target._changeHandlers.size > 0) {
+            if (this.batchDepth > 0) {
+                this._deferNotification({ type: "change", target, key, oldValue, newValue });
+            } else {
+                this._callChangeHandlers(target, key, oldValue, newValue);
             }
-            return templateContent.outerHTML;
-        } else {
-            return element.innerHTML;
         }
     }
 
     /**
-     * Removes element from tracking (does NOT clean up effects).
+     * Publishes an internal change event ("nested-change" / "array-mutation") on the
+     * message bus, or defers it to the end of the current batch().
      *
-     * @param {string|HTMLElement} element - CSS selector or HTMLElement
+     * @param {string} event
+     * @param {Object} payload
      */
-    unbind(element) {
-        if (typeof element === "string") {
-            element = document.querySelector(element);
-        }
-        if (element) {
-            // 1. Remove from bound set
-            if (this.boundElements.has(element)) {
-                this.boundElements.delete(element);
-            }
-            
-            // 2. Run cleanups
-            const cleanups = this._elementCleanups.get(element);
-            if (cleanups) {
-                cleanups.forEach(fn => {
-                    try { fn(); } catch(e) { console.error(e); }
-                });
-                this._elementCleanups.delete(element);
-            }
+    publishChange(event, payload) {
+        if (this.batchDepth > 0) {
+            this._deferNotification({ type: "event", event, payload });
+        } else {
+            this.messageBus.publish(event, payload);
         }
     }
 
-    /**
-     * Registers a cleanup function for disposal.
-     * @private
-     * @param {HTMLElement} element - Element associated with cleanup
-     * @param {Function} cleanupFn - Function to call during dispose
-     */
-    _trackCleanup(element, cleanupFn) {
-        if (!this._disposed) {
-            if (!this._elementCleanups.has(element)) {
-                this._elementCleanups.set(element, new Set());
+    _callChangeHandlers(target, key, oldValue, newValue) {
+        target._changeHandlers.forEach((handler) => {
+            try {
+                handler({
+                    field: key,
+                    oldValue,
+                    newValue,
+                    target
+                });
+            } catch (error) {
+                handleError(error, { target, key });
             }
-            this._elementCleanups.get(element).add(cleanupFn);
-        }
-    }
-
-    /**
-     * Disposes the binder, cleaning up all effects and event listeners.
-     * Call this when unmounting a Stitch-bound section in SPA context.
-     *
-     * @example
-     * // In SPA unmount lifecycle
-     * binder.dispose();
-     */
-    dispose() {
-        if (this._disposed) return;
-        this._disposed = true;
-
-        // Run all cleanup functions (effects + event listeners)
-        this._elementCleanups.forEach(cleanups => {
-            cleanups.forEach(fn => {
-                try { fn(); } catch(e) { console.warn(`[Stitch.js ${Version}] dispose cleanup error:`, e); }
-            });
         });
-        this._elementCleanups.clear();
-        this.boundElements.clear();
-        this.reactiveSystem = null;
-
-        StitchDebug.enabled && StitchDebug.log("bindings", "DataBinder disposed");
     }
-}
 
-/**
- * Registers a custom binding handler (PUBLIC API).
- * Extends framework without modifying core code.
- * 
- * @static
- * @param {string} name - Binding name (e.g., 'tooltip' for data-tooltip)
- * @param {BindingHandler} handler - Handler object with bind() method
- * @throws {Error} If name not string or handler missing bind() method
- * @example
- * Stitch.DataBinder.registerBinding('tooltip', {
- *     bind(element, viewModel, path, context) {
- *         context.reactiveSystem.effect(() => {
- *             const value = getProperty(viewModel, path);
- *             element.setAttribute('title', value || '');
- *         });
- *     }
- * });
- * // Usage: <button data-tooltip="helpText">Help</button>
- */
-DataBinder.registerBinding = function (name, handler) {
-    if (typeof name !== "string") {
-        throw new Error(`[Stitch.js ${Version}] registerBinding: name must be a string`);
-    }
-    if (!handler || typeof handler.bind !== "function") {
-        throw new Error(`[Stitch.js ${Version}] registerBinding: handler must have a bind() method`);
-    }
-    if (BINDING_HANDLERS[name]) {
-        console.warn(`[Stitch.js ${Version}] registerBinding: Overriding existing handler "${name}"`);
+    _deferNotification(notification) {
+        const frame = this._batchFrames[this._batchFrames.length - 1];
+        // Notifications of changes made while rolling back are dropped with the changes they revert
+        if (frame) {
+            frame.notifications.push(notification);
+        }
     }
-    BINDING_HANDLERS[name] = handler;
-};
-    return DataBinder;
-}
-
-module.exports = {
-    createDataBinderClass
-};
-
-  };
-  __stitchModuleFactories[7] = function(module, exports, __stitchRequire){
-"use strict";
-
-/**
- * Orchestrates foreach binding lifecycle:
- * - validate binding path
- * - resolve template + rendering delegate
- * - install reactive effect
- * - track cleanup
- *
- * @param {HTMLElement} element
- * @param {Object} viewModel
- * @param {string} path
- * @param {Object} context
- * @param {Object} deps
- * @param {Function} deps.validateBinding
- * @param {Function} deps.getProperty
- * @param {Function} deps.getRenderingDelegate
- * @param {Object} deps.foreachRenderingDelegates
- * @returns {*}
- */
-function bindForeach(element, viewModel, path, context, deps) {
-    deps.validateBinding(viewModel, path, "foreach", element);
-
-    const templateSource = context.binder._getTemplateSource(element);
-    const delegate = deps.getRenderingDelegate(element, deps.foreachRenderingDelegates);
-    const config = delegate.prepareConfig(element, templateSource);
 
-    element.innerHTML = "";
-
-    const eff = context.reactiveSystem.effect(() => {
-        const items = deps.getProperty(viewModel, path);
-        delegate.render(element, items, config, context.binder, viewModel, path);
-    }, { batch: true });
-
-    context.binder._trackCleanup(element, () => context.reactiveSystem.cleanup(eff));
-    return eff;
-}
+    effect(fn, options = {}) {
+        const effectId = Math.random().toString(36).substr(2, 9);
 
-/**
- * Builds a foreach binding handler compatible with BINDING_HANDLERS contract.
- *
- * @param {Object} deps
- * @returns {{bind: Function}}
- */
-function createForeachBindingHandler(deps) {
-    return {
-        bind(element, viewModel, path, context) {
-            return bindForeach(element, viewModel, path, context, deps);
-        }
-    };
-}
+        const effect = () => {
+            if (!effect.active) {
+                return undefined;
+            }
+            this.cleanup(effect);
+            this.effectStack.push(effect);
+            // Effects created during a re-run belong to the scope this effect was created in
+            const previousScope = setCurrentScope(effect.scope);
 
-module.exports = {
-    bindForeach,
-    createForeachBindingHandler
-};
+            this.debug.enabled && this.debug.log("effects", `EFFECT RUNNING (id: ${effectId})`, {
+                stackDepth: this.effectStack.length,
+                batch: !!options.batch
+            });
 
-  };
-  __stitchModuleFactories[8] = function(module, exports, __stitchRequire){
-"use strict";
+            try {
+                return fn();
+            } finally {
+                setCurrentScope(previousScope);
+                this.effectStack.pop();
+            }
+        };
 
-/**
- * Standard item rendering with full re-render on every change.
- *
- * @param {HTMLElement} element
- * @param {Array} items
- * @param {string} templateSource
- * @param {Object} binder
- * @param {Object} viewModel
- * @param {Object} deps
- * @param {Function} deps.createItemContext
- * @param {Function} deps.createTemplateElement
- */
-function renderItemsStandard(element, items, templateSource, binder, viewModel, deps) {
-    const containerTag = element.tagName.toLowerCase();
-    items.forEach((item, index) => {
-        const itemContext = deps.createItemContext(item, index, viewModel);
-        const templateEl = deps.createTemplateElement(templateSource, containerTag);
-        binder._bindElement(templateEl, itemContext, []);
-        element.appendChild(templateEl);
-    });
-}
+        effect.deps = new Set();
+        effect.options = options;
+        effect.id = effectId;
+        effect.active = true;
+        effect.stop = () => this.stop(effect);
+        effect.scope = recordEffectScope(effect);
+        effect.binding = this.activeBinding;
 
-/**
- * Smart item rendering with DOM reconciliation.
- *
- * @param {HTMLElement} element
- * @param {Array} items
- * @param {string} templateSource
- * @param {Object} binder
- * @param {Object} viewModel
- * @param {Object} deps
- * @param {Function} deps.reconcileRows
- * @param {Function} deps.createItemContext
- * @param {Object} deps.stitchDebug
- */
-function renderItemsSmart(element, items, templateSource, binder, viewModel, deps) {
-    const containerTag = element.tagName.toLowerCase();
-    const stitchDebug = deps.stitchDebug;
+        this.debug.enabled && this.debug.log("effects", `EFFECT CREATED (id: ${effectId})`, {
+            lazy: !!options.lazy,
+            batch: !!options.batch
+        });
 
-    if (stitchDebug && stitchDebug.enabled && items.length > 0 && typeof items[0] === "object" && items[0] !== null) {
-        const firstItem = items[0];
-        if (!firstItem.hasOwnProperty("id") && !firstItem.hasOwnProperty("key")) {
-            stitchDebug.log("warnings", `Performance Warning: foreach items in <${containerTag}> are objects but missing 'id' or 'key' property.`, {
-                element: element,
-                hint: "Add an 'id' or 'key' property to your items to enable smart DOM reconciliation."
-            });
+        if (!options.lazy) {
+            effect();
         }
+
+        return effect;
     }
 
-    const rows = deps.reconcileRows(element, items, templateSource, containerTag);
-    items.forEach((item, index) => {
-        const row = rows[index];
-        const itemContext = deps.createItemContext(item, index, viewModel);
-        if (!row._stitchItemContext) {
-            binder._bindElement(row, itemContext, []);
-            row._stitchItemContext = itemContext;
+    /**
+     * Runs a triggered effect: batched effects are queued on the BatchScheduler,
+     * synchronous effects run now, or at the end of the outermost batch().
+     *
+     * @param {Function} effect
+     */
+    scheduleEffect(effect) {
+        if (effect.options && effect.options.batch) {
+            this.batchScheduler.queue(effect);
+        } else if (this.batchDepth > 0) {
+            this._deferredEffects.add(effect);
         } else {
-            row._stitchItemContext = itemContext;
-            row._stitchItemContext.$index = index;
+            effect();
         }
-    });
-}
-
-/**
- * Builds foreach rendering delegates with injected dependencies.
- *
- * @param {Object} deps
- * @param {Object} [deps.stitchDebug]
- * @param {Function} deps.getProperty
- * @param {Function} deps.getValueValidator
- * @param {Function} deps.createItemContext
- * @param {Function} deps.createTemplateElement
- * @param {Function} deps.reconcileRows
- * @param {Document} [deps.doc]
- * @returns {Object}
- */
-function createRenderingDelegates(deps) {
-    const stitchDebug = deps.stitchDebug || { enabled: false, log: function () {} };
-    const getProperty = deps.getProperty;
-    const getValueValidator = deps.getValueValidator;
-    const doc = deps.doc || (typeof document !== "undefined" ? document : null);
+    }
 
-    const renderStandard = function (element, items, templateSource, binder, viewModel) {
-        return renderItemsStandard(element, items, templateSource, binder, viewModel, deps);
-    };
-    const renderSmart = function (element, items, templateSource, binder, viewModel) {
-        return renderItemsSmart(element, items, templateSource, binder, viewModel, {
-            reconcileRows: deps.reconcileRows,
-            createItemContext: deps.createItemContext,
-            stitchDebug
-        });
-    };
+    /**
+     * Runs fn with `binding` recorded on every effect it creates, so introspection
+     * (devtools.graph()) can tell binding effects and their elements apart.
+     *
+     * @param {{type: string, path: string, element: Element}} binding
+     * @param {Function} fn
+     * @returns {*} fn's return value
+     */
+    withBinding(binding, fn) {
+        const previousBinding = this.activeBinding;
+        this.activeBinding = binding;
+        try {
+            return fn();
+        } finally {
+            this.activeBinding = previousBinding;
+        }
+    }
 
-    const SELECT_RENDERING_DELEGATE = {
-        prepareConfig(element, templateSource) {
-            return {
-                templateSource: templateSource,
-                placeholderText: element.getAttribute("data-default-text"),
-                placeholderValue: element.getAttribute("data-default-value") || "",
-                hasPlaceholder: !!element.getAttribute("data-default-text")
-            };
-        },
-        render(element, items, config, binder, viewModel, path) {
-            if (stitchDebug.enabled && Array.isArray(items) && items.length > 100) {
-                stitchDebug.log("warnings", `Performance Warning: <select> with ${items.length} items triggers full re-render on every update.`, {
-                    element: element,
-                    hint: "Consider using a virtualization library or custom component for large dropdowns."
-                });
+    /**
+     * Runs fn as a transaction: synchronous effects (including sync $watch callbacks)
+     * and on() change handlers are deferred until the outermost batch ends, then run
+     * once (change handlers once per target/key). Computeds are still invalidated
+     * immediately. If fn throws, every change it made is reverted before the error
+     * is rethrown. Batches nest; an inner batch that throws only reverts its own changes.
+     *
+     * @param {Function} fn
+     * @returns {*} fn's return value
+     */
+    batch(fn) {
+        const frame = { undo: [], notifications: [] };
+        this.batchDepth++;
+        this._batchFrames.push(frame);
+        let failed = false;
+        try {
+            return fn();
+        } catch (error) {
+            failed = true;
+            this._rollback(frame.undo);
+            this._notifyRollback(frame);
+            throw error;
+        } finally {
+            this._batchFrames.pop();
+            const outerFrame = this._batchFrames[this._batchFrames.length - 1];
+            if (!failed) {
+                if (outerFrame) {
+                    outerFrame.undo.push(...frame.undo);
+                    outerFrame.notifications.push(...frame.notifications);
+                } else {
+                    this._committedNotifications.push(...frame.notifications);
+                }
+            }
+            this.batchDepth--;
+            if (this.batchDepth === 0) {
+                this._flushDeferredEffects();
             }
+        }
+    }
 
-            const valuePath = element.getAttribute("data-value");
-            const currentValue = valuePath ? getProperty(viewModel, valuePath) : element.value;
-            element.innerHTML = "";
+    /**
+     * True while a batch() is recording undo entries (see recordUndo()).
+     *
+     * @returns {boolean}
+     */
+    isRecordingUndo() {
+        return this._batchFrames.length > 0 && this._batchFrames[this._batchFrames.length - 1] !== null;
+    }
 
-            if (config.hasPlaceholder) {
-                if (!doc) {
-                    throw new Error("createRenderingDelegates requires a document instance for select placeholder rendering.");
-                }
-                const placeholderOpt = doc.createElement("option");
-                placeholderOpt.value = config.placeholderValue;
-                placeholderOpt.textContent = config.placeholderText;
-                element.appendChild(placeholderOpt);
-            }
+    /**
+     * True while a failed batch() is reverting its changes. Mutation listeners still
+     * receive the reverting writes; listeners that keep their own log of changes
+     * (history) ignore them and use onRollback() instead.
+     *
+     * @returns {boolean}
+     */
+    isRollingBack() {
+        return this._batchFrames.length > 0 && this._batchFrames[this._batchFrames.length - 1] === null;
+    }
 
-            if (Array.isArray(items)) {
-                renderStandard(element, items, config.templateSource, binder, viewModel);
+    /**
+     * Open batch() frames, outermost first. Frames identify a batch in onRollback().
+     *
+     * @returns {Object[]}
+     */
+    openBatchFrames() {
+        return this._batchFrames.filter(Boolean);
+    }
+
+    /**
+     * Subscribes to rollbacks: the listener is called with the frame of a batch()
+     * (see openBatchFrames()) after its changes were reverted.
+     *
+     * @param {Function} listener - Called with (frame)
+     * @returns {Function} Unsubscribe function
+     */
+    onRollback(listener) {
+        this._rollbackListeners.add(listener);
+        return () => this._rollbackListeners.delete(listener);
+    }
+
+    _notifyRollback(frame) {
+        Array.from(this._rollbackListeners).forEach((listener) => {
+            try {
+                listener(frame);
+            } catch (error) {
+                handleError(error, { source: "rollback listener" });
             }
+        });
+    }
 
-            if (currentValue !== undefined && currentValue !== null) {
-                if (valuePath) {
-                    const validator = getValueValidator(element);
-                    const validValue = validator.validate(element, currentValue, viewModel, valuePath, "render");
-                    if (validValue !== undefined) {
-                        element.value = validValue;
-                    }
-                } else if (config.hasPlaceholder) {
-                    element.value = config.placeholderValue;
+    /**
+     * Records how to revert a mutation made inside the current batch().
+     *
+     * @param {Function} undo
+     */
+    recordUndo(undo) {
+        if (this.isRecordingUndo()) {
+            this._batchFrames[this._batchFrames.length - 1].undo.push(undo);
+        }
+    }
+
+    _rollback(undoLog) {
+        // Reverting must not record undo entries or notifications into an outer batch
+        this._batchFrames.push(null);
+        try {
+            for (let i = undoLog.length - 1; i >= 0; i--) {
+                try {
+                    undoLog[i]();
+                } catch (error) {
+                    handleError(error, { source: "batch rollback" });
                 }
-            } else if (config.hasPlaceholder) {
-                element.value = config.placeholderValue;
             }
+        } finally {
+            this._batchFrames.pop();
         }
-    };
+    }
 
-    const LIST_RENDERING_DELEGATE = {
-        prepareConfig(element, templateSource) {
-            return {
-                templateSource: templateSource
-            };
-        },
-        render(element, items, config, binder, viewModel, path) {
-            if (Array.isArray(items)) {
-                renderSmart(element, items, config.templateSource, binder, viewModel);
-            } else {
-                element.innerHTML = "";
-            }
+    _flushDeferredEffects() {
+        while (this._deferredEffects.size > 0) {
+            const effectsToRun = Array.from(this._deferredEffects);
+            this._deferredEffects.clear();
+            effectsToRun.forEach((effect) => {
+                try {
+                    effect();
+                } catch (error) {
+                    handleError(error, { effect });
+                }
+            });
         }
-    };
 
-    const TABLE_RENDERING_DELEGATE = {
-        prepareConfig(element, templateSource) {
-            return {
-                templateSource: templateSource
-            };
-        },
-        render(element, items, config, binder, viewModel, path) {
-            if (Array.isArray(items)) {
-                renderSmart(element, items, config.templateSource, binder, viewModel);
+        // Change handlers once per target/key and nested changes once per parent/path
+        // (first old value, last new value); array mutation events in order
+        const notifications = this._committedNotifications;
+        this._committedNotifications = [];
+        const changes = new Map();
+        const nestedChanges = new Map();
+        const events = [];
+        notifications.forEach((notification) => {
+            if (notification.type === "change") {
+                coalesce(changes, notification.target, notification.key, notification);
+            } else if (notification.event === "nested-change") {
+                coalesce(nestedChanges, notification.payload.parent, notification.payload.fullPath, notification.payload);
             } else {
-                element.innerHTML = "";
+                events.push(notification);
             }
+        });
+        changes.forEach((keys, target) => {
+            keys.forEach((change, key) => {
+                this._callChangeHandlers(target, key, change.oldValue, change.newValue);
+            });
+        });
+        nestedChanges.forEach((paths) => {
+            paths.forEach((payload) => this.messageBus.publish("nested-change", payload));
+        });
+        events.forEach(({ event, payload }) => this.messageBus.publish(event, payload));
+    }
+
+    /**
+     * Subscribes to mutations of a reactive target and everything nested below it.
+     * Listeners receive the mutations of one change, in order, as
+     * `[{ op: 'add' | 'remove' | 'replace', path, value, oldValue }]` where `path` is
+     * the array of keys/indices from the target to the changed value.
+     *
+     * @param {Object} target - Raw reactive object, array or collection
+     * @param {Function} listener - Called with (mutations)
+     * @returns {Function} Unsubscribe function
+     */
+    onMutation(target, listener) {
+        let listeners = this.mutationListeners.get(target);
+        if (!listeners) {
+            listeners = new Set();
+            this.mutationListeners.set(target, listeners);
         }
-    };
+        if (!listeners.has(listener)) {
+            listeners.add(listener);
+            this.mutationListenerCount++;
+        }
+        return () => {
+            if (listeners.delete(listener)) {
+                this.mutationListenerCount--;
+            }
+        };
+    }
 
-    const DEFAULT_RENDERING_DELEGATE = {
-        prepareConfig(element, templateSource) {
-            return {
-                templateSource: templateSource
-            };
-        },
-        render(element, items, config, binder, viewModel, path) {
-            if (Array.isArray(items)) {
-                renderSmart(element, items, config.templateSource, binder, viewModel);
-            } else {
-                element.innerHTML = "";
+    /**
+     * Delivers the mutations of one change to the onMutation() listeners of one target.
+     *
+     * @param {Object} target - Raw reactive target
+     * @param {Array<Object>} mutations - [{ op, path, value, oldValue }]
+     */
+    notifyMutation(target, mutations) {
+        const listeners = this.mutationListeners.get(target);
+        if (!listeners || listeners.size === 0) {
+            return;
+        }
+        Array.from(listeners).forEach((listener) => {
+            try {
+                listener(mutations);
+            } catch (error) {
+                handleError(error, {
+                    target,
+                    key: mutations.length > 0 ? mutations[0].path.join(".") : undefined,
+                    source: "mutation listener"
+                });
             }
+        });
+    }
+
+    /**
+     * Subscribes to splice patches of a reactive array. Listeners run synchronously
+     * after each mutation (method calls and index/length assignments) with
+     * `[{ index, removed, added }]`; applying the patches in order to the previous
+     * contents yields the new contents.
+     *
+     * @param {Array} array - Reactive array proxy
+     * @param {Function} listener - Called with (patches, array)
+     * @returns {Function} Unsubscribe function
+     */
+    onArrayPatch(array, listener) {
+        let listeners = this.arrayPatchListeners.get(array);
+        if (!listeners) {
+            listeners = new Set();
+            this.arrayPatchListeners.set(array, listeners);
         }
-    };
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
 
-    const FOREACH_RENDERING_DELEGATES = {
-        select: SELECT_RENDERING_DELEGATE,
-        ul: LIST_RENDERING_DELEGATE,
-        ol: LIST_RENDERING_DELEGATE,
-        tbody: TABLE_RENDERING_DELEGATE,
-        thead: TABLE_RENDERING_DELEGATE,
-        tfoot: TABLE_RENDERING_DELEGATE,
-        default: DEFAULT_RENDERING_DELEGATE
-    };
+    /**
+     * Delivers splice patches to onArrayPatch() listeners.
+     *
+     * @param {Array} array - Reactive array proxy
+     * @param {Array<{index: number, removed: Array, added: Array}>} patches
+     */
+    notifyArrayPatch(array, patches) {
+        const listeners = this.arrayPatchListeners.get(array);
+        if (!listeners || listeners.size === 0) {
+            return;
+        }
+        Array.from(listeners).forEach((listener) => {
+            try {
+                listener(patches, array);
+            } catch (error) {
+                handleError(error, { target: array, key: "items", source: "array patch listener" });
+            }
+        });
+    }
 
-    return {
-        SELECT_RENDERING_DELEGATE,
-        LIST_RENDERING_DELEGATE,
-        TABLE_RENDERING_DELEGATE,
-        DEFAULT_RENDERING_DELEGATE,
-        FOREACH_RENDERING_DELEGATES
-    };
-}
+    cleanup(effect) {
+        effect.deps.forEach((dep) => {
+            dep.delete(effect);
+        });
+        effect.deps.clear();
+    }
 
-/**
- * Selects rendering delegate by tag name.
- *
- * @param {HTMLElement} element
- * @param {Object} delegates
- * @returns {Object}
- */
-function getRenderingDelegate(element, delegates) {
-    const tagName = element.tagName.toLowerCase();
-    return delegates[tagName] || delegates.default;
+    /**
+     * Permanently stops an effect: removes its dependencies, skips pending batched
+     * runs and releases it from its effect scope. Safe to call more than once.
+     *
+     * @param {Function} effect - Effect returned by effect()
+     */
+    stop(effect) {
+        if (!effect || effect.active === false) {
+            return;
+        }
+        effect.active = false;
+        this.cleanup(effect);
+        if (effect.scope) {
+            effect.scope.effects.delete(effect);
+            effect.scope = null;
+        }
+        this.debug.enabled && this.debug.log("effects", `EFFECT STOPPED (id: ${effect.id})`);
+    }
 }
-
-module.exports = {
-    renderItemsStandard,
-    renderItemsSmart,
-    createRenderingDelegates,
-    getRenderingDelegate
+
+module.exports = {
+    ReactiveSystem
 };
 
   };
-  __stitchModuleFactories[9] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[25] = function(module, exports, __stitchRequire){
 "use strict";
 
 const VERSION = "2.1.0";
-const { MessageBus } = __stitchRequire(12);
-const { BatchScheduler } = __stitchRequire(10);
-const { ComputedRef } = __stitchRequire(11);
-const { ReactiveSystem } = __stitchRequire(13);
+const helpers = __stitchRequire(36);
+const debugConfig = __stitchRequire(28);
+const attrValueHandlers = __stitchRequire(27);
+const valueBindingHelpers = __stitchRequire(40);
+const typeConverters = __stitchRequire(39);
+const foreachTemplateHelpers = __stitchRequire(32);
+const foreachReconcileHelpers = __stitchRequire(31);
+const reactiveObjectHelpers = __stitchRequire(35);
+const expressionParser = __stitchRequire(30);
+const htmlSanitizer = __stitchRequire(33);
+const styleHelpers = __stitchRequire(38);
+const eventModifiers = __stitchRequire(29);
+
+const debugState = debugConfig.createDebugState(`v${VERSION}`);
+const debug = {
+    enable() {
+        debugState.enabled = true;
+        console.log("[Stitch.js Debug] Enabled");
+    },
+    disable() {
+        debugState.enabled = false;
+        console.log("[Stitch.js Debug] Disabled");
+    },
+    enableCategory(category) {
+        if (debugConfig.isKnownDebugCategory(debugState.categories, category)) {
+            debugState.categories[category] = true;
+            console.log(`[Stitch.js Debug] Enabled category: ${category}`);
+        } else {
+            console.warn(debugConfig.formatUnknownCategoryWarning(category, debugState.categories));
+        }
+    },
+    disableCategory(category) {
+        if (debugConfig.isKnownDebugCategory(debugState.categories, category)) {
+            debugState.categories[category] = false;
+            console.log(`[Stitch.js Debug] Disabled category: ${category}`);
+        } else {
+            console.warn(debugConfig.formatUnknownCategoryWarning(category, debugState.categories));
+        }
+    },
+    categories() {
+        console.log("[Stitch.js Debug] Available categories:");
+        console.table(debugState.categories);
+    }
+};
 
 module.exports = {
-    MessageBus,
+    debug,
     version: VERSION,
-    CoreMessageBus: MessageBus,
-    BatchScheduler,
-    ComputedRef,
-    ReactiveSystem
+    ...helpers,
+    ...debugConfig,
+    ...attrValueHandlers,
+    ...valueBindingHelpers,
+    ...typeConverters,
+    ...foreachTemplateHelpers,
+    ...foreachReconcileHelpers,
+    ...reactiveObjectHelpers,
+    ...expressionParser,
+    ...htmlSanitizer,
+    ...styleHelpers,
+    ...eventModifiers
 };
 
   };
-  __stitchModuleFactories[10] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[26] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { NOOP_DEBUG } = __stitchRequire(16);
+/**
+ * Normalizes array mutations into splice patches.
+ *
+ * A patch `{ index, removed, added }` means: at `index`, `removed` items were taken
+ * out and `added` items were inserted. Applying a mutation's patches in order to the
+ * previous array yields the new array.
+ */
 
-class BatchScheduler {
-    constructor(options = {}) {
-        this.version = options.version || "v2.1.0";
-        this.debug = options.debug || NOOP_DEBUG;
-        this._pendingEffects = new Set();
-        this.flushing = false;
-        this.flushScheduled = false;
-        this.flushDepth = 0;
-        this.MAX_FLUSH_DEPTH = 100;
-    }
+/**
+ * Resolves a relative array index (negative counts from the end) like Array.prototype.splice.
+ *
+ * @param {*} value
+ * @param {number} length
+ * @returns {number}
+ */
+function resolveRelativeIndex(value, length) {
+    const relative = Math.trunc(Number(value)) || 0;
+    return relative < 0 ? Math.max(length + relative, 0) : Math.min(relative, length);
+}
 
-    queue(effect) {
-        if (typeof effect !== "function") {
-            throw new TypeError(
-                `[Stitch.js ${this.version} BatchScheduler] queue() expects a function, got ${typeof effect}`
-            );
-        }
-        this._pendingEffects.add(effect);
-        this.scheduleFlush();
+/**
+ * Diffs two arrays into a single patch covering everything between the
+ * common prefix and the common suffix.
+ *
+ * @param {Array} oldItems
+ * @param {Array} newItems
+ * @returns {Array<{index: number, removed: Array, added: Array}>} Zero or one patch
+ */
+function diffArrays(oldItems, newItems) {
+    let start = 0;
+    const maxStart = Math.min(oldItems.length, newItems.length);
+    while (start < maxStart && oldItems[start] === newItems[start]) {
+        start++;
     }
-
-    scheduleFlush() {
-        if (!this.flushScheduled && !this.flushing) {
-            this.flushScheduled = true;
-            Promise.resolve().then(() => this.flush());
-        }
+    let oldEnd = oldItems.length;
+    let newEnd = newItems.length;
+    while (oldEnd > start && newEnd > start && oldItems[oldEnd - 1] === newItems[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
     }
+    if (oldEnd === start && newEnd === start) {
+        return [];
+    }
+    return [{
+        index: start,
+        removed: oldItems.slice(start, oldEnd),
+        added: newItems.slice(start, newEnd)
+    }];
+}
 
-    flush() {
-        if (this.flushing) return;
-
-        if (this.flushDepth >= this.MAX_FLUSH_DEPTH) {
-            console.error(
-                `[Stitch.js ${this.version} BatchScheduler] Maximum flush depth exceeded.\n` +
-                "Possible infinite loop detected. Queue cleared."
-            );
-            this._pendingEffects.clear();
-            this.flushDepth = 0;
-            this.flushScheduled = false;
-            return;
+/**
+ * Builds the splice patches for an array method call.
+ *
+ * @param {string} method - push, pop, shift, unshift, splice, sort, reverse or fill
+ * @param {Array} args - Arguments the method was called with
+ * @param {*} result - Return value of the method
+ * @param {number} oldLength - Array length before the call
+ * @param {Array|null} oldItems - Array contents before the call (required for sort, reverse and fill)
+ * @param {Array} newItems - Array contents after the call
+ * @returns {Array<{index: number, removed: Array, added: Array}>}
+ */
+function createArrayPatches(method, args, result, oldLength, oldItems, newItems) {
+    let patch = null;
+
+    switch (method) {
+        case "push":
+            patch = { index: oldLength, removed: [], added: newItems.slice(oldLength) };
+            break;
+        case "pop":
+            patch = oldLength > 0 ? { index: oldLength - 1, removed: [result], added: [] } : null;
+            break;
+        case "shift":
+            patch = oldLength > 0 ? { index: 0, removed: [result], added: [] } : null;
+            break;
+        case "unshift":
+            patch = { index: 0, removed: [], added: newItems.slice(0, args.length) };
+            break;
+        case "splice": {
+            const index = resolveRelativeIndex(args[0], oldLength);
+            const addedCount = Math.max(args.length - 2, 0);
+            patch = { index, removed: result, added: newItems.slice(index, index + addedCount) };
+            break;
         }
+        default:
+            // sort, reverse, fill: compare contents
+            return diffArrays(oldItems, newItems);
+    }
 
-        this.flushing = true;
-        this.flushScheduled = false;
-        this.flushDepth++;
-
-        this.debug.enabled && this.debug.group("effects", `Flushing BatchScheduler (${this._pendingEffects.size} effects, depth: ${this.flushDepth})`);
-
-        const effectsToRun = Array.from(this._pendingEffects);
-        this._pendingEffects.clear();
-
-        effectsToRun.forEach((effect) => {
-            try {
-                effect();
-            } catch (error) {
-                console.error(`[Stitch.js ${this.version} BatchScheduler] Error in effect:`, error);
-            }
-        });
-
-        this.debug.enabled && this.debug.groupEnd("effects");
+    if (!patch || (patch.removed.length === 0 && patch.added.length === 0)) {
+        return [];
+    }
+    return [patch];
+}
 
-        this.flushing = false;
-        if (this._pendingEffects.size > 0) {
-            this.debug.enabled && this.debug.log("effects", `New effects queued during flush (${this._pendingEffects.size}), scheduling next flush`);
-            this.scheduleFlush();
-        } else {
-            this.flushDepth = 0;
+/**
+ * Builds the patches for a direct index or length assignment.
+ *
+ * @param {string|number} key - Assigned property ("length" or an index)
+ * @param {number} oldLength - Array length before the assignment
+ * @param {*} previous - Old value at the index, or for "length" the items cut off by a shorter length
+ * @param {Array} newItems - Array contents after the assignment
+ * @returns {Array<{index: number, removed: Array, added: Array}>}
+ */
+function createAssignmentPatches(key, oldLength, previous, newItems) {
+    const newLength = newItems.length;
+    if (key === "length") {
+        if (newLength < oldLength) {
+            return [{ index: newLength, removed: previous, added: [] }];
         }
+        return newLength > oldLength ? [{ index: oldLength, removed: [], added: newItems.slice(oldLength) }] : [];
     }
-
-    hasQueued() {
-        return this._pendingEffects.size > 0;
+    const index = Number(key);
+    if (index < oldLength) {
+        return [{ index, removed: [previous], added: [newItems[index]] }];
     }
+    // Assigning past the end also adds the holes before it
+    return [{ index: oldLength, removed: [], added: newItems.slice(oldLength, index + 1) }];
+}
 
-    clear() {
-        this._pendingEffects.clear();
-        this.flushScheduled = false;
-    }
+/**
+ * Returns true if an item removed by one patch is added back by another
+ * (the patches describe moves such as sort or reverse).
+ *
+ * @param {Array<{removed: Array, added: Array}>} patches
+ * @returns {boolean}
+ */
+function patchesMoveItems(patches) {
+    const removed = new Set();
+    patches.forEach(patch => patch.removed.forEach(item => removed.add(item)));
+    return patches.some(patch => patch.added.some(item => removed.has(item)));
 }
 
 module.exports = {
-    BatchScheduler
+    diffArrays,
+    createArrayPatches,
+    createAssignmentPatches,
+    patchesMoveItems
 };
 
   };
-  __stitchModuleFactories[11] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[27] = function(module, exports, __stitchRequire){
 "use strict";
 
-class ComputedRef {
-    constructor(getter, reactiveSystem, context, explicitDeps = null) {
-        this.getter = getter;
-        this.reactiveSystem = reactiveSystem;
-        this.context = context;
-        this.explicitDeps = explicitDeps;
-        this.value = undefined;
-        this.dirty = true;
-        this.dependents = new Set();
-        this.deps = new Set();
-        this.id = Math.random().toString(36).substr(2, 9);
-        this.isComputedRef = true;
-
-        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED REF CREATED (id: ${this.id})`, {
-            hasExplicitDeps: !!explicitDeps,
-            explicitDeps
-        });
-    }
-
-    markDirty() {
-        if (this.dirty) {
-            return;
+/**
+ * Internal registry for attribute value type handling.
+ * Mirrors Stitch runtime behavior for attr binding semantics.
+ */
+const ATTR_VALUE_HANDLERS = {
+    null: {
+        apply(element, attrName, attrValue) {
+            element.removeAttribute(attrName);
         }
-
-        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED MARKED DIRTY (id: ${this.id})`);
-        this.dirty = true;
-
-        this.dependents.forEach((dependent) => {
-            if (dependent.isComputedRef) {
-                dependent.markDirty();
-            } else if (dependent.options && dependent.options.batch) {
-                this.reactiveSystem.batchScheduler.queue(dependent);
+    },
+    undefined: {
+        apply(element, attrName, attrValue) {
+            element.removeAttribute(attrName);
+        }
+    },
+    boolean: {
+        apply(element, attrName, attrValue) {
+            if (attrValue === true) {
+                element.setAttribute(attrName, "");
             } else {
-                dependent();
+                element.removeAttribute(attrName);
             }
-        });
-    }
-
-    evaluate() {
-        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTING VALUE (id: ${this.id})`);
-        this.cleanup();
-        this.reactiveSystem.effectStack.push(this);
-
-        try {
-            if (this.explicitDeps && this.context) {
-                for (const depKey of this.explicitDeps) {
-                    void this.context[depKey];
-                }
+        }
+    },
+    object: {
+        apply(element, attrName, attrValue) {
+            if (attrName === "style" && typeof attrValue === "object") {
+                const cssString = Object.keys(attrValue).map(key => {
+                    const kebabKey = key.replace(/([A-Z])/g, "-$1").toLowerCase();
+                    return `${kebabKey}: ${attrValue[key]}`;
+                }).join("; ");
+                element.setAttribute(attrName, cssString);
+            } else {
+                element.setAttribute(attrName, JSON.stringify(attrValue));
             }
-
-            this.value = this.getter.call(this.context);
-            this.dirty = false;
-
-            this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED VALUE (id: ${this.id})`, {
-                value: this.value,
-                deps: this.deps.size
-            });
-
-            return this.value;
-        } finally {
-            this.reactiveSystem.effectStack.pop();
         }
+    },
+    array: {
+        apply(element, attrName, attrValue) {
+            if (attrName === "class") {
+                element.setAttribute(attrName, attrValue.join(" "));
+            } else {
+                element.setAttribute(attrName, attrValue.join(","));
+            }
+        }
+    },
+    default: {
+        apply(element, attrName, attrValue) {
+            element.setAttribute(attrName, String(attrValue));
+        }
+    }
+};
+
+/**
+ * Selects appropriate attribute value handler based on value type.
+ *
+ * @param {*} value
+ * @returns {{apply: Function}}
+ */
+function getAttrHandler(value) {
+    if (value === null) {
+        return ATTR_VALUE_HANDLERS.null;
+    }
+    if (value === undefined) {
+        return ATTR_VALUE_HANDLERS.undefined;
+    }
+    if (typeof value === "boolean") {
+        return ATTR_VALUE_HANDLERS.boolean;
+    }
+    if (Array.isArray(value)) {
+        return ATTR_VALUE_HANDLERS.array;
+    }
+    if (typeof value === "object") {
+        return ATTR_VALUE_HANDLERS.object;
     }
+    return ATTR_VALUE_HANDLERS.default;
+}
 
-    get() {
-        const currentEffect = this.reactiveSystem.currentEffect;
-        if (currentEffect) {
-            this.dependents.add(currentEffect);
-            this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log(
-                "computed",
-                `COMPUTED TRACKED (id: ${this.id}) by effect ${currentEffect.id || "unknown"}`
-            );
-        }
-
-        if (this.dirty) {
-            return this.evaluate();
-        }
-
-        this.reactiveSystem.debug.enabled && this.reactiveSystem.debug.log("computed", `COMPUTED CACHED (id: ${this.id})`, {
-            value: this.value
-        });
-        return this.value;
-    }
+function splitClassNames(text) {
+    return text.split(/\s+/).filter(Boolean);
+}
 
-    cleanup() {
-        this.deps.forEach((dep) => {
-            dep.delete(this);
+/**
+ * Normalizes a data-class value into the classes it turns on or off.
+ * Strings list classes to add ("active is-open"); object keys (which may also list
+ * several classes) are added when their value is truthy and removed otherwise.
+ * Arrays may nest and mix all three; falsy items are skipped and later entries win.
+ *
+ * @param {string|Object|Array|null|undefined} value
+ * @param {Map<string, boolean>} [classes] - Map to fill (used for nested arrays)
+ * @returns {Map<string, boolean>} class name -> whether it should be present
+ * @example
+ * normalizeClassValue(["card", { active: true, "is-error": false }, ["lg"]]);
+ * // Returns: Map { "card" => true, "active" => true, "is-error" => false, "lg" => true }
+ */
+function normalizeClassValue(value, classes = new Map()) {
+    if (Array.isArray(value)) {
+        value.forEach(item => normalizeClassValue(item, classes));
+    } else if (value && typeof value === "object") {
+        Object.keys(value).forEach(key => {
+            splitClassNames(key).forEach(name => classes.set(name, !!value[key]));
         });
-        this.deps.clear();
+    } else if (typeof value === "string" || typeof value === "number") {
+        splitClassNames(String(value)).forEach(name => classes.set(name, true));
     }
+    return classes;
 }
 
 module.exports = {
-    ComputedRef
+    ATTR_VALUE_HANDLERS,
+    getAttrHandler,
+    normalizeClassValue
 };
 
   };
-  __stitchModuleFactories[12] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[28] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { NOOP_DEBUG } = __stitchRequire(16);
+/**
+ * Canonical debug category toggles extracted from Stitch runtime defaults.
+ */
+const DEFAULT_DEBUG_CATEGORIES = Object.freeze({
+    reactivity: true,
+    computed: true,
+    effects: true,
+    bindings: true,
+    messageBus: true,
+    warnings: true
+});
 
-class MessageBus {
-    constructor(options = {}) {
-        this.version = options.version || "v2.1.0";
-        this.debug = options.debug || NOOP_DEBUG;
-        this.subscribers = new Map();
-        this.queue = [];
-        this.isFlushing = false;
-        this.middleware = [];
-        this.flushDepth = 0;
-        this.MAX_FLUSH_DEPTH = 100;
-    }
+/**
+ * Canonical debug colors extracted from Stitch runtime defaults.
+ */
+const DEFAULT_DEBUG_COLORS = Object.freeze({
+    reactivity: "#2196F3",
+    computed: "#4CAF50",
+    effects: "#FF9800",
+    bindings: "#9C27B0",
+    messageBus: "#F44336",
+    warnings: "#FF5722"
+});
 
-    subscribe(event, callback) {
-        if (!this.subscribers.has(event)) {
-            this.subscribers.set(event, new Set());
-        }
-        this.subscribers.get(event).add(callback);
-        this.debug.enabled && this.debug.log("messageBus", `Subscribed to event: "${event}"`, {
-            subscriberCount: this.subscribers.get(event).size
-        });
-        return () => this.unsubscribe(event, callback);
-    }
+/**
+ * Creates a mutable debug state object seeded from extracted defaults.
+ *
+ * @param {string} version
+ * @returns {{version: string, enabled: boolean, categories: Object, colors: Object}}
+ */
+function createDebugState(version) {
+    return {
+        version,
+        enabled: false,
+        categories: { ...DEFAULT_DEBUG_CATEGORIES },
+        colors: { ...DEFAULT_DEBUG_COLORS }
+    };
+}
 
-    unsubscribe(event, callback) {
-        const subscribers = this.subscribers.get(event);
-        if (subscribers) {
-            subscribers.delete(callback);
-        }
-    }
+/**
+ * Lists available debug categories from a category map.
+ *
+ * @param {Object} [categories]
+ * @returns {string[]}
+ */
+function listDebugCategories(categories = DEFAULT_DEBUG_CATEGORIES) {
+    return Object.keys(categories);
+}
 
-    publish(event, payload) {
-        this.queue.push({
-            event,
-            payload,
-            timestamp: Date.now()
-        });
-        this.debug.enabled && this.debug.log("messageBus", `Published event: "${event}" (queued)`, {
-            payload,
-            queueLength: this.queue.length
-        });
-        if (!this.isFlushing) {
-            Promise.resolve().then(() => this.flush());
-        }
-    }
+/**
+ * Checks whether a category key exists in a category map.
+ *
+ * @param {Object} categories
+ * @param {string} category
+ * @returns {boolean}
+ */
+function isKnownDebugCategory(categories, category) {
+    return !!categories && Object.prototype.hasOwnProperty.call(categories, category);
+}
 
-    publishSync(event, payload) {
-        this._executeEvent({
-            event,
-            payload,
-            timestamp: Date.now()
-        });
-    }
+/**
+ * Formats the standard unknown-category warning with current category list.
+ *
+ * @param {string} category
+ * @param {Object} [categories]
+ * @returns {string}
+ */
+function formatUnknownCategoryWarning(category, categories = DEFAULT_DEBUG_CATEGORIES) {
+    return `[Stitch.js Debug] Unknown category: ${category}. Valid categories: ${listDebugCategories(categories).join(", ")}`;
+}
 
-    flush() {
-        if (this.isFlushing || this.queue.length === 0) return;
-        if (this.flushDepth >= this.MAX_FLUSH_DEPTH) {
-            console.error(
-                `[Stitch.js ${this.version} MessageBus] Maximum flush depth (${this.MAX_FLUSH_DEPTH}) exceeded.\n` +
-                "Possible infinite loop detected. Event queue has been cleared."
-            );
-            this.flushDepth = 0;
-            this.queue = [];
-            return;
-        }
+/**
+ * No-op debug object used as a default when debugging is disabled.
+ * Provides the same interface as the real debug object so callers
+ * don't need to check for null.
+ */
+const NOOP_DEBUG = {
+    enabled: false,
+    categories: Object.create(null),
+    log() {},
+    group() {},
+    groupEnd() {}
+};
 
-        this.isFlushing = true;
-        this.flushDepth++;
-        const eventsToProcess = [...this.queue];
-        this.queue = [];
+module.exports = {
+    DEFAULT_DEBUG_CATEGORIES,
+    DEFAULT_DEBUG_COLORS,
+    NOOP_DEBUG,
+    createDebugState,
+    listDebugCategories,
+    isKnownDebugCategory,
+    formatUnknownCategoryWarning
+};
 
-        this.debug.enabled && this.debug.group("messageBus", `Flushing Message Bus (${eventsToProcess.length} events, depth: ${this.flushDepth})`);
-        eventsToProcess.forEach((eventData) => {
-            this._executeEvent(eventData);
-        });
-        this.debug.enabled && this.debug.groupEnd("messageBus");
+  };
+  __stitchModuleFactories[29] = function(module, exports, __stitchRequire){
+"use strict";
 
-        this.isFlushing = false;
-        if (this.queue.length > 0) {
-            this.debug.enabled && this.debug.log(
-                "messageBus",
-                `New events queued during flush (${this.queue.length}), scheduling next flush (depth: ${this.flushDepth})`
-            );
-            if (this.flushDepth > 5) {
-                console.warn(`[Stitch.js ${this.version} MessageBus] Flush depth > 5. Queued events:`, this.queue.map((e) => e.event).join(", "));
-            }
-            Promise.resolve().then(() => this.flush());
-        } else {
-            this.flushDepth = 0;
-        }
-    }
+/**
+ * Event modifiers for data-click / data-event: `keydown.enter.prevent`,
+ * `click.outside`, `scroll.passive.throttle-100`, ...
+ *
+ * Filters (keys, system modifiers, `self`, `outside`) decide whether an event is
+ * handled at all; `prevent` / `stop` then apply synchronously, before a debounced or
+ * throttled handler runs.
+ */
 
-    _executeEvent(eventData) {
-        let processedData = eventData;
-        for (const middlewareFn of this.middleware) {
-            processedData = middlewareFn(processedData) || processedData;
+const DEFAULT_RATE_LIMIT = 250;
+
+const SYSTEM_MODIFIERS = ["ctrl", "alt", "shift", "meta"];
+
+/** Modifier names that map to KeyboardEvent.key values with a different spelling */
+const KEY_ALIASES = {
+    enter: ["Enter"],
+    esc: ["Escape", "Esc"],
+    escape: ["Escape", "Esc"],
+    space: [" ", "Spacebar"],
+    tab: ["Tab"],
+    up: ["ArrowUp", "Up"],
+    down: ["ArrowDown", "Down"],
+    left: ["ArrowLeft", "Left"],
+    right: ["ArrowRight", "Right"],
+    delete: ["Delete", "Backspace"]
+};
+
+const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+
+/**
+ * Parses an event key such as "keydown.enter.prevent" or a list of modifiers.
+ *
+ * @param {string} key - Event name followed by dot-separated modifiers
+ * @returns {{eventName: string, modifiers: Object}}
+ * @example
+ * parseEventKey("scroll.passive.throttle-100");
+ * // Returns: { eventName: "scroll", modifiers: { passive: true, throttle: 100, keys: [], system: [], ... } }
+ */
+function parseEventKey(key) {
+    const parts = String(key).split(".");
+    return {
+        eventName: parts[0],
+        modifiers: parseModifiers(parts.slice(1))
+    };
+}
+
+/**
+ * @param {string[]} names - Modifier names (e.g. ["enter", "prevent", "debounce-300"])
+ * @returns {Object} Normalized modifiers
+ */
+function parseModifiers(names) {
+    const modifiers = {
+        prevent: false,
+        stop: false,
+        once: false,
+        capture: false,
+        passive: false,
+        self: false,
+        outside: false,
+        exact: false,
+        debounce: null,
+        throttle: null,
+        system: [],
+        keys: []
+    };
+    names.forEach(name => {
+        const lower = name.toLowerCase();
+        const rateLimit = /^(debounce|throttle)(?:-(\d+)(?:ms)?)?$/.exec(lower);
+        if (rateLimit) {
+            modifiers[rateLimit[1]] = rateLimit[2] === undefined ? DEFAULT_RATE_LIMIT : Number(rateLimit[2]);
+        } else if (lower in modifiers && typeof modifiers[lower] === "boolean") {
+            modifiers[lower] = true;
+        } else if (SYSTEM_MODIFIERS.includes(lower)) {
+            modifiers.system.push(lower);
+        } else if (lower) {
+            modifiers.keys.push(lower);
         }
+    });
+    return modifiers;
+}
 
-        const event = processedData.event;
-        const payload = processedData.payload;
-        const subscribers = this.subscribers.get(event);
+function isMouseEvent(event) {
+    return typeof event.button === "number" && event.key === undefined;
+}
 
-        this.debug.enabled && this.debug.log("messageBus", `Executing event: "${event}"`, {
-            payload,
-            subscriberCount: subscribers ? subscribers.size : 0
-        });
+function matchesKey(event, name) {
+    if (isMouseEvent(event)) {
+        return name in MOUSE_BUTTONS && event.button === MOUSE_BUTTONS[name];
+    }
+    if (typeof event.key !== "string") {
+        return false;
+    }
+    const aliases = KEY_ALIASES[name];
+    if (aliases) {
+        return aliases.includes(event.key);
+    }
+    // "page-down" matches "PageDown", "a" matches "a" / "A"
+    return event.key.toLowerCase() === name.replace(/-/g, "");
+}
+
+/**
+ * Whether an event passes the key, system-modifier and `self` filters.
+ * (`outside` is handled by listening on the document.)
+ *
+ * @param {Event} event
+ * @param {Element} element - Bound element
+ * @param {Object} modifiers - From parseModifiers()
+ * @returns {boolean}
+ */
+function matchesModifiers(event, element, modifiers) {
+    if (modifiers.self && event.target !== element) {
+        return false;
+    }
+    if (modifiers.system.some(name => !event[`${name}Key`])) {
+        return false;
+    }
+    if (modifiers.exact && SYSTEM_MODIFIERS.some(name => event[`${name}Key`] && !modifiers.system.includes(name))) {
+        return false;
+    }
+    if (modifiers.keys.length > 0 && !modifiers.keys.some(name => matchesKey(event, name))) {
+        return false;
+    }
+    return true;
+}
 
-        if (subscribers) {
-            subscribers.forEach((callback) => {
-                try {
-                    callback(payload);
-                } catch (error) {
-                    console.error(`[Stitch.js ${this.version} MessageBus] Error in subscriber for event "${event}":`, error);
-                }
-            });
-        }
+/**
+ * Adds a listener for `eventName` on element that applies the modifiers.
+ *
+ * @param {Element} element - Bound element
+ * @param {string} eventName
+ * @param {Object} modifiers - From parseModifiers() / parseEventKey()
+ * @param {Function} callback - Called with the event
+ * @returns {Function} Removes the listener and cancels a pending debounced call
+ */
+function addModifiedListener(element, eventName, modifiers, callback) {
+    const target = modifiers.outside ? element.ownerDocument : element;
+    const options = { capture: modifiers.capture, passive: modifiers.passive };
+    let timer = null;
+    let lastRun = -Infinity;
+    let removed = false;
+
+    const remove = () => {
+        removed = true;
+        clearTimeout(timer);
+        timer = null;
+        target.removeEventListener(eventName, listener, options);
+    };
 
-        const wildcardSubscribers = this.subscribers.get("*");
-        if (wildcardSubscribers) {
-            wildcardSubscribers.forEach((callback) => {
-                try {
-                    callback({ event, payload });
-                } catch (error) {
-                    console.error(`[Stitch.js ${this.version} MessageBus] Error in wildcard subscriber:`, error);
+    function listener(event) {
+        if (modifiers.outside && (!element.isConnected || element.contains(event.target))) {
+            return;
+        }
+        if (!matchesModifiers(event, element, modifiers)) {
+            return;
+        }
+        if (modifiers.prevent) {
+            event.preventDefault();
+        }
+        if (modifiers.stop) {
+            event.stopPropagation();
+        }
+        if (modifiers.once) {
+            target.removeEventListener(eventName, listener, options);
+        }
+        if (modifiers.debounce !== null) {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timer = null;
+                if (!removed) {
+                    callback(event);
                 }
-            });
+            }, modifiers.debounce);
+            return;
         }
+        if (modifiers.throttle !== null) {
+            const now = Date.now();
+            if (now - lastRun < modifiers.throttle) {
+                return;
+            }
+            lastRun = now;
+        }
+        callback(event);
     }
 
-    use(middlewareFn) {
-        this.middleware.push(middlewareFn);
-    }
-
-    clear() {
-        this.queue = [];
-    }
+    target.addEventListener(eventName, listener, options);
+    return remove;
 }
 
 module.exports = {
-    MessageBus,
-    NOOP_DEBUG
+    parseEventKey,
+    parseModifiers,
+    matchesModifiers,
+    addModifiedListener
 };
 
   };
-  __stitchModuleFactories[13] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[30] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { MessageBus, NOOP_DEBUG } = __stitchRequire(12);
-const { BatchScheduler } = __stitchRequire(10);
-
-class ReactiveSystem {
-    constructor(bubbleChangeUp = null, options = {}) {
-        this.version = options.version || "v2.1.0";
-        this.debug = options.debug || NOOP_DEBUG;
-        this.effects = new Set();
-        this.effectStack = [];
-        this.depsMap = new WeakMap();
-
-        const BatchSchedulerCtor = options.BatchScheduler || BatchScheduler;
-        const MessageBusCtor = options.MessageBus || MessageBus;
-
-        this.batchScheduler = new BatchSchedulerCtor({
-            version: this.version,
-            debug: this.debug
-        });
-        this.messageBus = new MessageBusCtor({
-            version: this.version,
-            debug: this.debug
-        });
-        this.bubbleChangeUp = bubbleChangeUp;
+/**
+ * Binding expression parser and evaluator.
+ *
+ * Parses binding attribute values such as `!isActive`, `count > 0`,
+ * `{ active: isSelected }` or `format(price, 'USD')` into a small AST and
+ * compiles it into closures. No eval/new Function is used, so bindings work
+ * under a strict Content-Security-Policy.
+ *
+ * Identifiers resolve against the binding scope (the view model or foreach item
+ * context), so every reactive read happens through the normal property getters
+ * and is tracked by ReactiveSystem.track like any plain property-path binding.
+ */
 
-        this.messageBus.subscribe("nested-change", (payload) => {
-            const parent = payload.parent;
-            const fullPath = payload.fullPath;
-            const oldValue = payload.oldValue;
-            const newValue = payload.newValue;
-            if (parent._changeHandlers && parent._changeHandlers.size > 0) {
-                parent._changeHandlers.forEach((handler) => {
-                    handler({
-                        field: fullPath,
-                        oldValue,
-                        newValue,
-                        target: parent,
-                        nestedChange: true
-                    });
-                });
-            }
-        });
+/**
+ * Matches plain dot-notation property paths (e.g. `user.name`, `$parent.items`, `rows.0`).
+ * These keep using getProperty() so existing path semantics and diagnostics are unchanged.
+ */
+const PROPERTY_PATH_PATTERN = /^\s*[A-Za-z_$][\w$]*(\.[\w$]+)*\s*$/;
 
-        this.messageBus.subscribe("array-mutation", (payload) => {
-            const target = payload.target;
-            const method = payload.method;
-            const args = payload.args;
-            const oldLength = payload.oldLength;
-            const newLength = payload.newLength;
+/**
+ * Globals readable from expressions when a name is not found in the scope.
+ * `Object` is a frozen subset: getPrototypeOf / getOwnPropertyDescriptor would
+ * reach the Function constructor without naming a blocked member.
+ */
+const EXPRESSION_GLOBALS = Object.freeze({
+    Math: Math,
+    Number: Number,
+    String: String,
+    Boolean: Boolean,
+    Array: Array,
+    Object: Object.freeze({ keys: Object.keys, values: Object.values, entries: Object.entries }),
+    JSON: JSON,
+    Date: Date,
+    parseInt: parseInt,
+    parseFloat: parseFloat,
+    isNaN: isNaN,
+    isFinite: isFinite,
+    Infinity: Infinity,
+    NaN: NaN
+});
 
-            if (target._changeHandlers) {
-                target._changeHandlers.forEach((handler) => {
-                    handler({
-                        field: "items",
-                        action: method,
-                        args,
-                        target
-                    });
-                });
-            }
+/**
+ * Member names that could reach the Function constructor or mutate prototypes.
+ */
+const BLOCKED_MEMBERS = new Set(["constructor", "__proto__", "prototype", "__defineGetter__", "__defineSetter__", "__lookupGetter__", "__lookupSetter__"]);
 
-            if (this.bubbleChangeUp) {
-                this.bubbleChangeUp(target, "items", oldLength, newLength);
-            }
-        });
+/**
+ * Values expressions may not call or produce, however they were reached: the
+ * Function constructors compile code and Function.prototype leads back to them.
+ */
+const BLOCKED_VALUES = new Set([
+    Function,
+    Function.prototype,
+    Object.getPrototypeOf(function* () {}).constructor
+]);
+
+function guardValue(value) {
+    if (BLOCKED_VALUES.has(value)) {
+        throw new Error("Access to the Function constructor is not allowed in binding expressions");
     }
+    return value;
+}
 
-    get currentEffect() {
-        return this.effectStack[this.effectStack.length - 1] || null;
-    }
+const KEYWORD_LITERALS = {
+    true: true,
+    false: false,
+    null: null,
+    undefined: undefined
+};
 
-    _getObjectId(obj) {
-        if (!obj) return "null";
-        return obj.__stitchId || obj.constructor?.name || "unknown";
-    }
+const PUNCTUATORS = ["===", "!==", "?.", "??", "==", "!=", "<=", ">=", "&&", "||", "!", "<", ">", "+", "-", "*", "/", "%", "?", ":", ".", ",", "(", ")", "[", "]", "{", "}"];
 
-    track(target, key) {
-        const currentEffect = this.currentEffect;
+const BINARY_PRECEDENCE = {
+    "??": 1,
+    "||": 2,
+    "&&": 3,
+    "==": 4, "!=": 4, "===": 4, "!==": 4,
+    "<": 5, ">": 5, "<=": 5, ">=": 5,
+    "+": 6, "-": 6,
+    "*": 7, "/": 7, "%": 7
+};
 
-        if (!currentEffect) {
-            this.debug.enabled && this.debug.log("reactivity", `TRACK SKIPPED (no current effect): ${this._getObjectId(target)}.${String(key)}`);
-            return;
-        }
+function createSyntaxError(source, position, message) {
+    return new SyntaxError(`Invalid binding expression "${source}" at position ${position}: ${message}`);
+}
 
-        let deps = this.depsMap.get(target);
-        if (!deps) {
-            deps = new Map();
-            this.depsMap.set(target, deps);
+/**
+ * Splits expression source into tokens.
+ *
+ * @param {string} source
+ * @returns {Array<{type: string, value: *, pos: number}>}
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
         }
-
-        let dep = deps.get(key);
-        if (!dep) {
-            dep = new Set();
-            deps.set(key, dep);
+        if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1] || ""))) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+            tokens.push({ type: "number", value: Number(match[0]), pos: i });
+            i += match[0].length;
+            continue;
         }
-
-        dep.add(currentEffect);
-        if (currentEffect.deps) {
-            currentEffect.deps.add(dep);
+        if (ch === "'" || ch === "\"") {
+            let value = "";
+            let j = i + 1;
+            while (j < source.length && source[j] !== ch) {
+                if (source[j] === "\\" && j + 1 < source.length) {
+                    const escaped = source[j + 1];
+                    value += escaped === "n" ? "\n" : escaped === "t" ? "\t" : escaped;
+                    j += 2;
+                } else {
+                    value += source[j];
+                    j++;
+                }
+            }
+            if (j >= source.length) {
+                throw createSyntaxError(source, i, "unterminated string");
+            }
+            tokens.push({ type: "string", value: value, pos: i });
+            i = j + 1;
+            continue;
         }
-
-        this.debug.enabled && this.debug.log("reactivity", `TRACK: ${this._getObjectId(target)}.${String(key)} -> ${currentEffect.id || "unknown"}`, {
-            effectId: currentEffect.id,
-            isComputed: !!currentEffect.isComputedRef,
-            dependencyCount: dep.size
-        });
+        if (/[A-Za-z_$]/.test(ch)) {
+            const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+            tokens.push({ type: "identifier", value: match[0], pos: i });
+            i += match[0].length;
+            continue;
+        }
+        const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (!punctuator) {
+            throw createSyntaxError(source, i, `unexpected character "${ch}"`);
+        }
+        // `a?.5:1` is a ternary with a decimal, not optional chaining
+        if (punctuator === "?." && /[0-9]/.test(source[i + 2] || "")) {
+            tokens.push({ type: "punctuator", value: "?", pos: i });
+            i += 1;
+            continue;
+        }
+        tokens.push({ type: "punctuator", value: punctuator, pos: i });
+        i += punctuator.length;
     }
+    tokens.push({ type: "eof", value: null, pos: source.length });
+    return tokens;
+}
 
-    trigger(target, key, oldValue, newValue) {
-        const deps = this.depsMap.get(target);
-        const dep = deps?.get(key);
-
-        if (!dep || dep.size === 0) {
-            this.debug.enabled && this.debug.log("reactivity", `TRIGGER SKIPPED (no deps): ${this._getObjectId(target)}.${String(key)}`);
-            return;
+/**
+ * Parses expression source into an AST.
+ *
+ * @param {string} source - Binding expression
+ * @returns {Object} AST root node
+ * @throws {SyntaxError} If the expression is malformed
+ */
+function parseExpression(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isPunctuator = (value) => peek().type === "punctuator" && peek().value === value;
+    const expect = (value) => {
+        const token = next();
+        if (token.type !== "punctuator" || token.value !== value) {
+            throw createSyntaxError(source, token.pos, `expected "${value}"`);
         }
+        return token;
+    };
 
-        this.debug.enabled && this.debug.log("reactivity", `TRIGGER: ${this._getObjectId(target)}.${String(key)} (${dep.size} dependents)`, {
-            oldValue,
-            newValue
-        });
-
-        const effectsToRun = new Set(dep);
-        effectsToRun.forEach((dependent) => {
-            if (dependent.isComputedRef) {
-                dependent.markDirty();
-            } else if (dependent.options && dependent.options.batch) {
-                this.batchScheduler.queue(dependent);
-            } else {
-                dependent();
-            }
-        });
-
-        if (target._changeHandlers) {
-            target._changeHandlers.forEach((handler) => {
-                handler({
-                    field: key,
-                    oldValue,
-                    newValue,
-                    target
-                });
-            });
+    function parseTernary() {
+        const test = parseBinary(0);
+        if (isPunctuator("?")) {
+            next();
+            const consequent = parseTernary();
+            expect(":");
+            const alternate = parseTernary();
+            return { type: "Conditional", test, consequent, alternate };
         }
+        return test;
     }
 
-    effect(fn, options = {}) {
-        const effectId = Math.random().toString(36).substr(2, 9);
-
-        const effect = () => {
-            this.cleanup(effect);
-            this.effectStack.push(effect);
-
-            this.debug.enabled && this.debug.log("effects", `EFFECT RUNNING (id: ${effectId})`, {
-                stackDepth: this.effectStack.length,
-                batch: !!options.batch
-            });
-
-            try {
-                return fn();
-            } finally {
-                this.effectStack.pop();
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const precedence = token.type === "punctuator" ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence <= minPrecedence) {
+                return left;
             }
-        };
-
-        effect.deps = new Set();
-        effect.options = options;
-        effect.id = effectId;
-
-        this.debug.enabled && this.debug.log("effects", `EFFECT CREATED (id: ${effectId})`, {
-            lazy: !!options.lazy,
-            batch: !!options.batch
-        });
-
-        if (!options.lazy) {
-            effect();
+            next();
+            const right = parseBinary(precedence);
+            const isLogical = token.value === "&&" || token.value === "||" || token.value === "??";
+            left = { type: isLogical ? "Logical" : "Binary", operator: token.value, left, right };
         }
-
-        return effect;
     }
 
-    cleanup(effect) {
-        effect.deps.forEach((dep) => {
-            dep.delete(effect);
-        });
-        effect.deps.clear();
+    function parseUnary() {
+        const token = peek();
+        if (token.type === "punctuator" && (token.value === "!" || token.value === "-" || token.value === "+")) {
+            next();
+            return { type: "Unary", operator: token.value, argument: parseUnary() };
+        }
+        if (token.type === "identifier" && token.value === "typeof") {
+            next();
+            return { type: "Unary", operator: "typeof", argument: parseUnary() };
+        }
+        return parsePostfix(parsePrimary());
     }
-}
-
-module.exports = {
-    ReactiveSystem
-};
 
-  };
-  __stitchModuleFactories[14] = function(module, exports, __stitchRequire){
-"use strict";
-
-const VERSION = "2.1.0";
-const helpers = __stitchRequire(20);
-const debugConfig = __stitchRequire(16);
-const attrValueHandlers = __stitchRequire(15);
-const valueBindingHelpers = __stitchRequire(22);
-const typeConverters = __stitchRequire(21);
-const foreachTemplateHelpers = __stitchRequire(18);
-const foreachReconcileHelpers = __stitchRequire(17);
-const reactiveObjectHelpers = __stitchRequire(19);
-
-const debugState = debugConfig.createDebugState(`v${VERSION}`);
-const debug = {
-    enable() {
-        debugState.enabled = true;
-        console.log("[Stitch.js Debug] Enabled");
-    },
-    disable() {
-        debugState.enabled = false;
-        console.log("[Stitch.js Debug] Disabled");
-    },
-    enableCategory(category) {
-        if (debugConfig.isKnownDebugCategory(debugState.categories, category)) {
-            debugState.categories[category] = true;
-            console.log(`[Stitch.js Debug] Enabled category: ${category}`);
-        } else {
-            console.warn(debugConfig.formatUnknownCategoryWarning(category, debugState.categories));
-        }
-    },
-    disableCategory(category) {
-        if (debugConfig.isKnownDebugCategory(debugState.categories, category)) {
-            debugState.categories[category] = false;
-            console.log(`[Stitch.js Debug] Disabled category: ${category}`);
-        } else {
-            console.warn(debugConfig.formatUnknownCategoryWarning(category, debugState.categories));
+    function parsePostfix(node) {
+        for (;;) {
+            if (isPunctuator(".") || isPunctuator("?.")) {
+                const optional = next().value === "?.";
+                if (optional && isPunctuator("(")) {
+                    next();
+                    node = { type: "Call", callee: node, args: parseArguments(")"), optional: true };
+                    continue;
+                }
+                if (optional && isPunctuator("[")) {
+                    next();
+                    const property = parseTernary();
+                    expect("]");
+                    node = { type: "Member", object: node, property, computed: true, optional: true };
+                    continue;
+                }
+                const name = next();
+                if (name.type !== "identifier") {
+                    throw createSyntaxError(source, name.pos, "expected property name");
+                }
+                if (BLOCKED_MEMBERS.has(name.value)) {
+                    throw createSyntaxError(source, name.pos, `access to "${name.value}" is not allowed`);
+                }
+                node = { type: "Member", object: node, property: { type: "Literal", value: name.value }, computed: false, optional };
+            } else if (isPunctuator("[")) {
+                next();
+                const property = parseTernary();
+                expect("]");
+                node = { type: "Member", object: node, property, computed: true, optional: false };
+            } else if (isPunctuator("(")) {
+                next();
+                node = { type: "Call", callee: node, args: parseArguments(")"), optional: false };
+            } else {
+                return node;
+            }
         }
-    },
-    categories() {
-        console.log("[Stitch.js Debug] Available categories:");
-        console.table(debugState.categories);
     }
-};
-
-module.exports = {
-    debug,
-    version: VERSION,
-    ...helpers,
-    ...debugConfig,
-    ...attrValueHandlers,
-    ...valueBindingHelpers,
-    ...typeConverters,
-    ...foreachTemplateHelpers,
-    ...foreachReconcileHelpers,
-    ...reactiveObjectHelpers
-};
 
-  };
-  __stitchModuleFactories[15] = function(module, exports, __stitchRequire){
-"use strict";
+    function parseArguments(closing) {
+        const args = [];
+        while (!isPunctuator(closing)) {
+            args.push(parseTernary());
+            if (!isPunctuator(closing)) {
+                expect(",");
+            }
+        }
+        expect(closing);
+        return args;
+    }
 
-/**
- * Internal registry for attribute value type handling.
- * Mirrors Stitch runtime behavior for attr binding semantics.
- */
-const ATTR_VALUE_HANDLERS = {
-    null: {
-        apply(element, attrName, attrValue) {
-            element.removeAttribute(attrName);
+    function parsePrimary() {
+        const token = next();
+        if (token.type === "number" || token.type === "string") {
+            return { type: "Literal", value: token.value };
         }
-    },
-    undefined: {
-        apply(element, attrName, attrValue) {
-            element.removeAttribute(attrName);
+        if (token.type === "identifier") {
+            if (Object.prototype.hasOwnProperty.call(KEYWORD_LITERALS, token.value)) {
+                return { type: "Literal", value: KEYWORD_LITERALS[token.value] };
+            }
+            if (token.value === "this") {
+                return { type: "This" };
+            }
+            return { type: "Identifier", name: token.value };
         }
-    },
-    boolean: {
-        apply(element, attrName, attrValue) {
-            if (attrValue === true) {
-                element.setAttribute(attrName, "");
-            } else {
-                element.removeAttribute(attrName);
+        if (token.type === "punctuator") {
+            if (token.value === "(") {
+                const expression = parseTernary();
+                expect(")");
+                return expression;
+            }
+            if (token.value === "[") {
+                return { type: "Array", elements: parseArguments("]") };
+            }
+            if (token.value === "{") {
+                return parseObject();
             }
         }
-    },
-    object: {
-        apply(element, attrName, attrValue) {
-            if (attrName === "style" && typeof attrValue === "object") {
-                const cssString = Object.keys(attrValue).map(key => {
-                    const kebabKey = key.replace(/([A-Z])/g, "-$1").toLowerCase();
-                    return `${kebabKey}: ${attrValue[key]}`;
-                }).join("; ");
-                element.setAttribute(attrName, cssString);
+        throw createSyntaxError(source, token.pos, token.type === "eof" ? "unexpected end of expression" : `unexpected token "${token.value}"`);
+    }
+
+    function parseObject() {
+        const properties = [];
+        while (!isPunctuator("}")) {
+            const keyToken = next();
+            let key;
+            if (keyToken.type === "identifier" || keyToken.type === "string" || keyToken.type === "number") {
+                key = String(keyToken.value);
+            } else if (keyToken.type === "punctuator" && keyToken.value === "[") {
+                key = parseTernary();
+                expect("]");
             } else {
-                element.setAttribute(attrName, JSON.stringify(attrValue));
+                throw createSyntaxError(source, keyToken.pos, "expected object key");
             }
-        }
-    },
-    array: {
-        apply(element, attrName, attrValue) {
-            if (attrName === "class") {
-                element.setAttribute(attrName, attrValue.join(" "));
+            let value;
+            if (isPunctuator(":")) {
+                next();
+                value = parseTernary();
+            } else if (keyToken.type === "identifier") {
+                value = { type: "Identifier", name: key };
             } else {
-                element.setAttribute(attrName, attrValue.join(","));
+                throw createSyntaxError(source, peek().pos, "expected \":\"");
+            }
+            properties.push({ key, value });
+            if (!isPunctuator("}")) {
+                expect(",");
             }
         }
-    },
-    default: {
-        apply(element, attrName, attrValue) {
-            element.setAttribute(attrName, String(attrValue));
-        }
+        expect("}");
+        return { type: "Object", properties };
     }
-};
+
+    const ast = parseTernary();
+    if (peek().type !== "eof") {
+        throw createSyntaxError(source, peek().pos, `unexpected token "${peek().value}"`);
+    }
+    return ast;
+}
 
 /**
- * Selects appropriate attribute value handler based on value type.
- *
- * @param {*} value
- * @returns {{apply: Function}}
+ * Resolves an identifier: locals, then the scope (tracked read), then allowed globals.
  */
-function getAttrHandler(value) {
-    if (value === null) {
-        return ATTR_VALUE_HANDLERS.null;
-    }
-    if (value === undefined) {
-        return ATTR_VALUE_HANDLERS.undefined;
-    }
-    if (typeof value === "boolean") {
-        return ATTR_VALUE_HANDLERS.boolean;
+function resolveIdentifier(name, scope, locals) {
+    if (locals && Object.prototype.hasOwnProperty.call(locals, name)) {
+        return guardValue(locals[name]);
     }
-    if (Array.isArray(value)) {
-        return ATTR_VALUE_HANDLERS.array;
+    if (scope != null && typeof scope === "object" && name in scope) {
+        return guardValue(scope[name]);
     }
-    if (typeof value === "object") {
-        return ATTR_VALUE_HANDLERS.object;
+    if (Object.prototype.hasOwnProperty.call(EXPRESSION_GLOBALS, name)) {
+        return EXPRESSION_GLOBALS[name];
     }
-    return ATTR_VALUE_HANDLERS.default;
+    return undefined;
 }
 
-module.exports = {
-    ATTR_VALUE_HANDLERS,
-    getAttrHandler
-};
-
-  };
-  __stitchModuleFactories[16] = function(module, exports, __stitchRequire){
-"use strict";
-
 /**
- * Canonical debug category toggles extracted from Stitch runtime defaults.
+ * Receiver for bare function calls. Foreach item contexts unwrap to $data so methods
+ * mutate the item itself (mirrors data-click behavior).
  */
-const DEFAULT_DEBUG_CATEGORIES = Object.freeze({
-    reactivity: true,
-    computed: true,
-    effects: true,
-    bindings: true,
-    messageBus: true,
-    warnings: true
-});
+function resolveCallReceiver(scope) {
+    if (scope && typeof scope === "object" && scope.$data && typeof scope.$data === "object") {
+        return scope.$data;
+    }
+    return scope;
+}
 
-/**
- * Canonical debug colors extracted from Stitch runtime defaults.
- */
-const DEFAULT_DEBUG_COLORS = Object.freeze({
-    reactivity: "#2196F3",
-    computed: "#4CAF50",
-    effects: "#FF9800",
-    bindings: "#9C27B0",
-    messageBus: "#F44336",
-    warnings: "#FF5722"
-});
+function readMember(object, key) {
+    if (object == null) {
+        return undefined;
+    }
+    if (BLOCKED_MEMBERS.has(String(key))) {
+        throw new Error(`Access to "${String(key)}" is not allowed in binding expressions`);
+    }
+    return guardValue(object[key]);
+}
+
+const BINARY_OPERATORS = {
+    "==": (a, b) => a == b,
+    "!=": (a, b) => a != b,
+    "===": (a, b) => a === b,
+    "!==": (a, b) => a !== b,
+    "<": (a, b) => a < b,
+    ">": (a, b) => a > b,
+    "<=": (a, b) => a <= b,
+    ">=": (a, b) => a >= b,
+    "+": (a, b) => a + b,
+    "-": (a, b) => a - b,
+    "*": (a, b) => a * b,
+    "/": (a, b) => a / b,
+    "%": (a, b) => a % b
+};
 
 /**
- * Creates a mutable debug state object seeded from extracted defaults.
+ * Compiles an AST node into a closure `(scope, locals) => value`.
  *
- * @param {string} version
- * @returns {{version: string, enabled: boolean, categories: Object, colors: Object}}
+ * @param {Object} node
+ * @returns {Function}
  */
-function createDebugState(version) {
-    return {
-        version,
-        enabled: false,
-        categories: { ...DEFAULT_DEBUG_CATEGORIES },
-        colors: { ...DEFAULT_DEBUG_COLORS }
-    };
+function compileNode(node) {
+    switch (node.type) {
+        case "Literal": {
+            const value = node.value;
+            return () => value;
+        }
+        case "This":
+            return (scope) => scope;
+        case "Identifier": {
+            const name = node.name;
+            return (scope, locals) => resolveIdentifier(name, scope, locals);
+        }
+        case "Member": {
+            const object = compileNode(node.object);
+            const property = compileNode(node.property);
+            return (scope, locals) => readMember(object(scope, locals), property(scope, locals));
+        }
+        case "Call": {
+            const args = node.args.map(compileNode);
+            let resolveCallee;
+            if (node.callee.type === "Member") {
+                const object = compileNode(node.callee.object);
+                const property = compileNode(node.callee.property);
+                resolveCallee = (scope, locals) => {
+                    const receiver = object(scope, locals);
+                    return { receiver, fn: readMember(receiver, property(scope, locals)) };
+                };
+            } else {
+                const callee = compileNode(node.callee);
+                resolveCallee = (scope, locals) => ({ receiver: resolveCallReceiver(scope), fn: callee(scope, locals) });
+            }
+            return (scope, locals) => {
+                const resolved = resolveCallee(scope, locals);
+                if (typeof resolved.fn !== "function") {
+                    if (resolved.fn == null && (node.optional || (node.callee.type === "Member" && resolved.receiver == null))) {
+                        return undefined;
+                    }
+                    throw new TypeError("Binding expression calls a value that is not a function");
+                }
+                guardValue(resolved.fn);
+                return guardValue(resolved.fn.apply(resolved.receiver, args.map(arg => arg(scope, locals))));
+            };
+        }
+        case "Unary": {
+            const argument = compileNode(node.argument);
+            switch (node.operator) {
+                case "!": return (scope, locals) => !argument(scope, locals);
+                case "-": return (scope, locals) => -argument(scope, locals);
+                case "+": return (scope, locals) => +argument(scope, locals);
+                default: return (scope, locals) => typeof argument(scope, locals);
+            }
+        }
+        case "Binary": {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            const operate = BINARY_OPERATORS[node.operator];
+            return (scope, locals) => operate(left(scope, locals), right(scope, locals));
+        }
+        case "Logical": {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            if (node.operator === "&&") {
+                return (scope, locals) => left(scope, locals) && right(scope, locals);
+            }
+            if (node.operator === "||") {
+                return (scope, locals) => left(scope, locals) || right(scope, locals);
+            }
+            return (scope, locals) => {
+                const value = left(scope, locals);
+                return value != null ? value : right(scope, locals);
+            };
+        }
+        case "Conditional": {
+            const test = compileNode(node.test);
+            const consequent = compileNode(node.consequent);
+            const alternate = compileNode(node.alternate);
+            return (scope, locals) => (test(scope, locals) ? consequent(scope, locals) : alternate(scope, locals));
+        }
+        case "Array": {
+            const elements = node.elements.map(compileNode);
+            return (scope, locals) => elements.map(element => element(scope, locals));
+        }
+        case "Object": {
+            const properties = node.properties.map(prop => ({
+                key: typeof prop.key === "string" ? prop.key : compileNode(prop.key),
+                value: compileNode(prop.value)
+            }));
+            return (scope, locals) => {
+                const result = {};
+                properties.forEach(prop => {
+                    const key = typeof prop.key === "string" ? prop.key : String(prop.key(scope, locals));
+                    if (BLOCKED_MEMBERS.has(key)) {
+                        throw new Error(`Object key "${key}" is not allowed in binding expressions`);
+                    }
+                    result[key] = prop.value(scope, locals);
+                });
+                return result;
+            };
+        }
+        default:
+            throw new Error(`Unsupported binding expression node: ${node.type}`);
+    }
 }
 
+/** @type {Map<string, Function>} Expression source -> compiled evaluator */
+const compiledExpressionCache = new Map();
+
 /**
- * Lists available debug categories from a category map.
+ * Compiles (and caches) an expression into an evaluator function.
  *
- * @param {Object} [categories]
- * @returns {string[]}
+ * @param {string} source - Binding expression
+ * @returns {Function} `(scope, locals) => value`
+ * @throws {SyntaxError} If the expression is malformed
  */
-function listDebugCategories(categories = DEFAULT_DEBUG_CATEGORIES) {
-    return Object.keys(categories);
+function compileExpression(source) {
+    let compiled = compiledExpressionCache.get(source);
+    if (!compiled) {
+        compiled = compileNode(parseExpression(source));
+        compiledExpressionCache.set(source, compiled);
+    }
+    return compiled;
 }
 
 /**
- * Checks whether a category key exists in a category map.
+ * Checks whether a binding value is a plain dot-notation property path.
  *
- * @param {Object} categories
- * @param {string} category
+ * @param {string} source
  * @returns {boolean}
  */
-function isKnownDebugCategory(categories, category) {
-    return !!categories && Object.prototype.hasOwnProperty.call(categories, category);
+function isPropertyPath(source) {
+    return typeof source === "string" && PROPERTY_PATH_PATTERN.test(source) && !Object.prototype.hasOwnProperty.call(KEYWORD_LITERALS, source.trim());
 }
 
 /**
- * Formats the standard unknown-category warning with current category list.
+ * Evaluates a binding expression against a scope.
  *
- * @param {string} category
- * @param {Object} [categories]
- * @returns {string}
+ * @param {Object} scope - View model or foreach item context
+ * @param {string} source - Binding expression
+ * @param {Object} [locals] - Extra read-only names (e.g. `$event`)
+ * @returns {*}
+ * @throws {SyntaxError} If the expression is malformed
  */
-function formatUnknownCategoryWarning(category, categories = DEFAULT_DEBUG_CATEGORIES) {
-    return `[Stitch.js Debug] Unknown category: ${category}. Valid categories: ${listDebugCategories(categories).join(", ")}`;
+function evaluateExpression(scope, source, locals = null) {
+    return compileExpression(source)(scope, locals);
 }
 
 /**
- * No-op debug object used as a default when debugging is disabled.
- * Provides the same interface as the real debug object so callers
- * don't need to check for null.
+ * Creates the binding reader used by binding handlers: property paths go through
+ * getProperty(), everything else is evaluated as an expression. Syntax errors are
+ * reported and produce undefined, matching getProperty()'s lenient behavior.
+ *
+ * @param {Object} deps
+ * @param {string} deps.version
+ * @param {Function} deps.getProperty
+ * @returns {Function} `(scope, source, locals) => value`
  */
-const NOOP_DEBUG = {
-    enabled: false,
-    categories: Object.create(null),
-    log() {},
-    group() {},
-    groupEnd() {}
-};
+function createBindingEvaluator(deps) {
+    const { version, getProperty } = deps;
+    return function evaluateBinding(scope, source, locals = null) {
+        if (!locals && isPropertyPath(source)) {
+            return getProperty(scope, source.trim());
+        }
+        try {
+            return evaluateExpression(scope, source, locals);
+        } catch (error) {
+            if (error instanceof SyntaxError) {
+                console.error(`[Stitch.js ${version}] ${error.message}`);
+                return undefined;
+            }
+            throw error;
+        }
+    };
+}
 
 module.exports = {
-    DEFAULT_DEBUG_CATEGORIES,
-    DEFAULT_DEBUG_COLORS,
-    NOOP_DEBUG,
-    createDebugState,
-    listDebugCategories,
-    isKnownDebugCategory,
-    formatUnknownCategoryWarning
+    EXPRESSION_GLOBALS,
+    parseExpression,
+    compileExpression,
+    evaluateExpression,
+    createBindingEvaluator,
+    isPropertyPath
 };
 
   };
-  __stitchModuleFactories[17] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[31] = function(module, exports, __stitchRequire){
 "use strict";
 
-const { createTemplateElement: defaultCreateTemplateElement } = __stitchRequire(18);
+const { createTemplateElement: defaultCreateTemplateElement } = __stitchRequire(32);
+const { patchesMoveItems } = __stitchRequire(26);
 
 /**
  * Creates item context object with $data, $index, $parent for foreach templates.
@@ -3232,35 +9034,102 @@ function createItemContext(item, index, viewModel) {
 /**
  * Generates a stable key for array reconciliation.
  *
+ * Priority: key function (data-key / delegate getKey), then `item.id`, then `item.key`.
+ * Objects without an identity fall back to the index. Primitives are keyed by value;
+ * reconcileRows numbers repeated values by occurrence so duplicates stay distinct.
+ *
  * @param {*} item
  * @param {number} index
+ * @param {Function} [getKey] - Custom key function (item, index) => key
  * @returns {string}
  */
-function getItemKey(item, index) {
+function getItemKey(item, index, getKey) {
+    if (getKey) {
+        const key = getKey(item, index);
+        if (key !== undefined && key !== null) return `item-${key}`;
+    }
     if (typeof item === "object" && item !== null) {
         if (item.id !== undefined) return `item-${item.id}`;
         if (item.key !== undefined) return `item-${item.key}`;
+        return `item-${index}`;
     }
-    return `item-${index}`;
+    return `value-${typeof item}:${String(item)}`;
+}
+
+/**
+ * Computes the longest strictly increasing subsequence of a sequence of numbers.
+ * Entries of -1 (rows without a previous position) are skipped.
+ *
+ * @param {number[]} sequence
+ * @returns {number[]} Indices into `sequence` forming the subsequence, ascending
+ */
+function longestIncreasingSubsequence(sequence) {
+    const predecessors = new Array(sequence.length);
+    const tails = [];
+
+    for (let i = 0; i < sequence.length; i++) {
+        const value = sequence[i];
+        if (value < 0) continue;
+
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sequence[tails[mid]] < value) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        predecessors[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    }
+
+    const result = new Array(tails.length);
+    let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+    for (let k = tails.length - 1; k >= 0; k--) {
+        result[k] = index;
+        index = predecessors[index];
+    }
+    return result;
 }
 
 /**
  * Reconciles container rows by keyed reuse and creation.
  *
+ * Reused rows that form the longest increasing subsequence of their previous
+ * positions stay in place; only the remaining rows are moved, so reversing or
+ * rotating a list touches the minimal number of nodes (preserving focus and
+ * CSS transitions on the stable rows).
+ *
+ * Duplicate keys are disambiguated by occurrence, so every item still gets its
+ * own row. Duplicate identity keys are reported with a warning; repeated
+ * primitive values are expected and stay silent.
+ *
  * @param {HTMLElement} container
  * @param {Array} newItems
  * @param {string} templateSource
  * @param {string} containerTag
  * @param {Object} [deps]
  * @param {Function} [deps.createTemplateElement]
+ * @param {Function} [deps.getKey] - Custom key function (item, index) => key
+ * @param {number} [deps.indexOffset=0] - Index of newItems[0] in the full list (virtualized windows)
+ * @param {Function} [deps.canReuseRow] - (row, item) => false to replace a keyed row with a fresh one
+ * @param {Function} [deps.onRemoveRow] - Called with each row removed from the container
+ * @param {string} [deps.version]
  * @returns {HTMLElement[]}
  */
 function reconcileRows(container, newItems, templateSource, containerTag, deps = {}) {
     const createTemplate = deps.createTemplateElement || defaultCreateTemplateElement;
+    const version = deps.version || "2.1.0";
+    const indexOffset = deps.indexOffset || 0;
 
     const existingRows = Array.from(container.children);
     const newRowElements = [];
     const existingRowsByKey = new Map();
+    const previousPositions = new Map();
+    const keyCounts = new Map();
+    const duplicateKeys = [];
 
     existingRows.forEach((row, index) => {
         const key = row.dataset.stitchKey || `item-${index}`;
@@ -3268,9 +9137,16 @@ function reconcileRows(container, newItems, templateSource, containerTag, deps =
     });
 
     newItems.forEach((item, index) => {
-        const key = getItemKey(item, index);
-        if (existingRowsByKey.has(key)) {
-            const existingRow = existingRowsByKey.get(key);
+        let key = getItemKey(item, indexOffset + index, deps.getKey);
+        const count = keyCounts.get(key) || 0;
+        keyCounts.set(key, count + 1);
+        if (count > 0) {
+            if (count === 1 && key.startsWith("item-")) duplicateKeys.push(key);
+            key = `${key}~${count}`;
+        }
+
+        const existingRow = existingRowsByKey.get(key);
+        if (existingRow && (!deps.canReuseRow || deps.canReuseRow(existingRow, item))) {
             newRowElements.push(existingRow);
             existingRowsByKey.delete(key);
         } else {
@@ -3280,27 +9156,122 @@ function reconcileRows(container, newItems, templateSource, containerTag, deps =
         }
     });
 
+    if (duplicateKeys.length > 0) {
+        console.warn(`[Stitch.js ${version}] foreach: duplicate item keys in <${containerTag}>: ${duplicateKeys.map(key => `"${key.slice(5)}"`).join(", ")}. Rows with duplicate keys cannot be tracked reliably; make each item's id/key unique.`);
+    }
+
     existingRowsByKey.forEach(row => {
         row.remove();
+        if (deps.onRemoveRow) {
+            deps.onRemoveRow(row);
+        }
+    });
+
+    Array.from(container.children).forEach((row, index) => {
+        previousPositions.set(row, index);
+    });
+
+    const sequence = newRowElements.map(row => previousPositions.has(row) ? previousPositions.get(row) : -1);
+    const stableIndices = longestIncreasingSubsequence(sequence);
+    let stablePointer = stableIndices.length - 1;
+    let nextSibling = null;
+
+    // Walk backwards so each moved/created row can be inserted before its already-placed successor
+    for (let index = newRowElements.length - 1; index >= 0; index--) {
+        const row = newRowElements[index];
+        if (stablePointer >= 0 && stableIndices[stablePointer] === index) {
+            stablePointer--;
+        } else {
+            container.insertBefore(row, nextSibling);
+        }
+        nextSibling = row;
+    }
+
+    return newRowElements;
+}
+
+/**
+ * Applies array splice patches to keyed rows in place: rows of removed items are
+ * removed and rows for added items are created at their index. Rows outside the
+ * patched ranges are not touched, so appending to a long list only creates the new rows.
+ *
+ * Returns -1 without touching the DOM when the patches cannot be applied safely and
+ * the caller should fall back to reconcileRows(): the rows do not match the array the
+ * patches start from, items move (sort, reverse, remove-and-reinsert), or an added
+ * item's key is already in use.
+ *
+ * @param {HTMLElement} container
+ * @param {Array<{index: number, removed: Array, added: Array}>} patches
+ * @param {number} newLength - Array length after the patches
+ * @param {string} templateSource
+ * @param {string} containerTag
+ * @param {Object} [deps]
+ * @param {Function} [deps.createTemplateElement]
+ * @param {Function} [deps.getKey] - Custom key function (item, index) => key
+ * @param {Function} [deps.onRemoveRow] - Called with each row removed from the container
+ * @returns {number} Index of the first row that was added, removed or shifted, or -1
+ */
+function applyRowPatches(container, patches, newLength, templateSource, containerTag, deps = {}) {
+    const createTemplate = deps.createTemplateElement || defaultCreateTemplateElement;
+
+    let expectedRows = newLength;
+    patches.forEach(patch => {
+        expectedRows += patch.removed.length - patch.added.length;
     });
+    if (patches.length === 0 || container.children.length !== expectedRows || patchesMoveItems(patches)) {
+        return -1;
+    }
+
+    // Keys for added rows are computed up front so a collision aborts before any DOM change
+    const addedKeys = [];
+    const seenKeys = new Set();
+    for (const patch of patches) {
+        const keys = patch.added.map((item, offset) => getItemKey(item, patch.index + offset, deps.getKey));
+        for (const key of keys) {
+            if (seenKeys.has(key) || container.querySelector(`:scope > [data-stitch-key="${cssEscape(key)}"]`)) {
+                return -1;
+            }
+            seenKeys.add(key);
+        }
+        addedKeys.push(keys);
+    }
 
-    newRowElements.forEach((row, index) => {
-        if (container.children[index] !== row) {
-            container.insertBefore(row, container.children[index] || null);
+    let firstChanged = newLength;
+    patches.forEach((patch, patchIndex) => {
+        const rows = container.children;
+        for (let i = 0; i < patch.removed.length; i++) {
+            const row = rows[patch.index];
+            row.remove();
+            if (deps.onRemoveRow) {
+                deps.onRemoveRow(row);
+            }
         }
+        const reference = rows[patch.index] || null;
+        addedKeys[patchIndex].forEach(key => {
+            const templateEl = createTemplate(templateSource, containerTag);
+            templateEl.dataset.stitchKey = key;
+            container.insertBefore(templateEl, reference);
+        });
+        firstChanged = Math.min(firstChanged, patch.index);
     });
+    return firstChanged;
+}
 
-    return newRowElements;
+// Escapes a key for use inside a quoted attribute selector
+function cssEscape(value) {
+    return typeof CSS !== "undefined" && CSS.escape ? CSS.escape(value) : String(value).replace(/["\\]/g, "\\$&");
 }
 
 module.exports = {
     createItemContext,
     getItemKey,
-    reconcileRows
+    longestIncreasingSubsequence,
+    reconcileRows,
+    applyRowPatches
 };
 
   };
-  __stitchModuleFactories[18] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[32] = function(module, exports, __stitchRequire){
 "use strict";
 
 /**
@@ -3407,9 +9378,240 @@ module.exports = {
 };
 
   };
-  __stitchModuleFactories[19] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[33] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Built-in allowlist sanitizer used by the data-html binding.
+ *
+ * The markup is parsed into an inert <template> (scripts do not run and images do
+ * not load there), then every node that is not on the allowlist is removed:
+ * - elements in DROPPED_TAGS are removed with their content
+ * - other unknown elements are unwrapped (their allowed content is kept)
+ * - comments are removed
+ * - attributes must be allowed globally or for their tag; event handlers (on*),
+ *   `style`, `id` and `name` never are
+ * - URL attributes must be relative or use http(s), mailto or tel
+ * - with `isBindingAttribute` (data-html-bind), Stitch binding attributes are removed
+ *   unless they are in CONTENT_BINDINGS
+ */
+
+const ALLOWED_TAGS = new Set([
+    "a", "abbr", "article", "aside", "b", "bdi", "bdo", "blockquote", "br", "caption", "cite",
+    "code", "col", "colgroup", "dd", "del", "details", "dfn", "div", "dl", "dt", "em", "figcaption",
+    "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "i", "img", "ins",
+    "kbd", "li", "mark", "nav", "ol", "p", "pre", "q", "s", "samp", "section", "small", "span",
+    "strong", "sub", "summary", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "time",
+    "tr", "u", "ul", "var", "wbr"
+]);
+
+/** Elements removed together with their content */
+const DROPPED_TAGS = new Set([
+    "script", "style", "template", "iframe", "frame", "frameset", "object", "embed", "applet",
+    "noscript", "noembed", "svg", "math", "link", "meta", "base", "title", "form", "input",
+    "button", "select", "option", "textarea"
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(["class", "title", "lang", "dir", "role"]);
+
+const TAG_ATTRIBUTES = {
+    a: ["href", "target", "rel"],
+    img: ["src", "alt", "width", "height"],
+    blockquote: ["cite"],
+    q: ["cite"],
+    del: ["cite", "datetime"],
+    ins: ["cite", "datetime"],
+    time: ["datetime"],
+    ol: ["start", "reversed"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan", "scope"],
+    col: ["span"],
+    colgroup: ["span"],
+    details: ["open"]
+};
+
+/**
+ * Bindings kept in markup that data-html-bind binds. The others can set attributes,
+ * styles or markup, attach handlers or mount components, so they would turn
+ * sanitized markup back into script.
+ */
+const CONTENT_BINDINGS = new Set(["data-text", "data-class", "data-visible", "data-if", "data-foreach"]);
+
+const URL_ATTRIBUTES = new Set(["href", "src", "cite"]);
+const SAFE_URL_SCHEMES = new Set(["http", "https", "mailto", "tel"]);
+
+/**
+ * Whether a URL attribute value is relative or uses an allowed scheme.
+ * Whitespace and control characters are ignored the way browsers ignore them
+ * ("java\tscript:" is still a javascript: URL).
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isSafeUrl(value) {
+    const normalized = String(value).replace(/[\u0000- \u007f-\u009f]/g, "");
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+    return !scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+function isAllowedAttribute(tag, name, isBindingAttribute) {
+    if (name.startsWith("on") || name === "style" || name === "id" || name === "name") {
+        return false;
+    }
+    if (isBindingAttribute && isBindingAttribute(name) && !CONTENT_BINDINGS.has(name)) {
+        return false;
+    }
+    if (GLOBAL_ATTRIBUTES.has(name) || name.startsWith("aria-") || name.startsWith("data-")) {
+        return true;
+    }
+    return !!TAG_ATTRIBUTES[tag] && TAG_ATTRIBUTES[tag].includes(name);
+}
+
+function sanitizeAttributes(element, tag, isBindingAttribute) {
+    Array.from(element.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        if (!isAllowedAttribute(tag, name, isBindingAttribute) || (URL_ATTRIBUTES.has(name) && !isSafeUrl(attr.value))) {
+            element.removeAttribute(attr.name);
+        }
+    });
+    // Links opening a new window must not get access to this one
+    if (tag === "a" && element.getAttribute("target") === "_blank") {
+        element.setAttribute("rel", "noopener noreferrer");
+    }
+}
+
+function sanitizeChildren(parent, isBindingAttribute) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === 3) {
+            return;
+        }
+        if (node.nodeType !== 1) {
+            parent.removeChild(node);
+            return;
+        }
+        const tag = node.tagName.toLowerCase();
+        if (DROPPED_TAGS.has(tag)) {
+            parent.removeChild(node);
+            return;
+        }
+        sanitizeChildren(node, isBindingAttribute);
+        if (!ALLOWED_TAGS.has(tag)) {
+            while (node.firstChild) {
+                parent.insertBefore(node.firstChild, node);
+            }
+            parent.removeChild(node);
+            return;
+        }
+        sanitizeAttributes(node, tag, isBindingAttribute);
+    });
+}
+
+/**
+ * Sanitizes an HTML string with the built-in allowlist.
+ *
+ * @param {string} html - Untrusted markup
+ * @param {Object} [options]
+ * @param {Document} [options.document=document] - Document used to parse the markup
+ * @param {{createHTML: Function}} [options.policy] - Trusted Types policy; needed to parse when Trusted Types are enforced
+ * @param {Function} [options.isBindingAttribute] - Called with an attribute name; binding attributes outside CONTENT_BINDINGS are removed
+ * @returns {string} Sanitized markup
+ * @example
+ * sanitizeHTML('<b onclick="steal()">Hi</b><script>steal()</script>');
+ * // Returns: '<b>Hi</b>'
+ */
+function sanitizeHTML(html, options = {}) {
+    const doc = options.document || document;
+    const template = doc.createElement("template");
+    const markup = html == null ? "" : String(html);
+    template.innerHTML = options.policy ? options.policy.createHTML(markup) : markup;
+    sanitizeChildren(template.content, options.isBindingAttribute);
+    const container = doc.createElement("div");
+    container.appendChild(template.content);
+    return container.innerHTML;
+}
+
+module.exports = {
+    sanitizeHTML,
+    isSafeUrl
+};
+
+  };
+  __stitchModuleFactories[34] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Re-applies or reverts mutation records (`{ op, key, value, oldValue }`, as delivered
+ * to onMutation() listeners) on the reactive container they happened in.
+ *
+ * Values are restored by reference, so restored array items keep their identity.
+ * Set members are addressed by value (their recorded key is only a position).
+ */
+
+function insertAt(container, key, value) {
+    if (Array.isArray(container)) {
+        container.splice(key, 0, value);
+    } else if (container instanceof Map) {
+        container.set(key, value);
+    } else if (container instanceof Set) {
+        container.add(value);
+    } else if (Object.prototype.hasOwnProperty.call(container, key) || typeof container.$set !== "function") {
+        container[key] = value;
+    } else {
+        container.$set(key, value);
+    }
+}
+
+function removeAt(container, key, value) {
+    if (Array.isArray(container)) {
+        container.splice(key, 1);
+    } else if (container instanceof Map) {
+        container.delete(key);
+    } else if (container instanceof Set) {
+        container.delete(value);
+    } else if (typeof container.$delete === "function") {
+        container.$delete(key);
+    } else {
+        delete container[key];
+    }
+}
+
+function replaceAt(container, key, value) {
+    if (container instanceof Map) {
+        container.set(key, value);
+    } else {
+        container[key] = value;
+    }
+}
+
+/**
+ * Applies (revert = false) or undoes (revert = true) one mutation on its container.
+ *
+ * @param {Object} container - Reactive object, array proxy, Map or Set the mutation happened in
+ * @param {string|number|*} key - Property, index or Map key
+ * @param {{op: string, value: *, oldValue: *}} mutation
+ * @param {boolean} revert
+ */
+function applyMutation(container, key, mutation, revert) {
+    const op = revert ? ({ add: "remove", remove: "add", replace: "replace" })[mutation.op] : mutation.op;
+    if (op === "add") {
+        insertAt(container, key, revert ? mutation.oldValue : mutation.value);
+    } else if (op === "remove") {
+        removeAt(container, key, revert ? mutation.value : mutation.oldValue);
+    } else {
+        replaceAt(container, key, revert ? mutation.oldValue : mutation.value);
+    }
+}
+
+module.exports = {
+    applyMutation
+};
+
+  };
+  __stitchModuleFactories[35] = function(module, exports, __stitchRequire){
 "use strict";
 
+const Version = "v2.1.0";
+
 function defineHidden(target, name, value) {
     Object.defineProperty(target, name, {
         value: value,
@@ -3419,6 +9621,38 @@ function defineHidden(target, name, value) {
     });
 }
 
+/**
+ * Creates the reactive state of a model add-on (history(), persist(), validate()) and
+ * attaches it to the model as a hidden property, stopping the state attached before.
+ * The state is created by the model's own factory so bindings on an isolated model
+ * track it, and the property stays configurable so calling the add-on again replaces it.
+ *
+ * @param {Object} model - Reactive model from Observable.create()
+ * @param {string} name - Property name ("$history")
+ * @param {Object} initial - Initial state
+ * @param {string} caller - Add-on name for the error message ("history")
+ * @returns {Object} Reactive state; it must get a hidden stop() before the add-on is called again
+ * @throws {Error} If model was not created with Observable.create()
+ */
+function attachModelState(model, name, initial, caller) {
+    const factory = model && model._factory;
+    if (!factory || !factory.reactiveSystem) {
+        throw new Error(`Stitch.js ${Version}: ${caller}() requires a model created with Observable.create()`);
+    }
+    const state = factory.reactive(initial, new WeakSet);
+    defineHidden(state, "_factory", factory);
+    if (model[name]) {
+        model[name].stop();
+    }
+    Object.defineProperty(model, name, {
+        value: state,
+        writable: false,
+        enumerable: false,
+        configurable: true
+    });
+    return state;
+}
+
 function addChangeHandler(handler) {
     this._changeHandlers.add(handler);
 }
@@ -3446,15 +9680,47 @@ function toJSON() {
     return result;
 }
 
+/**
+ * Reads every nested value of a reactive object, array, Map or Set so the
+ * running effect tracks all of them (used by deep watchers).
+ *
+ * @param {*} value - Value to traverse
+ * @param {Set<Object>} [seen=new Set()] - Visited objects (guards against cycles)
+ * @returns {*} The value passed in
+ */
+function traverseReactive(value, seen = new Set()) {
+    if (!value || typeof value !== "object" || !value.__isReactive || seen.has(value)) {
+        return value;
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++) {
+            traverseReactive(value[i], seen);
+        }
+    } else if (value instanceof Map) {
+        value.forEach((item, key) => {
+            traverseReactive(key, seen);
+            traverseReactive(item, seen);
+        });
+    } else if (value instanceof Set) {
+        value.forEach(item => traverseReactive(item, seen));
+    } else {
+        Object.keys(value).forEach(key => traverseReactive(value[key], seen));
+    }
+    return value;
+}
+
 module.exports = {
     defineHidden,
+    attachModelState,
+    traverseReactive,
     addChangeHandler,
     removeChangeHandler,
     toJSON
 };
 
   };
-  __stitchModuleFactories[20] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[36] = function(module, exports, __stitchRequire){
 "use strict";
 
 /**
@@ -3595,7 +9861,203 @@ module.exports = {
 };
 
   };
-  __stitchModuleFactories[21] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[37] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Reversible JSON encoding for model snapshots.
+ *
+ * `toJSON()` keeps Maps and Sets as is (JSON.stringify writes them as `{}`) and turns
+ * Dates into strings that cannot be told apart from other strings. These helpers tag
+ * such values so they survive a JSON round trip:
+ *
+ * - Date → `{ "$type": "Date", "value": "2024-01-01T00:00:00.000Z" }`
+ * - Map  → `{ "$type": "Map", "entries": [[key, value], ...] }`
+ * - Set  → `{ "$type": "Set", "values": [...] }`
+ * - plain objects that have their own `$type` key → `{ "$type": "Object", "value": {...} }`
+ */
+
+const TYPE_KEY = "$type";
+
+/**
+ * Returns true for computed properties of reactive objects (non-configurable
+ * accessors), which are derived and never serialized.
+ *
+ * @param {Object} target
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isComputedProperty(target, key) {
+    const descriptor = Object.getOwnPropertyDescriptor(target, key);
+    return !!descriptor && typeof descriptor.get === "function" && descriptor.configurable === false;
+}
+
+/**
+ * Encodes a (possibly reactive) value as JSON-safe data.
+ * Keys starting with "_", functions and computed properties are skipped.
+ *
+ * @param {*} value
+ * @param {Function} [filter] - Called with the key path of each object property; return false to skip it
+ * @param {Array<string>} [path=[]] - Key path of value (passed to filter)
+ * @returns {*}
+ */
+function serializeValue(value, filter, path = []) {
+    if (!value || typeof value !== "object") {
+        return typeof value === "function" ? undefined : value;
+    }
+    if (value instanceof Date) {
+        return { [TYPE_KEY]: "Date", value: value.toISOString() };
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, item => {
+            const encoded = serializeValue(item);
+            return encoded === undefined ? null : encoded;
+        });
+    }
+    if (value instanceof Map) {
+        return { [TYPE_KEY]: "Map", entries: Array.from(value, ([key, item]) => [serializeValue(key), serializeValue(item)]) };
+    }
+    if (value instanceof Set) {
+        return { [TYPE_KEY]: "Set", values: Array.from(value, item => serializeValue(item)) };
+    }
+    const result = {};
+    Object.keys(value).forEach(key => {
+        if (key.startsWith("_") || isComputedProperty(value, key)) return;
+        const childPath = path.concat([key]);
+        if (filter && !filter(childPath)) return;
+        const encoded = serializeValue(value[key], filter, childPath);
+        if (encoded !== undefined) {
+            result[key] = encoded;
+        }
+    });
+    return Object.prototype.hasOwnProperty.call(result, TYPE_KEY) ? { [TYPE_KEY]: "Object", value: result } : result;
+}
+
+/**
+ * Decodes data produced by serializeValue() back into Dates, Maps and Sets.
+ *
+ * @param {*} data
+ * @returns {*}
+ */
+function deserializeValue(data) {
+    if (!data || typeof data !== "object") {
+        return data;
+    }
+    if (Array.isArray(data)) {
+        return data.map(item => deserializeValue(item));
+    }
+    switch (data[TYPE_KEY]) {
+        case "Date":
+            return new Date(data.value);
+        case "Map":
+            return new Map((data.entries || []).map(([key, item]) => [deserializeValue(key), deserializeValue(item)]));
+        case "Set":
+            return new Set((data.values || []).map(item => deserializeValue(item)));
+        case "Object":
+            data = data.value || {};
+            break;
+        default:
+            break;
+    }
+    const result = {};
+    Object.keys(data).forEach(key => {
+        result[key] = deserializeValue(data[key]);
+    });
+    return result;
+}
+
+/**
+ * Returns true for values that deserializeValue() produces from plain objects
+ * (not arrays, Dates, Maps or Sets).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainRecord(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value)
+        && !(value instanceof Date) && !(value instanceof Map) && !(value instanceof Set);
+}
+
+module.exports = {
+    serializeValue,
+    deserializeValue,
+    isComputedProperty,
+    isPlainRecord
+};
+
+  };
+  __stitchModuleFactories[38] = function(module, exports, __stitchRequire){
+"use strict";
+
+/**
+ * Property-name and value normalization for the data-style binding.
+ */
+
+/** Properties whose numeric values have no unit (numbers are not given "px") */
+const UNITLESS_PROPERTIES = new Set([
+    "animation-iteration-count", "aspect-ratio", "border-image-outset", "border-image-slice",
+    "border-image-width", "column-count", "columns", "fill-opacity", "flex", "flex-grow",
+    "flex-shrink", "flood-opacity", "font-weight", "grid-area", "grid-column", "grid-column-end",
+    "grid-column-start", "grid-row", "grid-row-end", "grid-row-start", "line-clamp", "line-height",
+    "opacity", "order", "orphans", "scale", "stop-opacity", "stroke-dasharray", "stroke-dashoffset",
+    "stroke-miterlimit", "stroke-opacity", "stroke-width", "tab-size", "widows", "z-index", "zoom"
+]);
+
+/**
+ * Converts a style key to its CSS property name. Custom properties are kept as written.
+ *
+ * @param {string} key - camelCase, kebab-case or `--custom-property`
+ * @returns {string}
+ * @example
+ * toCssPropertyName("backgroundColor"); // "background-color"
+ * toCssPropertyName("WebkitLineClamp"); // "-webkit-line-clamp"
+ * toCssPropertyName("--accent");        // "--accent"
+ */
+function toCssPropertyName(key) {
+    if (key.startsWith("--")) {
+        return key;
+    }
+    return key
+        .replace(/^ms(?=[A-Z])/, "-ms")
+        .replace(/[A-Z]/g, letter => "-" + letter.toLowerCase());
+}
+
+/**
+ * Formats a value for style.setProperty(). Numbers get "px" unless the property
+ * is unitless or a custom property; `null`, `undefined`, `false` and `""` mean
+ * "remove the property" and return null. A trailing `!important` is split off.
+ *
+ * @param {string} name - CSS property name (see toCssPropertyName())
+ * @param {*} value
+ * @returns {{value: string, priority: string}|null}
+ * @example
+ * formatStyleValue("width", 120);             // { value: "120px", priority: "" }
+ * formatStyleValue("opacity", 0.5);           // { value: "0.5", priority: "" }
+ * formatStyleValue("color", "red !important"); // { value: "red", priority: "important" }
+ */
+function formatStyleValue(name, value) {
+    if (value === null || value === undefined || value === false || value === "") {
+        return null;
+    }
+    if (typeof value === "number") {
+        const unitless = value === 0 || name.startsWith("--") || UNITLESS_PROPERTIES.has(name.replace(/^-(webkit|moz|ms)-/, ""));
+        return { value: unitless ? String(value) : `${value}px`, priority: "" };
+    }
+    const text = String(value).trim();
+    const important = /\s*!important$/i.exec(text);
+    return important
+        ? { value: text.slice(0, important.index), priority: "important" }
+        : { value: text, priority: "" };
+}
+
+module.exports = {
+    UNITLESS_PROPERTIES,
+    toCssPropertyName,
+    formatStyleValue
+};
+
+  };
+  __stitchModuleFactories[39] = function(module, exports, __stitchRequire){
 "use strict";
 
 const DEFAULT_VERSION = "2.1.0";
@@ -3811,7 +10273,7 @@ module.exports = {
 };
 
   };
-  __stitchModuleFactories[22] = function(module, exports, __stitchRequire){
+  __stitchModuleFactories[40] = function(module, exports, __stitchRequire){
 "use strict";
 
 /**
@@ -4030,11 +10492,154 @@ function getValueHandler(element, handlers) {
     return handlers.default;
 }
 
+/** View events that write to the model for each data-value-update mode */
+const VALUE_UPDATE_EVENTS = {
+    input: ["input", "change"],
+    change: ["change"],
+    blur: ["blur"]
+};
+
+/**
+ * Reads data-value-update / data-debounce from a value-bound element.
+ *
+ * @param {HTMLElement} element
+ * @returns {{mode: string, events: string[], debounce: number, invalid: string|null}}
+ *   `invalid` holds an unknown data-value-update value (the mode falls back to "input")
+ * @example
+ * // <input data-value="query" data-value-update="input" data-debounce="300">
+ * getValueUpdateOptions(input); // { mode: "input", events: ["input", "change"], debounce: 300, invalid: null }
+ */
+function getValueUpdateOptions(element) {
+    const requested = (element.getAttribute("data-value-update") || "input").trim().toLowerCase();
+    const mode = VALUE_UPDATE_EVENTS[requested] ? requested : "input";
+    const debounce = parseInt(element.getAttribute("data-debounce"), 10);
+    return {
+        mode,
+        events: VALUE_UPDATE_EVENTS[mode],
+        debounce: debounce > 0 ? debounce : 0,
+        invalid: mode === requested ? null : requested
+    };
+}
+
+/**
+ * Runs a view update and restores the caret/selection of the focused element when its
+ * text changed, e.g. when the model trims or uppercases what was typed. Positions are
+ * clamped to the new length.
+ *
+ * @param {HTMLElement} element
+ * @param {Function} update - Writes the new value to the element
+ */
+function preserveSelection(element, update) {
+    let start = null;
+    let end = null;
+    let direction;
+    const doc = element.ownerDocument;
+    if (doc && doc.activeElement === element) {
+        try {
+            // Throws (or is null) for inputs without selection support, e.g. type="number"
+            start = element.selectionStart;
+            end = element.selectionEnd;
+            direction = element.selectionDirection || undefined;
+        } catch (error) {
+            start = null;
+        }
+    }
+    const previous = element.value;
+    update();
+    if (start === null || start === undefined || element.value === previous) {
+        return;
+    }
+    const length = element.value.length;
+    element.setSelectionRange(Math.min(start, length), Math.min(end, length), direction);
+}
+
+/**
+ * Checks whether a checked-binding value is a checkbox-group collection (array or Set).
+ * Reactive Set proxies pass the instanceof check through their target prototype.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCheckboxCollection(value) {
+    return Array.isArray(value) || value instanceof Set;
+}
+
+/**
+ * Returns a snapshot of collection values (tracked read for reactive arrays/Sets).
+ *
+ * @param {Array|Set} collection
+ * @returns {Array}
+ */
+function getCollectionValues(collection) {
+    return Array.from(collection);
+}
+
+/**
+ * Finds the index of a value in a collection snapshot using converter equality.
+ *
+ * @param {Array} values
+ * @param {*} value
+ * @param {Object} converter
+ * @returns {number}
+ */
+function findCollectionIndex(values, value, converter) {
+    return values.findIndex(item => item === value || converter.equals(item, value));
+}
+
+/**
+ * Adds or removes a value in place so the bound array/Set keeps its identity.
+ *
+ * @param {Array|Set} collection
+ * @param {*} value - Converted model value
+ * @param {boolean} include - true to add, false to remove
+ * @param {Object} converter
+ */
+function toggleCollectionValue(collection, value, include, converter) {
+    const values = getCollectionValues(collection);
+    const index = findCollectionIndex(values, value, converter);
+    if (include && index === -1) {
+        if (Array.isArray(collection)) {
+            collection.push(value);
+        } else {
+            collection.add(value);
+        }
+    } else if (!include && index !== -1) {
+        if (Array.isArray(collection)) {
+            collection.splice(index, 1);
+        } else {
+            collection.delete(values[index]);
+        }
+    }
+}
+
+/**
+ * Replaces all collection values in place.
+ *
+ * @param {Array|Set} collection
+ * @param {Array} values
+ */
+function replaceCollectionValues(collection, values) {
+    if (Array.isArray(collection)) {
+        collection.splice(0, collection.length, ...values);
+    } else {
+        collection.clear();
+        values.forEach(value => collection.add(value));
+    }
+}
+
 module.exports = {
     createValueValidators,
     getValueValidator,
     createValueHandlers,
-    getValueHandler
+    getValueHandler,
+    VALUE_UPDATE_EVENTS,
+    getValueUpdateOptions,
+    preserveSelection,
+    isCheckboxCollection,
+    getCollectionValues,
+    findCollectionIndex,
+    toggleCollectionValue,
+    replaceCollectionValues
 };
 
   };
@@ -4067,9 +10672,9 @@ module.exports = {
     "use strict";
 
     const api = (typeof __stitchInlineRequire === "function" ? (__stitchInlineRequire(0) || require("./packages/api/index.js")) : require("./packages/api/index.js"));
-    const browser = (typeof __stitchInlineRequire === "function" ? (__stitchInlineRequire(3) || require("./packages/browser/index.js")) : require("./packages/browser/index.js"));
-    const core = (typeof __stitchInlineRequire === "function" ? (__stitchInlineRequire(9) || require("./packages/core/index.js")) : require("./packages/core/index.js"));
-    const utils = (typeof __stitchInlineRequire === "function" ? (__stitchInlineRequire(14) || require("./packages/utils/index.js")) : require("./packages/utils/index.js"));
+    const browser = (typeof __stitchInlineRequire === "function" ? (__stitchInlineRequire(8) || require("./packages/browser/index.js")) : require("./packages/browser/index.js"));
+    const core = (typeof __stitchInlineRequire === "function" ? (__stitchInlineRequire(16) || require("./packages/core/index.js")) : require("./packages/core/index.js"));
+    const utils = (typeof __stitchInlineRequire === "function" ? (__stitchInlineRequire(25) || require("./packages/utils/index.js")) : require("./packages/utils/index.js"));
 
     if (!api || !browser || !core || !utils) {
         throw new Error("Stitch.js bootstrap failed: one or more package modules could not be resolved.");
@@ -4077,8 +10682,20 @@ module.exports = {
 
     const Observable = api.Observable;
     const computed = api.computed || (Observable && Observable.computed);
+    const asyncComputed = api.asyncComputed;
+    const batch = api.batch;
     const DataBinder = browser.DataBinder;
+    const component = browser.component;
+    const validate = api.validate;
+    const history = api.history;
+    const persist = api.persist;
+    const patches = api.patches;
+    const devtools = api.devtools;
     const MessageBus = core.MessageBus;
+    const effectScope = core.effectScope;
+    const getCurrentScope = core.getCurrentScope;
+    const onScopeDispose = core.onScopeDispose;
+    const config = core.config;
     const version = api.version || core.version || browser.version || utils.version || "2.1.0";
     const debug = utils.debug || {
         enable() {},
@@ -4093,6 +10710,18 @@ module.exports = {
         DataBinder,
         MessageBus,
         computed,
+        asyncComputed,
+        batch,
+        component,
+        validate,
+        history,
+        persist,
+        patches,
+        devtools,
+        effectScope,
+        getCurrentScope,
+        onScopeDispose,
+        config,
         version,
         debug
     };